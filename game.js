@@ -6,25 +6,169 @@
  * 1. COMPUTER VISION MAPPING:
  *    - Sensitivity: 1.4x amplification of hand movement to reach screen edges easily.
  *    - Smoothing (LERP): 0.7 interpolation to prevent jittery crosshair movement.
+ *    - CALIBRATE (menu) replaces this with the player's own reach (src/calibration.js).
+ *    - The model runs in a Web Worker at a capped detection rate; the crosshair
+ *      glides between detections so the game keeps 60fps (src/hand-tracker.js).
+ *    - CAMERA (menu) picks the device, resolution / fps, mirroring and GPU / CPU,
+ *      with a large skeleton preview; saved per browser (src/camera.js).
  * 
  * 2. GESTURE DETECTION:
  *    - Pinch Shoot: Detects distance between Thumb and Index finger tips.
  *    - Trigger Threshold: Distance < 0.09 normalized units creates a 'Click'.
+ *    - After calibration the threshold is relative to hand size instead.
+ *    - Other triggers (finger gun, fist, dwell) are picked on the menu; all of
+ *      them freeze the aim while firing (src/gestures.js).
  * 
- * 3. LEVEL & STRIKE SYSTEM:
+ * 3. LEVEL & STRIKE SYSTEM (src/rules.js - DOM-free, tested in Node):
  *    - Strikes: Every escape duck = 1 strike. 3 strikes and game ends.
  *    - Progression: Every 5 kills = Level Up (Higher speed, more ducks).
+ *    - Game modes (menu) swap these rules: arcade (above), NES-style classic
+ *      rounds, time attack, endless and no-fail zen.
+ *    - Two players (co-op / versus): two tracked hands, two crosshairs, own
+ *      score + ammo each, shared strikes (hands matched by src/players.js).
  * 
  * 4. DUCK TIMER:
  *    - Ducks are rendered with a life-bar. If the bar empties, the duck flees.
+ *    - Duck movement + timers live in src/simulation.js: fixed 60Hz ticks and a
+ *      seeded PRNG (add ?seed=1234 to the URL to replay the same run).
+ *
+ * 5. FALLBACK INPUT:
+ *    - Mouse/touch aim + click/tap to fire, keyboard & gamepad aim + Space/A.
+ *    - Used automatically when the AI model or the camera is unavailable.
+ *
+ * 6. SESSION RECORD / REPLAY:
+ *    - Raw landmarks per frame can be recorded and downloaded as JSON.
+ *    - A loaded recording replaces the webcam + model, feeding processCV().
+ *    - The recording keeps the run's seed and modes, so a replay flies the
+ *      same ducks the session did.
+ *
+ * 7. HIGH SCORES (src/scores.js):
+ *    - Every run is saved to a local history (score, level, accuracy...) and
+ *      a top-10 board per game mode with initials, both exportable/importable as JSON.
+ *
+ * 8. AUDIO (src/audio.js):
+ *    - Synthesized chiptune SFX + music loop, unlocked by the start button
+ *      click (browser autoplay rules). Volumes live on the menu.
+ *
+ * 9. PAUSE:
+ *    - P / Esc, a held V sign, a hidden tab or a lost hand pause the run;
+ *      the simulation simply isn't advanced, so every timer freezes.
+ *
+ * 10. OFFLINE (src/asset-paths.js, sw.js):
+ *    - MediaPipe, the hand model and the fonts load from vendor/ (npm run
+ *      vendor) or wherever ?assets= points; a service worker caches it all.
+ *    - Any file that fails to load is listed on the menu overlay.
+ *
+ * 11. EVENTS & PLUGINS (src/event-bus.js, src/plugins.js):
+ *    - Rule events plus handLost / handFound go out on one typed event bus
+ *      once per frame; the HUD, audio, stats, effects and screens subscribe
+ *      to it. The HUD is never polled: timerTick / reload cover the clocks,
+ *      and menu mode / language changes refresh it the same way.
+ *    - Add-ons in plugins/ subscribe the same way (?plugins=plugins/event-log.js).
+ *
+ * 12. EFFECTS (src/effects.js):
+ *    - Feathers, muzzle flash, bullet holes, shake, the strike vignette and
+ *      the level transition are drawn in draw(), started by rule events.
+ *    - REDUCED MOTION on the menu turns off the shake and the flashes.
+ *
+ * 13. ANALYTICS (src/analytics.js):
+ *    - Every detection's raw / smoothed aim, trigger value, detection time
+ *      and latency, and every shot against the ducks, are kept per run.
+ *    - DEBUG HUD (menu, ` key or ?analytics) graphs them live and shows a shot
+ *      heatmap after the run; EXPORT STATS saves the run as CSV.
+ *
+ * 14. ACCESSIBILITY (src/accessibility.js):
+ *    - Aim assist, hitbox + game speed multipliers, dwell fire for hand or
+ *      pointer, a colour-blind-safe palette and screen reader announcements.
+ *
+ * 15. LANGUAGES (src/i18n.js, assets/locales/):
+ *    - Every player-facing string comes from a JSON catalogue per language,
+ *      with English standing in for anything missing. index.html marks its
+ *      text with data-i18n; the rest is looked up here with t().
+ *    - The menu's language picker (or ?lang=) redoes all text on the spot;
+ *      scores and stats are formatted for the language as well.
  * ============================================================================
  */
 
-// Import MediaPipe Computer Vision libraries directly from a reliable CDN
+// Hand tracking runs MediaPipe in a Web Worker (src/hand-worker.js)
+import { HandTracker, FrameThrottle, AimInterpolator } from "./src/hand-tracker.js";
+import { InputManager, INPUT_MODES } from "./src/input.js";
+import { LandmarkRecorder, LandmarkReplay } from "./src/landmark-recorder.js";
+import { GameRules, PLAYER_MODES, MODE_RULES } from "./src/rules.js";
+import { HandAssigner } from "./src/players.js";
+import { DUCK_TYPES } from "./src/species.js";
+import { POWER_UPS, POWER_UP_RADIUS_RATIO } from "./src/powerups.js";
+import { comboMultiplier } from "./src/scoring.js";
+import { loadAtlas, drawFrame, frameHitbox, AnimationPlayer } from "./src/sprites.js";
+import { loadWaves } from "./src/waves.js";
+import { resolveAssetSource, assetPaths } from "./src/asset-paths.js";
+import { Effects, loadEffectsSettings, saveEffectsSettings } from "./src/effects.js";
+import { EventBus } from "./src/event-bus.js";
 import {
-    HandLandmarker,
-    FilesetResolver
-} from "https://cdn.skypack.dev/@mediapipe/tasks-vision@0.10.0";
+    Translator,
+    pickLocale,
+    loadSavedLocale,
+    saveLocale,
+    loadCatalogue,
+    LOCALES,
+    DEFAULT_LOCALE
+} from "./src/i18n.js";
+import { SessionStats, drawAnalytics, drawHeatmap, ANALYTICS_SIZE } from "./src/analytics.js";
+import {
+    Announcer,
+    assistAim,
+    lifeBarColor,
+    loadAccessibilitySettings,
+    saveAccessibilitySettings,
+    AIM_ASSIST,
+    HITBOX_SCALES,
+    GAME_SPEEDS,
+    DWELL_TIMES,
+    PALETTES
+} from "./src/accessibility.js";
+import { PluginHost, loadPlugins, pluginUrls } from "./src/plugins.js";
+import { WORLD, fitViewport, screenToWorld, worldToScreen, worldTransform } from "./src/world.js";
+import {
+    CalibrationWizard,
+    loadCvSettings,
+    saveCvSettings,
+    clearCvSettings,
+    mapToScreen,
+    mirrorBounds,
+    DEFAULT_CV_SETTINGS,
+    pinchDistance,
+    isPinched,
+    LANDMARKS,
+    INFERENCE_RATES
+} from "./src/calibration.js";
+import {
+    loadCameraSettings,
+    saveCameraSettings,
+    videoConstraints,
+    cameraList,
+    orientHands,
+    RESOLUTIONS,
+    FRAME_RATES,
+    DELEGATES,
+    HAND_CONNECTIONS
+} from "./src/camera.js";
+import {
+    GestureRecognizer,
+    PauseGesture,
+    isPauseSign,
+    triggerThresholds,
+    TRIGGERS
+} from "./src/gestures.js";
+import { randomSeed } from "./src/random.js";
+import { ScoreBook, summarizeRun } from "./src/scores.js";
+import { AudioEngine } from "./src/audio.js";
+
+// Game-over and pause screen lines: "endReason.<GameRules.endReason>" and
+// "pauseReason.<GameRules.pauseReason>" in the string catalogue
+const HAND_BACK_FRAMES = 20; // Frames a lost hand must be back before auto-resume
+const BREAKDOWN_MS = 4000;   // The level breakdown carries on by itself after this long
+const DUCK_SIZE = WORLD.width * 0.08; // Duck sprite width in world pixels
+const PLAYER_COLORS = ['#ff0000', '#33ccff']; // Hand skeletons: P1 red, P2 blue
 
 class DuckHuntGame {
     /**
@@ -36,8 +180,10 @@ class DuckHuntGame {
         this.ctx = this.canvas.getContext('2d');           // Drawing tools for the canvas
         this.cvOverlay = document.getElementById('cv-overlay'); // UI Overlay for hand skeleon
         this.cvCtx = this.cvOverlay.getContext('2d');      // Drawing tools for CV points
+        this.view = fitViewport(WORLD.width, WORLD.height); // Letterbox of the world on the canvas (see resize())
         this.video = document.getElementById('webcam');    // The camera feed element
         this.crosshair = document.getElementById('crosshair'); // The red targeting reticle
+        this.crosshair2 = document.getElementById('crosshair-2'); // Player 2's blue reticle
 
         // Heads-Up Display (HUD) References
         this.scoreElement = document.getElementById('score'); // Score number text
@@ -45,6 +191,15 @@ class DuckHuntGame {
         this.ammoDisplay = document.getElementById('ammo-display'); // Bullet icons
         this.strikeDisplay = document.getElementById('strike-display'); // X X X counter
         this.timerElement = document.getElementById('round-timer'); // Round clock (60s)
+        this.timerLabel = document.querySelector('#timer-board .label'); // TIME / HITS (classic)
+        this.strikesBoard = document.getElementById('strikes-board'); // Hidden in no-strike modes
+        this.modeElement = document.getElementById('mode-name'); // Active game mode
+        this.endRunBtn = document.getElementById('end-run-btn'); // Zen: stop the run
+        this.scoreElement2 = document.getElementById('score-2'); // Player 2 score (two-player)
+        this.ammoDisplay2 = document.getElementById('ammo-display-2'); // Player 2 bullets
+        this.powerUpBoard = document.getElementById('powerup-board'); // Active power-ups (hidden when none)
+        this.powerUpList = document.getElementById('powerup-list');
+        this.comboElement = document.getElementById('combo'); // Current multiplier(s)
 
         // Menu & Overlay UI References
         this.menuOverlay = document.getElementById('menu-overlay'); // Fullscreen Start/Gameover screen
@@ -52,38 +207,191 @@ class DuckHuntGame {
         this.menuSubtitle = document.getElementById('menu-subtitle'); // Score readout
         this.menuInstructions = document.getElementById('menu-instructions'); // How to play
         this.startBtn = document.getElementById('start-btn'); // Main interaction button
-
-        // Game Tracking Variables (Starting State)
-        this.score = 0;                     // Current player score
-        this.round = 1;                     // Difficulty level
-        this.ammo = 3;                      // Remaining bullets
-        this.strikes = 0;                   // Number of ducks missed
-        this.ducksShotThisRound = 0;        // Used to track Level Up progression
-        this.gameState = 'menu';            // Current phase (menu vs playing)
-        this.roundStartTime = null;         // Timestamp for the 60s level clock
-
-        // Configuration Settings
-        this.ducks = [];                    // Array to hold all active duck objects
-        this.maxDucksInScene = 1;           // How many ducks can move at once (increases per level)
-        this.baseLifeTime = 10000;          // Base time a duck stays on screen (10 seconds)
+        this.statusMsg = document.getElementById('status-msg'); // Loading/error readout
+        this.assetErrors = document.getElementById('asset-errors'); // "Files failed to load" box
+        this.assetErrorList = document.getElementById('asset-error-list');
+        this.modeButtons = document.querySelectorAll('#input-mode .mode-btn'); // Hand vs Mouse toggle
+        this.recordToggle = document.getElementById('record-toggle'); // "Record session" checkbox
+        this.replayInput = document.getElementById('replay-file'); // Recording file picker
+        this.replayLabel = document.getElementById('replay-label'); // Shows loaded recording name
+        this.clearReplayBtn = document.getElementById('clear-replay'); // Back to live camera
+        this.downloadBtn = document.getElementById('download-recording'); // Save last session
+        this.calibrateBtn = document.getElementById('calibrate-btn'); // Opens the calibration wizard
+        this.resetCalibrationBtn = document.getElementById('reset-calibration'); // Back to defaults
+        this.triggerSelect = document.getElementById('trigger-select'); // Shooting gesture picker
+        this.trackingRateSelect = document.getElementById('tracking-rate'); // Detections per second
+        this.gameModeSelect = document.getElementById('game-mode'); // Arcade / classic / ... buttons
+        this.playerModeSelect = document.getElementById('player-mode'); // 1P / co-op / versus
+        this.playerButtons = document.querySelectorAll('#player-mode .mode-btn');
+        this.assignSelect = document.getElementById('assign-select'); // Hands by side or handedness
+
+        // High Score UI References
+        this.initialsForm = document.getElementById('initials-form'); // Shown for a top-10 run
+        this.initialsInput = document.getElementById('initials-input');
+        this.highScoresList = document.getElementById('high-scores'); // Leaderboard <ol>
+        this.highScoresTitle = document.getElementById('high-scores-title'); // Names the mode's board
+        this.historyBody = document.querySelector('#run-history tbody'); // Recent runs table
+        this.importScoresInput = document.getElementById('import-scores'); // Scores file picker
+
+        // Pause Screen UI References
+        this.pauseOverlay = document.getElementById('pause-overlay'); // Resume / quit screen
+        this.pauseReasonElement = document.getElementById('pause-reason'); // Why the run stopped
+        this.breakdownOverlay = document.getElementById('breakdown-overlay'); // Between-level stats
+        this.breakdownTitle = document.getElementById('breakdown-title');
+        this.breakdownBody = document.querySelector('#breakdown-table tbody');
+        this.breakdownTimer = null;         // Auto-continue timeout
+
+        // Calibration Wizard UI References
+        this.calibrationOverlay = document.getElementById('calibration-overlay'); // Wizard screen
+        this.calibrationPrompt = document.getElementById('calibration-prompt'); // Current instruction
+        this.calibrationError = document.getElementById('calibration-error'); // "Try again" hints
+        this.calibrationBar = document.getElementById('calibration-progress'); // Hold/pinch progress
+        this.calibrationTarget = document.getElementById('calibration-target'); // Corner marker
+
+        // Camera Settings UI References
+        this.cvLayer = document.getElementById('cv-layer'); // Small corner preview (mirrored or not)
+        this.cameraBtn = document.getElementById('camera-btn'); // Opens the camera panel
+        this.cameraOverlay = document.getElementById('camera-overlay'); // Camera panel screen
+        this.cameraPreview = document.getElementById('camera-preview'); // Large skeleton preview
+        this.previewCtx = this.cameraPreview.getContext('2d');
+        this.cameraInfo = document.getElementById('camera-info'); // Actual resolution / fps / processor
+        this.cameraSelect = document.getElementById('camera-device');
+        this.resolutionSelect = document.getElementById('camera-resolution');
+        this.frameRateSelect = document.getElementById('camera-fps');
+        this.delegateSelect = document.getElementById('camera-delegate');
+        this.mirrorToggle = document.getElementById('camera-mirror');
+
+        // Accessibility Panel UI References
+        this.accessBtn = document.getElementById('access-btn'); // Opens the accessibility panel
+        this.accessOverlay = document.getElementById('access-overlay');
+        this.aimAssistSelect = document.getElementById('aim-assist');
+        this.hitboxSelect = document.getElementById('hitbox-scale');
+        this.gameSpeedSelect = document.getElementById('game-speed');
+        this.dwellToggle = document.getElementById('dwell-fire');
+        this.dwellTimeSelect = document.getElementById('dwell-time');
+        this.paletteSelect = document.getElementById('palette-select');
+        this.announceToggle = document.getElementById('announce-toggle');
+        this.liveRegion = document.getElementById('announcer'); // Screen reader announcements
+        this.languageSelect = document.getElementById('language-select'); // Menu language picker
+
+        // Strings in the chosen language (catalogues are fetched in init(), English first)
+        this.i18n = new Translator(pickLocale({
+            search: window.location.search,
+            saved: loadSavedLocale(),
+            languages: navigator.languages || [navigator.language]
+        }));
+        this.t = (key, params) => this.i18n.t(key, params);
+        this.status = { key: 'status.loading' }; // Status line, kept as a key so it can be retranslated
+        this.assetErrorItems = [];          // Failed files: { labelKey, message }
+        this.replayName = null;             // File name of the loaded recording
+        this.endedRun = null;               // Summary of the run on the game-over screen
+
+        // Game Rules + Simulation Core (score, ammo, strikes, ducks - no DOM)
+        const seedParam = new URLSearchParams(window.location.search).get('seed');
+        this.fixedSeed = seedParam !== null ? Number(seedParam) >>> 0 : null; // Reproduce a run
+        this.rules = new GameRules({ seed: this.fixedSeed ?? 1, breakdownPause: true }); // Fixed 256x240 world (src/world.js)
+        this.sim = this.rules.sim;          // Duck world read by the renderer
 
         // Computer Vision Control State
-        this.handLandmarker = null;         // Holds the AI hand-tracking model
-        this.handPos = { x: 0, y: 0 };      // Smooth X/Y coordinates of the crosshair
-        this.isPinching = false;           // Tracks if user is actually pinching right now
-        this.lastPinchTime = 0;             // Used for a "cooldown" between shots (debounce)
+        this.handTracker = null;            // Worker running the AI hand-tracking model
+        this.cvSettings = loadCvSettings(); // Sensitivity/pinch tuning (calibrated or defaults)
+        this.cvThrottle = new FrameThrottle(this.cvSettings.inferenceFps); // Detections per second cap
+        this.calibration = null;            // Active CalibrationWizard while calibrating
+        this.cameraSettings = loadCameraSettings(); // Device, video presets, mirror, GPU/CPU
+        this.cameraPanelOpen = false;       // Camera panel up (the preview is drawn every frame)
+        this.previewHands = [];             // Latest hands per player, for the previews
+        this.accessibility = loadAccessibilitySettings(); // Assist, multipliers, dwell fire, palette
+        this.announcer = new Announcer({ i18n: this.i18n }); // Score / level / strike sentences for the live region
+
+        // Per-player aim state (player 2 only takes part in two-player modes)
+        this.players = [this.crosshair, this.crosshair2].map((crosshair, index) => ({
+            index,
+            crosshair,                      // Reticle element
+            handPos: { x: 0, y: 0 },        // Smooth X/Y coordinates of the crosshair
+            aimGlide: new AimInterpolator(), // Crosshair motion between hand detections
+            gestures: new GestureRecognizer(this.gestureSettings()) // Trigger detection + aim freeze
+        }));
+        this.handPos = this.players[0].handPos; // Player 1 shorthands (single-player code paths)
+        this.gestures = this.players[0].gestures;
+        this.handAssigner = new HandAssigner({ players: 2, aimLandmark: this.cvSettings.aimLandmark });
+        this.cvError = null;                // Set when the model failed to load
+        this.pauseGesture = new PauseGesture(); // Held V sign toggles pause
+        this.handLostFrames = 0;            // Consecutive frames with no hand at all
+        this.handBackFrames = 0;            // Consecutive frames with a hand (auto-resume)
+        this.handsLost = false;             // 'handLost' sent, 'handFound' not yet
+
+        // Leaderboard + run history (localStorage)
+        this.scores = new ScoreBook();
+        this.lastRun = null;                // Run record of the game that just ended
+
+        // Sound (silent until the start button unlocks it)
+        this.audio = new AudioEngine();
+        this.volumeSliders = document.querySelectorAll('#volume-controls input[type=range]');
+
+        // Particles + screen effects (reduced motion follows the OS until changed on the menu)
+        const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+        this.effectsSettings = loadEffectsSettings(localStorage, { reducedMotion: prefersReducedMotion });
+        this.effects = new Effects({ ...this.effectsSettings, levelLabel: (round) => this.t('hud.levelBanner', { round }) });
+        this.reducedMotionToggle = document.getElementById('reduced-motion');
+
+        // Event bus: rule events + hand tracking, for the game's own parts and for add-ons
+        this.bus = new EventBus();
+        this.plugins = new PluginHost({ bus: this.bus, rules: this.rules, game: this });
+        this.subscribeToEvents();
+
+        // Session Recording (debugging the hand controls offline)
+        this.recorder = new LandmarkRecorder(); // Captures raw landmarks per frame
+        this.replay = null;                 // Loaded recording that stands in for the webcam
+
+        // Aim / gesture diagnostics: always recorded, shown by the debug HUD
+        this.stats = new SessionStats();    // Detections + shots of the current run
+        this.analyticsCanvas = document.getElementById('analytics-overlay'); // Live graphs
+        this.analyticsCtx = this.analyticsCanvas.getContext('2d');
+        this.analyticsToggle = document.getElementById('analytics-toggle'); // "Debug HUD" checkbox
+        this.statsPanel = document.getElementById('stats-panel'); // Post-run heatmap + summary
+        this.heatmapCanvas = document.getElementById('shot-heatmap');
+        this.statsSummary = document.getElementById('stats-summary');
+        this.exportStatsBtn = document.getElementById('export-stats'); // CSV of the last run
+        this.showAnalytics = new URLSearchParams(window.location.search).has('analytics');
+
+        // Fallback Controls (mouse, touch, keyboard, gamepad)
+        this.input = new InputManager(this);
+        this.lastFrameTime = null;          // Timestamp of previous frame (for keyboard speed)
 
         // Image Asset Containers
         this.assets = {
-            bg: new Image(),               // Custom pixel background
-            duck: new Image(),             // Raw duck sprite sheet (with green bg)
-            processedDuck: null            // Will hold the transparent version
+            bg: new Image(),               // Custom pixel background (also the fallback)
+            backgrounds: {},               // Per-level backgrounds from the wave file (by path)
+            duckAtlas: null,               // Duck sprite atlas (assets/duck.atlas.json) once loaded
+            tintedDucks: {}                // Species colour variants of its sheet (by tint)
         };
+        this.duckAnimations = new Map();    // Duck id -> AnimationPlayer
+        this.showHitboxes = new URLSearchParams(window.location.search).has('hitboxes'); // Sprite debug outlines
+        // MediaPipe + fonts: vendor/ by default (the CDNs if it's empty),
+        // ?assets=cdn or ?assets=<mirror URL>
+        this.assetSource = null;            // Settled by assetsReady
+        this.assetPaths = null;
+        this.assetsReady = resolveAssetSource(window.location.search, window.location.href)
+            .then(source => {
+                this.assetSource = source;
+                this.assetPaths = assetPaths(source, window.location.href);
+                console.log(`Assets: ${source}`);
+            });
 
         // Start the engine
         this.init();
     }
 
+    // Current phase (menu vs playing vs game-over) - owned by the rules
+    get gameState() {
+        return this.rules.phase;
+    }
+
+    // No run is live (playing or paused): the menu, or the game-over screen
+    get betweenRuns() {
+        return this.gameState === 'menu' || this.gameState === 'game-over';
+    }
+
     /**
      * INIT: Loads images and prepares the AI model
      */
@@ -92,432 +400,1539 @@ class DuckHuntGame {
         this.resize();
         window.addEventListener('resize', () => this.resize());
 
-        // Source URLs for game images
-        // When duck image loads, process it to remove transparency
-        this.assets.duck.onload = () => {
-            console.log("Duck sprite loaded, processing transparency...");
-            this.assets.processedDuck = this.makeTransparent(this.assets.duck, [0, 255, 0]);
-        };
+        // Offline cache + self-hosted fonts
+        this.registerServiceWorker();
+        this.loadFonts();
 
+        // Source URLs for game images (ducks come from a JSON sprite atlas)
+        this.assets.bg.onerror = () => this.reportAssetError('assets.background', this.assets.bg.src);
         this.assets.bg.src = 'assets/background.png';
-        this.assets.duck.src = 'assets/duck.png?v=' + Date.now(); // Cache busting
-
-        // Initialize MediaPipe AI
-        await this.setupCV();
+        loadAtlas('assets/duck.atlas.json')
+            .then(atlas => { this.assets.duckAtlas = atlas; })
+            .catch(err => this.reportAssetError('assets.duckSprites', err));
+
+        // Level table: a bad or missing wave file leaves the built-in curve in place
+        loadWaves('assets/waves.json')
+            .then(waves => this.rules.setWaves(waves))
+            .catch(err => this.reportAssetError('assets.waves', err));
+
+        // Optional add-ons from ?plugins= (a broken one is logged and skipped)
+        loadPlugins(this.plugins, pluginUrls(window.location.href))
+            .then(names => { if (names.length) console.log(`Plugins: ${names.join(', ')}`); });
+
+        // English is fetched now (every other language falls back to it);
+        // the chosen catalogue loads once the menu is up
+        const english = this.loadCatalogues(DEFAULT_LOCALE);
+        Object.entries(LOCALES).forEach(([code, name]) => {
+            this.languageSelect.add(new Option(name, code, false, code === this.i18n.locale));
+        });
+        this.languageSelect.addEventListener('change', () => {
+            saveLocale(this.languageSelect.value);
+            this.setLanguage(this.languageSelect.value);
+        });
 
         // Start Interaction Logic
         this.startBtn.addEventListener('click', () => {
-            if (this.handLandmarker) {
-                // If game is over or at menu, reset and go
-                if (this.gameState === 'game-over' || this.gameState === 'menu') {
-                    this.resetGame();
-                    this.startGame();
-                }
+            // If game is over or at menu, reset and go
+            if (this.gameState !== 'game-over' && this.gameState !== 'menu') return;
+            this.audio.unlock(); // Browsers only start audio inside a user gesture
+
+            if (this.input.mode === INPUT_MODES.POINTER || this.replay) {
+                this.resetGame();
+                this.beginPlay(); // No camera needed
+            } else if (this.handTracker) {
+                this.resetGame();
+                this.startGame();
             }
         });
 
-        // Begin the infinite drawing loop
+        // Volume sliders (master / sfx / music, saved per browser)
+        this.volumeSliders.forEach(slider => {
+            slider.value = Math.round(this.audio.settings[slider.dataset.channel] * 100);
+            slider.addEventListener('input', () => this.audio.setVolume(slider.dataset.channel, slider.value / 100));
+        });
+
+        // Reduced motion: no shake or flashes (saved per browser)
+        this.reducedMotionToggle.checked = this.effectsSettings.reducedMotion;
+        this.reducedMotionToggle.addEventListener('change', () => {
+            this.effectsSettings = { ...this.effectsSettings, reducedMotion: this.reducedMotionToggle.checked };
+            this.effects.reducedMotion = this.effectsSettings.reducedMotion;
+            saveEffectsSettings(this.effectsSettings);
+        });
+
+        // Game mode buttons (one per rule set)
+        Object.keys(MODE_RULES).forEach(mode => {
+            const btn = document.createElement('button');
+            btn.className = 'mode-btn';
+            btn.dataset.gameMode = mode; // Labelled by localizeControls()
+            btn.classList.toggle('active', mode === this.rules.gameMode);
+            btn.addEventListener('click', () => this.setGameMode(mode));
+            this.gameModeSelect.appendChild(btn);
+        });
+        this.endRunBtn.addEventListener('click', () => this.rules.quit());
+
+        // Pause: keys, resume/quit buttons and leaving the tab
+        window.addEventListener('keydown', (e) => {
+            if (e.code === 'KeyP' || e.code === 'Escape') this.togglePause();
+            if (e.code === 'Backquote') this.setAnalyticsVisible(!this.showAnalytics); // Debug HUD
+        });
+        document.getElementById('resume-btn').addEventListener('click', () => this.rules.resume());
+        document.getElementById('quit-btn').addEventListener('click', () => this.rules.quit());
+        document.getElementById('continue-btn').addEventListener('click', () => this.rules.resume());
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) this.rules.pause('hidden');
+        });
+
+        // Control scheme toggle on the menu overlay
+        this.modeButtons.forEach(btn => {
+            btn.addEventListener('click', () => this.setInputMode(btn.dataset.mode));
+        });
+
+        // Session recording tools
+        this.replayInput.addEventListener('change', () => this.loadReplay(this.replayInput.files[0]));
+        this.clearReplayBtn.addEventListener('click', () => this.clearReplay());
+        this.downloadBtn.addEventListener('click', () => this.recorder.download());
+
+        // Debug HUD + per-run stats export
+        this.analyticsToggle.addEventListener('change', () => this.setAnalyticsVisible(this.analyticsToggle.checked));
+        this.exportStatsBtn.addEventListener('click', () => this.stats.download());
+        this.setAnalyticsVisible(this.showAnalytics);
+
+        // High scores: initials entry + export/import
+        this.initialsForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveInitials();
+        });
+        document.getElementById('export-scores').addEventListener('click', () => this.scores.download());
+        this.importScoresInput.addEventListener('change', () => this.importScores(this.importScoresInput.files[0]));
+        this.renderScores();
+
+        // Calibration wizard
+        this.calibrateBtn.addEventListener('click', () => this.startCalibration());
+        this.resetCalibrationBtn.addEventListener('click', () => this.resetCalibration());
+        document.getElementById('cancel-calibration').addEventListener('click', () => this.endCalibration());
+        this.resetCalibrationBtn.style.display = this.cvSettings.bounds ? 'inline-block' : 'none';
+
+        // Shooting gesture picker (every select is labelled by localizeControls())
+        Object.values(TRIGGERS).forEach(value => {
+            this.triggerSelect.add(new Option('', value, false, value === this.cvSettings.trigger));
+        });
+        this.triggerSelect.addEventListener('change', () => {
+            this.setCvSettings({ ...this.cvSettings, trigger: this.triggerSelect.value });
+            this.setInputMode(this.input.mode); // Refresh the instructions
+        });
+
+        // Hand detection rate (the game itself always draws at full speed)
+        INFERENCE_RATES.forEach(fps => {
+            this.trackingRateSelect.add(new Option('', fps, false, fps === this.cvSettings.inferenceFps));
+        });
+        this.trackingRateSelect.addEventListener('change', () => {
+            this.setCvSettings({ ...this.cvSettings, inferenceFps: Number(this.trackingRateSelect.value) });
+        });
+
+        // Camera panel: device, resolution / fps presets, mirror, GPU / CPU
+        this.cameraBtn.addEventListener('click', () => this.openCameraPanel());
+        document.getElementById('close-camera').addEventListener('click', () => this.closeCameraPanel());
+        Object.keys(RESOLUTIONS).forEach(key => {
+            this.resolutionSelect.add(new Option('', key, false, key === this.cameraSettings.resolution));
+        });
+        this.frameRateSelect.add(new Option('', '', false, !this.cameraSettings.frameRate));
+        FRAME_RATES.forEach(fps => {
+            this.frameRateSelect.add(new Option('', fps, false, fps === this.cameraSettings.frameRate));
+        });
+        DELEGATES.forEach(delegate => {
+            this.delegateSelect.add(new Option('', delegate, false, delegate === this.cameraSettings.delegate));
+        });
+        this.mirrorToggle.checked = this.cameraSettings.mirror;
+        this.cvLayer.classList.toggle('unmirrored', !this.cameraSettings.mirror);
+        this.cameraSelect.addEventListener('change', () => this.setCameraSettings({ deviceId: this.cameraSelect.value || null }));
+        this.resolutionSelect.addEventListener('change', () => this.setCameraSettings({ resolution: this.resolutionSelect.value }));
+        this.frameRateSelect.addEventListener('change', () => this.setCameraSettings({ frameRate: Number(this.frameRateSelect.value) || null }));
+        this.delegateSelect.addEventListener('change', () => this.setCameraSettings({ delegate: this.delegateSelect.value }));
+        this.mirrorToggle.addEventListener('change', () => this.setCameraSettings({ mirror: this.mirrorToggle.checked }));
+        this.refreshCameraList();
+        if (navigator.mediaDevices) navigator.mediaDevices.addEventListener('devicechange', () => this.refreshCameraList());
+
+        // Accessibility panel: aim assist, hitbox, game speed, dwell fire, palette, announcements
+        const access = this.accessibility;
+        this.accessBtn.addEventListener('click', () => this.openAccessPanel());
+        document.getElementById('close-access').addEventListener('click', () => this.closeAccessPanel());
+        Object.keys(AIM_ASSIST).forEach(key => {
+            this.aimAssistSelect.add(new Option('', key, false, key === access.aimAssist));
+        });
+        HITBOX_SCALES.forEach(scale => {
+            this.hitboxSelect.add(new Option('', scale, false, scale === access.hitboxScale));
+        });
+        GAME_SPEEDS.forEach(speed => {
+            this.gameSpeedSelect.add(new Option('', speed, false, speed === access.gameSpeed));
+        });
+        DWELL_TIMES.forEach(ms => {
+            this.dwellTimeSelect.add(new Option('', ms, false, ms === access.dwellMs));
+        });
+        Object.keys(PALETTES).forEach(key => {
+            this.paletteSelect.add(new Option('', key, false, key === access.palette));
+        });
+        this.dwellToggle.checked = access.dwellFire;
+        this.announceToggle.checked = access.announce;
+        this.aimAssistSelect.addEventListener('change', () => this.setAccessibility({ aimAssist: this.aimAssistSelect.value }));
+        this.hitboxSelect.addEventListener('change', () => this.setAccessibility({ hitboxScale: Number(this.hitboxSelect.value) }));
+        this.gameSpeedSelect.addEventListener('change', () => this.setAccessibility({ gameSpeed: Number(this.gameSpeedSelect.value) }));
+        this.dwellToggle.addEventListener('change', () => this.setAccessibility({ dwellFire: this.dwellToggle.checked }));
+        this.dwellTimeSelect.addEventListener('change', () => this.setAccessibility({ dwellMs: Number(this.dwellTimeSelect.value) }));
+        this.paletteSelect.addEventListener('change', () => this.setAccessibility({ palette: this.paletteSelect.value }));
+        this.announceToggle.addEventListener('change', () => this.setAccessibility({ announce: this.announceToggle.checked }));
+        this.applyAccessibility();
+
+        // Player count / two-player variant
+        this.playerButtons.forEach(btn => {
+            btn.addEventListener('click', () => this.setPlayerMode(btn.dataset.players));
+        });
+        this.assignSelect.addEventListener('change', () => {
+            this.handAssigner.strategy = this.assignSelect.value;
+        });
+
+        // All text in English for now (also the menu copy for the saved trigger)
+        await english;
+        this.applyLanguage();
+
+        // Begin the infinite drawing loop (menu is drawn while the AI loads)
         this.gameLoop();
+
+        // Redo the text once the chosen language arrives (a failed one stays English)
+        this.loadCatalogues(this.i18n.locale).then(() => this.applyLanguage());
+
+        // Initialize MediaPipe AI - if it fails, the game stays playable with the pointer
+        await this.loadHandTracking();
+    }
+
+    /**
+     * LOAD HAND TRACKING: setupCV() with the fallback to pointer controls
+     * (also reruns it when the camera panel switches GPU / CPU)
+     */
+    async loadHandTracking() {
+        try {
+            await this.setupCV();
+        } catch (err) {
+            this.reportAssetError('assets.handTracking', err);
+            this.cvError = err;
+            this.setInputMode(INPUT_MODES.POINTER);
+            this.setStatus('status.unavailable');
+        }
+    }
+
+    /**
+     * SERVICE WORKER: Precaches the game for offline play (needs http(s))
+     */
+    registerServiceWorker() {
+        if (!('serviceWorker' in navigator)) return;
+        navigator.serviceWorker.register('sw.js')
+            .catch(err => console.warn("Offline cache unavailable", err));
+    }
+
+    /**
+     * FONTS: Stylesheet for the retro fonts, from the configured asset source
+     * (the CSS falls back to system fonts if it fails)
+     */
+    async loadFonts() {
+        await this.assetsReady;
+        const link = document.createElement('link');
+        link.rel = 'stylesheet';
+        link.href = this.assetPaths.fonts;
+        link.onerror = () => this.reportAssetError('assets.fonts', link.href);
+        document.head.appendChild(link);
+    }
+
+    /**
+     * ASSET ERROR: List a file that failed to load on the menu overlay, with
+     * how to fix it (the game carries on with whatever fallback it has)
+     */
+    reportAssetError(labelKey, err) {
+        console.error(`Could not load: ${this.t(labelKey)}`, err);
+        this.assetErrorItems.push({ labelKey, message: err instanceof Error ? err.message : String(err) });
+        this.renderAssetErrors();
+    }
+
+    renderAssetErrors() {
+        this.assetErrorList.replaceChildren(...this.assetErrorItems.map(({ labelKey, message }) => {
+            const item = document.createElement('li');
+            item.textContent = `${this.t(labelKey)}: ${message}`;
+            return item;
+        }));
+        this.assetErrors.style.display = this.assetErrorItems.length > 0 ? 'block' : 'none';
+    }
+
+    /**
+     * STATUS: The menu's status line, as a catalogue key + values
+     */
+    setStatus(key, params) {
+        this.status = { key, params };
+        this.statusMsg.innerText = this.t(key, params);
+    }
+
+    /**
+     * LOAD CATALOGUES: A language's strings plus the English fallback (each
+     * fetched once; a missing file leaves English, or the keys, showing)
+     */
+    async loadCatalogues(locale) {
+        const missing = [...new Set([DEFAULT_LOCALE, locale])].filter(code => !this.i18n.catalogues[code]);
+        await Promise.all(missing.map(code => loadCatalogue(code)
+            .then(strings => this.i18n.add(code, strings))
+            .catch(err => this.reportAssetError('assets.language', err))));
+    }
+
+    /**
+     * SET LANGUAGE: Switch the whole game to another language on the spot
+     */
+    async setLanguage(locale) {
+        await this.loadCatalogues(locale);
+        this.i18n.setLocale(locale);
+        this.applyLanguage();
+    }
+
+    /**
+     * APPLY LANGUAGE: Redo every piece of text - index.html's data-i18n
+     * elements first, then whatever the game has written over them
+     */
+    applyLanguage() {
+        const t = this.t;
+        document.documentElement.lang = this.i18n.locale;
+        document.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = t(el.dataset.i18n); });
+        // Markup in a string (links, <code>) - the catalogues are the game's own files
+        document.querySelectorAll('[data-i18n-html]').forEach(el => { el.innerHTML = t(el.dataset.i18nHtml); });
+        document.querySelectorAll('[data-i18n-aria]').forEach(el => el.setAttribute('aria-label', t(el.dataset.i18nAria)));
+        this.languageSelect.value = this.i18n.locale;
+
+        this.localizeControls();
+        this.renderAssetErrors();
+        this.setStatus(this.status.key, this.status.params);
+        this.renderReplayLabel();
+        this.triggerSelect.title = this.accessibility.dwellFire ? t('menu.triggerLocked') : "";
+        this.setInputMode(this.input.mode); // Menu copy + start button
+        if (this.gameState === 'game-over') {
+            this.renderGameOver();
+            this.showRunStats();
+        }
+        this.renderScores();
+        this.bus.emit({ type: 'languageChange', locale: this.i18n.locale });
+    }
+
+    /**
+     * LOCALIZE CONTROLS: Labels of the game mode buttons and every picker
+     * (their values never change, only what they say)
+     */
+    localizeControls() {
+        const t = this.t;
+        const i18n = this.i18n;
+        const label = (select, text) => [...select.options].forEach(option => { option.text = text(option.value); });
+
+        this.gameModeSelect.querySelectorAll('.mode-btn').forEach(btn => { btn.innerText = t(`mode.${btn.dataset.gameMode}`); });
+        label(this.triggerSelect, trigger => t(`trigger.${trigger}`));
+        label(this.trackingRateSelect, fps => t('menu.trackRate', { fps }));
+        label(this.resolutionSelect, key => (key === 'auto' ? t('camera.autoResolution') : key.toUpperCase()));
+        label(this.frameRateSelect, fps => (fps ? t('camera.fps', { fps }) : t('camera.autoFps')));
+        label(this.delegateSelect, delegate => (delegate === 'auto' ? t('camera.gpuElseCpu') : t('camera.delegateOnly', { delegate })));
+        label(this.aimAssistSelect, key => (AIM_ASSIST[key] ? t('access.aimAssistLevel', { level: t(`access.${key}`) }) : t('access.noAimAssist')));
+        label(this.hitboxSelect, scale => t('access.hitboxScale', { scale: i18n.number(Number(scale)) }));
+        label(this.gameSpeedSelect, speed => t('access.gameSpeedValue', { speed: i18n.percent(Number(speed)) }));
+        label(this.dwellTimeSelect, ms => t('access.hold', {
+            seconds: i18n.number(ms / 1000, { minimumFractionDigits: 1, maximumFractionDigits: 1 })
+        }));
+        label(this.paletteSelect, key => t(`access.${key}`));
+        if (this.cameraSelect.options.length > 0) this.cameraSelect.options[0].text = t('camera.defaultDevice');
+    }
+
+    /**
+     * CV SETTINGS: Swap in new tuning (calibration, trigger choice) and persist it
+     */
+    setCvSettings(settings) {
+        this.cvSettings = settings;
+        this.players.forEach(player => {
+            player.gestures.settings = this.gestureSettings();
+            player.gestures.reset();
+        });
+        this.handAssigner.aimLandmark = settings.aimLandmark;
+        if (settings.inferenceFps !== this.cvThrottle.fps) this.cvThrottle.setRate(settings.inferenceFps);
+        saveCvSettings(settings);
+    }
+
+    /**
+     * GESTURE SETTINGS: The CV settings as the triggers use them - dwell
+     * fire (accessibility) swaps the trigger, and sets the dwell time
+     */
+    gestureSettings() {
+        const { dwellFire, dwellMs } = this.accessibility;
+        return { ...this.cvSettings, dwellMs, trigger: dwellFire ? TRIGGERS.DWELL : this.cvSettings.trigger };
+    }
+
+    /**
+     * ACCESSIBILITY: Change some settings, save them and apply them
+     */
+    setAccessibility(changes) {
+        this.accessibility = { ...this.accessibility, ...changes };
+        saveAccessibilitySettings(this.accessibility);
+        this.applyAccessibility();
+    }
+
+    applyAccessibility() {
+        const settings = this.accessibility;
+        this.rules.hitboxScale = settings.hitboxScale;
+        this.sim.speedScale = settings.gameSpeed;
+        this.setCvSettings(this.cvSettings); // Dwell fire / time reach the triggers
+
+        // The trigger picker has no say while dwell fire is on
+        this.triggerSelect.disabled = settings.dwellFire;
+        this.triggerSelect.title = settings.dwellFire ? this.t('menu.triggerLocked') : "";
+        document.getElementById('game-container').classList.toggle('high-contrast', settings.palette === 'high-contrast');
+        if (this.gameState === 'menu') this.setInputMode(this.input.mode); // Refresh the instructions
+    }
+
+    openAccessPanel() {
+        this.menuOverlay.style.display = 'none';
+        this.accessOverlay.style.display = 'flex';
+    }
+
+    closeAccessPanel() {
+        this.accessOverlay.style.display = 'none';
+        this.menuOverlay.style.display = 'flex';
+    }
+
+    /**
+     * ANNOUNCE: Read a sentence out through the ARIA live region
+     */
+    announce(text) {
+        if (!text || !this.accessibility.announce) return;
+        this.liveRegion.textContent = text;
+    }
+
+    /**
+     * TOGGLE PAUSE: P / Esc / the V sign
+     */
+    togglePause() {
+        if (this.gameState === 'playing') this.rules.pause('manual');
+        else if (this.gameState === 'paused') this.rules.resume();
+    }
+
+    /**
+     * PAUSE SCREEN: Shown/hidden from the rule events
+     */
+    showPause(reason) {
+        // The level breakdown is its own screen (already up)
+        if (reason !== 'breakdown') {
+            const key = `pauseReason.${reason}`;
+            this.pauseReasonElement.innerText = this.t(this.i18n.has(key) ? key : 'pauseReason.manual');
+            this.pauseOverlay.style.display = 'flex';
+        }
+        this.audio.stopMusic();
+    }
+
+    hidePause() {
+        this.pauseOverlay.style.display = 'none';
+        this.breakdownOverlay.style.display = 'none';
+        clearTimeout(this.breakdownTimer);
+        this.handLostFrames = 0; // A fresh grace period before the next auto-pause
+        this.players.forEach(p => p.gestures.reset()); // No shot from a trigger held while paused
+        this.audio.startMusic();
+    }
+
+    /**
+     * GAME MODE: Pick the rule set (menu only)
+     */
+    setGameMode(mode) {
+        if (!this.betweenRuns) return;
+        this.rules.setGameMode(mode);
+        this.gameModeSelect.querySelectorAll('.mode-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.gameMode === mode);
+        });
+        this.setInputMode(this.input.mode); // Menu copy describes the mode
+        this.renderScores();                // That mode's leaderboard
+        this.bus.emit({ type: 'modeChange', gameMode: mode, playerMode: this.rules.playerMode });
+    }
+
+    /**
+     * PLAYER MODE: Solo, two-player co-op or two-player versus (hand tracking only)
+     */
+    setPlayerMode(mode) {
+        if (!this.betweenRuns) return;
+        if (mode !== PLAYER_MODES.SOLO && this.input.mode !== INPUT_MODES.CV) return;
+
+        this.rules.setPlayerMode(mode);
+        const twoPlayer = mode !== PLAYER_MODES.SOLO;
+        this.playerButtons.forEach(btn => btn.classList.toggle('active', btn.dataset.players === mode));
+        this.assignSelect.style.display = twoPlayer ? 'inline-block' : 'none';
+        document.getElementById('game-container').classList.toggle('two-player', twoPlayer);
+
+        // Track as many hands as there are players
+        if (this.handTracker) this.handTracker.setOptions({ numHands: twoPlayer ? 2 : 1 });
+        this.bus.emit({ type: 'modeChange', gameMode: this.rules.gameMode, playerMode: mode });
+    }
+
+    /**
+     * INPUT MODE: Switch between hand tracking and pointer/keyboard controls
+     */
+    setInputMode(mode) {
+        // Can't pick hand tracking if the model never loaded (unless replaying a recording)
+        if (mode === INPUT_MODES.CV && this.cvError && !this.replay) return;
+
+        this.input.setMode(mode);
+        this.modeButtons.forEach(btn => btn.classList.toggle('active', btn.dataset.mode === mode));
+        this.calibrateBtn.style.display = mode === INPUT_MODES.CV ? 'inline-block' : 'none'; // Hand-only tool
+        // (also offered when the model failed, so another processor can be tried)
+        this.cameraBtn.style.display = mode === INPUT_MODES.CV || this.cvError ? 'inline-block' : 'none';
+        this.triggerSelect.style.display = mode === INPUT_MODES.CV ? 'inline-block' : 'none';
+        this.trackingRateSelect.style.display = mode === INPUT_MODES.CV ? 'inline-block' : 'none';
+        this.playerModeSelect.style.display = mode === INPUT_MODES.CV ? 'flex' : 'none'; // Two hands needed
+        if (mode === INPUT_MODES.POINTER && this.rules.playerMode !== PLAYER_MODES.SOLO) {
+            this.setPlayerMode(PLAYER_MODES.SOLO);
+        }
+        document.getElementById('game-container').classList.toggle('pointer-mode', mode === INPUT_MODES.POINTER);
+
+        // Refresh the menu copy for the selected scheme
+        const t = this.t;
+        if (this.gameState === 'menu') {
+            const lines = mode === INPUT_MODES.POINTER
+                ? [t('menu.pointerAim'), this.accessibility.dwellFire ? t(`trigger.${TRIGGERS.DWELL}.hint`) : t('menu.pointerShoot')]
+                : [t('menu.handAim'), t(`trigger.${this.gestures.trigger}.hint`)];
+            lines.push(t(`mode.${this.rules.gameMode}.description`));
+            this.menuInstructions.innerHTML = lines.map(line => `<p>${line}</p>`).join('');
+        }
+        if (mode === INPUT_MODES.POINTER) {
+            this.startBtn.innerText = t(this.gameState === 'game-over' ? 'start.tryAgain' : 'start.hunt');
+        } else if (this.replay) {
+            this.startBtn.innerText = t('start.replay');
+        } else if (this.gameState === 'menu') {
+            this.startBtn.innerText = t(this.handTracker ? 'start.hunt' : 'start.webcam');
+        }
+    }
+
+    /**
+     * LOAD REPLAY: Use a recorded session file instead of the live webcam
+     */
+    async loadReplay(file) {
+        if (!file) return;
+        try {
+            this.replay = await LandmarkReplay.fromFile(file);
+        } catch (err) {
+            console.error("Invalid recording", err);
+            this.setStatus('status.replayInvalid');
+            return;
+        } finally {
+            this.replayInput.value = ''; // Allow picking the same file again
+        }
+
+        const seconds = this.i18n.number(this.replay.duration / 1000, { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+        this.replayName = file.name;
+        this.renderReplayLabel();
+        this.clearReplayBtn.style.display = 'inline-block';
+        this.setStatus('status.replayLoaded', { frames: this.i18n.number(this.replay.frames.length), seconds });
+        this.setInputMode(INPUT_MODES.CV); // Replays always drive the hand controls
+        this.applyReplayModes();
+    }
+
+    /**
+     * REPLAY MODES: Switch the menu to the game + player mode the loaded
+     * recording was made in (older files without them leave the menu alone)
+     */
+    applyReplayModes() {
+        const { gameMode, playerMode } = this.replay.meta;
+        if (MODE_RULES[gameMode] && gameMode !== this.rules.gameMode) this.setGameMode(gameMode);
+        if (Object.values(PLAYER_MODES).includes(playerMode) && playerMode !== this.rules.playerMode) {
+            this.setPlayerMode(playerMode);
+        }
+    }
+
+    /**
+     * CLEAR REPLAY: Return to live camera input
+     */
+    clearReplay() {
+        this.replay = null;
+        this.replayName = null;
+        this.renderReplayLabel();
+        this.clearReplayBtn.style.display = 'none';
+        this.setStatus(this.handTracker ? 'status.ready' : this.cvError ? 'status.unavailable' : 'status.loading');
+        this.setInputMode(this.cvError ? INPUT_MODES.POINTER : this.input.mode);
+    }
+
+    renderReplayLabel() {
+        this.replayLabel.innerText = this.replayName === null
+            ? this.t('session.loadReplay')
+            : this.t('session.replayName', { name: this.replayName });
+    }
+
+    /**
+     * DEBUG HUD: Show / hide the live graphs (and the heatmap of a finished run)
+     */
+    setAnalyticsVisible(visible) {
+        this.showAnalytics = visible;
+        this.analyticsToggle.checked = visible;
+        this.analyticsCanvas.style.display = visible ? 'block' : 'none';
+        if (this.gameState === 'game-over') this.showRunStats();
+    }
+
+    /**
+     * AIM: Single entry point for moving a crosshair (hand, mouse, keys, pad)
+     * x / y are world coordinates
+     */
+    setAim(x, y, playerIndex = 0) {
+        const { handPos, crosshair } = this.players[playerIndex];
+
+        // Ensure crosshair doesn't fly off the world (onto the black bars)
+        handPos.x = Math.max(0, Math.min(WORLD.width, x));
+        handPos.y = Math.max(0, Math.min(WORLD.height, y));
+
+        // Move the Crosshair element to match the aim location
+        const screen = worldToScreen(this.view, handPos.x, handPos.y);
+        crosshair.style.left = `${screen.x}px`;
+        crosshair.style.top = `${screen.y}px`;
+    }
+
+    /**
+     * TO WORLD: CSS pixels inside the canvas -> world coordinates (pointer input)
+     */
+    toWorld(x, y) {
+        return screenToWorld(this.view, x, y);
     }
 
     /**
      * RESET: Hard reset of all counters for a new run
      */
     resetGame() {
-        this.score = 0;
-        this.round = 1;
-        this.strikes = 0;
-        this.ducksShotThisRound = 0;
-        this.maxDucksInScene = 1;
-        this.ducks = [];
-        this.ammo = 3;
-        this.roundStartTime = null;
-        if (this.timerElement) this.timerElement.innerText = "60"; // Visual reset
+        // A replay re-runs its session: same modes and seed, so the same ducks
+        if (this.replay) this.applyReplayModes();
+        const recordedSeed = this.replay && Number.isInteger(this.replay.meta.seed) ? this.replay.meta.seed >>> 0 : null;
+        this.rules.reset(recordedSeed ?? this.fixedSeed ?? randomSeed()); // Fresh ducks, round 1, new (or fixed) seed
+        console.log(`Run seed: ${this.sim.seed}`);
+        this.players.forEach(p => {
+            p.gestures.reset();             // First trigger of a run (or replay) is never debounced
+            p.aimGlide.reset();             // No glide back to last run's aim
+        });
+        this.handAssigner.reset();          // Hands are matched to players afresh
+        this.duckAnimations.clear();        // Duck ids start over
+        this.effects.reset();               // No feathers or bullet holes from the last run
         this.updateHUD(); // Clear all boards
     }
 
     /**
-     * SETUP CV: Loads the vision AI from Google MediaPipe
+     * SETUP CV: Loads the vision AI from Google MediaPipe (in a Web Worker),
+     * from vendor/ (or the CDNs when it's empty) unless ?assets= says otherwise
      */
     async setupCV() {
-        const vision = await FilesetResolver.forVisionTasks(
-            "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.0/wasm"
-        );
-        this.handLandmarker = await HandLandmarker.createFromOptions(vision, {
-            baseOptions: {
-                modelAssetPath: `https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task`,
-                delegate: "GPU" // Use computer hardware for faster tracking
-            },
-            runningMode: "VIDEO", // Optimized for real-time cameras
-            numHands: 1          // Only track the shooter's hand
+        await this.assetsReady;
+        const tracker = new HandTracker();
+        const numHands = this.rules.players.length; // One hand per player
+        await tracker.init({
+            numHands,
+            paths: this.assetPaths,
+            delegate: this.cameraSettings.delegate
         });
+        this.handTracker = tracker;
+        // 2P may have been picked while the model loaded (setPlayerMode had no tracker)
+        if (this.rules.players.length !== numHands) tracker.setOptions({ numHands: this.rules.players.length });
+        console.log(`Hand tracking ready (${tracker.delegate})`);
 
         // Update UI when AI is ready
-        document.getElementById('status-msg').innerText = "AI Ready! Ready to Hunt.";
-        this.startBtn.innerText = "START HUNT";
+        this.setStatus('status.ready');
+        this.startBtn.innerText = this.t('start.hunt');
     }
 
     /**
-     * START GAME: Activates the webcam and begins play
+     * START CAMERA: Ask for webcam permission and wait for readable frames
+     * Resolves true once video is playing, false if the camera was denied.
      */
-    async startGame() {
+    async startCamera() {
         try {
             // Request webcam permissions and stream to video element
             if (!this.video.srcObject) {
-                const stream = await navigator.mediaDevices.getUserMedia({ video: true });
-                this.video.srcObject = stream;
+                this.video.srcObject = await this.openCameraStream();
+                this.refreshCameraList(); // Labels are only readable once permission is granted
             }
 
             // Wait for video pixels to actually be readable (avoid black frame init)
-            this.video.addEventListener('loadeddata', () => {
-                console.log("Webcam Loaded - Starting Game");
-                this.gameState = 'playing';
-                this.roundStartTime = performance.now(); // Start the 60s countdown
-                this.menuOverlay.style.display = 'none'; // Clear the menu
-                this.crosshair.style.display = 'block';  // Show the crosshair
-                this.spawnIfNeeded();                   // Spawn first duck
-            });
-
-            // Backup check if event already fired
-            if (this.video.readyState >= 2) {
-                console.log("Webcam Ready - Starting Game");
-                this.gameState = 'playing';
-                this.roundStartTime = performance.now();
-                this.menuOverlay.style.display = 'none';
-                this.crosshair.style.display = 'block';
-                this.spawnIfNeeded();
+            if (this.video.readyState < 2) {
+                await new Promise(resolve => this.video.addEventListener('loadeddata', resolve, { once: true }));
             }
+            console.log("Webcam Ready");
+            return true;
         } catch (err) {
+            // No camera: fall back to pointer controls so the player can still hunt
             console.error("Webcam blocked", err);
-            document.getElementById('status-msg').innerText = "Error: Webcam access denied!";
+            this.setInputMode(INPUT_MODES.POINTER);
+            this.setStatus('status.webcamDenied');
+            return false;
         }
     }
 
     /**
-     * RESIZE: Syncs the game container size with the canvas pixels
+     * OPEN CAMERA STREAM: getUserMedia() with the camera panel's choices.
+     * A saved camera that is no longer plugged in falls back to the default.
      */
-    resize() {
-        const container = document.getElementById('game-container');
-        this.canvas.width = container.clientWidth;
-        this.canvas.height = container.clientHeight;
-        // Internal AI overlay is kept small (200x150) for performance
-        this.cvOverlay.width = 200;
-        this.cvOverlay.height = 150;
+    async openCameraStream() {
+        try {
+            return await navigator.mediaDevices.getUserMedia({ video: videoConstraints(this.cameraSettings) });
+        } catch (err) {
+            if (!this.cameraSettings.deviceId || !['NotFoundError', 'OverconstrainedError'].includes(err.name)) throw err;
+            console.warn("Saved camera not found - using the default one", err);
+            return navigator.mediaDevices.getUserMedia({ video: videoConstraints({ ...this.cameraSettings, deviceId: null }) });
+        }
     }
 
     /**
-     * SPAWN LOGIC: Ensures there are always enough ducks in the level
+     * STOP CAMERA: Release the webcam (startCamera() opens it again)
      */
-    spawnIfNeeded() {
-        while (this.ducks.length < this.maxDucksInScene) {
-            this.spawnDuck();
+    stopCamera() {
+        if (!this.video.srcObject) return;
+        this.video.srcObject.getTracks().forEach(track => track.stop());
+        this.video.srcObject = null;
+    }
+
+    /**
+     * START GAME: Activates the webcam and begins play
+     */
+    async startGame() {
+        if (await this.startCamera()) {
+            console.log("Webcam Loaded - Starting Game");
+            this.beginPlay();
         }
     }
 
     /**
-     * SPAWN DUCK: Creates a new duck object with randomized behavior and speed
+     * CALIBRATION: Run the corner + pinch wizard (needs the camera or a replay)
      */
-    spawnDuck() {
-        const side = Math.random() > 0.5 ? 1 : -1; // Randomly start on Left or Right
-        // Calculate Reaction Time: Level 1 = 10s, Level 5 = 6s, Level 10 = 4s (Harder!)
-        const currentLifeTime = Math.max(3000, this.baseLifeTime - (this.round * 800));
+    async startCalibration() {
+        if (this.calibration || this.gameState === 'playing') return;
+        if (!this.replay) {
+            if (!this.handTracker) {
+                this.setStatus('status.stillLoading');
+                return;
+            }
+            if (!(await this.startCamera())) return;
+        } else {
+            this.replay.reset();
+        }
 
-        this.ducks.push({
-            id: Date.now() + Math.random(), // Unique ID for object tracking
-            x: side === 1 ? -100 : this.canvas.width + 100, // Position off-screen
-            y: this.canvas.height * 0.7 - Math.random() * (this.canvas.height * 0.4), // Low to medium height
-            targetX: Math.random() * this.canvas.width, // Where it wants to fly next
-            targetY: Math.random() * (this.canvas.height / 2),
-            speed: 2 + (Math.random() * 2) + (this.round * 0.6), // Faster every level
-            status: 'flying', // Possible: flying, hit, falling, fleeing
-            frame: 0,         // Animation frame index
-            direction: side,  // -1 for Left, 1 for Right
-            timer: 0,         // Internal tick counter
-            spawnTime: performance.now(), // For the kill-bar countdown
-            lifeTime: currentLifeTime,    // How long it stays before escaping
-            fleeing: false
-        });
+        this.calibration = new CalibrationWizard(this.cvSettings);
+        this.menuOverlay.style.display = 'none';
+        this.calibrationOverlay.style.display = 'flex';
+        this.updateCalibrationUI(performance.now());
     }
 
     /**
-     * GAME OVER: Show visual stats and stop movement
+     * CALIBRATION UI: Prompt, progress bar and the corner to point at
      */
-    gameOver() {
-        this.gameState = 'game-over';
+    updateCalibrationUI(now) {
+        const wizard = this.calibration;
+        const { key, params } = wizard.prompt;
+        this.calibrationPrompt.innerText = this.t(key, params);
+        this.calibrationError.innerText = wizard.error ? this.t(wizard.error) : '';
+        this.calibrationBar.style.width = `${Math.round(wizard.progressAt(now) * 100)}%`;
+
+        const target = wizard.target;
+        this.calibrationTarget.style.display = target ? 'block' : 'none';
+        if (target) {
+            // Corner of the world (not the window), offset by the marker size
+            // (60px incl. margin) so right/bottom corners stay inside it
+            const corner = worldToScreen(this.view, target.x * WORLD.width, target.y * WORLD.height);
+            this.calibrationTarget.style.left = `${corner.x - target.x * 60}px`;
+            this.calibrationTarget.style.top = `${corner.y - target.y * 60}px`;
+        }
+
+        if (wizard.done) {
+            this.setCvSettings(wizard.result);
+            this.endCalibration();
+            this.setStatus('status.calibrationSaved');
+        }
+    }
+
+    /**
+     * END CALIBRATION: Close the wizard (finished or cancelled) and return to the menu
+     */
+    endCalibration() {
+        this.calibration = null;
+        this.calibrationOverlay.style.display = 'none';
         this.menuOverlay.style.display = 'flex';
-        this.menuTitle.innerHTML = "GAME OVER";
-        this.menuSubtitle.innerText = `Final Score: ${this.score}`;
-        this.menuInstructions.innerHTML = `You missed too many ducks!<br>Level Reached: ${this.round}`;
-        this.startBtn.innerText = "TRY AGAIN";
-        this.crosshair.style.display = 'none';
+        this.resetCalibrationBtn.style.display = this.cvSettings.bounds ? 'inline-block' : 'none';
     }
 
     /**
-     * LEVEL UP: Increase difficulty and show feedback message
+     * OPEN CAMERA PANEL: Settings + a large live preview (the camera starts
+     * so the preview has something to show)
      */
-    levelUp() {
-        this.round++;                   // Higher level
-        this.ducksShotThisRound = 0;   // Reset kill streak
-        this.roundStartTime = performance.now(); // Reset 60s clock
+    async openCameraPanel() {
+        this.cameraPanelOpen = true;
+        this.menuOverlay.style.display = 'none';
+        this.cameraOverlay.style.display = 'flex';
+        this.updateCameraInfo();
+        if (!this.replay && await this.startCamera()) this.updateCameraInfo();
+    }
 
-        // Every 2 levels, add an extra duck simultaneously on screen
-        if (this.round % 2 === 0 && this.maxDucksInScene < 4) {
-            this.maxDucksInScene++;
+    closeCameraPanel() {
+        this.cameraPanelOpen = false;
+        this.cameraOverlay.style.display = 'none';
+        this.menuOverlay.style.display = 'flex';
+    }
+
+    /**
+     * CAMERA SETTINGS: Apply and persist a change from the camera panel.
+     * A new device / preset reopens the camera, a new delegate reloads the model.
+     */
+    async setCameraSettings(changes) {
+        const previous = this.cameraSettings;
+        this.cameraSettings = { ...previous, ...changes };
+        saveCameraSettings(this.cameraSettings);
+        this.cvLayer.classList.toggle('unmirrored', !this.cameraSettings.mirror);
+        // Calibrated reach was measured in the old orientation: flip it with the image
+        if (previous.mirror !== this.cameraSettings.mirror && this.cvSettings.bounds) {
+            this.setCvSettings({ ...this.cvSettings, bounds: mirrorBounds(this.cvSettings.bounds) });
         }
 
-        this.updateHUD(); // Refresh text on level up
+        const videoChanged = ['deviceId', 'resolution', 'frameRate'].some(key => previous[key] !== this.cameraSettings[key]);
+        if (videoChanged && this.video.srcObject) {
+            this.stopCamera();
+            await this.startCamera();
+        }
+        if (previous.delegate !== this.cameraSettings.delegate) {
+            if (this.handTracker) this.handTracker.terminate();
+            this.handTracker = null;
+            this.cvError = null;
+            this.setStatus('status.loading');
+            this.updateCameraInfo();
+            await this.loadHandTracking();
+        }
+        this.updateCameraInfo();
+    }
 
-        // Show big message in middle of screen
-        const levelMsg = document.createElement('div');
-        levelMsg.style.position = 'absolute';
-        levelMsg.style.top = '50%';
-        levelMsg.style.left = '50%';
-        levelMsg.style.transform = 'translate(-50%, -50%)';
-        levelMsg.style.fontFamily = "'Press Start 2P'";
-        levelMsg.style.color = '#55e6ff';
-        levelMsg.style.fontSize = '3rem';
-        levelMsg.style.zIndex = '1000';
-        levelMsg.innerText = `LEVEL ${this.round}`;
-        document.getElementById('game-container').appendChild(levelMsg);
+    /**
+     * REFRESH CAMERA LIST: Fill the device picker from enumerateDevices()
+     */
+    async refreshCameraList() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return;
+        try {
+            const cameras = cameraList(await navigator.mediaDevices.enumerateDevices());
+            this.cameraSelect.replaceChildren(new Option(this.t('camera.defaultDevice'), ''));
+            cameras.forEach(({ deviceId, label }) => {
+                this.cameraSelect.add(new Option(label.toUpperCase(), deviceId, false, deviceId === this.cameraSettings.deviceId));
+            });
+        } catch (err) {
+            console.warn("Could not list cameras", err);
+        }
+    }
 
-        // Remove message after 2 seconds
-        setTimeout(() => levelMsg.remove(), 2000);
+    /**
+     * CAMERA INFO: What the camera actually delivers + where the model runs
+     */
+    updateCameraInfo() {
+        const track = this.video.srcObject && this.video.srcObject.getVideoTracks()[0];
+        const video = track ? track.getSettings() : null;
+        const t = this.t;
+        const camera = video ? t('camera.video', { width: video.width, height: video.height, fps: Math.round(video.frameRate) }) : t('camera.off');
+        const model = this.handTracker ? t('camera.modelOn', { delegate: this.handTracker.delegate })
+            : t(this.cvError ? 'camera.modelUnavailable' : 'camera.modelLoading');
+        this.cameraInfo.innerText = t('camera.info', { camera, model });
     }
 
     /**
-     * UPDATE: Calculations for duck movements and physics
+     * RESET CALIBRATION: Forget the saved profile, go back to default mapping
      */
-    update() {
-        if (this.gameState !== 'playing') return; // Skip if not active
+    resetCalibration() {
+        clearCvSettings();
+        // Keep the chosen trigger, forget the calibrated reach and pinch
+        this.setCvSettings({ ...loadCvSettings(), trigger: this.cvSettings.trigger });
+        this.resetCalibrationBtn.style.display = 'none';
+        this.setStatus('status.calibrationCleared');
+    }
 
-        const now = performance.now();
+    /**
+     * BEGIN PLAY: Hides the menu and starts the round (shared by every input mode)
+     */
+    beginPlay() {
+        if (this.gameState === 'playing') return; // Already started by the other path
+        this.rules.start();                     // Start the 60s countdown + spawn first duck
+        this.updateHUD();                       // END RUN button, full clock
+        this.menuOverlay.style.display = 'none'; // Clear the menu
+        this.initialsForm.style.display = 'none'; // Unsaved initials are dropped
+        this.handLostFrames = 0;
+        this.pauseGesture.reset();
+        this.audio.startMusic();
+        // Show the crosshair(s), start centred (two players start on their own half)
+        this.rules.players.forEach(({ index }) => {
+            const share = this.rules.players.length > 1 ? (index === 0 ? 0.25 : 0.75) : 0.5;
+            this.players[index].crosshair.style.display = 'block';
+            this.setAim(WORLD.width * share, WORLD.height / 2, index);
+        });
 
-        this.ducks.forEach((duck, index) => {
-            if (duck.status === 'flying') {
-                // TIMER CHECK: Escape if time is up
-                const elapsed = now - duck.spawnTime;
-                if (elapsed > duck.lifeTime) {
-                    duck.status = 'fleeing';
-                    this.addStrike(); // Missing a duck counts as a strike
-                }
-
-                // AI FLIGHT PATH: Move toward current target coordinates
-                duck.x += (duck.targetX - duck.x) * (0.01 * duck.speed);
-                duck.y += (duck.targetY - duck.y) * (0.01 * duck.speed);
-
-                // PICK NEW TARGET: If we reached the goal, pick a new random spot
-                if (Math.abs(duck.x - duck.targetX) < 20) {
-                    duck.targetX = Math.random() * this.canvas.width;
-                    duck.targetY = Math.random() * (this.canvas.height / 2);
-                }
-
-                // ANIMATE: Swap wing animation frame every few ticks
-                duck.timer++;
-                if (duck.timer % 10 === 0) duck.frame = (duck.frame + 1) % 3;
-            }
-            else if (duck.status === 'hit') {
-                // HIT STATE: Pause briefly in the air when shot
-                duck.timer++;
-                if (duck.timer > 20) {
-                    duck.status = 'falling';
-                }
-            }
-            else if (duck.status === 'falling') {
-                // FALL STATE: Move straight down off screen
-                duck.y += 25;
-                if (duck.y > this.canvas.height) {
-                    this.ducks.splice(index, 1);
-                    this.spawnIfNeeded();
-                }
-            }
-            else if (duck.status === 'fleeing') {
-                // ESCAPE STATE: Fly vertically up very fast
-                duck.y -= 15;
-                duck.timer++;
-                if (duck.timer % 5 === 0) duck.frame = (duck.frame + 1) % 3;
-
-                if (duck.y < -100) {
-                    this.ducks.splice(index, 1);
-                    this.spawnIfNeeded();
-                }
-            }
+        this.announcer.reset();
+
+        // New run, new stats (the last run's CSV is gone once this one starts)
+        this.stats.reset(performance.now());
+        this.statsPanel.style.display = 'none';
+        this.exportStatsBtn.style.display = 'none';
+
+        // Replays restart from their first frame, live hand sessions may be recorded
+        if (this.replay) {
+            this.replay.reset();
+        } else if (this.input.mode === INPUT_MODES.CV && this.recordToggle.checked) {
+            this.recorder.start({ width: WORLD.width, height: WORLD.height, playerMode: this.rules.playerMode,
+                gameMode: this.rules.gameMode, seed: this.sim.seed
+            });
+        }
+    }
+
+    /**
+     * RESIZE: Canvas backing store at the display's real resolution, and
+     * the letterbox that fits the fixed world into it
+     */
+    resize() {
+        const container = document.getElementById('game-container');
+        const dpr = window.devicePixelRatio || 1;
+        this.canvas.width = Math.round(container.clientWidth * dpr);
+        this.canvas.height = Math.round(container.clientHeight * dpr);
+        this.view = fitViewport(container.clientWidth, container.clientHeight, dpr);
+
+        // Crosshairs stay on the same world spot
+        this.players.forEach(({ index, handPos }) => this.setAim(handPos.x, handPos.y, index));
+
+        // Dragging the window to a screen with another pixel ratio fires no resize
+        if (this.dprQuery) this.dprQuery.removeEventListener('change', this.onDprChange);
+        this.onDprChange = () => this.resize();
+        this.dprQuery = window.matchMedia(`(resolution: ${dpr}dppx)`);
+        this.dprQuery.addEventListener('change', this.onDprChange);
+
+        // Internal AI overlay is kept small (200x150) for performance
+        this.cvOverlay.width = 200;
+        this.cvOverlay.height = 150;
+    }
+
+    /**
+     * GAME OVER: Show visual stats (the rules have already stopped the world)
+     */
+    showGameOver() {
+        this.pauseOverlay.style.display = 'none'; // Quit from the pause screen
+        this.breakdownOverlay.style.display = 'none';
+        this.menuOverlay.style.display = 'flex';
+        this.players.forEach(p => { p.crosshair.style.display = 'none'; });
+
+        // Save the run (a replay is a re-run of a session, not a new score)
+        const run = summarizeRun(this.rules);
+        this.endedRun = run;
+        this.renderGameOver();
+        this.lastRun = this.replay ? null : this.scores.addRun(run);
+        if (this.lastRun && this.scores.qualifies(run.score, run.gameMode)) {
+            this.initialsForm.style.display = 'flex';
+            this.initialsInput.value = '';
+            this.initialsInput.focus();
+        }
+        this.renderScores();
+
+        // Offer the recorded session for download
+        if (this.recorder.recording) this.recorder.stop();
+        this.downloadBtn.style.display = this.recorder.hasData ? 'inline-block' : 'none';
+        this.showRunStats();
+    }
+
+    /**
+     * GAME OVER TEXT: Headline, score and the run's numbers (redone when the
+     * language changes on the game-over screen)
+     */
+    renderGameOver() {
+        const t = this.t;
+        const run = this.endedRun;
+        this.menuTitle.innerText = t('gameOver.title');
+        this.menuSubtitle.innerText = this.finalScoreText();
+        this.startBtn.innerText = t(this.replay ? 'start.replay' : 'start.tryAgain');
+        this.menuInstructions.innerHTML = [
+            t(`endReason.${this.rules.endReason}`),
+            t('gameOver.level', { level: run.level }),
+            t('gameOver.hits', { hits: run.hits, shots: run.shots, accuracy: this.i18n.percent(run.accuracy) }),
+            t('gameOver.bestCombo', { combo: Math.max(...this.rules.players.map(p => p.bestCombo)) }),
+            t('gameOver.seed', { seed: run.seed })
+        ].join('<br>');
+    }
+
+    /**
+     * RUN STATS: CSV export of the run, plus the shot heatmap when the debug
+     * HUD is on
+     */
+    showRunStats() {
+        this.exportStatsBtn.style.display = this.stats.hasData ? 'inline-block' : 'none';
+        const show = this.showAnalytics && this.stats.shots.length > 0;
+        this.statsPanel.style.display = show ? 'block' : 'none';
+        if (!show) return;
+
+        const canvas = this.heatmapCanvas;
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(canvas.width / WORLD.width, 0, 0, canvas.height / WORLD.height, 0, 0);
+        drawHeatmap(ctx, this.stats);
+
+        const summary = this.stats.summary();
+        const t = this.t;
+        const number = this.i18n.number.bind(this.i18n);
+        const ms = (value) => (value === null ? '--' : t('debug.ms', { value: number(Math.round(value)) }));
+        const px = (value) => (value === null ? '--' : t('debug.px', { value: number(value, { minimumFractionDigits: 1, maximumFractionDigits: 1 }) }));
+        this.statsSummary.innerText = t('debug.summary', {
+            hits: number(summary.hits),
+            shots: number(summary.shots),
+            miss: px(summary.avgMissDistance),
+            detect: ms(summary.avgDetectMs),
+            latency: ms(summary.avgLatencyMs)
         });
+    }
 
-        // Run the Hand Tracking calculations
-        this.processCV();
+    /**
+     * SAVE INITIALS: Put the last run on the leaderboard
+     */
+    saveInitials() {
+        if (!this.lastRun) return;
+        this.scores.addHighScore(this.lastRun, this.initialsInput.value);
+        this.initialsForm.style.display = 'none';
+        this.renderScores(this.lastRun.id);
     }
 
     /**
-     * STRIKES: Handle missing a duck
+     * IMPORT SCORES: Merge an exported scores file into this browser's book
      */
-    addStrike() {
-        this.strikes++;
-        this.updateHUD(); // Light up a red X
-        if (this.strikes >= 3) {
-            this.gameOver(); // 3 strikes = Loss
+    async importScores(file) {
+        if (!file) return;
+        try {
+            const added = this.scores.import(JSON.parse(await file.text()));
+            this.setStatus('status.scoresImported', { runs: added.history, highScores: added.highScores });
+            this.renderScores();
+        } catch (err) {
+            console.error("Invalid scores file", err);
+            this.setStatus('status.scoresInvalid');
+        } finally {
+            this.importScoresInput.value = ''; // Allow picking the same file again
         }
     }
 
     /**
-     * PROCESS CV: The "Brain" of the Hand-Control System
+     * RENDER SCORES: Leaderboard + the last few runs on the menu overlay
      */
-    async processCV() {
-        // Ensure webcam is on and model is ready
-        if (this.video.readyState === 4 && this.handLandmarker) {
-            // Ask MediaPipe to find the hand current position
-            const results = this.handLandmarker.detectForVideo(this.video, performance.now());
-            this.cvCtx.clearRect(0, 0, 200, 150); // Clear the tiny skeletal view
+    renderScores(latestId = null) {
+        const highScores = this.scores.board(this.rules.gameMode);
+        const history = this.scores.history;
+        const t = this.t;
+        this.highScoresTitle.innerText = t('scores.highScoresMode', { mode: t(`mode.${this.rules.gameMode}`) });
+
+        this.highScoresList.innerHTML = '';
+        highScores.forEach(entry => {
+            const li = document.createElement('li');
+            li.textContent = `${entry.initials} ${this.i18n.score(entry.score)}`;
+            li.classList.toggle('latest', entry.id === latestId);
+            this.highScoresList.appendChild(li);
+        });
+        if (!highScores.length) this.highScoresList.innerHTML = '<li>---</li>';
+
+        this.historyBody.innerHTML = '';
+        history.slice(0, 5).forEach(run => {
+            const row = this.historyBody.insertRow();
+            const mode = run.gameMode || 'arcade';
+            [MODE_RULES[mode] ? t(`mode.${mode}`) : '?', this.i18n.number(run.score), run.level, `${run.hits}/${run.shots}`,
+                this.i18n.percent(run.accuracy), run.escaped]
+                .forEach(value => { row.insertCell().textContent = value; });
+        });
+    }
 
-            if (results.landmarks && results.landmarks.length > 0) {
-                const hand = results.landmarks[0]; // Take the first detected hand
-                // Use Point 9 (the base of middle finger) as the 'Aim' point
-                const palmX = hand[9].x;
-                const palmY = hand[9].y;
+    /**
+     * FINAL SCORE: Game-over headline for solo, co-op and versus
+     */
+    finalScoreText() {
+        const rules = this.rules;
+        const t = this.t;
+        const score = this.i18n.number(rules.score);
+        if (rules.playerMode === PLAYER_MODES.SOLO) return t('gameOver.finalScore', { score });
+
+        const [p1, p2] = rules.players.map(p => this.i18n.number(p.score));
+        if (rules.playerMode === PLAYER_MODES.COOP) return t('gameOver.teamScore', { score, p1, p2 });
+        const result = rules.winner === null ? t('gameOver.draw') : t('gameOver.winner', { player: rules.winner + 1 });
+        return t('gameOver.versus', { result, p1, p2 });
+    }
 
-                // MAPPING MATH: Multipliers make small hand moves cover the big screen
-                const sensitivity = 1.4;
-                const smoothing = 0.7; // 0.7 LERP = very smooth, minimal lag
+    /**
+     * LEVEL BREAKDOWN: Stats for the level just cleared. Play waits (the
+     * rules' 'breakdown' pause, from the level-up tick) until CONTINUE or a
+     * few seconds have passed - the level transition (src/effects.js) plays
+     * once it carries on.
+     */
+    showBreakdown(breakdown) {
+        if (this.rules.pauseReason !== 'breakdown') return; // Run already over (or carried on)
+        const t = this.t;
+        const number = (value) => this.i18n.number(value);
+        this.breakdownTitle.innerText = t('breakdown.title', { level: breakdown.level });
+        const rows = [
+            ['breakdown.accuracy', `${breakdown.hits}/${breakdown.shots} (${this.i18n.percent(breakdown.accuracy)})`],
+            ['breakdown.bestCombo', breakdown.bestCombo],
+            ['breakdown.comboBonus', `+${number(breakdown.comboBonus)}`],
+            ['breakdown.quickKills', `+${number(breakdown.quickBonus)}`],
+            ['breakdown.multiKills', `+${number(breakdown.multiKillBonus)}`],
+            ['breakdown.levelTotal', number(breakdown.points)]
+        ];
+        this.breakdownBody.innerHTML = rows.map(([key, value]) => `<tr><td>${t(key)}</td><td>${value}</td></tr>`).join('');
+        this.breakdownOverlay.style.display = 'flex';
+
+        // Carry on by itself (not while the tab is hidden - CONTINUE then)
+        clearTimeout(this.breakdownTimer);
+        this.breakdownTimer = setTimeout(() => {
+            if (this.rules.pauseReason === 'breakdown' && !document.hidden) this.rules.resume();
+        }, BREAKDOWN_MS);
+    }
 
-                // Calculate where the hand 'wants' to go
-                let targetX = (0.5 + (0.5 - palmX) * sensitivity) * this.canvas.width;
-                let targetY = (0.5 + (palmY - 0.5) * sensitivity) * this.canvas.height;
+    /**
+     * SCORE POPUP: Points floating up from where a duck was shot
+     */
+    showScorePopup(event) {
+        const tags = [];
+        if (event.multiKill) tags.push(event.multiKill === 2 ? this.t('popup.double') : this.t('popup.multiKill', { count: event.multiKill }));
+        if (event.multiplier > 1) tags.push(`x${event.multiplier}`);
+        if (event.quick > 0) tags.push(this.t('popup.quick'));
+
+        const popup = document.createElement('div');
+        popup.className = 'score-popup';
+        popup.classList.toggle('p2', event.playerIndex === 1);
+        popup.classList.toggle('penalty', event.points < 0);
+        popup.innerText = [`${event.points > 0 ? '+' : ''}${this.i18n.number(event.points)}`, ...tags].join(' ');
+        const screen = worldToScreen(this.view, event.x, event.y);
+        popup.style.left = `${screen.x}px`;
+        popup.style.top = `${screen.y}px`;
+        document.getElementById('game-container').appendChild(popup);
+
+        // Remove once the CSS float-up animation is done
+        setTimeout(() => popup.remove(), 1000);
+    }
 
-                // Ensure crosshair doesn't fly off-screen
-                targetX = Math.max(0, Math.min(this.canvas.width, targetX));
-                targetY = Math.max(0, Math.min(this.canvas.height, targetY));
+    /**
+     * RULE EVENTS: Publish what happened inside the rules since last frame
+     */
+    handleRuleEvents() {
+        this.rules.drainEvents().forEach(event => this.bus.emit(event));
+    }
 
-                // Interpolate current crosshair to target (Smooth Transition)
-                this.handPos.x += (targetX - this.handPos.x) * smoothing;
-                this.handPos.y += (targetY - this.handPos.y) * smoothing;
+    /**
+     * SUBSCRIBE: How the game's own parts react to events (add-ons use the
+     * same bus through src/plugins.js)
+     */
+    subscribeToEvents() {
+        const bus = this.bus;
+
+        // EFFECTS: Feathers, flashes, shake, level transition
+        ['shot', 'hit', 'strike', 'levelUp'].forEach(type => bus.on(type, event => this.effects.handle(event)));
+
+        // AUDIO
+        bus.on('shot', event => {
+            this.audio.play('shot');
+            if (event.hits.includes('decoy')) this.audio.play('decoy');
+            else if (event.hits.length > 0) this.audio.play('hit');
+            else if (event.dented.length > 0) this.audio.play('armor');
+        });
+        bus.on('dryFire', () => this.audio.play('empty'));
+        bus.on('duckFalling', () => this.audio.play('fall'));
+        bus.on('duckEscaped', () => this.audio.play('escape'));
+        bus.on('powerUp', () => this.audio.play('powerUp'));
+        bus.on('levelUp', () => this.audio.play('levelUp'));
+        bus.on('gameOver', () => {
+            this.audio.stopMusic();
+            this.audio.play('gameOver');
+        });
 
-                // Move the Crosshair element to match hand location
-                this.crosshair.style.left = `${this.handPos.x}px`;
-                this.crosshair.style.top = `${this.handPos.y}px`;
+        // STATS: Shots for the heatmap / CSV (detections are fed from processCV())
+        bus.on('shot', event => this.stats.shot({ ...event, time: performance.now() }));
+
+        // HUD + SCREENS
+        // (every event that changes a number, chip or button the HUD shows - it is never polled)
+        ['shot', 'hit', 'points', 'duckEscaped', 'strike', 'reload', 'powerUp', 'powerUpEnd', 'levelUp', 'timerTick',
+            'pause', 'resume', 'gameOver', 'modeChange', 'languageChange'].forEach(type => bus.on(type, () => this.updateHUD()));
+        bus.on('points', event => this.showScorePopup(event));
+        bus.on('levelUp', event => this.showBreakdown(event.breakdown));
+        bus.on('gameOver', () => this.showGameOver());
+        bus.on('pause', event => this.showPause(event.reason));
+        bus.on('resume', () => this.hidePause());
+
+        // SCREEN READERS: Score, level and strike changes (src/accessibility.js)
+        ['points', 'levelUp', 'strike', 'powerUp', 'gameOver'].forEach(type => bus.on(type, event => {
+            this.announce(this.announcer.handle(event, this.rules, performance.now()));
+        }));
+    }
 
-                // GESTURE: Detect 'Pinch' (Thumb tip vs Index tip proximity)
-                const thumbTip = hand[4];
-                const indexTip = hand[8];
-                const dist = Math.sqrt(Math.pow(thumbTip.x - indexTip.x, 2) + Math.pow(thumbTip.y - indexTip.y, 2));
+    /**
+     * UPDATE: Advance the simulation by the real time since the last frame
+     */
+    update(elapsedMs) {
+        if (this.gameState !== 'playing') return; // Skip if not active
 
-                // If fingers are touching (Distance < 0.09)
-                if (dist < 0.09) {
-                    // Start firing logic if not already firing (debounce logic)
-                    if (!this.isPinching && performance.now() - this.lastPinchTime > 200) {
-                        this.shoot();
-                        this.isPinching = true;
-                        this.lastPinchTime = performance.now();
-                    }
-                } else {
-                    this.isPinching = false; // Reset trigger when fingers release
-                }
+        // Fixed 60Hz ticks: same duck speed on 60Hz and 144Hz displays
+        this.rules.update(elapsedMs);
+        this.animateDucks(elapsedMs);
+        this.effects.update(elapsedMs);
 
-                // DRAW SKELETON: Show tiny red dots in the bottom-right corner for feedback
-                this.cvCtx.fillStyle = '#ff0000';
-                hand.forEach(point => {
-                    this.cvCtx.beginPath();
-                    this.cvCtx.arc(point.x * 200, point.y * 150, 2, 0, Math.PI * 2);
-                    this.cvCtx.fill();
-                });
-            }
-        }
+        // Hand tracking: new detections at the throttled rate, aim glides every frame
+        if (this.input.mode === INPUT_MODES.CV) this.processCV();
+        else if (this.accessibility.dwellFire) this.dwellPointer();
+
+        // Score held back by the announcer (read out a few seconds apart)
+        this.announce(this.announcer.flush(this.rules, performance.now()));
+    }
+
+    /**
+     * DWELL POINTER: Dwell fire with the mouse / touch / keys - holding the
+     * crosshair still shoots, just like the hand's dwell trigger
+     */
+    dwellPointer() {
+        const { handPos, crosshair, gestures } = this.players[0];
+        const aim = { x: handPos.x / WORLD.width, y: handPos.y / WORLD.height };
+        const gesture = gestures.update(null, aim, performance.now());
+        crosshair.style.setProperty('--charge', gesture.charge);
+        if (gesture.fire) this.shoot(0);
     }
 
     /**
-     * SHOOT: Checks for collision between Crosshair and Ducks
+     * PROCESS CV: The "Brain" of the Hand-Control System (runs every frame -
+     * detections arrive at the throttled rate, the aim glides in between)
      */
-    shoot() {
-        if (this.ammo <= 0) return; // Can't fire if out of bullets
+    processCV() {
+        const now = performance.now();
 
-        this.ammo--; // Use 1 bullet
-        this.updateHUD(); // Update bullet icons
+        if (this.replay) {
+            // The recording stands in for the camera + model, at the same rate
+            if (this.cvThrottle.take(now)) this.handleDetection(this.replay.detectForVideo(this.video, now), now);
+        } else if (this.handTracker && this.video.readyState === 4) {
+            // Ask the worker for a new detection, pick up any that came back
+            if (!this.handTracker.busy && this.cvThrottle.take(now)) this.handTracker.send(this.video, now);
+            const results = this.handTracker.takeResult();
+            if (results) this.handleDetection(results, now);
+        }
 
-        // Add visual shooting effect in CSS
-        this.crosshair.classList.add('shooting');
-        setTimeout(() => this.crosshair.classList.remove('shooting'), 100);
+        // AIM GLIDE: Move the crosshairs between detections
+        if (this.gameState === 'playing') {
+            this.rules.players.forEach(({ index }) => {
+                const aim = this.players[index].aimGlide.sample(now);
+                if (aim) this.setAim(aim.x, aim.y, index);
+            });
+        }
+    }
 
-        // CREATE FLASH: Brief white screen flash on fire
-        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
-        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+    /**
+     * HANDLE DETECTION: One set of landmarks from the worker (or a replay)
+     */
+    handleDetection(results, now) {
+        // Live frames carry their capture time, replays their recorded time
+        // (so pinch debouncing matches the original session)
+        const frameTime = results.timestamp !== undefined ? results.timestamp : now;
+        this.recorder.capture(this.replay ? now : frameTime, results); // Raw, as the camera saw it
+
+        // Unmirrored cameras are flipped here, so everything below follows the preview
+        const landmarks = orientHands(results.landmarks || [], this.cameraSettings.mirror);
+        const handedness = results.handedness || results.handednesses || [];
+
+        // ONE HAND PER PLAYER: Solo takes the first detected hand
+        const hands = this.rules.players.length > 1 && !this.calibration
+            ? this.handAssigner.assign(landmarks, handedness)
+            : [landmarks.length > 0 ? landmarks[0] : null];
+
+        // CALIBRATING: Landmarks go to the wizard instead of the game
+        // (and the camera panel only previews them)
+        if (this.cameraPanelOpen) {
+            // Nothing to play - the preview is drawn by the game loop
+        } else if (this.calibration) {
+            this.calibration.feed(hands[0], frameTime);
+            this.updateCalibrationUI(frameTime);
+        } else {
+            this.watchHands(hands, frameTime);
+            if (this.gameState === 'playing' && !this.pauseGesture.holding) {
+                hands.forEach((hand, playerIndex) => {
+                    if (hand) this.aimAndFire(hand, frameTime, playerIndex, now);
+                });
+            }
+        }
 
-        let hitMade = false;
-        this.ducks.forEach(duck => {
-            if (duck.status === 'flying') {
-                // PYTHAGORAS: Check distance between shots and duck center
-                const dX = this.handPos.x - duck.x;
-                const dY = this.handPos.y - duck.y;
-                const dist = Math.sqrt(dX * dX + dY * dY);
+        // DRAW SKELETON: Small view in the bottom-right corner (red = P1, blue = P2)
+        this.previewHands = hands;
+        const { width, height } = this.cvOverlay;
+        this.cvCtx.clearRect(0, 0, width, height);
+        hands.forEach((hand, playerIndex) => {
+            if (hand) this.drawHandSkeleton(this.cvCtx, hand, PLAYER_COLORS[playerIndex], width, height);
+        });
+    }
 
-                // Forgiving Hitbox: 8% of screen width (Large enough for kids!)
-                const hitRadius = this.canvas.width * 0.08;
-                if (dist < hitRadius) {
-                    duck.status = 'hit'; // Trigger death sequence
-                    duck.timer = 0;
-                    this.score += 500 + (this.round * 100); // Higher level = More points
-                    hitMade = true;
-                    this.ducksShotThisRound++;
+    /**
+     * DRAW HAND SKELETON: Bones + joints of one hand on a camera view.
+     * `detail` adds the aim point and the pinch distance (camera panel).
+     */
+    drawHandSkeleton(ctx, hand, color, width, height, detail = false) {
+        // Landmarks are in mirrored camera space: flip x to draw as shown
+        const at = (point) => ({ x: (1 - point.x) * width, y: point.y * height });
+        const joint = Math.max(2, width / 160);
+
+        ctx.strokeStyle = color;
+        ctx.lineWidth = joint / 2;
+        ctx.beginPath();
+        HAND_CONNECTIONS.forEach(([from, to]) => {
+            const a = at(hand[from]);
+            const b = at(hand[to]);
+            ctx.moveTo(a.x, a.y);
+            ctx.lineTo(b.x, b.y);
+        });
+        ctx.stroke();
+        ctx.fillStyle = color;
+        hand.forEach(point => {
+            const p = at(point);
+            ctx.beginPath();
+            ctx.arc(p.x, p.y, joint, 0, Math.PI * 2);
+            ctx.fill();
+        });
+        if (!detail) return;
+
+        // PINCH: Thumb-index line, green when it counts as a pinch, with the
+        // distance next to the threshold it is compared against
+        const settings = this.cvSettings;
+        const thumb = at(hand[LANDMARKS.THUMB_TIP]);
+        const index = at(hand[LANDMARKS.INDEX_TIP]);
+        const { dist, ratio } = pinchDistance(hand);
+        ctx.strokeStyle = isPinched(hand, settings) ? '#33ff66' : '#ffcc33';
+        ctx.lineWidth = joint;
+        ctx.beginPath();
+        ctx.moveTo(thumb.x, thumb.y);
+        ctx.lineTo(index.x, index.y);
+        ctx.stroke();
+        const digits = settings.pinchRatio ? 2 : 3;
+        const decimals = (value) => this.i18n.number(value, { minimumFractionDigits: digits, maximumFractionDigits: digits });
+        const reading = settings.pinchRatio
+            ? { value: decimals(ratio), threshold: decimals(settings.pinchRatio) }
+            : { value: decimals(dist), threshold: decimals(settings.pinchThreshold) };
+        ctx.fillStyle = ctx.strokeStyle;
+        ctx.font = '12px monospace';
+        ctx.fillText(this.t('debug.pinch', reading), (thumb.x + index.x) / 2 + 8, (thumb.y + index.y) / 2);
+
+        // AIM POINT: The landmark that steers the crosshair
+        const aim = at(hand[settings.aimLandmark]);
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(aim.x, aim.y, joint * 4, 0, Math.PI * 2);
+        ctx.moveTo(aim.x - joint * 6, aim.y);
+        ctx.lineTo(aim.x + joint * 6, aim.y);
+        ctx.moveTo(aim.x, aim.y - joint * 6);
+        ctx.lineTo(aim.x, aim.y + joint * 6);
+        ctx.stroke();
+    }
 
-                    // LEVEL PROGRESSION: Shot 5 ducks? Move to next difficulty level
-                    if (this.ducksShotThisRound >= 5) {
-                        this.levelUp();
-                    }
-                }
+    /**
+     * DRAW CAMERA PREVIEW: The camera panel's large view - the feed (as
+     * mirrored as the setting says) under every tracked hand
+     */
+    drawCameraPreview() {
+        const ctx = this.previewCtx;
+        const canvas = this.cameraPreview;
+
+        // Match the feed's aspect ratio (the width stays fixed)
+        if (this.video.videoWidth > 0) {
+            const height = Math.round(canvas.width * this.video.videoHeight / this.video.videoWidth);
+            if (canvas.height !== height) canvas.height = height;
+        }
+        const { width, height } = canvas;
+
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, width, height);
+        if (!this.replay && this.video.readyState >= 2) {
+            ctx.save();
+            if (this.cameraSettings.mirror) {
+                ctx.translate(width, 0);
+                ctx.scale(-1, 1);
             }
+            ctx.drawImage(this.video, 0, 0, width, height);
+            ctx.restore();
+        }
+        this.previewHands.forEach((hand, playerIndex) => {
+            if (hand) this.drawHandSkeleton(ctx, hand, PLAYER_COLORS[playerIndex], width, height, true);
         });
+    }
 
-        // AUTO-RELOAD: Get 3 new bullets after a hit or after finishing shots
-        if (this.ammo === 0 && !hitMade) {
-            setTimeout(() => { this.ammo = 3; this.updateHUD(); }, 1500);
-        } else if (hitMade) {
-            this.ammo = 3;
-            this.updateHUD();
+    /**
+     * DRAW ANALYTICS HUD: Live graphs of the current run (debug HUD on)
+     */
+    drawAnalyticsHUD() {
+        const dpr = window.devicePixelRatio || 1;
+        const { width, height } = ANALYTICS_SIZE;
+        const canvas = this.analyticsCanvas;
+        if (canvas.width !== Math.round(width * dpr)) {
+            canvas.width = Math.round(width * dpr);
+            canvas.height = Math.round(height * dpr);
         }
+        const ctx = this.analyticsCtx;
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        drawAnalytics(ctx, this.stats, {
+            width,
+            height,
+            colors: PLAYER_COLORS,
+            trigger: this.t(`trigger.${this.gestures.trigger}`),
+            players: this.rules.players.length,
+            i18n: this.i18n
+        });
     }
 
     /**
-     * UPDATE HUD: Synchronizes JS variables with the HTML display
+     * WATCH HANDS: Pause sign + auto-pause when the hands leave the frame
+     * (and auto-resume once they are back for a moment)
      */
-    updateHUD() {
-        // Score formatting (leading zeroes e.g. 000500)
-        this.scoreElement.innerText = this.score.toString().padStart(6, '0');
-        this.roundElement.innerText = this.round; // Level display
+    watchHands(hands, frameTime) {
+        // PAUSE SIGN: Any player can hold up a V
+        const signHand = hands.find(hand => hand && isPauseSign(hand)) || null;
+        if (this.pauseGesture.update(signHand, frameTime)) this.togglePause();
+
+        // TRACKING LOSS: Count frames with no hand at all
+        if (hands.some(Boolean)) {
+            this.handLostFrames = 0;
+            this.handBackFrames++;
+        } else {
+            this.handLostFrames++;
+            this.handBackFrames = 0;
+        }
 
-        // Round Countdown Timer: 60s limit
-        const timeLimit = 60;
+        // HAND LOST / FOUND events (sent even when auto-pause is off)
+        const limit = this.cvSettings.lostHandFrames;
+        if (!this.handsLost && this.handLostFrames >= (limit || DEFAULT_CV_SETTINGS.lostHandFrames)) {
+            this.handsLost = true;
+            this.bus.emit({ type: 'handLost', frames: this.handLostFrames });
+        } else if (this.handsLost && this.handBackFrames >= HAND_BACK_FRAMES) {
+            this.handsLost = false;
+            this.bus.emit({ type: 'handFound' });
+        }
 
-        // Auto-initialize roundStartTime if it's missing while playing
-        if (this.gameState === 'playing' && !this.roundStartTime) {
-            console.log("Timer Force-Started");
-            this.roundStartTime = performance.now();
+        if (this.gameState === 'playing' && limit > 0 && this.handLostFrames >= limit) {
+            this.rules.pause('tracking');
+        } else if (this.rules.pauseReason === 'tracking' && this.handBackFrames >= HAND_BACK_FRAMES) {
+            this.rules.resume();
         }
+    }
 
-        let remaining = timeLimit;
-        if (this.roundStartTime && this.gameState === 'playing') {
-            const elapsed = (performance.now() - this.roundStartTime) / 1000;
-            remaining = Math.max(0, Math.ceil(timeLimit - elapsed));
+    /**
+     * AIM & FIRE: Map the hand to the world and run the trigger gesture
+     * (once per detection; `now` is when it reached the game)
+     */
+    aimAndFire(hand, frameTime, playerIndex = 0, now = performance.now()) {
+        const { handPos, crosshair, gestures, aimGlide } = this.players[playerIndex];
+        const settings = this.cvSettings;
+        const w = WORLD.width;
+        const h = WORLD.height;
+
+        // MAPPING MATH: Calibrated reach (or 1.4x sensitivity) -> world position
+        // Uses Point 9 (the base of middle finger) as the 'Aim' point by default
+        const target = mapToScreen(hand[settings.aimLandmark], settings);
+
+        // Interpolate the last detected aim to target (Smooth Transition), in 0..1 space
+        const last = aimGlide.target || handPos;
+        const smoothed = {
+            x: (last.x + (target.x * w - last.x) * settings.smoothing) / w,
+            y: (last.y + (target.y * h - last.y) * settings.smoothing) / h
+        };
 
-            // Update the display using the cached timer element
-            if (this.timerElement) {
-                this.timerElement.innerText = remaining.toString().padStart(2, '0');
-            }
+        // GESTURE: Trigger detection - the aim stays frozen while the trigger is held
+        const gesture = gestures.update(hand, smoothed, frameTime);
+        aimGlide.push({ x: gesture.aim.x * w, y: gesture.aim.y * h }, now); // Drawn by processCV()
+        crosshair.style.setProperty('--charge', gesture.charge); // Dwell progress ring
+
+        // ANALYTICS: What this detection looked like (before the shot below is booked)
+        const thresholds = gestures.trigger === TRIGGERS.DWELL ? null : triggerThresholds(gestures.trigger, settings);
+        this.stats.detection({
+            time: now,
+            playerIndex,
+            raw: { x: target.x * w, y: target.y * h },
+            aim: { x: smoothed.x * w, y: smoothed.y * h },
+            value: gestures.measure,
+            threshold: thresholds && thresholds.on,
+            release: thresholds && thresholds.off,
+            fired: gesture.fire,
+            detectMs: this.replay ? null : this.handTracker.inferenceMs,
+            latencyMs: now - frameTime
+        });
 
-            // Move to next level if time runs out
-            if (remaining <= 0) {
-                console.log("Time's up! Leveling up...");
-                this.levelUp();
-            }
+        if (gesture.fire) {
+            // The shot lands where the hand aimed, not part-way through the glide
+            aimGlide.snap();
+            this.setAim(aimGlide.target.x, aimGlide.target.y, playerIndex);
+            this.shoot(playerIndex);
+        }
+    }
+
+    /**
+     * SHOOT: Fires at a player's crosshair (hit detection lives in the rules)
+     */
+    shoot(playerIndex = 0) {
+        const { handPos, crosshair } = this.players[playerIndex];
+
+        // AIM ASSIST: The crosshair jumps towards a nearby duck (shows where the shot went)
+        const assist = AIM_ASSIST[this.accessibility.aimAssist];
+        if (assist && this.gameState === 'playing') {
+            const aim = assistAim(handPos, this.sim.ducks, assist, this.rules.hitRadius);
+            this.setAim(aim.x, aim.y, playerIndex);
+        }
+
+        // Sound, stats and the bullet icons follow the 'shot' / 'dryFire' events
+        const result = this.rules.shoot(handPos.x, handPos.y, playerIndex);
+        if (!result.fired) return;
+
+        // Add visual shooting effect in CSS (the muzzle flash comes from the 'shot' event)
+        crosshair.classList.add('shooting');
+        setTimeout(() => crosshair.classList.remove('shooting'), 100);
+    }
+
+    /**
+     * UPDATE HUD: Synchronizes the rule state with the HTML display
+     */
+    updateHUD() {
+        const rules = this.rules;
+        const t = this.t;
+
+        // Score formatting (leading zeroes e.g. 000,500, grouped for the language) - per player when two play
+        const [p1, p2] = rules.players;
+        this.scoreElement.innerText = this.i18n.score(p1.score);
+        this.roundElement.innerText = rules.round; // Level display
+
+        // Clock box: level/run countdown, or the hit quota in classic rounds
+        const quota = rules.quota;
+        const time = rules.timeRemaining;
+        if (quota) {
+            this.timerLabel.innerText = t('hud.hits');
+            this.timerElement.innerText = `${quota.hits}/${quota.needed}`;
+        } else {
+            this.timerLabel.innerText = t('hud.time');
+            this.timerElement.innerText = time === null ? '--' : time.toString().padStart(2, '0');
         }
+        this.modeElement.innerText = t(`mode.${rules.gameMode}`);
+        this.strikesBoard.style.display = rules.mode.maxStrikes === null ? 'none' : 'flex';
+        this.endRunBtn.style.display = rules.mode.canQuit && this.gameState === 'playing' ? 'block' : 'none';
 
         // Bullet icons display
         const bullets = this.ammoDisplay.querySelectorAll('.bullet');
         bullets.forEach((b, i) => {
-            if (i < this.ammo) b.classList.remove('spent');
+            if (i < p1.ammo) b.classList.remove('spent');
             else b.classList.add('spent');
         });
 
-        // Red X Strike display
+        // Player 2 score + bullets (hidden by CSS outside two-player modes)
+        if (p2) {
+            this.scoreElement2.innerText = this.i18n.score(p2.score);
+            this.ammoDisplay2.querySelectorAll('.bullet').forEach((b, i) => {
+                b.classList.toggle('spent', i >= p2.ammo);
+            });
+        }
+
+        // Combo multiplier (one per player)
+        this.comboElement.innerText = rules.players.map(p => `x${comboMultiplier(p.combo)}`).join(' ');
+
+        // Power-up chips with seconds left (world effects once, weapons per player)
+        const chips = rules.players.flatMap(p => rules.activeEffects(p.index)
+            .filter(e => p.index === 0 || POWER_UPS[e.kind].scope === 'player')
+            .map(e => {
+                const owner = rules.players.length > 1 && POWER_UPS[e.kind].scope === 'player' ? `${t('hud.player', { player: p.index + 1 })} ` : '';
+                return `<span class="powerup-chip" style="--chip: ${POWER_UPS[e.kind].color}">${owner}${t(`powerUp.${e.kind}`)} ${e.remaining}</span>`;
+            }));
+        const chipHtml = chips.join('');
+        if (this.powerUpList.innerHTML !== chipHtml) this.powerUpList.innerHTML = chipHtml;
+        this.powerUpBoard.style.display = chips.length > 0 ? 'flex' : 'none';
+
+        // Red X Strike display (read as "Strikes: 1 of 3" by screen readers)
+        this.strikeDisplay.setAttribute('aria-label', t('hud.strikesLabel', { strikes: rules.strikes, max: rules.mode.maxStrikes ?? 0 }));
         const strikesArr = this.strikeDisplay.querySelectorAll('span');
         strikesArr.forEach((s, i) => {
-            if (i < this.strikes) {
+            if (i < rules.strikes) {
                 s.className = 'strike-on';
             } else {
                 s.className = 'strike-off';
@@ -525,118 +1940,245 @@ class DuckHuntGame {
         });
     }
 
+    /**
+     * LEVEL BACKGROUND: The wave's background image, loaded on first use -
+     * the default one stands in while it loads (or if it fails to)
+     */
+    levelBackground() {
+        const src = this.rules.wave.background;
+        if (src === this.assets.bg.getAttribute('src')) return this.assets.bg;
+        let image = this.assets.backgrounds[src];
+        if (!image) {
+            image = this.assets.backgrounds[src] = new Image();
+            image.onerror = () => this.reportAssetError('assets.levelBackground', src);
+            image.src = src;
+        }
+        return image.complete && image.naturalWidth > 0 ? image : this.assets.bg;
+    }
+
     /**
      * DRAW: The master painter function run every frame
      */
     draw() {
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-
-        // 1. DRAW BACKGROUND
-        if (this.assets.bg.complete) {
-            this.ctx.drawImage(this.assets.bg, 0, 0, this.canvas.width, this.canvas.height);
+        const ctx = this.ctx;
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, this.canvas.width, this.canvas.height); // Letterbox bars stay black
+
+        // WORLD SPACE: Everything below is in world pixels, clipped to the world
+        ctx.save();
+        ctx.setTransform(...worldTransform(this.view));
+        ctx.beginPath();
+        ctx.rect(0, 0, WORLD.width, WORLD.height);
+        ctx.clip();
+        ctx.imageSmoothingEnabled = false; // Crisp pixel art at any scale
+
+        // SCREEN SHAKE: The scene moves, the overlays below stay put
+        const shake = this.effects.shakeOffset();
+        ctx.save();
+        ctx.translate(shake.x, shake.y);
+
+        // 1. DRAW BACKGROUND (the level's own, once it has loaded) + bullet holes
+        const background = this.levelBackground();
+        if (background.complete) {
+            ctx.drawImage(background, 0, 0, WORLD.width, WORLD.height);
         }
+        this.effects.drawDecals(ctx);
 
         // 2. DRAW ACTIVE DUCKS
-        this.ducks.forEach(duck => this.drawDuck(duck));
+        this.sim.ducks.forEach(duck => this.drawDuck(duck));
+
+        // 3. DRAW POWER-UPS (on top so they are easy to spot)
+        this.sim.powerUps.forEach(powerUp => this.drawPowerUp(powerUp));
+
+        // 4. DRAW PARTICLES (feathers, sparks, muzzle flashes)
+        this.effects.drawParticles(ctx);
+        ctx.restore();
+
+        // 5. DRAW OVERLAYS (screen flash, strike vignette, level transition)
+        this.effects.drawOverlay(ctx);
+        ctx.restore();
     }
 
     /**
-     * DRAW DUCK: Slices the 5x5 sprite sheet to draw the correct animation pose
+     * DRAW POWER-UP: A coloured bubble with the power-up's icon letter
      */
+    drawPowerUp(powerUp) {
+        const { color, icon } = POWER_UPS[powerUp.kind];
+        const radius = WORLD.width * POWER_UP_RADIUS_RATIO;
+        const alpha = this.sim.alpha;
+        const x = powerUp.prevX + (powerUp.x - powerUp.prevX) * alpha;
+        const y = powerUp.prevY + (powerUp.y - powerUp.prevY) * alpha;
+        const pulse = 1 + Math.sin(powerUp.age * 0.15) * 0.08; // Gentle throb
+
+        this.ctx.save();
+        this.ctx.translate(x, y);
+        this.ctx.scale(pulse, pulse);
+        this.ctx.beginPath();
+        this.ctx.arc(0, 0, radius, 0, Math.PI * 2);
+        this.ctx.fillStyle = color;
+        this.ctx.fill();
+        this.ctx.lineWidth = 1;
+        this.ctx.strokeStyle = 'white';
+        this.ctx.stroke();
+
+        this.ctx.fillStyle = 'white';
+        this.ctx.font = `bold ${Math.round(radius)}px "Press Start 2P", monospace`;
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillText(icon, 0, 0.5);
+        this.ctx.restore();
+    }
+
     /**
-     * CHROMA KEY: Removes a specific color from an image and returns a transparent canvas
+     * TINTED SHEET: The transparent sprite sheet washed with a species colour
+     * (built once per tint, then cached)
      */
-    makeTransparent(img, targetRGB) {
-        const offCanvas = document.createElement('canvas');
-        const offCtx = offCanvas.getContext('2d');
-        offCanvas.width = img.width;
-        offCanvas.height = img.height;
-
-        offCtx.drawImage(img, 0, 0);
-        const imageData = offCtx.getImageData(0, 0, offCanvas.width, offCanvas.height);
-        const data = imageData.data;
+    tintedDuckSheet(tint) {
+        const base = this.assets.duckAtlas.source;
+        if (!tint) return base;
+        if (!this.assets.tintedDucks[tint]) {
+            const sheet = document.createElement('canvas');
+            sheet.width = base.width;
+            sheet.height = base.height;
+            const sheetCtx = sheet.getContext('2d');
+            sheetCtx.drawImage(base, 0, 0);
+            sheetCtx.globalCompositeOperation = 'source-atop'; // Only colour the duck's own pixels
+            sheetCtx.fillStyle = tint;
+            sheetCtx.fillRect(0, 0, sheet.width, sheet.height);
+            this.assets.tintedDucks[tint] = sheet;
+        }
+        return this.assets.tintedDucks[tint];
+    }
 
-        // Loop through every pixel (4 values per pixel: R, G, B, A)
-        for (let i = 0; i < data.length; i += 4) {
-            const r = data[i];
-            const g = data[i + 1];
-            const b = data[i + 2];
+    /**
+     * DUCK ANIMATION: Atlas animation for a duck's state and heading
+     * (a missing "-left" animation falls back to the right one, mirrored)
+     */
+    duckAnimation(duck) {
+        if (duck.status === 'hit') return { name: 'hit', flipX: false };
+        if (duck.status === 'falling') return { name: 'fall', flipX: false };
+        const name = duck.status === 'fleeing' ? 'flee' : 'fly';
+        if (duck.direction === 1) return { name, flipX: false };
+        const left = `${name}-left`;
+        return this.assets.duckAtlas.animations[left] ? { name: left, flipX: false } : { name, flipX: true };
+    }
 
-            // If the pixel is close to our target "Neon Green" (#00FF00)
-            // We use a threshold to be safe
-            if (g > 150 && r < 150 && b < 150) {
-                data[i + 3] = 0; // Set Alpha to 0 (Transparent)
+    /**
+     * ANIMATE DUCKS: Run every duck's animation player on elapsed time
+     * (flying ducks flap slower in slow-motion)
+     */
+    animateDucks(elapsedMs) {
+        const atlas = this.assets.duckAtlas;
+        if (!atlas) return;
+        const alive = new Set();
+        this.sim.ducks.forEach(duck => {
+            alive.add(duck.id);
+            let player = this.duckAnimations.get(duck.id);
+            if (!player) {
+                player = new AnimationPlayer(atlas);
+                this.duckAnimations.set(duck.id, player);
             }
-        }
-
-        offCtx.putImageData(imageData, 0, 0);
-        return offCanvas;
+            player.play(this.duckAnimation(duck).name);
+            player.update(duck.status === 'flying' ? elapsedMs * this.sim.timeScale : elapsedMs);
+        });
+        // Forget ducks that left the scene
+        this.duckAnimations.forEach((_, id) => { if (!alive.has(id)) this.duckAnimations.delete(id); });
     }
 
+    /**
+     * DRAW DUCK: Current animation frame from the atlas, plus the life-bar
+     */
     drawDuck(duck) {
-        // Only draw if the processed image is ready
-        const spriteSource = this.assets.processedDuck || this.assets.duck;
-
-        const frameWidth = this.assets.duck.width / 5; // Width of 1 sprite pose
-        const frameHeight = this.assets.duck.height / 5; // Height of 1 sprite pose
-        let sx = 0, sy = 0; // Where to slice the sheet from
-
-        // Determine sprite coordinates based on duck behavior
-        if (duck.status === 'flying' || duck.status === 'fleeing') {
-            sy = duck.direction === 1 ? 0 : frameHeight; // Row depends on L/R move
-            sx = duck.frame * frameWidth; // Column depends on wing animation
-        } else if (duck.status === 'hit') {
-            sy = frameHeight * 4; // Row for 'Shot/Surprised' pose
-            sx = 0;
-        } else if (duck.status === 'falling') {
-            sy = frameHeight * 3; // Row for 'Spinning fall' pose
-            sx = (Math.floor(Date.now() / 100) % 2) * frameWidth; // Alternate between 2 sprites
-        }
-
-        const duckSize = this.canvas.width * 0.08; // Sprite size on screen
+        // Only draw once the atlas is ready
+        const atlas = this.assets.duckAtlas;
+        if (!atlas) return;
+        const type = DUCK_TYPES[duck.type];
+        const { name, flipX } = this.duckAnimation(duck);
+        const player = this.duckAnimations.get(duck.id);
+        const frame = player && player.name === name ? player.frame : atlas.animations[name].frames[0];
+
+        const duckSize = DUCK_SIZE;
         const halfSize = duckSize / 2;
 
+        // Blend between the last two ticks so motion is smooth at any refresh rate
+        const alpha = this.sim.alpha;
+        const drawX = duck.prevX + (duck.x - duck.prevX) * alpha;
+        const drawY = duck.prevY + (duck.y - duck.prevY) * alpha;
+
         this.ctx.save();
-        this.ctx.translate(duck.x, duck.y); // Position the duck graphics
+        this.ctx.translate(drawX, drawY); // Position the duck graphics
 
         // DRAW LIFE-BAR (TIMER)
         if (duck.status === 'flying') {
-            const elapsed = performance.now() - duck.spawnTime;
-            const remaining = Math.max(0, 1 - (elapsed / duck.lifeTime));
+            const remaining = this.sim.lifeRemaining(duck);
+            const palette = PALETTES[this.accessibility.palette];
 
             const barWidth = duckSize;
-            const barHeight = 10;
-            const barY = -halfSize - 20;
+            const barHeight = palette.barHeight;
+            const barY = -halfSize - 2 - barHeight;
 
             // Background and White Border for the bar
             this.ctx.strokeStyle = 'white';
-            this.ctx.lineWidth = 2;
+            this.ctx.lineWidth = 0.5;
             this.ctx.strokeRect(-halfSize, barY, barWidth, barHeight);
             this.ctx.fillStyle = 'rgba(0,0,0,0.7)';
             this.ctx.fillRect(-halfSize, barY, barWidth, barHeight);
 
-            // Dynamic Fill (Green -> Yellow -> Red based on 'remaining' %)
-            const r = Math.floor(255 * (1 - remaining));
-            const g = Math.floor(255 * remaining);
-            this.ctx.fillStyle = `rgb(${r},${g},0)`;
+            // Dynamic Fill (Green -> Yellow -> Red based on 'remaining' %, or
+            // blue -> orange in high contrast, which colour-blind players can read)
+            this.ctx.fillStyle = lifeBarColor(remaining, palette);
             this.ctx.fillRect(-halfSize, barY, barWidth * remaining, barHeight);
+
+            // High contrast: marks at each third, so the length reads without colour
+            if (palette.marks) {
+                this.ctx.fillStyle = 'black';
+                [1, 2].forEach(i => this.ctx.fillRect(-halfSize + barWidth * i / 3 - 0.25, barY, 0.5, barHeight));
+            }
+
+            // Armour pips: one per hit still needed
+            if (type.hp > 1) {
+                this.ctx.fillStyle = 'white';
+                for (let i = 0; i < duck.hp; i++) this.ctx.fillRect(-halfSize + i * 3, barY - 3, 2, 2);
+            }
         }
 
-        // DRAW SPIRTE: Actual pixel art of the duck
-        this.ctx.drawImage(spriteSource, sx, sy, frameWidth, frameHeight, -halfSize, -halfSize, duckSize, duckSize);
+        // Armour hit: flicker for a few ticks
+        if (duck.flash > 0 && duck.flash % 4 < 2) this.ctx.globalAlpha = 0.35;
+
+        // DRAW SPRITE: Actual pixel art of the duck (species tint, mirrored if needed)
+        drawFrame(this.ctx, atlas, frame, 0, 0, duckSize, { flipX, source: this.tintedDuckSheet(type.tint) });
+
+        // DEBUG: ?hitboxes in the URL outlines the atlas hitbox
+        if (this.showHitboxes) {
+            const box = frameHitbox(atlas, frame, 0, 0, duckSize, flipX);
+            this.ctx.globalAlpha = 1;
+            this.ctx.strokeStyle = '#ff00ff';
+            this.ctx.lineWidth = 0.5;
+            this.ctx.strokeRect(box.x, box.y, box.w, box.h);
+        }
         this.ctx.restore();
     }
 
     /**
      * GAME LOOP: Runs 60 times a second to keep game running
      */
-    gameLoop() {
+    gameLoop(timestamp = performance.now()) {
+        // Seconds since last frame (capped so a background tab doesn't teleport the aim)
+        const dt = this.lastFrameTime === null ? 0 : Math.min(0.1, (timestamp - this.lastFrameTime) / 1000);
+        this.lastFrameTime = timestamp;
+
         if (this.gameState === 'playing') {
-            this.update();     // Run calculations
-            this.updateHUD();  // Update text elements
+            this.input.update(dt); // Pointer/keyboard/gamepad aim
+            this.update(dt * 1000); // Run calculations (the HUD follows from their events)
         }
+        // Wizard reads the hand while the menu is up; a paused run still watches for it to return
+        if (this.calibration || this.cameraPanelOpen || (this.gameState === 'paused' && this.input.mode === INPUT_MODES.CV)) this.processCV();
+        if (this.cameraPanelOpen) this.drawCameraPreview();
+        this.stats.frame(timestamp);
+        if (this.showAnalytics) this.drawAnalyticsHUD();
+        this.handleRuleEvents(); // Level banners / game over (also from shots between frames)
         this.draw();           // Draw final results
-        requestAnimationFrame(() => this.gameLoop()); // Schedule next frame
+        requestAnimationFrame((t) => this.gameLoop(t)); // Schedule next frame
     }
 }
 
@@ -0,0 +1,19 @@
+/**
+ * ============================================================================
+ * EVENT LOG - Example add-on: every game event in the browser console
+ * ============================================================================
+ * Load it with ?plugins=plugins/event-log.js. A starting point for your own
+ * add-ons: export a { name, setup({ bus, rules, game }) } object as default.
+ * ============================================================================
+ */
+
+export default {
+    name: 'event-log',
+    setup({ bus, rules }) {
+        bus.on('*', (event) => {
+            if (event.type === 'duckSpawned') return; // One per duck - too chatty
+            const seconds = (rules.sim.clock / 1000).toFixed(2);
+            console.log(`[${seconds}s] ${event.type}`, event);
+        });
+    }
+};
@@ -0,0 +1,180 @@
+/**
+ * ============================================================================
+ * KEY SPRITE SHEET - Bake a legacy green-screen sheet into real alpha
+ * ============================================================================
+ * Usage: node scripts/key-sprite-sheet.mjs <atlas.json> [--tolerance N] [--dry-run]
+ *
+ * 1. Reads the atlas and the "chromaKey" it declares (src/sprites.js).
+ * 2. Clears key-coloured pixels joined to the background (keyBackground()),
+ *    so green inside the sprite is kept, and writes the PNG back with alpha.
+ * 3. Drops "chromaKey" from the atlas, so the game loads the sheet as is.
+ *
+ * --tolerance overrides the atlas's RGB distance; --dry-run only reports
+ * how many pixels would be cleared.
+ * Handles 8-bit, non-interlaced RGB / RGBA PNGs (what image editors export).
+ * ============================================================================
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+import { deflateSync, inflateSync } from 'node:zlib';
+
+import { parseAtlas, keyBackground } from '../src/sprites.js';
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const CHANNELS = { 2: 3, 6: 4 }; // PNG colour type -> channels (RGB, RGBA)
+
+/**
+ * DECODE: PNG bytes -> { width, height, data } with RGBA pixels
+ */
+function decodePng(bytes) {
+    if (!bytes.subarray(0, 8).equals(SIGNATURE)) throw new Error('Not a PNG file');
+
+    let header = null;
+    const idat = [];
+    for (let offset = 8; offset < bytes.length;) {
+        const length = bytes.readUInt32BE(offset);
+        const type = bytes.toString('latin1', offset + 4, offset + 8);
+        const body = bytes.subarray(offset + 8, offset + 8 + length);
+        if (type === 'IHDR') {
+            header = {
+                width: body.readUInt32BE(0),
+                height: body.readUInt32BE(4),
+                bitDepth: body[8],
+                colorType: body[9],
+                interlace: body[12]
+            };
+        } else if (type === 'IDAT') {
+            idat.push(body);
+        } else if (type === 'IEND') {
+            break;
+        }
+        offset += length + 12;
+    }
+
+    const channels = header && CHANNELS[header.colorType];
+    if (!channels || header.bitDepth !== 8 || header.interlace !== 0) {
+        throw new Error('Only 8-bit, non-interlaced RGB or RGBA PNGs are supported');
+    }
+
+    const { width, height } = header;
+    const raw = inflateSync(Buffer.concat(idat));
+    const stride = width * channels;
+    const rows = Buffer.alloc(stride * height);
+    for (let y = 0; y < height; y++) {
+        const filter = raw[y * (stride + 1)];
+        const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+        unfilter(filter, line, rows, y * stride, stride, channels);
+    }
+
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0, j = 0; i < data.length; i += 4, j += channels) {
+        data[i] = rows[j];
+        data[i + 1] = rows[j + 1];
+        data[i + 2] = rows[j + 2];
+        data[i + 3] = channels === 4 ? rows[j + 3] : 255;
+    }
+    return { width, height, data };
+}
+
+// Undo one scanline's filter into `out` (previous row already decoded there)
+function unfilter(filter, line, out, start, stride, bpp) {
+    for (let x = 0; x < stride; x++) {
+        const left = x >= bpp ? out[start + x - bpp] : 0;
+        const up = start > 0 ? out[start - stride + x] : 0;
+        const upLeft = start > 0 && x >= bpp ? out[start - stride + x - bpp] : 0;
+        let predictor = 0;
+        if (filter === 1) predictor = left;
+        else if (filter === 2) predictor = up;
+        else if (filter === 3) predictor = (left + up) >> 1;
+        else if (filter === 4) predictor = paeth(left, up, upLeft);
+        else if (filter !== 0) throw new Error(`Bad PNG filter type ${filter}`);
+        out[start + x] = (line[x] + predictor) & 0xff;
+    }
+}
+
+function paeth(a, b, c) {
+    const p = a + b - c;
+    const pa = Math.abs(p - a);
+    const pb = Math.abs(p - b);
+    const pc = Math.abs(p - c);
+    if (pa <= pb && pa <= pc) return a;
+    return pb <= pc ? b : c;
+}
+
+/**
+ * ENCODE: RGBA pixels -> PNG bytes (no filtering, zlib does the work)
+ */
+function encodePng({ width, height, data }) {
+    const stride = width * 4;
+    const raw = Buffer.alloc((stride + 1) * height);
+    for (let y = 0; y < height; y++) {
+        raw[y * (stride + 1)] = 0;
+        Buffer.from(data.buffer, data.byteOffset + y * stride, stride).copy(raw, y * (stride + 1) + 1);
+    }
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8;  // Bit depth
+    header[9] = 6;  // RGBA
+    return Buffer.concat([
+        SIGNATURE,
+        chunk('IHDR', header),
+        chunk('IDAT', deflateSync(raw, { level: 9 })),
+        chunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+function chunk(type, body) {
+    const out = Buffer.alloc(body.length + 12);
+    out.writeUInt32BE(body.length, 0);
+    out.write(type, 4, 'latin1');
+    body.copy(out, 8);
+    out.writeUInt32BE(crc32(out.subarray(4, 8 + body.length)), 8 + body.length);
+    return out;
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (const byte of bytes) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const atlasPath = args.find(arg => arg.endsWith('.json'));
+    if (!atlasPath) throw new Error('Usage: node scripts/key-sprite-sheet.mjs <atlas.json> [--tolerance N] [--dry-run]');
+
+    const text = await readFile(atlasPath, 'utf8');
+    const atlas = parseAtlas(JSON.parse(text));
+    if (!atlas.chromaKey) {
+        console.log(`${atlasPath} has no "chromaKey": its sheet already has real alpha.`);
+        return;
+    }
+
+    const flag = args.indexOf('--tolerance');
+    const tolerance = flag >= 0 ? Number(args[flag + 1]) : atlas.chromaKey.tolerance ?? 110;
+    if (!(tolerance > 0)) throw new Error('--tolerance needs a positive RGB distance');
+
+    const imagePath = join(dirname(atlasPath), atlas.image);
+    const image = decodePng(await readFile(imagePath));
+    const cleared = keyBackground(image.data, image.width, image.height, atlas.chromaKey.color, tolerance);
+    console.log(`${imagePath}: ${cleared} of ${image.width * image.height} pixels keyed out (tolerance ${tolerance})`);
+    if (args.includes('--dry-run')) return;
+
+    await writeFile(imagePath, encodePng(image));
+    await writeFile(atlasPath, text.replace(/^[ \t]*"chromaKey":.*\r?\n/m, ''));
+    console.log(`Wrote ${imagePath} with real alpha and removed "chromaKey" from ${atlasPath}`);
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,76 @@
+/**
+ * ============================================================================
+ * VENDOR ASSETS - Download MediaPipe + fonts into vendor/ (npm run vendor)
+ * ============================================================================
+ * Fills vendor/ with the layout src/asset-paths.js expects:
+ *    vendor/mediapipe/vision_bundle.js      MediaPipe Tasks Vision (ES module)
+ *    vendor/mediapipe/wasm/*                WASM runtime (SIMD + fallback)
+ *    vendor/mediapipe/hand_landmarker.task  Hand model
+ *    vendor/fonts/fonts.css + *.woff2       Press Start 2P and Outfit
+ *    vendor/manifest.json                   Every file above (precached by sw.js)
+ *
+ * Run it once with a network, then serve (or commit) vendor/ with the game.
+ * ============================================================================
+ */
+
+import { mkdir, writeFile } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { CDN_PATHS, VENDOR_LAYOUT, WASM_FILES } from '../src/asset-paths.js';
+
+const VENDOR_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', 'vendor');
+
+// Google Fonts only serves woff2 to browsers it recognises
+const BROWSER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36';
+
+const written = [];
+
+/**
+ * DOWNLOAD: Fetch a URL, failing loudly on anything but 200
+ */
+async function download(url, headers = {}) {
+    const response = await fetch(url, { headers });
+    if (!response.ok) throw new Error(`${url} -> ${response.status} ${response.statusText}`);
+    return Buffer.from(await response.arrayBuffer());
+}
+
+async function save(path, data) {
+    const file = join(VENDOR_DIR, path);
+    await mkdir(dirname(file), { recursive: true });
+    await writeFile(file, data);
+    written.push(`vendor/${path}`);
+    console.log(`  ${path} (${Math.round(data.length / 1024)} KB)`);
+}
+
+/**
+ * FONTS: The stylesheet with its font files downloaded and linked locally
+ */
+async function vendorFonts() {
+    let css = (await download(CDN_PATHS.fonts, { 'User-Agent': BROWSER_AGENT })).toString('utf8');
+    const fontDir = dirname(VENDOR_LAYOUT.fonts);
+    const urls = [...new Set(css.match(/https:\/\/fonts\.gstatic\.com\/[^)\s]+/g) || [])];
+    for (const [i, url] of urls.entries()) {
+        const name = `font-${i}${url.slice(url.lastIndexOf('.'))}`;
+        await save(`${fontDir}/${name}`, await download(url));
+        css = css.split(url).join(name);
+    }
+    await save(VENDOR_LAYOUT.fonts, Buffer.from(css));
+}
+
+async function main() {
+    console.log(`Vendoring into ${VENDOR_DIR}`);
+    await save(VENDOR_LAYOUT.visionModule, await download(CDN_PATHS.visionModule));
+    for (const file of WASM_FILES) {
+        await save(`${VENDOR_LAYOUT.wasm}/${file}`, await download(`${CDN_PATHS.wasm}/${file}`));
+    }
+    await save(VENDOR_LAYOUT.model, await download(CDN_PATHS.model));
+    await vendorFonts();
+    await writeFile(join(VENDOR_DIR, 'manifest.json'), JSON.stringify(written, null, 2) + '\n');
+    console.log(`Done: ${written.length} files (listed in vendor/manifest.json)`);
+}
+
+main().catch(err => {
+    console.error('Vendoring failed:', err.message);
+    process.exitCode = 1;
+});
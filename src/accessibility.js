@@ -0,0 +1,196 @@
+/**
+ * ============================================================================
+ * ACCESSIBILITY - Aim assist, easier ducks, dwell fire, safe colours, speech
+ * ============================================================================
+ * 1. SETTINGS:
+ *    - Picked on the menu's ACCESSIBILITY panel and saved to localStorage,
+ *      like the camera (src/camera.js) and effects (src/effects.js) settings.
+ *
+ * 2. EASIER PLAY:
+ *    - AIM ASSIST pulls a shot towards the nearest flying duck within reach
+ *      (decoys never attract it). Any input: hand, mouse, keys, pad.
+ *    - HITBOX scales the shot radius (GameRules.hitboxScale), GAME SPEED the
+ *      ducks' flight and lifetime clock (Simulation.speedScale) - the level
+ *      clock is untouched, so a slower game just gives more time per duck.
+ *    - DWELL FIRE shoots when the crosshair is held still, with either input
+ *      (the hand's dwell trigger, or hovering the mouse / finger), so the
+ *      game can be played with one hand and no clicking or pinching.
+ *
+ * 3. HIGH CONTRAST:
+ *    - A colour-blind-safe palette: the life-bar runs blue -> orange (not
+ *      green -> red) and is thicker with third marks, and the HUD gets solid
+ *      panels with shape cues for strikes and spent shells.
+ *
+ * 4. ANNOUNCEMENTS (Announcer):
+ *    - Score, level and strike changes read out through an ARIA live region.
+ *      Score is announced at most every few seconds so it never drowns the
+ *      rest out; levels, strikes and game over are announced at once.
+ *    - Sentences come from the string catalogue (src/i18n.js), so they are
+ *      read in the language picked on the menu.
+ * ============================================================================
+ */
+
+import { DUCK_TYPES } from './species.js';
+import { Translator } from './i18n.js';
+
+export const ACCESSIBILITY_STORAGE_KEY = 'duckhunt.accessibility';
+
+export const DEFAULT_ACCESSIBILITY_SETTINGS = {
+    aimAssist: 'off',       // Key of AIM_ASSIST
+    hitboxScale: 1,         // Shot radius multiplier (HITBOX_SCALES)
+    gameSpeed: 1,           // Duck flight + lifetime rate (GAME_SPEEDS)
+    dwellFire: false,       // Shoot by holding the crosshair still (any input)
+    dwellMs: 800,           // How long to hold still (DWELL_TIMES)
+    palette: 'standard',    // Key of PALETTES
+    announce: true          // Screen reader announcements (score, level, strikes)
+};
+
+// strength: share of the way to the duck a shot is pulled (1 = onto it)
+// reach: how far away a duck attracts the shot, in hit radii
+export const AIM_ASSIST = {
+    off: null,
+    gentle: { strength: 0.5, reach: 2 },
+    strong: { strength: 1, reach: 3 }
+};
+
+export const HITBOX_SCALES = [1, 1.25, 1.5, 2];
+export const GAME_SPEEDS = [1, 0.75, 0.5];
+export const DWELL_TIMES = [500, 800, 1200, 1600];
+
+// Life-bar colours from full to empty, as [r, g, b]
+export const PALETTES = {
+    standard: { lifeFull: [0, 255, 0], lifeEmpty: [255, 0, 0], barHeight: 3, marks: false },
+    'high-contrast': { lifeFull: [0, 114, 178], lifeEmpty: [230, 159, 0], barHeight: 5, marks: true }
+};
+
+export const SCORE_ANNOUNCE_MS = 3000;  // Quietest gap between two score announcements
+
+/**
+ * LIFE-BAR COLOUR: The fill for `remaining` (0..1) in a palette
+ */
+export function lifeBarColor(remaining, palette = PALETTES.standard) {
+    const t = Math.max(0, Math.min(1, remaining));
+    const [r, g, b] = palette.lifeFull.map((full, i) => Math.floor(palette.lifeEmpty[i] + (full - palette.lifeEmpty[i]) * t));
+    return `rgb(${r},${g},${b})`;
+}
+
+/**
+ * ASSIST AIM: Where a shot at `point` goes with aim assist - pulled towards
+ * the nearest flying duck worth shooting within reach (else unchanged)
+ */
+export function assistAim(point, ducks, assist, hitRadius) {
+    if (!assist) return { x: point.x, y: point.y };
+    const reach = assist.reach * hitRadius;
+    let nearest = null;
+    let best = reach;
+    ducks.forEach(duck => {
+        if (duck.status !== 'flying' || !DUCK_TYPES[duck.type].countsAsKill) return;
+        const d = Math.hypot(duck.x - point.x, duck.y - point.y);
+        if (d <= best) {
+            best = d;
+            nearest = duck;
+        }
+    });
+    if (!nearest) return { x: point.x, y: point.y };
+    return {
+        x: point.x + (nearest.x - point.x) * assist.strength,
+        y: point.y + (nearest.y - point.y) * assist.strength
+    };
+}
+
+/**
+ * SCORE TEXT: The score(s) as read out ("Score 1,500", or per player)
+ */
+export function scoreText(rules, i18n = new Translator()) {
+    if (rules.players.length === 1) return i18n.t('announce.score', { score: i18n.number(rules.score) });
+    return rules.players
+        .map(p => i18n.t('announce.playerScore', { player: p.index + 1, score: i18n.number(p.score) }))
+        .join(', ');
+}
+
+/**
+ * ANNOUNCER: Rule events -> short sentences for an ARIA live region, in the
+ * translator's language
+ */
+export class Announcer {
+    constructor({ scoreEvery = SCORE_ANNOUNCE_MS, i18n = new Translator() } = {}) {
+        this.scoreEvery = scoreEvery;
+        this.i18n = i18n;
+        this.reset();
+    }
+
+    reset() {
+        this.lastScoreAt = -Infinity;   // When the score was last read out
+        this.scorePending = false;      // Points scored since then
+    }
+
+    /**
+     * HANDLE: One bus event at `now` - the sentence to announce, or null
+     */
+    handle(event, rules, now) {
+        const t = (key, params) => this.i18n.t(key, params);
+        const maxStrikes = rules.mode.maxStrikes;
+        switch (event.type) {
+            case 'points':
+                this.scorePending = true;
+                return this.flush(rules, now);
+            case 'levelUp':
+                // A level up reads the score along with it (it is up to date anyway)
+                this.scorePending = false;
+                this.lastScoreAt = now;
+                return t('announce.level', { round: rules.round, scores: scoreText(rules, this.i18n) });
+            case 'strike':
+                return maxStrikes === null ? null : t('announce.strike', { strikes: event.strikes, max: maxStrikes });
+            case 'powerUp':
+                // Heal takes a strike back
+                return event.kind === 'heal' && maxStrikes !== null ? t('announce.strikes', { strikes: rules.strikes, max: maxStrikes }) : null;
+            case 'gameOver':
+                this.scorePending = false;
+                return rules.players.length === 1
+                    ? t('announce.gameOver', { score: this.i18n.number(rules.score) })
+                    : t('announce.gameOverScores', { scores: scoreText(rules, this.i18n) });
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * FLUSH: The held-back score once it may be read again (call every frame)
+     */
+    flush(rules, now) {
+        if (!this.scorePending || now - this.lastScoreAt < this.scoreEvery) return null;
+        this.scorePending = false;
+        this.lastScoreAt = now;
+        return this.i18n.t('announce.scores', { scores: scoreText(rules, this.i18n) });
+    }
+}
+
+/**
+ * STORAGE: Saved settings merged over the defaults (bad values are ignored)
+ */
+export function loadAccessibilitySettings(storage = globalThis.localStorage) {
+    try {
+        const saved = JSON.parse(storage.getItem(ACCESSIBILITY_STORAGE_KEY));
+        if (saved && typeof saved === 'object') {
+            const settings = { ...DEFAULT_ACCESSIBILITY_SETTINGS, ...saved };
+            const valid = {
+                aimAssist: settings.aimAssist in AIM_ASSIST,
+                hitboxScale: HITBOX_SCALES.includes(settings.hitboxScale),
+                gameSpeed: GAME_SPEEDS.includes(settings.gameSpeed),
+                dwellMs: DWELL_TIMES.includes(settings.dwellMs),
+                palette: settings.palette in PALETTES
+            };
+            Object.entries(valid).forEach(([key, ok]) => {
+                if (!ok) settings[key] = DEFAULT_ACCESSIBILITY_SETTINGS[key];
+            });
+            return settings;
+        }
+    } catch (err) {
+        console.warn("Ignoring saved accessibility settings", err);
+    }
+    return { ...DEFAULT_ACCESSIBILITY_SETTINGS };
+}
+
+export function saveAccessibilitySettings(settings, storage = globalThis.localStorage) {
+    storage.setItem(ACCESSIBILITY_STORAGE_KEY, JSON.stringify(settings));
+}
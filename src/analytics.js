@@ -0,0 +1,431 @@
+/**
+ * ============================================================================
+ * ANALYTICS - Aim and gesture diagnostics for "it shot where I wasn't aiming"
+ * ============================================================================
+ * 1. SESSION STATS (SessionStats):
+ *    - Every hand detection during a run keeps what processCV() used to
+ *      throw away: the raw mapped aim, the smoothed aim, the trigger value
+ *      against its threshold, the model's detection time and the latency
+ *      from camera frame to game. Every shot keeps where it landed and where
+ *      the ducks were at that moment (any input mode).
+ *    - Recorded whether or not the debug HUD is showing, so it can be turned
+ *      on after the fact; cleared when a run starts. Exported as one CSV
+ *      (toCSV()) with a `kind` column: 'detection' or 'shot' rows.
+ *
+ * 2. DEBUG HUD (drawAnalytics):
+ *    - Live graphs of the trigger value vs threshold, detection time /
+ *      latency and FPS, plus a trail of raw vs smoothed aim over the world.
+ *      Toggled with the ` key, DEBUG HUD on the menu or ?analytics.
+ *    - Labels are "debug.*" in the string catalogue (src/i18n.js).
+ *
+ * 3. HEATMAP (drawHeatmap):
+ *    - After a run: where shots landed (binned into world cells), hits vs
+ *      misses, and a line from each miss to the nearest duck.
+ *
+ * Positions are world pixels (src/world.js), times ms since the run began.
+ * ============================================================================
+ */
+
+import { WORLD } from './world.js';
+import { Translator } from './i18n.js';
+
+export const GRAPH_SAMPLES = 150;       // Detections shown by the live graphs (~5s at 30/s)
+export const FPS_WINDOW = 120;          // Frames averaged for the FPS readout
+export const MAX_SAMPLES = 36000;       // Detections kept per run (20 min at 30/s)
+export const MAX_SHOTS = 5000;
+export const HEATMAP_CELL = 16;         // Heatmap cell size (world pixels)
+
+export const CSV_COLUMNS = [
+    'kind', 'time_ms', 'player',
+    'raw_x', 'raw_y', 'aim_x', 'aim_y',
+    'trigger_value', 'threshold', 'release', 'fired',
+    'detect_ms', 'latency_ms', 'fps',
+    'hit', 'duck_x', 'duck_y', 'duck_distance'
+];
+
+const round1 = (v) => Math.round(v * 10) / 10;
+const round4 = (v) => Math.round(v * 10000) / 10000;
+const orNull = (v, round) => (v === null || v === undefined || !Number.isFinite(v) ? null : round(v));
+const average = (values) => (values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null);
+
+/**
+ * CSV FIELD: One value, quoted when it needs to be (null -> empty)
+ */
+export function csvField(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'boolean') return value ? '1' : '0';
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * HEATMAP GRID: Count points per `cell`-sized square of a width x height area
+ * (counts is row-major; points outside the area are left out)
+ */
+export function heatmapGrid(points, width = WORLD.width, height = WORLD.height, cell = HEATMAP_CELL) {
+    const cols = Math.ceil(width / cell);
+    const rows = Math.ceil(height / cell);
+    const counts = new Array(cols * rows).fill(0);
+    points.forEach(({ x, y }) => {
+        if (x < 0 || y < 0 || x >= width || y >= height) return;
+        counts[Math.floor(y / cell) * cols + Math.floor(x / cell)]++;
+    });
+    return { cols, rows, cell, counts, max: Math.max(0, ...counts) };
+}
+
+export class SessionStats {
+    constructor({ maxSamples = MAX_SAMPLES, maxShots = MAX_SHOTS } = {}) {
+        this.maxSamples = maxSamples;
+        this.maxShots = maxShots;
+        this.frameTimes = [];           // Recent frame lengths (ms) for the FPS readout
+        this.lastFrame = null;
+        this.reset();
+    }
+
+    /**
+     * RESET: A new run starts at `startTime` (performance.now() clock)
+     */
+    reset(startTime = 0) {
+        this.startTime = startTime;
+        this.samples = [];              // Detections (see detection())
+        this.shots = [];                // Shots (see shot())
+        this.dropped = 0;               // Oldest detections dropped past maxSamples
+    }
+
+    get hasData() {
+        return this.samples.length > 0 || this.shots.length > 0;
+    }
+
+    /**
+     * FRAME: One rendered frame at `timestamp` - feeds the FPS readout
+     */
+    frame(timestamp) {
+        if (this.lastFrame !== null) {
+            const length = timestamp - this.lastFrame;
+            // A background tab stalls the loop: that gap is not a slow frame
+            if (length > 0 && length < 1000) {
+                this.frameTimes.push(length);
+                if (this.frameTimes.length > FPS_WINDOW) this.frameTimes.shift();
+            }
+        }
+        this.lastFrame = timestamp;
+    }
+
+    get fps() {
+        const total = this.frameTimes.reduce((sum, ms) => sum + ms, 0);
+        return total > 0 ? this.frameTimes.length * 1000 / total : 0;
+    }
+
+    /**
+     * DETECTION: What one player's hand did on one detection.
+     * { time, playerIndex, raw, aim, value, threshold, release, fired, detectMs, latencyMs }
+     * raw / aim are world points, value / threshold / release the trigger's
+     * openness and on / off levels (null for dwell), detectMs the model's own
+     * time (null for replays), latencyMs camera frame -> game.
+     */
+    detection({ time, playerIndex = 0, raw, aim, value = null, threshold = null, release = null, fired = false, detectMs = null, latencyMs = null }) {
+        this.samples.push({
+            t: round1(time - this.startTime),
+            playerIndex,
+            rawX: round1(raw.x),
+            rawY: round1(raw.y),
+            aimX: round1(aim.x),
+            aimY: round1(aim.y),
+            value: orNull(value, round4),
+            threshold: orNull(threshold, round4),
+            release: orNull(release, round4),
+            fired,
+            detectMs: orNull(detectMs, round1),
+            latencyMs: orNull(latencyMs, round1),
+            fps: round1(this.fps)
+        });
+        // Drop the oldest in chunks rather than shifting every detection
+        if (this.samples.length > this.maxSamples * 1.1) {
+            const extra = this.samples.length - this.maxSamples;
+            this.samples.splice(0, extra);
+            this.dropped += extra;
+        }
+    }
+
+    /**
+     * SHOT: A fired shell at (x, y) and the flying ducks at that moment
+     * ({ x, y } each) - keeps the nearest one for the miss distance
+     */
+    shot({ time, playerIndex = 0, x, y, hit, ducks = [] }) {
+        if (this.shots.length >= this.maxShots) return;
+        let nearest = null;
+        let distance = Infinity;
+        ducks.forEach(duck => {
+            const d = Math.hypot(duck.x - x, duck.y - y);
+            if (d < distance) {
+                distance = d;
+                nearest = duck;
+            }
+        });
+        this.shots.push({
+            t: round1(time - this.startTime),
+            playerIndex,
+            x: round1(x),
+            y: round1(y),
+            hit,
+            ducks: ducks.map(duck => ({ x: round1(duck.x), y: round1(duck.y) })),
+            duckX: nearest ? round1(nearest.x) : null,
+            duckY: nearest ? round1(nearest.y) : null,
+            distance: nearest ? round1(distance) : null
+        });
+    }
+
+    /**
+     * RECENT: The last `count` detections of one player (oldest first)
+     */
+    recent(playerIndex = 0, count = GRAPH_SAMPLES) {
+        const recent = [];
+        for (let i = this.samples.length - 1; i >= 0 && recent.length < count; i--) {
+            if (this.samples[i].playerIndex === playerIndex) recent.push(this.samples[i]);
+        }
+        return recent.reverse();
+    }
+
+    /**
+     * SUMMARY: Averages for the HUD header and the game-over screen
+     */
+    summary() {
+        const misses = this.shots.filter(shot => !shot.hit);
+        const known = (key) => this.samples.map(s => s[key]).filter(v => v !== null);
+        return {
+            detections: this.samples.length + this.dropped,
+            shots: this.shots.length,
+            hits: this.shots.length - misses.length,
+            avgDetectMs: average(known('detectMs')),
+            avgLatencyMs: average(known('latencyMs')),
+            avgMissDistance: average(misses.map(shot => shot.distance).filter(v => v !== null))
+        };
+    }
+
+    /**
+     * CSV: Detections and shots of the run, in time order
+     */
+    toCSV() {
+        const rows = [
+            ...this.samples.map(s => ({
+                t: s.t,
+                cells: ['detection', s.t, s.playerIndex + 1, s.rawX, s.rawY, s.aimX, s.aimY,
+                    s.value, s.threshold, s.release, s.fired, s.detectMs, s.latencyMs, s.fps, null, null, null, null]
+            })),
+            ...this.shots.map(s => ({
+                t: s.t,
+                cells: ['shot', s.t, s.playerIndex + 1, null, null, s.x, s.y,
+                    null, null, null, true, null, null, null, s.hit, s.duckX, s.duckY, s.distance]
+            }))
+        ].sort((a, b) => a.t - b.t); // Stable: a shot stays after the detection that fired it
+        return [CSV_COLUMNS, ...rows.map(row => row.cells)]
+            .map(cells => cells.map(csvField).join(','))
+            .join('\n') + '\n';
+    }
+
+    /**
+     * DOWNLOAD: Save the CSV via a temporary link (browser only)
+     */
+    download(filename = `duckhunt-stats-${Date.now()}.csv`) {
+        const blob = new Blob([this.toCSV()], { type: 'text/csv' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+}
+
+// ============================================================================
+// DRAWING (canvas only - no DOM lookups)
+// ============================================================================
+
+export const ANALYTICS_SIZE = { width: 240, height: 330 }; // Debug HUD canvas (CSS pixels)
+
+const PANEL = { pad: 8, line: 12, graph: 48, gap: 18 };
+const HUD_FONT = '10px monospace';
+
+/**
+ * GRAPH: Lines for `series` ([{ values, color, dashed }]) in a box scaled
+ * from 0 to `max` (null values leave a gap)
+ */
+function drawGraph(ctx, box, series, max) {
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.06)';
+    ctx.fillRect(box.x, box.y, box.w, box.h);
+    const top = Math.max(max, 1e-6);
+    series.forEach(({ values, color, dashed }) => {
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1;
+        ctx.setLineDash(dashed ? [3, 3] : []);
+        ctx.beginPath();
+        let drawing = false;
+        values.forEach((value, i) => {
+            if (value === null) {
+                drawing = false;
+                return;
+            }
+            const x = box.x + i / (GRAPH_SAMPLES - 1) * box.w;
+            const y = box.y + box.h - Math.min(1, value / top) * box.h;
+            if (drawing) ctx.lineTo(x, y);
+            else ctx.moveTo(x, y);
+            drawing = true;
+        });
+        ctx.stroke();
+    });
+    ctx.setLineDash([]);
+}
+
+function label(ctx, text, x, y, color = '#ffffff') {
+    ctx.fillStyle = color;
+    ctx.fillText(text, x, y);
+}
+
+// A reading with a fixed number of decimals in the language's style ('--' if none)
+const fixed = (i18n, v, digits = 0) => (v === null || v === undefined
+    ? '--'
+    : i18n.number(v, { minimumFractionDigits: digits, maximumFractionDigits: digits }));
+
+/**
+ * DRAW ANALYTICS: The debug HUD on its own canvas (`width` x `height` CSS
+ * pixels, already scaled for the display). `colors` per player,
+ * `trigger` the name of the trigger gesture being graphed, `i18n` the
+ * labels' translator; the aim trail takes whatever height is left at the bottom.
+ */
+export function drawAnalytics(ctx, stats, { width, height, colors, trigger, players = 1, i18n = new Translator() }) {
+    const { pad, line, graph, gap } = PANEL;
+    const inner = width - pad * 2;
+    const series = [...Array(players).keys()].map(index => stats.recent(index));
+    const latest = stats.samples[stats.samples.length - 1] || null;
+
+    ctx.clearRect(0, 0, width, height);
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+    ctx.fillRect(0, 0, width, height);
+    ctx.font = HUD_FONT;
+    ctx.textBaseline = 'top';
+
+    // HEADER: FPS + the latest detection timings
+    let y = pad;
+    label(ctx, i18n.t('debug.header', {
+        fps: fixed(i18n, stats.fps),
+        detect: fixed(i18n, latest && latest.detectMs, 1),
+        latency: fixed(i18n, latest && latest.latencyMs)
+    }), pad, y);
+    y += line + 4;
+
+    // 1. TRIGGER VALUE vs THRESHOLD (fires below the solid line, re-arms above the dashed one)
+    const first = series.flat().find(s => s.threshold !== null);
+    label(ctx, first
+        ? i18n.t('debug.trigger', { trigger, value: fixed(i18n, latest && latest.value, 3), threshold: fixed(i18n, first.threshold, 3) })
+        : i18n.t('debug.noTrigger', { trigger }), pad, y, '#ffcc33');
+    y += line;
+    const valueMax = Math.max(0, ...series.flat().map(s => Math.max(s.value ?? 0, (s.release ?? 0) * 1.3)));
+    const triggerLines = series.flatMap((samples, index) => [
+        { values: samples.map(s => s.value), color: colors[index] },
+        { values: samples.map(s => s.threshold), color: '#ffffff' },
+        { values: samples.map(s => s.release), color: '#888888', dashed: true }
+    ]);
+    drawGraph(ctx, { x: pad, y, w: inner, h: graph }, triggerLines, valueMax);
+    // Shots fired, as ticks under the graph
+    series.forEach((samples, index) => samples.forEach((s, i) => {
+        if (!s.fired) return;
+        ctx.fillStyle = colors[index];
+        ctx.fillRect(pad + i / (GRAPH_SAMPLES - 1) * inner - 1, y + graph - 4, 2, 4);
+    }));
+    y += graph + gap - line;
+
+    // 2. DETECTION TIME (solid) + CAMERA -> GAME LATENCY (dashed), ms
+    label(ctx, i18n.t('debug.timings'), pad, y, '#33ccff');
+    y += line;
+    const player = series[0];
+    const timeMax = Math.max(50, ...player.map(s => Math.max(s.detectMs ?? 0, s.latencyMs ?? 0)));
+    drawGraph(ctx, { x: pad, y, w: inner, h: graph }, [
+        { values: player.map(s => s.detectMs), color: '#33ccff' },
+        { values: player.map(s => s.latencyMs), color: '#33ccff', dashed: true }
+    ], timeMax);
+    label(ctx, `${Math.round(timeMax)}`, width - pad - 18, y + 1, '#888888');
+    y += graph + gap - line;
+
+    // 3. FPS (what the game drew at when each detection arrived)
+    label(ctx, i18n.t('debug.fps'), pad, y, '#33ff66');
+    y += line;
+    drawGraph(ctx, { x: pad, y, w: inner, h: graph / 2 }, [
+        { values: player.map(s => s.fps), color: '#33ff66' },
+        { values: player.map(() => 60), color: '#888888', dashed: true }
+    ], 75);
+    y += graph / 2 + gap - line;
+
+    // 4. AIM TRAIL: raw mapped aim (dots) vs smoothed aim (line) over the world
+    label(ctx, i18n.t('debug.aim'), pad, y);
+    y += line;
+    const scale = (height - y - pad) / WORLD.height;
+    const box = { x: pad, y, w: inner, h: WORLD.height * scale };
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+    ctx.strokeRect(box.x, box.y, box.w, box.h);
+    series.forEach((samples, index) => {
+        const trail = samples.slice(-45);
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+        trail.forEach(s => ctx.fillRect(box.x + s.rawX * scale - 1, box.y + s.rawY * scale - 1, 2, 2));
+        ctx.strokeStyle = colors[index];
+        ctx.beginPath();
+        trail.forEach((s, i) => {
+            const px = box.x + s.aimX * scale;
+            const py = box.y + s.aimY * scale;
+            if (i === 0) ctx.moveTo(px, py);
+            else ctx.lineTo(px, py);
+        });
+        ctx.stroke();
+    });
+}
+
+/**
+ * DRAW HEATMAP: The run's shots over the world (the caller scales the
+ * context to world pixels). Red cells = many shots; green + = hit,
+ * red x = miss with a line to the nearest duck (yellow) at that moment.
+ */
+export function drawHeatmap(ctx, stats) {
+    const grid = heatmapGrid(stats.shots);
+    ctx.fillStyle = '#101018';
+    ctx.fillRect(0, 0, WORLD.width, WORLD.height);
+
+    // Shot density
+    grid.counts.forEach((count, i) => {
+        if (count === 0) return;
+        ctx.fillStyle = `rgba(255, 62, 109, ${0.15 + 0.6 * count / grid.max})`;
+        ctx.fillRect((i % grid.cols) * grid.cell, Math.floor(i / grid.cols) * grid.cell, grid.cell, grid.cell);
+    });
+
+    // Ducks at the moment of each shot
+    ctx.fillStyle = 'rgba(255, 204, 51, 0.5)';
+    stats.shots.forEach(shot => shot.ducks.forEach(duck => {
+        ctx.beginPath();
+        ctx.arc(duck.x, duck.y, 2, 0, Math.PI * 2);
+        ctx.fill();
+    }));
+
+    // Each shot; a miss points at the duck it was closest to
+    ctx.lineWidth = 1;
+    stats.shots.forEach(shot => {
+        if (!shot.hit && shot.duckX !== null) {
+            ctx.strokeStyle = 'rgba(255, 204, 51, 0.7)';
+            ctx.beginPath();
+            ctx.moveTo(shot.x, shot.y);
+            ctx.lineTo(shot.duckX, shot.duckY);
+            ctx.stroke();
+        }
+        ctx.strokeStyle = shot.hit ? '#33ff66' : '#ff3333';
+        ctx.beginPath();
+        if (shot.hit) {
+            ctx.moveTo(shot.x - 3, shot.y);
+            ctx.lineTo(shot.x + 3, shot.y);
+            ctx.moveTo(shot.x, shot.y - 3);
+            ctx.lineTo(shot.x, shot.y + 3);
+        } else {
+            ctx.moveTo(shot.x - 2, shot.y - 2);
+            ctx.lineTo(shot.x + 2, shot.y + 2);
+            ctx.moveTo(shot.x + 2, shot.y - 2);
+            ctx.lineTo(shot.x - 2, shot.y + 2);
+        }
+        ctx.stroke();
+    });
+}
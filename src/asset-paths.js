@@ -0,0 +1,78 @@
+/**
+ * ============================================================================
+ * ASSET PATHS - Where the third-party files (MediaPipe, fonts) come from
+ * ============================================================================
+ * 1. SOURCES (?assets= in the URL):
+ *    - local (default): vendor/ next to index.html, filled in by
+ *      `npm run vendor` (scripts/vendor-assets.mjs). Works offline, behind
+ *      a firewall and through a CDN outage.
+ *    - cdn: the public CDNs the game originally loaded from. Also the
+ *      default when vendor/ hasn't been filled in (no vendor/manifest.json),
+ *      so a fresh checkout or a plain static deploy still tracks hands.
+ *    - any other value: the base URL of a mirror with vendor/'s layout.
+ *
+ * 2. OFFLINE:
+ *    - The service worker (sw.js) precaches the app files in precache.json
+ *      plus everything the vendor script listed in vendor/manifest.json, so
+ *      the game starts without a network once it has been opened online.
+ * ============================================================================
+ */
+
+export const MEDIAPIPE_VERSION = '0.10.0';
+
+// The original online locations (also what the vendor script downloads)
+export const CDN_PATHS = {
+    visionModule: `https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@${MEDIAPIPE_VERSION}/vision_bundle.js`,
+    wasm: `https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@${MEDIAPIPE_VERSION}/wasm`,
+    model: 'https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task',
+    fonts: 'https://fonts.googleapis.com/css2?family=Press+Start+2P&family=Outfit:wght@300;400;700&display=swap'
+};
+
+// Where each one lives inside vendor/ (or a mirror)
+export const VENDOR_LAYOUT = {
+    visionModule: 'mediapipe/vision_bundle.js',
+    wasm: 'mediapipe/wasm',
+    model: 'mediapipe/hand_landmarker.task',
+    fonts: 'fonts/fonts.css'
+};
+
+// Written by the vendor script last, so its presence means vendor/ is complete
+export const VENDOR_MANIFEST = 'vendor/manifest.json';
+
+// Runtime files FilesetResolver picks from (SIMD or not, by browser support)
+export const WASM_FILES = [
+    'vision_wasm_internal.js',
+    'vision_wasm_internal.wasm',
+    'vision_wasm_nosimd_internal.js',
+    'vision_wasm_nosimd_internal.wasm'
+];
+
+/**
+ * ASSET SOURCE: The ?assets= setting of a page URL ('local' when unset)
+ */
+export function assetSource(search) {
+    return new URLSearchParams(search).get('assets') || 'local';
+}
+
+/**
+ * RESOLVE ASSET SOURCE: ?assets= when the URL sets it, otherwise 'local' if
+ * vendor/manifest.json is there and 'cdn' if it isn't
+ */
+export async function resolveAssetSource(search, pageUrl, fetchManifest = fetch) {
+    if (new URLSearchParams(search).has('assets')) return assetSource(search);
+    return fetchManifest(new URL(VENDOR_MANIFEST, pageUrl).href)
+        .then(response => (response.ok ? 'local' : 'cdn'))
+        .catch(() => 'cdn');
+}
+
+/**
+ * ASSET PATHS: Absolute URLs for a source, resolved against the page
+ * (absolute so the hand worker in src/ can use them as they are)
+ */
+export function assetPaths(source, pageUrl) {
+    if (source === 'cdn') return { ...CDN_PATHS };
+    const base = source === 'local' ? new URL('vendor/', pageUrl) : new URL(source.endsWith('/') ? source : `${source}/`, pageUrl);
+    const paths = {};
+    Object.entries(VENDOR_LAYOUT).forEach(([key, path]) => { paths[key] = new URL(path, base).href; });
+    return paths;
+}
@@ -0,0 +1,272 @@
+/**
+ * ============================================================================
+ * AUDIO ENGINE - Synthesized chiptune SFX + a sequenced music loop
+ * ============================================================================
+ * 1. NO FILES:
+ *    - Every sound is built from oscillators (square/triangle) and a white
+ *      noise buffer, so nothing has to be downloaded.
+ *
+ * 2. MIXER:
+ *    - sfx + music gains feed a master gain. The three volumes are set on
+ *      the menu and saved to localStorage.
+ *
+ * 3. AUTOPLAY:
+ *    - Browsers only allow audio after a user gesture. The AudioContext is
+ *      created in unlock(), called from the start button's click. Until then
+ *      every play() is a silent no-op.
+ *
+ * 4. MUSIC:
+ *    - A 16-step bass + lead pattern, scheduled slightly ahead of time on the
+ *      audio clock (a short setInterval only tops the schedule up).
+ * ============================================================================
+ */
+
+export const AUDIO_STORAGE_KEY = 'duckhunt.audio';
+
+export const DEFAULT_AUDIO_SETTINGS = {
+    master: 0.8,    // Everything
+    sfx: 0.8,       // Shots, hits, ducks, jingles
+    music: 0.4      // Background loop
+};
+
+/**
+ * SOUND EFFECTS: Each is a list of tone segments
+ *    wave: oscillator type, or 'noise'
+ *    freq -> to: pitch sweep in Hz (to is optional)
+ *    at / dur: start offset and length in seconds
+ *    vol: peak volume (decays to silence over dur)
+ */
+export const SFX = {
+    // Gunshot: noise crack + falling square "thump"
+    shot: [
+        { wave: 'noise', at: 0, dur: 0.15, vol: 0.5 },
+        { wave: 'square', freq: 880, to: 110, at: 0, dur: 0.09, vol: 0.25 }
+    ],
+    // Dry trigger click (gun is empty)
+    empty: [
+        { wave: 'square', freq: 1400, at: 0, dur: 0.025, vol: 0.15 },
+        { wave: 'square', freq: 700, at: 0.04, dur: 0.025, vol: 0.12 }
+    ],
+    // Duck hit: two bright rising blips
+    hit: [
+        { wave: 'square', freq: 660, to: 1320, at: 0, dur: 0.07, vol: 0.25 },
+        { wave: 'square', freq: 990, to: 1980, at: 0.07, dur: 0.09, vol: 0.22 }
+    ],
+    // Armoured duck hit: metallic clank
+    armor: [
+        { wave: 'square', freq: 1800, to: 1200, at: 0, dur: 0.05, vol: 0.2 },
+        { wave: 'triangle', freq: 240, at: 0, dur: 0.2, vol: 0.3 }
+    ],
+    // Decoy hit: sour falling buzz
+    decoy: [
+        { wave: 'square', freq: 220, to: 110, at: 0, dur: 0.3, vol: 0.25 }
+    ],
+    // Power-up pickup: quick rising sparkle
+    powerUp: [783.99, 987.77, 1174.66, 1567.98].map((freq, i) => (
+        { wave: 'triangle', freq, at: i * 0.05, dur: 0.08, vol: 0.25 }
+    )),
+    // Falling whistle
+    fall: [
+        { wave: 'triangle', freq: 1200, to: 180, at: 0, dur: 0.7, vol: 0.3 }
+    ],
+    // Escape: three quick rising "laugh" blips
+    escape: [
+        { wave: 'square', freq: 300, to: 500, at: 0, dur: 0.08, vol: 0.2 },
+        { wave: 'square', freq: 400, to: 650, at: 0.1, dur: 0.08, vol: 0.2 },
+        { wave: 'square', freq: 500, to: 900, at: 0.2, dur: 0.14, vol: 0.2 }
+    ],
+    // Level up: C major arpeggio
+    levelUp: [523.25, 659.25, 783.99, 1046.5].map((freq, i) => (
+        { wave: 'square', freq, at: i * 0.08, dur: i === 3 ? 0.3 : 0.09, vol: 0.22 }
+    )),
+    // Game over: slow descending triad + low drone
+    gameOver: [
+        ...[392, 329.63, 261.63].map((freq, i) => ({ wave: 'triangle', freq, at: i * 0.28, dur: 0.3, vol: 0.35 })),
+        { wave: 'square', freq: 130.81, to: 65.41, at: 0.84, dur: 0.8, vol: 0.18 }
+    ]
+};
+
+// Background loop: 16 eighth notes (MIDI numbers, null = rest)
+export const MUSIC = {
+    bpm: 150,
+    bass: [45, null, 45, 52, 45, null, 43, null, 41, null, 41, 48, 43, null, 43, 50],
+    lead: [69, 72, 76, null, 74, 72, null, 69, 65, null, 69, 72, 67, 71, 74, null]
+};
+
+const SCHEDULE_AHEAD = 0.12;    // Seconds of music queued in advance
+const SCHEDULER_MS = 25;        // How often the queue is topped up
+
+/**
+ * NOTE FREQUENCY: MIDI note number -> Hz (69 = A4 = 440Hz)
+ */
+export function noteFrequency(note) {
+    return 440 * Math.pow(2, (note - 69) / 12);
+}
+
+/**
+ * STORAGE: Saved volumes merged over the defaults (bad data is ignored)
+ */
+export function loadAudioSettings(storage = globalThis.localStorage) {
+    try {
+        const saved = JSON.parse(storage.getItem(AUDIO_STORAGE_KEY));
+        if (saved && typeof saved === 'object') {
+            // Volumes are clamped to 0..1; anything that is not a number keeps its default
+            const settings = { ...DEFAULT_AUDIO_SETTINGS };
+            Object.keys(DEFAULT_AUDIO_SETTINGS).forEach(channel => {
+                const value = saved[channel];
+                if (typeof value === 'number' && Number.isFinite(value)) settings[channel] = Math.max(0, Math.min(1, value));
+            });
+            return settings;
+        }
+    } catch (err) {
+        console.warn("Ignoring saved audio settings", err);
+    }
+    return { ...DEFAULT_AUDIO_SETTINGS };
+}
+
+export function saveAudioSettings(settings, storage = globalThis.localStorage) {
+    storage.setItem(AUDIO_STORAGE_KEY, JSON.stringify(settings));
+}
+
+export class AudioEngine {
+    constructor({ storage = globalThis.localStorage, createContext = null } = {}) {
+        this.storage = storage;
+        this.settings = loadAudioSettings(storage);
+        // Factory for the AudioContext (swappable so tests never need Web Audio)
+        this.createContext = createContext || (() => new (globalThis.AudioContext || globalThis.webkitAudioContext)());
+
+        this.ctx = null;            // AudioContext, created on the first user gesture
+        this.gains = null;          // { master, sfx, music } GainNodes
+        this.noise = null;          // Shared 1s white noise buffer
+        this.musicTimer = null;     // setInterval id while the loop plays
+        this.musicStep = 0;         // Next step of the pattern
+        this.nextStepTime = 0;      // Audio-clock time of that step
+    }
+
+    get unlocked() {
+        return this.ctx !== null && this.ctx.state !== 'closed'; // A still-resuming context queues sounds
+    }
+
+    /**
+     * UNLOCK: Create/resume the AudioContext - call from a click/tap handler
+     */
+    unlock() {
+        try {
+            if (!this.ctx) {
+                this.ctx = this.createContext();
+                const gain = () => this.ctx.createGain();
+                this.gains = { master: gain(), sfx: gain(), music: gain() };
+                this.gains.sfx.connect(this.gains.master);
+                this.gains.music.connect(this.gains.master);
+                this.gains.master.connect(this.ctx.destination);
+                this.applyVolumes();
+            }
+            if (this.ctx.state === 'suspended') this.ctx.resume();
+        } catch (err) {
+            console.warn("Web Audio unavailable - playing silently", err);
+        }
+    }
+
+    /**
+     * VOLUME: channel is 'master' | 'sfx' | 'music', value 0..1 (saved)
+     */
+    setVolume(channel, value) {
+        if (!(channel in DEFAULT_AUDIO_SETTINGS)) return;
+        this.settings[channel] = Math.max(0, Math.min(1, Number(value) || 0));
+        saveAudioSettings(this.settings, this.storage);
+        this.applyVolumes();
+    }
+
+    applyVolumes() {
+        if (!this.gains) return;
+        Object.keys(DEFAULT_AUDIO_SETTINGS).forEach(channel => {
+            this.gains[channel].gain.value = this.settings[channel];
+        });
+    }
+
+    /**
+     * PLAY: Fire a named sound effect (silently ignored before unlock)
+     */
+    play(name) {
+        const segments = SFX[name];
+        if (!segments || !this.unlocked) return;
+        const now = this.ctx.currentTime;
+        segments.forEach(seg => this.tone(seg, now, this.gains.sfx));
+    }
+
+    /**
+     * TONE: One enveloped oscillator (or noise burst) on the audio clock
+     */
+    tone(seg, when, output) {
+        const ctx = this.ctx;
+        const start = when + (seg.at || 0);
+        const end = start + seg.dur;
+
+        // Envelope: instant attack, exponential decay to silence
+        const env = ctx.createGain();
+        env.gain.setValueAtTime(seg.vol ?? 0.3, start);
+        env.gain.exponentialRampToValueAtTime(0.001, end);
+        env.connect(output);
+
+        let source;
+        if (seg.wave === 'noise') {
+            source = ctx.createBufferSource();
+            source.buffer = this.noiseBuffer();
+        } else {
+            source = ctx.createOscillator();
+            source.type = seg.wave;
+            source.frequency.setValueAtTime(seg.freq, start);
+            if (seg.to) source.frequency.exponentialRampToValueAtTime(seg.to, end);
+        }
+        source.connect(env);
+        source.start(start);
+        source.stop(end + 0.02);
+    }
+
+    noiseBuffer() {
+        if (!this.noise) {
+            const length = this.ctx.sampleRate;
+            this.noise = this.ctx.createBuffer(1, length, this.ctx.sampleRate);
+            const data = this.noise.getChannelData(0);
+            for (let i = 0; i < length; i++) data[i] = Math.random() * 2 - 1;
+        }
+        return this.noise;
+    }
+
+    /**
+     * MUSIC: Start/stop the background loop
+     */
+    startMusic() {
+        if (!this.unlocked || this.musicTimer !== null) return;
+        this.musicStep = 0;
+        this.nextStepTime = this.ctx.currentTime + 0.05;
+        this.musicTimer = setInterval(() => this.scheduleMusic(), SCHEDULER_MS);
+        this.scheduleMusic();
+    }
+
+    stopMusic() {
+        if (this.musicTimer === null) return;
+        clearInterval(this.musicTimer);
+        this.musicTimer = null;
+    }
+
+    /**
+     * SCHEDULE: Queue every step that starts within the look-ahead window
+     */
+    scheduleMusic() {
+        const stepLength = 60 / MUSIC.bpm / 2; // Eighth notes
+        while (this.nextStepTime < this.ctx.currentTime + SCHEDULE_AHEAD) {
+            const step = this.musicStep % MUSIC.bass.length;
+            const bass = MUSIC.bass[step];
+            const lead = MUSIC.lead[step];
+            if (bass !== null) {
+                this.tone({ wave: 'triangle', freq: noteFrequency(bass), dur: stepLength * 0.9, vol: 0.35 }, this.nextStepTime, this.gains.music);
+            }
+            if (lead !== null) {
+                this.tone({ wave: 'square', freq: noteFrequency(lead), dur: stepLength * 0.8, vol: 0.08 }, this.nextStepTime, this.gains.music);
+            }
+            this.musicStep++;
+            this.nextStepTime += stepLength;
+        }
+    }
+}
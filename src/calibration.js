@@ -0,0 +1,284 @@
+/**
+ * ============================================================================
+ * HAND CALIBRATION - Per-player mapping bounds and pinch threshold
+ * ============================================================================
+ * 1. SETTINGS:
+ *    - The tuning constants that used to live inside processCV() (sensitivity,
+ *      smoothing, pinch threshold, debounce, aim landmark) plus the chosen
+ *      trigger gesture, the lost-hand pause delay and the detection rate are
+ *      one settings object, saved to localStorage and reused on the next visit.
+ *
+ * 2. MAPPING:
+ *    - Uncalibrated: the original 1.4x sensitivity around the camera centre.
+ *    - Calibrated: the four corners the player actually reached become the
+ *      screen edges, so small hands / far cameras can still cover the screen.
+ *
+ * 3. PINCH:
+ *    - Thumb-to-index distance is divided by the hand size (wrist -> middle
+ *      knuckle), so the threshold works whatever the distance to the camera.
+ *
+ * 4. WIZARD:
+ *    - A DOM-free state machine: feed() it a hand per frame, read `prompt`,
+ *      `progress` and `target` to draw the UI, `result` when `done`.
+ *      Prompts and errors are string catalogue keys (src/i18n.js).
+ * ============================================================================
+ */
+
+export const CALIBRATION_STORAGE_KEY = 'duckhunt.calibration';
+export const CALIBRATION_VERSION = 1;
+
+// Hand landmark indices (MediaPipe hand model)
+export const LANDMARKS = {
+    WRIST: 0,
+    THUMB_TIP: 4,
+    INDEX_TIP: 8,
+    MIDDLE_MCP: 9
+};
+
+// The hard-coded values the game shipped with
+export const DEFAULT_CV_SETTINGS = {
+    sensitivity: 1.4,       // Amplification of hand movement around the centre
+    smoothing: 0.7,         // LERP factor towards the target (1 = no smoothing)
+    pinchThreshold: 0.09,   // Absolute thumb-index distance (uncalibrated only)
+    pinchRatio: null,       // Hand-size-normalised threshold (set by calibration)
+    debounceMs: 200,        // Minimum time between two pinch shots
+    aimLandmark: LANDMARKS.MIDDLE_MCP, // Point used for aiming (base of middle finger)
+    trigger: 'pinch',       // Shooting gesture (see src/gestures.js)
+    dwellMs: 800,           // Hold-still time for the dwell trigger
+    bounds: null,           // { left, right, top, bottom } in camera coordinates
+    lostHandFrames: 45,     // Detections without a hand before the game pauses (0 = never)
+    inferenceFps: 30        // Hand detections per second (src/hand-tracker.js), whatever the display rate
+};
+
+// Detection rates offered on the menu (slow machines pick a lower one)
+export const INFERENCE_RATES = [10, 15, 20, 30, 60];
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+const clamp01 = (v) => Math.max(0, Math.min(1, v));
+
+/**
+ * HAND SCALE: Wrist to middle knuckle - roughly constant for a given hand
+ */
+export function handScale(hand) {
+    return distance(hand[LANDMARKS.WRIST], hand[LANDMARKS.MIDDLE_MCP]);
+}
+
+/**
+ * PINCH DISTANCE: Thumb tip to index tip, absolute and relative to hand size
+ */
+export function pinchDistance(hand) {
+    const dist = distance(hand[LANDMARKS.THUMB_TIP], hand[LANDMARKS.INDEX_TIP]);
+    const scale = handScale(hand);
+    return { dist, ratio: scale > 0 ? dist / scale : Infinity };
+}
+
+/**
+ * IS PINCHED: Uses the calibrated ratio when there is one
+ */
+export function isPinched(hand, settings) {
+    const { dist, ratio } = pinchDistance(hand);
+    return settings.pinchRatio ? ratio < settings.pinchRatio : dist < settings.pinchThreshold;
+}
+
+/**
+ * MAP TO SCREEN: Camera-space aim point -> 0..1 screen coordinates
+ * (the game scales these to the world, src/world.js)
+ * (the camera image is mirrored, so moving right lowers x)
+ */
+export function mapToScreen(point, settings) {
+    const b = settings.bounds;
+    if (b) {
+        return {
+            x: clamp01((point.x - b.left) / (b.right - b.left)),
+            y: clamp01((point.y - b.top) / (b.bottom - b.top))
+        };
+    }
+    return {
+        x: clamp01(0.5 + (0.5 - point.x) * settings.sensitivity),
+        y: clamp01(0.5 + (point.y - 0.5) * settings.sensitivity)
+    };
+}
+
+/**
+ * MIRROR BOUNDS: Calibrated reach after the camera's mirror setting flips.
+ * The hand covers the same stretch of the flipped image, and the aim turns
+ * round just as it does uncalibrated (left stays the larger x).
+ */
+export function mirrorBounds(bounds) {
+    return { ...bounds, left: 1 - bounds.right, right: 1 - bounds.left };
+}
+
+/**
+ * STORAGE: Saved settings merged over the defaults (bad/old data is ignored)
+ */
+export function loadCvSettings(storage = globalThis.localStorage) {
+    try {
+        const saved = JSON.parse(storage.getItem(CALIBRATION_STORAGE_KEY));
+        if (saved && saved.version === CALIBRATION_VERSION) {
+            return { ...DEFAULT_CV_SETTINGS, ...saved.settings };
+        }
+    } catch (err) {
+        console.warn("Ignoring saved calibration", err);
+    }
+    return { ...DEFAULT_CV_SETTINGS };
+}
+
+export function saveCvSettings(settings, storage = globalThis.localStorage) {
+    storage.setItem(CALIBRATION_STORAGE_KEY, JSON.stringify({
+        version: CALIBRATION_VERSION,
+        savedAt: new Date().toISOString(),
+        settings
+    }));
+}
+
+export function clearCvSettings(storage = globalThis.localStorage) {
+    storage.removeItem(CALIBRATION_STORAGE_KEY);
+}
+
+// Wizard steps, in order. Corner targets are in 0..1 screen coordinates.
+const CORNER_STEPS = [
+    { id: 'top-left', target: { x: 0, y: 0 } },
+    { id: 'top-right', target: { x: 1, y: 0 } },
+    { id: 'bottom-right', target: { x: 1, y: 1 } },
+    { id: 'bottom-left', target: { x: 0, y: 1 } }
+];
+
+/**
+ * CALIBRATION WIZARD: Corners first, then a few pinches
+ */
+export class CalibrationWizard {
+    constructor(baseSettings = DEFAULT_CV_SETTINGS, options = {}) {
+        this.baseSettings = baseSettings;
+        this.holdMs = options.holdMs ?? 800;          // How long to hold each corner
+        this.stillness = options.stillness ?? 0.015;  // Max movement per frame while "holding"
+        this.pinchesNeeded = options.pinches ?? 3;    // Pinches to sample
+        this.minSpan = options.minSpan ?? 0.08;       // Smallest usable reach (camera units)
+
+        this.stepIndex = 0;         // 0-3 corners, 4 pinches, 5 done
+        this.corners = {};          // id -> averaged camera point
+        this.hold = null;           // { start, last, sumX, sumY, count } while holding still
+        this.openRatios = [];       // Relaxed-hand thumb/index ratios
+        this.pinchMins = [];        // Lowest ratio reached in each pinch
+        this.pinchLow = null;       // Running minimum inside the current pinch
+        this.error = null;          // Catalogue key (src/i18n.js) when a step had to be repeated
+        this.result = null;         // Final settings once done
+    }
+
+    get done() { return this.result !== null; }
+    get onPinchStep() { return this.stepIndex === CORNER_STEPS.length; }
+
+    // The instruction as a string catalogue key + values (src/i18n.js)
+    get prompt() {
+        if (this.done) return { key: 'calibration.done' };
+        if (this.onPinchStep) return { key: 'calibration.pinch', params: { count: this.pinchMins.length, needed: this.pinchesNeeded } };
+        return { key: `calibration.${CORNER_STEPS[this.stepIndex].id}` };
+    }
+
+    // Screen target (0..1) to highlight for the current step, or null
+    get target() {
+        return this.stepIndex < CORNER_STEPS.length ? CORNER_STEPS[this.stepIndex].target : null;
+    }
+
+    // 0..1 progress of the current step (hold time or pinch count)
+    progressAt(now) {
+        if (this.done) return 1;
+        if (this.onPinchStep) return this.pinchMins.length / this.pinchesNeeded;
+        return this.hold ? clamp01((now - this.hold.start) / this.holdMs) : 0;
+    }
+
+    /**
+     * FEED: One frame of landmarks (or null when no hand is visible)
+     */
+    feed(hand, now) {
+        if (this.done) return;
+        if (!hand) {
+            this.hold = null; // Lost the hand: restart the hold
+            return;
+        }
+        if (this.onPinchStep) this.feedPinch(hand);
+        else this.feedCorner(hand, now);
+    }
+
+    feedCorner(hand, now) {
+        const p = hand[this.baseSettings.aimLandmark];
+        const h = this.hold;
+
+        // Any real movement restarts the hold timer
+        if (!h || distance(p, h.last) > this.stillness) {
+            this.hold = { start: now, last: p, sumX: p.x, sumY: p.y, count: 1 };
+            return;
+        }
+        h.last = p;
+        h.sumX += p.x;
+        h.sumY += p.y;
+        h.count++;
+
+        if (now - h.start >= this.holdMs) {
+            this.corners[CORNER_STEPS[this.stepIndex].id] = { x: h.sumX / h.count, y: h.sumY / h.count };
+            this.hold = null;
+            this.stepIndex++;
+            if (this.stepIndex === CORNER_STEPS.length) this.checkBounds();
+        }
+    }
+
+    /**
+     * CHECK BOUNDS: The corners must span a usable area, else redo them
+     */
+    checkBounds() {
+        const b = this.bounds();
+        if (Math.abs(b.right - b.left) < this.minSpan || Math.abs(b.bottom - b.top) < this.minSpan) {
+            this.error = 'calibration.tooClose'; // Corners too close together: reach further
+            this.stepIndex = 0;
+            this.corners = {};
+        } else {
+            this.error = null;
+        }
+    }
+
+    bounds() {
+        const c = this.corners;
+        return {
+            left: (c['top-left'].x + c['bottom-left'].x) / 2,
+            right: (c['top-right'].x + c['bottom-right'].x) / 2,
+            top: (c['top-left'].y + c['top-right'].y) / 2,
+            bottom: (c['bottom-left'].y + c['bottom-right'].y) / 2
+        };
+    }
+
+    /**
+     * PINCH SAMPLING: Learn this player's open vs closed thumb/index ratio.
+     * A pinch is a drop below half of the open-hand ratio, then a release.
+     */
+    feedPinch(hand) {
+        const { ratio } = pinchDistance(hand);
+        const open = this.openRatios.length
+            ? this.openRatios.reduce((a, b) => a + b, 0) / this.openRatios.length
+            : null;
+
+        if (this.pinchLow === null) {
+            if (open !== null && ratio < open * 0.5) {
+                this.pinchLow = ratio; // Pinch started
+            } else if (open === null || ratio > open * 0.7) {
+                this.openRatios.push(ratio);
+                if (this.openRatios.length > 30) this.openRatios.shift(); // Rolling window
+            }
+        } else if (ratio < this.pinchLow) {
+            this.pinchLow = ratio;
+        } else if (ratio > open * 0.7) {
+            this.pinchMins.push(this.pinchLow); // Released: one pinch sampled
+            this.pinchLow = null;
+            if (this.pinchMins.length >= this.pinchesNeeded) this.finish(open);
+        }
+    }
+
+    finish(open) {
+        const closed = this.pinchMins.reduce((a, b) => a + b, 0) / this.pinchMins.length;
+        this.stepIndex++;
+        this.result = {
+            ...this.baseSettings,
+            bounds: this.bounds(),
+            // Trigger 40% of the way from a closed pinch to an open hand
+            pinchRatio: closed + (open - closed) * 0.4
+        };
+    }
+}
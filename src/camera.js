@@ -0,0 +1,112 @@
+/**
+ * ============================================================================
+ * CAMERA SETTINGS - Device, resolution, frame rate, mirroring, model delegate
+ * ============================================================================
+ * 1. SETTINGS:
+ *    - Picked on the menu's CAMERA panel and saved to localStorage, like the
+ *      calibration (src/calibration.js) and volumes (src/audio.js).
+ *    - A remembered camera that has been unplugged falls back to the default.
+ *
+ * 2. MIRROR:
+ *    - On (default): the preview is a mirror image, as in a selfie view.
+ *    - Off: for cameras that already mirror (or face away from the player).
+ *      Landmarks are flipped on arrival (orientHands), so the aim mapping,
+ *      calibration and players' sides always follow the preview. Flipping
+ *      the setting mirrors the saved calibrated bounds with the image
+ *      (mirrorBounds in src/calibration.js), so no need to recalibrate.
+ *
+ * 3. SKELETON:
+ *    - HAND_CONNECTIONS is MediaPipe's 21-point hand topology, drawn on the
+ *      camera preview with the aim point and pinch distance.
+ * ============================================================================
+ */
+
+export const CAMERA_STORAGE_KEY = 'duckhunt.camera';
+
+export const DEFAULT_CAMERA_SETTINGS = {
+    deviceId: null,         // Chosen camera (null = browser default)
+    resolution: 'auto',     // Key of RESOLUTIONS
+    frameRate: null,        // Requested camera fps (null = camera default)
+    mirror: true,           // Show (and aim) like a mirror
+    delegate: 'auto'        // HandLandmarker delegate: 'auto' (GPU, else CPU), 'GPU' or 'CPU'
+};
+
+// Resolution presets (ideal values - the camera picks the closest it has)
+export const RESOLUTIONS = {
+    auto: null,
+    '480p': { width: 640, height: 480 },
+    '720p': { width: 1280, height: 720 },
+    '1080p': { width: 1920, height: 1080 }
+};
+
+export const FRAME_RATES = [15, 30, 60];
+
+export const DELEGATES = ['auto', 'GPU', 'CPU'];
+
+// Landmark pairs joined on the preview (thumb, fingers, palm)
+export const HAND_CONNECTIONS = [
+    [0, 1], [1, 2], [2, 3], [3, 4],
+    [0, 5], [5, 6], [6, 7], [7, 8],
+    [5, 9], [9, 10], [10, 11], [11, 12],
+    [9, 13], [13, 14], [14, 15], [15, 16],
+    [13, 17], [17, 18], [18, 19], [19, 20],
+    [0, 17]
+];
+
+/**
+ * VIDEO CONSTRAINTS: Settings -> getUserMedia() video constraints
+ * (`true` when nothing is set, i.e. the browser's choice as before)
+ */
+export function videoConstraints(settings) {
+    const constraints = {};
+    if (settings.deviceId) constraints.deviceId = { exact: settings.deviceId };
+    const size = RESOLUTIONS[settings.resolution];
+    if (size) {
+        constraints.width = { ideal: size.width };
+        constraints.height = { ideal: size.height };
+    }
+    if (settings.frameRate) constraints.frameRate = { ideal: settings.frameRate };
+    return Object.keys(constraints).length > 0 ? constraints : true;
+}
+
+/**
+ * CAMERA LIST: Video inputs from enumerateDevices(), with a readable label
+ * (browsers hide labels until camera permission has been granted)
+ */
+export function cameraList(devices) {
+    return devices
+        .filter(device => device.kind === 'videoinput')
+        .map((device, i) => ({ deviceId: device.deviceId, label: device.label || `Camera ${i + 1}` }));
+}
+
+/**
+ * ORIENT HANDS: Landmarks as the game expects them for the mirror setting.
+ * The game's mapping assumes a mirrored view, so an unmirrored camera has
+ * x flipped (handedness is left alone: it describes the real hand).
+ */
+export function orientHands(landmarks, mirror) {
+    if (mirror) return landmarks;
+    return landmarks.map(hand => hand.map(point => ({ ...point, x: 1 - point.x })));
+}
+
+/**
+ * STORAGE: Saved settings merged over the defaults (bad data is ignored)
+ */
+export function loadCameraSettings(storage = globalThis.localStorage) {
+    try {
+        const saved = JSON.parse(storage.getItem(CAMERA_STORAGE_KEY));
+        if (saved && typeof saved === 'object') {
+            const settings = { ...DEFAULT_CAMERA_SETTINGS, ...saved };
+            if (!(settings.resolution in RESOLUTIONS)) settings.resolution = DEFAULT_CAMERA_SETTINGS.resolution;
+            if (!DELEGATES.includes(settings.delegate)) settings.delegate = DEFAULT_CAMERA_SETTINGS.delegate;
+            return settings;
+        }
+    } catch (err) {
+        console.warn("Ignoring saved camera settings", err);
+    }
+    return { ...DEFAULT_CAMERA_SETTINGS };
+}
+
+export function saveCameraSettings(settings, storage = globalThis.localStorage) {
+    storage.setItem(CAMERA_STORAGE_KEY, JSON.stringify(settings));
+}
@@ -0,0 +1,392 @@
+/**
+ * ============================================================================
+ * EFFECTS - Pooled particles and screen effects, driven by rule events
+ * ============================================================================
+ * 1. EVENTS -> EFFECTS (handle()):
+ *    - shot:    muzzle flash at the aim, a small shake, a bullet hole if it missed
+ *    - hit:     a feather burst (sparks when armour soaked the shot)
+ *    - strike:  red vignette + a hard shake
+ *    - levelUp: the "LEVEL n" transition
+ *
+ * 2. POOL:
+ *    - Particles live in a fixed ParticlePool: no allocation per frame, and a
+ *      burst during a busy moment simply gets fewer particles.
+ *
+ * 3. TIME:
+ *    - update() runs on real elapsed time from the game loop while playing,
+ *      so every effect freezes with the run (a level transition waits for
+ *      the breakdown screen to close). Effects use their own random numbers,
+ *      never the simulation's, so replays and seeds are unaffected.
+ *
+ * 4. REDUCED MOTION (menu toggle, saved):
+ *    - No shake and no flashes (muzzle flash, screen flash); the strike
+ *      vignette is kept but faint, and the level transition fades in place.
+ * ============================================================================
+ */
+
+import { WORLD } from './world.js';
+import { DUCK_TYPES } from './species.js';
+
+export const EFFECTS_STORAGE_KEY = 'duckhunt.effects';
+
+export const DEFAULT_EFFECTS_SETTINGS = {
+    reducedMotion: false        // Set from prefers-reduced-motion until changed on the menu
+};
+
+// Lengths (ms) and strengths (world pixels) of every effect
+export const EFFECT_TIMING = {
+    featherLife: [800, 1400],
+    sparkLife: [200, 400],
+    muzzleFlash: 90,
+    screenFlashAlpha: 0.35,
+    shotShake: { strength: 1, duration: 80 },
+    strikeShake: { strength: 4, duration: 300 },
+    vignette: 700,
+    vignetteAlpha: 0.6,
+    reducedVignetteAlpha: 0.25,
+    decal: 4000,                // Bullet holes stay this long...
+    decalFade: 1000,            // ...fading out over the end of it
+    levelTransition: 1800
+};
+
+export const MAX_PARTICLES = 256;
+export const MAX_DECALS = 16;
+
+// Mallard-ish feathers; species with a tint add their colour to the mix
+const FEATHER_COLORS = ['#f5f5f5', '#8b5a2b', '#3b7d3b'];
+const SPARK_COLOR = '#ffcc33';
+
+const PARTICLE_DEFAULTS = { vx: 0, vy: 0, size: 2, color: 'white', gravity: 0, drag: 0, angle: 0, spin: 0, kind: 'spark' };
+
+/**
+ * PARTICLE POOL: Fixed set of particle objects, reused as they die.
+ * particles[0 .. active) are alive.
+ */
+export class ParticlePool {
+    constructor(capacity = MAX_PARTICLES) {
+        this.particles = Array.from({ length: capacity }, () => ({ ...PARTICLE_DEFAULTS, x: 0, y: 0, age: 0, life: 0 }));
+        this.active = 0;
+    }
+
+    get capacity() {
+        return this.particles.length;
+    }
+
+    /**
+     * SPAWN: Bring a particle to life (null when the pool is full)
+     */
+    spawn(props) {
+        if (this.active === this.capacity) return null;
+        const particle = this.particles[this.active++];
+        Object.assign(particle, PARTICLE_DEFAULTS, props);
+        particle.age = 0;
+        return particle;
+    }
+
+    /**
+     * UPDATE: Move every particle `ms` on; dead ones swap to the free end
+     */
+    update(ms) {
+        const dt = ms / 1000;
+        let i = 0;
+        while (i < this.active) {
+            const p = this.particles[i];
+            p.age += ms;
+            if (p.age >= p.life) {
+                this.active--;
+                this.particles[i] = this.particles[this.active];
+                this.particles[this.active] = p;
+                continue;
+            }
+            const damping = Math.max(0, 1 - p.drag * dt);
+            p.vx *= damping;
+            p.vy = p.vy * damping + p.gravity * dt;
+            p.x += p.vx * dt;
+            p.y += p.vy * dt;
+            p.angle += p.spin * dt;
+            i++;
+        }
+    }
+
+    forEach(fn) {
+        for (let i = 0; i < this.active; i++) fn(this.particles[i]);
+    }
+
+    clear() {
+        this.active = 0;
+    }
+}
+
+/**
+ * STORAGE: Saved settings merged over the defaults (bad data is ignored)
+ */
+export function loadEffectsSettings(storage = globalThis.localStorage, defaults = DEFAULT_EFFECTS_SETTINGS) {
+    try {
+        const saved = JSON.parse(storage.getItem(EFFECTS_STORAGE_KEY));
+        if (saved && typeof saved === 'object') return { ...defaults, ...saved };
+    } catch (err) {
+        console.warn("Ignoring saved effects settings", err);
+    }
+    return { ...defaults };
+}
+
+export function saveEffectsSettings(settings, storage = globalThis.localStorage) {
+    storage.setItem(EFFECTS_STORAGE_KEY, JSON.stringify(settings));
+}
+
+export class Effects {
+    constructor({ reducedMotion = false, random = Math.random, levelLabel = (round) => `LEVEL ${round}` } = {}) {
+        this.reducedMotion = reducedMotion;
+        this.random = random;               // Visual only - never the simulation's RNG
+        this.levelLabel = levelLabel;       // Banner text for a level (game.js passes the translated one)
+        this.particles = new ParticlePool();
+        this.reset();
+    }
+
+    /**
+     * RESET: Clear everything on screen (new run)
+     */
+    reset() {
+        this.particles.clear();
+        this.decals = [];                   // Bullet holes { x, y, age }
+        this.flashes = [];                  // Muzzle flashes { x, y, age }
+        this.shake = { strength: 0, duration: 0, left: 0 };
+        this.vignetteAge = Infinity;        // ms since the last strike
+        this.transition = null;             // { round, age } while "LEVEL n" shows
+    }
+
+    /**
+     * HANDLE: One rule event (others are ignored)
+     */
+    handle(event) {
+        if (event.type === 'shot') {
+            this.muzzleFlash(event.x, event.y);
+            this.startShake(EFFECT_TIMING.shotShake);
+            if (!event.hit) this.bulletHole(event.x, event.y);
+        } else if (event.type === 'hit') {
+            if (event.killed) this.featherBurst(event.x, event.y, event.duckType);
+            else this.sparks(event.x, event.y);
+        } else if (event.type === 'strike') {
+            this.vignetteAge = 0;
+            this.startShake(EFFECT_TIMING.strikeShake);
+        } else if (event.type === 'levelUp') {
+            this.transition = { round: event.round, age: 0 };
+        }
+    }
+
+    between([min, max]) {
+        return min + this.random() * (max - min);
+    }
+
+    /**
+     * FEATHER BURST: Feathers thrown out, then drifting down and spinning
+     */
+    featherBurst(x, y, duckType, count = 14) {
+        const type = DUCK_TYPES[duckType];
+        const colors = type && type.tint ? [...FEATHER_COLORS, type.tint] : FEATHER_COLORS;
+        for (let i = 0; i < count; i++) {
+            const angle = this.random() * Math.PI * 2;
+            const speed = this.between([20, 70]);
+            this.particles.spawn({
+                kind: 'feather',
+                x, y,
+                vx: Math.cos(angle) * speed,
+                vy: Math.sin(angle) * speed - 20,   // A little lift before they fall
+                life: this.between(EFFECT_TIMING.featherLife),
+                size: this.between([1.5, 3]),
+                color: colors[Math.floor(this.random() * colors.length)],
+                gravity: 40,
+                drag: 1.5,
+                angle: this.random() * Math.PI,
+                spin: this.between([-6, 6])
+            });
+        }
+    }
+
+    /**
+     * SPARKS: A shell glancing off armour
+     */
+    sparks(x, y, count = 6) {
+        for (let i = 0; i < count; i++) {
+            const angle = this.random() * Math.PI * 2;
+            const speed = this.between([40, 90]);
+            this.particles.spawn({
+                x, y,
+                vx: Math.cos(angle) * speed,
+                vy: Math.sin(angle) * speed,
+                life: this.between(EFFECT_TIMING.sparkLife),
+                size: 1,
+                color: SPARK_COLOR,
+                drag: 4
+            });
+        }
+    }
+
+    muzzleFlash(x, y) {
+        if (this.reducedMotion) return;
+        this.flashes.push({ x, y, age: 0 });
+    }
+
+    /**
+     * BULLET HOLE: A decal on the sky where a shell missed (oldest goes first)
+     */
+    bulletHole(x, y) {
+        if (this.decals.length === MAX_DECALS) this.decals.shift();
+        this.decals.push({ x, y, age: 0 });
+    }
+
+    startShake({ strength, duration }) {
+        // A weak shake never cuts a strong one short
+        if (this.shake.left > 0 && this.shake.strength * this.shake.left / this.shake.duration > strength) return;
+        this.shake = { strength, duration, left: duration };
+    }
+
+    /**
+     * UPDATE: Age every effect by `ms` of play
+     */
+    update(ms) {
+        this.particles.update(ms);
+        this.flashes.forEach(flash => { flash.age += ms; });
+        this.flashes = this.flashes.filter(flash => flash.age < EFFECT_TIMING.muzzleFlash);
+        this.decals.forEach(decal => { decal.age += ms; });
+        this.decals = this.decals.filter(decal => decal.age < EFFECT_TIMING.decal);
+        this.shake.left = Math.max(0, this.shake.left - ms);
+        this.vignetteAge += ms;
+        if (this.transition) {
+            this.transition.age += ms;
+            if (this.transition.age >= EFFECT_TIMING.levelTransition) this.transition = null;
+        }
+    }
+
+    /**
+     * SHAKE OFFSET: How far to move the world this frame (fades out)
+     */
+    shakeOffset() {
+        if (this.reducedMotion || this.shake.left <= 0) return { x: 0, y: 0 };
+        const amount = this.shake.strength * this.shake.left / this.shake.duration;
+        return {
+            x: (this.random() * 2 - 1) * amount,
+            y: (this.random() * 2 - 1) * amount
+        };
+    }
+
+    /**
+     * VIGNETTE ALPHA: Strength of the red strike edge right now (0 = none)
+     */
+    vignetteAlpha() {
+        const t = this.vignetteAge / EFFECT_TIMING.vignette;
+        if (t >= 1) return 0;
+        const peak = this.reducedMotion ? EFFECT_TIMING.reducedVignetteAlpha : EFFECT_TIMING.vignetteAlpha;
+        return peak * (1 - t);
+    }
+
+    // ------------------------------------------------------------------
+    // DRAWING (world space - the game sets up the transform)
+    // ------------------------------------------------------------------
+
+    /**
+     * DRAW DECALS: Bullet holes, under the ducks
+     */
+    drawDecals(ctx) {
+        const { decal, decalFade } = EFFECT_TIMING;
+        this.decals.forEach(({ x, y, age }) => {
+            ctx.globalAlpha = Math.min(1, (decal - age) / decalFade);
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.5)'; // Cracked rim
+            ctx.beginPath();
+            ctx.arc(x, y, 3, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.fillStyle = '#111';
+            ctx.beginPath();
+            ctx.arc(x, y, 2, 0, Math.PI * 2);
+            ctx.fill();
+        });
+        ctx.globalAlpha = 1;
+    }
+
+    /**
+     * DRAW PARTICLES: Feathers, sparks and muzzle flashes, over the ducks
+     */
+    drawParticles(ctx) {
+        this.particles.forEach(p => {
+            const remaining = 1 - p.age / p.life;
+            ctx.globalAlpha = Math.min(1, remaining * 3); // Fade over the last third
+            ctx.fillStyle = p.color;
+            if (p.kind === 'feather') {
+                ctx.save();
+                ctx.translate(p.x, p.y);
+                ctx.rotate(p.angle);
+                ctx.fillRect(-p.size, -p.size / 4, p.size * 2, p.size / 2);
+                ctx.restore();
+            } else {
+                ctx.fillRect(p.x - p.size / 2, p.y - p.size / 2, p.size, p.size);
+            }
+        });
+        ctx.globalAlpha = 1;
+
+        this.flashes.forEach(({ x, y, age }) => {
+            const t = age / EFFECT_TIMING.muzzleFlash;
+            ctx.globalAlpha = 1 - t;
+            ctx.strokeStyle = '#fff6c0';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.arc(x, y, 2 + t * 10, 0, Math.PI * 2);
+            ctx.stroke();
+        });
+        ctx.globalAlpha = 1;
+    }
+
+    /**
+     * DRAW OVERLAY: Screen flash, strike vignette and the level transition
+     * (not shaken - drawn over the whole world)
+     */
+    drawOverlay(ctx) {
+        const { width, height } = WORLD;
+
+        // SCREEN FLASH: The newest shot lights up the sky for a moment
+        const newest = this.flashes[this.flashes.length - 1];
+        if (newest) {
+            ctx.fillStyle = `rgba(255, 255, 255, ${EFFECT_TIMING.screenFlashAlpha * (1 - newest.age / EFFECT_TIMING.muzzleFlash)})`;
+            ctx.fillRect(0, 0, width, height);
+        }
+
+        // VIGNETTE: Red edges after a strike
+        const vignette = this.vignetteAlpha();
+        if (vignette > 0) {
+            const gradient = ctx.createRadialGradient(width / 2, height / 2, height * 0.35, width / 2, height / 2, width * 0.75);
+            gradient.addColorStop(0, 'rgba(255, 0, 0, 0)');
+            gradient.addColorStop(1, `rgba(255, 0, 0, ${vignette})`);
+            ctx.fillStyle = gradient;
+            ctx.fillRect(0, 0, width, height);
+        }
+
+        if (this.transition) this.drawTransition(ctx);
+    }
+
+    /**
+     * DRAW TRANSITION: A band with "LEVEL n" sweeps in, holds and sweeps out
+     * (reduced motion: it fades in and out where it is)
+     */
+    drawTransition(ctx) {
+        const { width, height } = WORLD;
+        const t = this.transition.age / EFFECT_TIMING.levelTransition;
+        const edge = 0.2;   // Share of the time spent coming in (and going out)
+        const inOut = t < edge ? t / edge : t > 1 - edge ? (1 - t) / edge : 1;
+
+        ctx.save();
+        if (this.reducedMotion) {
+            ctx.globalAlpha = inOut;
+        } else {
+            // Enter from the left, leave to the right
+            const offset = t < edge ? -(1 - inOut) * width : t > 1 - edge ? (1 - inOut) * width : 0;
+            ctx.translate(offset, 0);
+        }
+        ctx.fillStyle = 'rgba(10, 10, 26, 0.75)';
+        ctx.fillRect(0, height / 2 - 20, width, 40);
+        ctx.fillStyle = '#55e6ff';
+        ctx.font = '16px "Press Start 2P", monospace';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(this.levelLabel(this.transition.round), width / 2, height / 2);
+        ctx.restore();
+    }
+}
@@ -0,0 +1,108 @@
+/**
+ * ============================================================================
+ * EVENT BUS - Typed game events for the HUD, audio, effects, stats and plugins
+ * ============================================================================
+ * 1. SOURCE:
+ *    - The rules queue what happened (src/rules.js, drainEvents()) and the
+ *      game publishes the queue on the bus once per frame, together with its
+ *      own events (hand tracking). Subscribers never run mid-tick, so they
+ *      may call back into the rules (pause for a breakdown, ...) safely.
+ *
+ * 2. TYPED:
+ *    - Only the names in GAME_EVENTS (or added with define()) can be
+ *      emitted or subscribed to: a typo throws instead of silently never
+ *      firing. Every event is a plain object with its `type`.
+ *
+ * 3. SUBSCRIBERS:
+ *    - on() returns an unsubscribe function; '*' receives every event.
+ *    - A subscriber that throws is logged and skipped - the others (and the
+ *      game) carry on.
+ * ============================================================================
+ */
+
+// Every built-in event and its fields (x / y are world coordinates)
+export const GAME_EVENTS = {
+    shot: 'A shell was fired: playerIndex, x, y, hit, hits / dented (duck types), ducks (flying { x, y })',
+    dryFire: 'The trigger was pulled with no shells left: playerIndex',
+    reload: 'An emptied gun refilled: playerIndex',
+    hit: 'A duck was struck: playerIndex, duckId, duckType, x, y, killed',
+    miss: 'A shell hit nothing at all: playerIndex, x, y',
+    points: 'Score changed: playerIndex, x, y, points, multiplier, quick, multiKill?',
+    duckSpawned: 'A duck entered: duckId, duckType, x, y',
+    duckFalling: 'A shot duck started to fall: duckId',
+    duckEscaped: 'A duck flew away: duckId',
+    strike: 'A strike was given: strikes',
+    powerUp: 'A power-up was collected: kind, playerIndex',
+    powerUpEnd: 'A power-up wore off: kind, playerIndex',
+    levelUp: 'A new level started: round, reason, breakdown',
+    timerTick: 'A clock or power-up countdown reached a new whole second: timeRemaining (null without a clock)',
+    pause: 'The run paused: reason',
+    resume: 'The run carried on',
+    gameOver: 'The run ended: reason, score, scores, winner, ...',
+    handLost: 'Hand tracking lost every hand: frames',
+    handFound: 'A hand is tracked again after handLost',
+    modeChange: 'A game or player mode was picked on the menu: gameMode, playerMode',
+    languageChange: 'The menu language changed: locale'
+};
+
+export class EventBus {
+    constructor(types = GAME_EVENTS) {
+        this.types = new Set(Object.keys(types));
+        this.handlers = new Map();          // type (or '*') -> Set of handlers
+    }
+
+    /**
+     * DEFINE: Add an event type (plugins announcing their own events)
+     */
+    define(type) {
+        this.types.add(type);
+    }
+
+    check(type) {
+        if (type !== '*' && !this.types.has(type)) throw new Error(`Unknown game event "${type}"`);
+    }
+
+    /**
+     * ON: Call `handler(event)` for every `type` event - returns unsubscribe
+     */
+    on(type, handler) {
+        this.check(type);
+        if (!this.handlers.has(type)) this.handlers.set(type, new Set());
+        this.handlers.get(type).add(handler);
+        return () => this.off(type, handler);
+    }
+
+    /**
+     * ONCE: Like on(), for the next `type` event only
+     */
+    once(type, handler) {
+        const off = this.on(type, (event) => {
+            off();
+            handler(event);
+        });
+        return off;
+    }
+
+    off(type, handler) {
+        const handlers = this.handlers.get(type);
+        if (handlers) handlers.delete(handler);
+    }
+
+    /**
+     * EMIT: Hand an event ({ type, ...fields }) to its subscribers, then '*'
+     */
+    emit(event) {
+        this.check(event.type);
+        [this.handlers.get(event.type), this.handlers.get('*')].forEach(handlers => {
+            if (!handlers) return;
+            // Copy: a handler may unsubscribe (once) while we iterate
+            [...handlers].forEach(handler => {
+                try {
+                    handler(event);
+                } catch (err) {
+                    console.error(`"${event.type}" subscriber failed`, err);
+                }
+            });
+        });
+    }
+}
@@ -0,0 +1,200 @@
+/**
+ * ============================================================================
+ * GESTURE RECOGNIZER - Selectable shooting triggers (no DOM)
+ * ============================================================================
+ * 1. TRIGGERS:
+ *    - pinch:      Thumb tip meets index tip (the original control).
+ *    - finger-gun: Point with the index finger, drop the thumb onto the hand.
+ *    - fist:       Close the whole hand.
+ *    - dwell:      Hold the crosshair still over a spot to fire (one-handed,
+ *                  no finger movement at all).
+ *
+ * 2. HYSTERESIS:
+ *    - Each hand trigger measures one "openness" value. It fires when the value
+ *      drops below `on` and only re-arms once it rises back above `off`, so a
+ *      value hovering around the threshold can't machine-gun.
+ *
+ * 3. AIM FREEZE:
+ *    - Closing fingers drags the palm (and so the aim point) with it. The aim
+ *      is remembered on the last frame the hand was clearly open, the shot
+ *      goes there, and the crosshair stays there until the trigger releases.
+ *
+ * 4. PAUSE SIGN:
+ *    - A "V" (index + middle finger up, ring + pinky curled) held for a moment
+ *      toggles pause. It is deliberately unlike every shooting trigger.
+ * ============================================================================
+ */
+
+import { LANDMARKS, handScale, pinchDistance } from './calibration.js';
+
+// Menu names + hints: "trigger.<id>" in the string catalogue (assets/locales)
+export const TRIGGERS = {
+    PINCH: 'pinch',
+    FINGER_GUN: 'finger-gun',
+    FIST: 'fist',
+    DWELL: 'dwell'
+};
+
+// On/off thresholds, in hand-size units (see the measure functions below)
+export const TRIGGER_THRESHOLDS = {
+    [TRIGGERS.FINGER_GUN]: { on: 0.45, off: 0.7 },
+    [TRIGGERS.FIST]: { on: 1.1, off: 1.5 }
+};
+
+const PINCH_RELEASE = 1.4;      // Pinch re-arms at 1.4x its firing threshold
+const FREEZE_MAX_AGE = 400;     // Ignore a remembered aim older than this (ms)
+const DWELL_RADIUS = 0.035;     // Dwell wobble allowance (share of the screen)
+const FINGER_UP = 1.6;          // Fingertip this far from the wrist (hand sizes) = extended
+const FINGER_DOWN = 1.2;        // ...and this close = curled
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+/**
+ * MEASURE: Openness of the hand for the chosen trigger (lower = firing)
+ */
+export function measureTrigger(trigger, hand, settings) {
+    const scale = handScale(hand) || 1;
+    if (trigger === TRIGGERS.FINGER_GUN) {
+        // Thumb tip to the index knuckle: thumb "hammer" up vs dropped
+        return distance(hand[LANDMARKS.THUMB_TIP], hand[5]) / scale;
+    }
+    if (trigger === TRIGGERS.FIST) {
+        // Average fingertip reach from the wrist
+        const tips = [8, 12, 16, 20];
+        return tips.reduce((sum, i) => sum + distance(hand[i], hand[LANDMARKS.WRIST]), 0) / tips.length / scale;
+    }
+    // PINCH: relative when calibrated, absolute otherwise
+    const { dist, ratio } = pinchDistance(hand);
+    return settings.pinchRatio ? ratio : dist;
+}
+
+/**
+ * THRESHOLDS: on/off pair for the chosen trigger
+ */
+export function triggerThresholds(trigger, settings) {
+    if (TRIGGER_THRESHOLDS[trigger]) return TRIGGER_THRESHOLDS[trigger];
+    const on = settings.pinchRatio || settings.pinchThreshold;
+    return { on, off: on * PINCH_RELEASE };
+}
+
+export class GestureRecognizer {
+    constructor(settings) {
+        this.settings = settings;   // Shared CV settings (trigger, debounce, dwell...)
+        this.reset();
+    }
+
+    /**
+     * RESET: Forget trigger state (new run, new trigger, hand lost)
+     */
+    reset() {
+        this.active = false;        // Trigger currently held
+        this.lastFireTime = -Infinity;
+        this.openAim = null;        // { x, y, t } aim while the hand was clearly open
+        this.frozenAim = null;      // Aim locked for the duration of the trigger
+        this.dwellStart = null;     // { x, y, t } where the current dwell began
+        this.measure = null;        // Last openness value (for debugging UIs)
+    }
+
+    get trigger() {
+        return this.settings.trigger || TRIGGERS.PINCH;
+    }
+
+    /**
+     * UPDATE: One frame of landmarks + the (smoothed) aim in 0..1 screen space
+     * Returns { fire, aim, charge } - aim is where the crosshair should be,
+     * charge (0..1) is the dwell progress.
+     */
+    update(hand, aim, now) {
+        if (this.trigger === TRIGGERS.DWELL) return this.updateDwell(aim, now);
+
+        const { on, off } = triggerThresholds(this.trigger, this.settings);
+        const value = measureTrigger(this.trigger, hand, this.settings);
+        this.measure = value;
+        let fire = false;
+
+        if (!this.active && value < on) {
+            this.active = true;
+            // Shoot where the player aimed before the fingers started moving
+            const recent = this.openAim && now - this.openAim.t <= FREEZE_MAX_AGE;
+            this.frozenAim = recent ? { x: this.openAim.x, y: this.openAim.y } : { x: aim.x, y: aim.y };
+
+            // Debounce: a fresh trigger too soon after the last shot doesn't fire
+            if (now - this.lastFireTime > this.settings.debounceMs) {
+                fire = true;
+                this.lastFireTime = now;
+            }
+        } else if (this.active && value > off) {
+            this.active = false; // Released: re-armed
+            this.frozenAim = null;
+        }
+
+        // Remember the aim while the hand is clearly open
+        if (!this.active && value > off) {
+            this.openAim = { x: aim.x, y: aim.y, t: now };
+        }
+
+        return { fire, aim: this.frozenAim || aim, charge: 0 };
+    }
+
+    /**
+     * DWELL: Fire after holding still, then require a move before the next shot
+     */
+    updateDwell(aim, now) {
+        const start = this.dwellStart;
+        if (!start || distance(aim, start) > DWELL_RADIUS) {
+            this.dwellStart = { x: aim.x, y: aim.y, t: now };
+            this.active = false; // Moved away: re-armed
+            return { fire: false, aim, charge: 0 };
+        }
+        if (this.active) return { fire: false, aim, charge: 0 };
+
+        const charge = Math.min(1, (now - start.t) / this.settings.dwellMs);
+        if (charge < 1) return { fire: false, aim, charge };
+
+        this.active = true;
+        this.lastFireTime = now;
+        return { fire: true, aim: { x: start.x, y: start.y }, charge: 1 };
+    }
+}
+
+/**
+ * PAUSE SIGN: Index + middle extended, ring + pinky curled
+ */
+export function isPauseSign(hand) {
+    const scale = handScale(hand) || 1;
+    const reach = (tip) => distance(hand[tip], hand[LANDMARKS.WRIST]) / scale;
+    return reach(8) > FINGER_UP && reach(12) > FINGER_UP &&
+        reach(16) < FINGER_DOWN && reach(20) < FINGER_DOWN;
+}
+
+/**
+ * PAUSE GESTURE: Fires once per hold of the pause sign (re-arms on release)
+ */
+export class PauseGesture {
+    constructor(holdMs = 800) {
+        this.holdMs = holdMs;
+        this.holding = false;   // Sign visible this frame
+        this.reset();
+    }
+
+    reset() {
+        this.since = null;      // When the sign was first seen in the current hold
+        this.fired = false;     // Already toggled during this hold
+    }
+
+    /**
+     * UPDATE: hand (or null) per frame - true on the frame the hold completes.
+     * `holding` tells the caller to skip shooting while the sign is shown.
+     */
+    update(hand, now) {
+        this.holding = !!hand && isPauseSign(hand);
+        if (!this.holding) {
+            this.reset();
+            return false;
+        }
+        if (this.since === null) this.since = now;
+        if (this.fired || now - this.since < this.holdMs) return false;
+        this.fired = true;
+        return true;
+    }
+}
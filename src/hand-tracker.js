@@ -0,0 +1,204 @@
+/**
+ * ============================================================================
+ * HAND TRACKER - MediaPipe in a Web Worker, throttled and interpolated
+ * ============================================================================
+ * 1. OFF THE MAIN THREAD:
+ *    - src/hand-worker.js owns the HandLandmarker. Camera frames go to it as
+ *      transferable ImageBitmaps and the landmarks come back as messages, so
+ *      inference never stalls rendering or the game loop.
+ *    - At most one frame is in flight: a slow machine just detects less often.
+ *
+ * 2. THROTTLE:
+ *    - FrameThrottle caps detections at `inferenceFps` (cvSettings) whatever
+ *      the display refresh rate is. Replays use the same cadence.
+ *
+ * 3. INTERPOLATION:
+ *    - Between detections the crosshair glides from where it is to the
+ *      newest aim over the measured detection interval (AimInterpolator),
+ *      so a 15 detections/s machine still aims smoothly at 60fps.
+ *
+ * 4. WORKER MESSAGES:
+ *    main -> worker: { type: 'init', visionModule, wasmPath, modelPath, numHands, delegate }
+ *                    { type: 'frame', frame: ImageBitmap, timestamp }
+ *                    { type: 'options', numHands }
+ *    worker -> main: { type: 'ready', delegate }
+ *                    { type: 'result', timestamp, landmarks, handedness, inferenceMs }
+ *                    { type: 'error', message }
+ * ============================================================================
+ */
+
+import { CDN_PATHS } from './asset-paths.js';
+
+const MAX_GLIDE_MS = 200;   // Never drift slower than this after a stall
+const INTERVAL_EASE = 0.2;  // Weight of the newest gap in the detection interval average
+
+/**
+ * FRAME THROTTLE: Lets a detection through at most `fps` times a second.
+ * Keeps to the average rate even when display frames don't line up with it.
+ */
+export class FrameThrottle {
+    constructor(fps = 30) {
+        this.setRate(fps);
+    }
+
+    setRate(fps) {
+        this.fps = fps;
+        this.interval = 1000 / fps;
+        this.nextAt = -Infinity;    // Earliest time for the next detection
+    }
+
+    /**
+     * TAKE: True if a detection may run at `now` (and books the slot)
+     */
+    take(now) {
+        if (now < this.nextAt) return false;
+        // Step from the booked slot, not from now, so jitter doesn't lower the
+        // rate (but start afresh after a long gap instead of catching up)
+        const base = now - this.nextAt > this.interval ? now : this.nextAt;
+        this.nextAt = base + this.interval;
+        return true;
+    }
+}
+
+/**
+ * AIM INTERPOLATOR: Glides one crosshair between detections
+ */
+export class AimInterpolator {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.from = null;           // Position when the latest detection arrived
+        this.target = null;         // Latest detected aim
+        this.start = 0;             // Time the glide started
+        this.duration = 0;          // Glide length (ms)
+        this.interval = null;       // Average time between detections (ms)
+        this.lastPush = null;       // Time of the latest detection
+    }
+
+    /**
+     * PUSH: A new detected aim at `now` - glide to it from where we are
+     */
+    push(point, now) {
+        if (this.lastPush !== null) {
+            const gap = now - this.lastPush;
+            this.interval = this.interval === null ? gap : this.interval + (gap - this.interval) * INTERVAL_EASE;
+        }
+        this.lastPush = now;
+        this.from = this.target ? this.sample(now) : point;
+        this.target = { x: point.x, y: point.y };
+        this.start = now;
+        this.duration = Math.min(this.interval ?? 0, MAX_GLIDE_MS);
+    }
+
+    /**
+     * SNAP: Jump straight to the latest aim (a shot lands where it was aimed)
+     */
+    snap() {
+        if (!this.target) return;
+        this.from = this.target;
+        this.duration = 0;
+    }
+
+    /**
+     * SAMPLE: Position to draw at `now` (null before the first detection)
+     */
+    sample(now) {
+        if (!this.target) return null;
+        if (this.duration <= 0) return { ...this.target };
+        const t = Math.max(0, Math.min(1, (now - this.start) / this.duration));
+        return {
+            x: this.from.x + (this.target.x - this.from.x) * t,
+            y: this.from.y + (this.target.y - this.from.y) * t
+        };
+    }
+}
+
+/**
+ * HAND TRACKER: Main-thread side of the worker (browser only)
+ */
+export class HandTracker {
+    constructor(workerUrl = new URL('./hand-worker.js', import.meta.url)) {
+        this.workerUrl = workerUrl;
+        this.worker = null;
+        this.ready = false;         // Model loaded in the worker
+        this.busy = false;          // A frame is being detected
+        this.result = null;         // Newest detection not yet taken
+        this.inferenceMs = 0;       // How long the last detection took (debug)
+        this.delegate = null;       // 'GPU' or 'CPU', as picked by the worker
+    }
+
+    /**
+     * INIT: Start the worker and load the model - resolves once it can detect.
+     * `paths` is an assetPaths() result (where MediaPipe and the model live),
+     * `delegate` 'auto' (GPU, else CPU), 'GPU' or 'CPU' (src/camera.js).
+     */
+    init({ numHands = 1, paths = CDN_PATHS, delegate = 'auto' } = {}) {
+        this.worker = new Worker(this.workerUrl); // Classic, so MediaPipe can importScripts()
+        return new Promise((resolve, reject) => {
+            this.worker.onmessage = ({ data }) => {
+                if (data.type === 'ready') {
+                    this.ready = true;
+                    this.delegate = data.delegate;
+                    resolve(this);
+                } else if (data.type === 'result') {
+                    this.busy = false;
+                    this.inferenceMs = data.inferenceMs;
+                    this.result = data;
+                } else if (data.type === 'error') {
+                    this.busy = false;
+                    if (!this.ready) {
+                        this.terminate();
+                        reject(new Error(data.message));
+                    } else {
+                        console.warn("Hand detection failed", data.message);
+                    }
+                }
+            };
+            this.worker.onerror = (event) => {
+                this.terminate();
+                reject(new Error(event.message || "Hand tracking worker failed to start"));
+            };
+            this.worker.postMessage({ type: 'init', visionModule: paths.visionModule, wasmPath: paths.wasm, modelPath: paths.model, numHands, delegate });
+        });
+    }
+
+    /**
+     * SEND: Grab the current video frame and hand it to the worker
+     * (transferred, not copied). Skipped while a frame is in flight.
+     */
+    send(video, timestamp) {
+        if (!this.ready || this.busy) return false;
+        this.busy = true;
+        createImageBitmap(video)
+            .then(frame => this.worker.postMessage({ type: 'frame', frame, timestamp }, [frame]))
+            .catch(err => {
+                this.busy = false;
+                console.warn("Could not grab a camera frame", err);
+            });
+        return true;
+    }
+
+    /**
+     * TAKE RESULT: The newest detection since the last call (or null).
+     * Same shape as detectForVideo() plus the frame's `timestamp`.
+     */
+    takeResult() {
+        const result = this.result;
+        this.result = null;
+        return result;
+    }
+
+    // Same call as HandLandmarker.setOptions() (players added / removed)
+    setOptions({ numHands }) {
+        if (this.worker) this.worker.postMessage({ type: 'options', numHands });
+    }
+
+    terminate() {
+        if (this.worker) this.worker.terminate();
+        this.worker = null;
+        this.ready = false;
+        this.busy = false;
+    }
+}
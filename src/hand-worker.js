@@ -0,0 +1,86 @@
+/**
+ * ============================================================================
+ * HAND WORKER - Runs the MediaPipe HandLandmarker off the main thread
+ * ============================================================================
+ * Started by src/hand-tracker.js (message protocol is listed there).
+ * Each frame arrives as a transferred ImageBitmap and is closed as soon as
+ * it has been detected. An 'options' message that arrives while the model is
+ * still loading is applied as soon as it's created.
+ * GPU inference is tried first, then the CPU (unless the camera panel asked
+ * for one of them).
+ * The MediaPipe module, WASM and model URLs come with the init message
+ * (src/asset-paths.js), so the worker loads vendored copies when present.
+ * A classic worker, not a module one: MediaPipe loads its WASM glue with
+ * importScripts(), which module workers reject. The bundle itself is an ES
+ * module and comes in through import().
+ * ============================================================================
+ */
+
+let landmarker = null;
+let numHands = 1; // Latest hand count asked for, kept while the model loads
+
+/**
+ * CREATE: Load the model on the GPU, or the CPU if WebGL isn't available here
+ * (a delegate picked on the camera panel is used as is, without fallback)
+ */
+async function createLandmarker({ visionModule, wasmPath, modelPath, numHands, delegate: choice = 'auto' }) {
+    const { HandLandmarker, FilesetResolver } = await import(visionModule);
+    const vision = await FilesetResolver.forVisionTasks(wasmPath);
+    const delegates = choice === 'auto' ? ["GPU", "CPU"] : [choice];
+    for (const delegate of delegates) {
+        try {
+            const created = await HandLandmarker.createFromOptions(vision, {
+                baseOptions: { modelAssetPath: modelPath, delegate },
+                runningMode: "VIDEO", // Optimized for real-time cameras
+                numHands              // One hand per player
+            });
+            return { created, delegate };
+        } catch (err) {
+            if (delegate === delegates[delegates.length - 1]) throw err;
+            console.warn("GPU hand tracking unavailable, using the CPU", err);
+        }
+    }
+}
+
+/**
+ * DETECT: One frame -> plain landmark arrays (structured-clone friendly)
+ */
+function detect(frame, timestamp) {
+    const start = performance.now();
+    try {
+        const results = landmarker.detectForVideo(frame, timestamp);
+        return {
+            type: 'result',
+            timestamp,
+            landmarks: results.landmarks || [],
+            handedness: results.handednesses || results.handedness || [],
+            inferenceMs: performance.now() - start
+        };
+    } finally {
+        frame.close(); // Free the bitmap right away
+    }
+}
+
+self.onmessage = async ({ data }) => {
+    try {
+        if (data.type === 'init') {
+            numHands = data.numHands;
+            const { created, delegate } = await createLandmarker(data);
+            landmarker = created;
+            // Players added or removed while the model loaded
+            if (numHands !== data.numHands) landmarker.setOptions({ numHands });
+            self.postMessage({ type: 'ready', delegate });
+        } else if (data.type === 'frame') {
+            if (!landmarker) {
+                data.frame.close();
+                return;
+            }
+            self.postMessage(detect(data.frame, data.timestamp));
+        } else if (data.type === 'options') {
+            numHands = data.numHands;
+            if (landmarker) landmarker.setOptions({ numHands });
+        }
+    } catch (err) {
+        self.postMessage({ type: 'error', message: err.message || String(err) });
+    }
+};
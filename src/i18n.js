@@ -0,0 +1,180 @@
+/**
+ * ============================================================================
+ * I18N - String catalogues, language choice and number formatting (no DOM
+ * except loadCatalogue)
+ * ============================================================================
+ * 1. CATALOGUES (assets/locales/<code>.json):
+ *    - One flat JSON object per language: "dotted.key": "Text with {name}".
+ *    - en.json is the full catalogue; the others may leave keys out.
+ *    - All are fetched (no JSON module imports, which older browsers reject).
+ *      game.js waits only for English; other languages load in the background.
+ *    - A key is looked up in the chosen language, then English, then shown
+ *      as itself (so a typo is visible instead of blank).
+ *
+ * 2. LANGUAGE:
+ *    - ?lang=fr in the URL, else the one picked on the menu (saved to
+ *      localStorage), else the browser's first supported language, else
+ *      English.
+ *
+ * 3. NUMBERS:
+ *    - Scores and stats go through Intl.NumberFormat, so grouping and
+ *      decimal marks follow the language (1,500 / 1.500 / 1 500).
+ *    - Values passed to t() are shown as given: format numbers first.
+ * ============================================================================
+ */
+
+export const LOCALE_STORAGE_KEY = 'duckhunt.locale';
+export const DEFAULT_LOCALE = 'en';
+
+// Supported languages, named in their own language (the picker never changes)
+export const LOCALES = {
+    en: 'English',
+    es: 'Español',
+    fr: 'Français',
+    de: 'Deutsch'
+};
+
+export const SCORE_DIGITS = 6; // HUD / leaderboard scores keep their leading zeroes
+
+/**
+ * CATALOGUE URL: Where a language's strings live
+ */
+export function catalogueUrl(locale) {
+    return `assets/locales/${locale}.json`;
+}
+
+/**
+ * SUPPORTED: The supported code for a language tag ("fr-CA" -> "fr"), or null
+ */
+export function supportedLocale(tag) {
+    if (typeof tag !== 'string') return null;
+    const code = tag.trim().toLowerCase().split(/[-_]/)[0];
+    return Object.hasOwn(LOCALES, code) ? code : null;
+}
+
+/**
+ * PICK LOCALE: ?lang= beats the saved choice, which beats the browser's list
+ */
+export function pickLocale({ search = '', saved = null, languages = [] } = {}) {
+    const requested = supportedLocale(new URLSearchParams(search).get('lang'));
+    if (requested) return requested;
+    const remembered = supportedLocale(saved);
+    if (remembered) return remembered;
+    for (const tag of languages) {
+        const code = supportedLocale(tag);
+        if (code) return code;
+    }
+    return DEFAULT_LOCALE;
+}
+
+/**
+ * INTERPOLATE: Fill {name} placeholders (unknown ones are left in place)
+ */
+export function interpolate(template, params = {}) {
+    return template.replace(/\{(\w+)\}/g, (match, name) => (
+        Object.hasOwn(params, name) ? String(params[name]) : match
+    ));
+}
+
+/**
+ * PARSE CATALOGUE: A locale file as { key: string } - anything that is not
+ * a string is dropped with a warning, so one bad entry falls back alone
+ */
+export function parseCatalogue(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error("A string catalogue must be a JSON object");
+    }
+    const strings = {};
+    Object.entries(data).forEach(([key, value]) => {
+        if (typeof value === 'string') strings[key] = value;
+        else console.warn(`Ignoring string "${key}" (not text)`);
+    });
+    return strings;
+}
+
+/**
+ * TRANSLATOR: The current language's strings with the English fallback
+ */
+export class Translator {
+    constructor(locale = DEFAULT_LOCALE, catalogues = {}) {
+        this.catalogues = { ...catalogues };   // code -> { key: string }
+        this.setLocale(locale);
+    }
+
+    setLocale(locale) {
+        this.locale = supportedLocale(locale) || DEFAULT_LOCALE;
+        this.numbers = new Intl.NumberFormat(this.locale);
+        this.scores = new Intl.NumberFormat(this.locale, { minimumIntegerDigits: SCORE_DIGITS });
+        this.percents = new Intl.NumberFormat(this.locale, { style: 'percent' });
+    }
+
+    add(locale, strings) {
+        this.catalogues[locale] = strings;
+    }
+
+    // Text for a key, before placeholders are filled (undefined if nowhere)
+    lookup(key) {
+        const own = this.catalogues[this.locale];
+        if (own && Object.hasOwn(own, key)) return own[key];
+        const fallback = this.catalogues[DEFAULT_LOCALE];
+        if (fallback && Object.hasOwn(fallback, key)) return fallback[key];
+        return undefined;
+    }
+
+    has(key) {
+        return this.lookup(key) !== undefined;
+    }
+
+    /**
+     * T: The text for `key` with its {placeholders} filled in
+     */
+    t(key, params) {
+        const text = this.lookup(key);
+        return text === undefined ? key : interpolate(text, params);
+    }
+
+    /**
+     * NUMBER: Grouped the local way (`options` go to Intl.NumberFormat)
+     */
+    number(value, options) {
+        return options ? new Intl.NumberFormat(this.locale, options).format(value) : this.numbers.format(value);
+    }
+
+    /**
+     * SCORE: HUD-style score with leading zeroes, grouped the local way
+     */
+    score(value) {
+        return this.scores.format(value);
+    }
+
+    // Accuracy and other 0..1 shares as a whole percentage ("85%", "85 %")
+    percent(value) {
+        return this.percents.format(value);
+    }
+}
+
+/**
+ * STORAGE: The language picked on the menu (null if none or unsupported)
+ */
+export function loadSavedLocale(storage = globalThis.localStorage) {
+    try {
+        return supportedLocale(storage.getItem(LOCALE_STORAGE_KEY));
+    } catch (err) {
+        console.warn("Ignoring saved language", err);
+        return null;
+    }
+}
+
+export function saveLocale(locale, storage = globalThis.localStorage) {
+    storage.setItem(LOCALE_STORAGE_KEY, locale);
+}
+
+/**
+ * LOAD CATALOGUE: Fetch and check one language's strings
+ */
+export async function loadCatalogue(locale) {
+    const url = catalogueUrl(locale);
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`Could not load ${url} (${response.status})`);
+    return parseCatalogue(await response.json());
+}
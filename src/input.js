@@ -0,0 +1,172 @@
+/**
+ * ============================================================================
+ * INPUT LAYER - Pluggable aim/fire sources
+ * ============================================================================
+ * Hand tracking is the headline control, but the game must stay playable when
+ * the model fails to load, the camera is denied or there is no webcam at all.
+ * Every source below drives the exact same path as the pinch gesture:
+ *    - game.setAim(x, y)  -> moves handPos + the crosshair element (world coordinates)
+ *    - game.shoot()       -> fires a bullet at handPos
+ * ============================================================================
+ */
+
+import { WORLD } from './world.js';
+
+// Available control schemes (selectable from the menu overlay)
+export const INPUT_MODES = {
+    CV: 'cv',           // MediaPipe hand tracking (pinch to shoot)
+    POINTER: 'pointer'  // Mouse / touch / keyboard / gamepad
+};
+
+// On-screen controls over the game (END RUN, menu buttons...) - pressing one is not a shot
+const UI_CONTROLS = 'button, input, select, label, a';
+const onControl = (e) => !!(e.target && e.target.closest && e.target.closest(UI_CONTROLS));
+
+/**
+ * POINTER INPUT: Mouse and touch aiming, click or tap to fire
+ */
+export class PointerInput {
+    constructor(game, surface) {
+        this.game = game;       // Owner game (exposes setAim / shoot)
+        this.surface = surface; // Element that receives pointer events
+
+        // Bind once so listeners can be removed again on disable()
+        this.onMove = (e) => this.handleMove(e);
+        this.onDown = (e) => this.handleDown(e);
+    }
+
+    enable() {
+        this.surface.addEventListener('pointermove', this.onMove);
+        this.surface.addEventListener('pointerdown', this.onDown);
+    }
+
+    disable() {
+        this.surface.removeEventListener('pointermove', this.onMove);
+        this.surface.removeEventListener('pointerdown', this.onDown);
+    }
+
+    /**
+     * Converts page coordinates into world coordinates (src/world.js)
+     */
+    toWorld(e) {
+        const rect = this.game.canvas.getBoundingClientRect();
+        return this.game.toWorld(e.clientX - rect.left, e.clientY - rect.top);
+    }
+
+    handleMove(e) {
+        if (onControl(e)) return;
+        const pos = this.toWorld(e);
+        this.game.setAim(pos.x, pos.y);
+    }
+
+    handleDown(e) {
+        if (this.game.gameState !== 'playing' || onControl(e)) return; // Menu clicks are not shots
+        // Touch has no hover, so aim at the tap location before firing
+        const pos = this.toWorld(e);
+        this.game.setAim(pos.x, pos.y);
+        this.game.shoot();
+    }
+
+    update() { }
+}
+
+/**
+ * KEYBOARD / GAMEPAD INPUT: Arrow keys, WASD or an analog stick move the
+ * crosshair at a constant speed, Space/Enter or the A/trigger buttons fire.
+ */
+export class KeyboardInput {
+    constructor(game, target = window) {
+        this.game = game;
+        this.target = target;           // Receives the key events
+        this.keys = new Set();          // Currently held movement keys
+        this.speed = 0.9;               // World widths per second at full tilt
+        this.deadZone = 0.2;            // Ignore small analog stick drift
+        this.padFireHeld = false;       // Edge-detect gamepad trigger presses
+
+        this.onKeyDown = (e) => this.handleKeyDown(e);
+        this.onKeyUp = (e) => this.keys.delete(e.code);
+    }
+
+    enable() {
+        this.target.addEventListener('keydown', this.onKeyDown);
+        this.target.addEventListener('keyup', this.onKeyUp);
+    }
+
+    disable() {
+        this.target.removeEventListener('keydown', this.onKeyDown);
+        this.target.removeEventListener('keyup', this.onKeyUp);
+        this.keys.clear();
+    }
+
+    handleKeyDown(e) {
+        if (this.game.gameState !== 'playing') return;
+
+        if (e.code === 'Space' || e.code === 'Enter') {
+            e.preventDefault();               // Don't scroll or re-click buttons
+            if (!e.repeat) this.game.shoot(); // Holding the key is not auto-fire
+            return;
+        }
+        this.keys.add(e.code);
+    }
+
+    /**
+     * UPDATE: Integrate held keys + gamepad stick into crosshair movement
+     */
+    update(dt) {
+        if (this.game.gameState !== 'playing') return;
+
+        let dx = 0, dy = 0;
+        if (this.keys.has('ArrowLeft') || this.keys.has('KeyA')) dx -= 1;
+        if (this.keys.has('ArrowRight') || this.keys.has('KeyD')) dx += 1;
+        if (this.keys.has('ArrowUp') || this.keys.has('KeyW')) dy -= 1;
+        if (this.keys.has('ArrowDown') || this.keys.has('KeyS')) dy += 1;
+
+        // GAMEPAD: First connected pad, left stick + A (0) / right trigger (7)
+        const pads = navigator.getGamepads ? navigator.getGamepads() : [];
+        const pad = Array.from(pads).find(p => p && p.connected);
+        if (pad) {
+            const [ax, ay] = pad.axes;
+            if (Math.abs(ax) > this.deadZone) dx += ax;
+            if (Math.abs(ay) > this.deadZone) dy += ay;
+
+            const firing = (pad.buttons[0] && pad.buttons[0].pressed) ||
+                (pad.buttons[7] && pad.buttons[7].pressed);
+            if (firing && !this.padFireHeld) this.game.shoot();
+            this.padFireHeld = !!firing;
+        }
+
+        if (dx === 0 && dy === 0) return;
+
+        const step = this.speed * WORLD.width * dt;
+        this.game.setAim(this.game.handPos.x + dx * step, this.game.handPos.y + dy * step);
+    }
+}
+
+/**
+ * INPUT MANAGER: Owns the fallback sources and switches them on per mode
+ */
+export class InputManager {
+    constructor(game, { surface = document.getElementById('game-container'), keyTarget = window } = {}) {
+        this.game = game;
+        this.mode = INPUT_MODES.CV;
+        // Sources that are active while in pointer mode
+        this.pointerSources = [
+            new PointerInput(game, surface),
+            new KeyboardInput(game, keyTarget)
+        ];
+    }
+
+    /**
+     * SET MODE: Enables/disables listeners so only one scheme drives the aim
+     */
+    setMode(mode) {
+        if (mode === this.mode) return;
+        if (this.mode === INPUT_MODES.POINTER) this.pointerSources.forEach(s => s.disable());
+        this.mode = mode;
+        if (this.mode === INPUT_MODES.POINTER) this.pointerSources.forEach(s => s.enable());
+    }
+
+    update(dt) {
+        if (this.mode === INPUT_MODES.POINTER) this.pointerSources.forEach(s => s.update(dt));
+    }
+}
@@ -0,0 +1,135 @@
+/**
+ * ============================================================================
+ * LANDMARK RECORDER & REPLAY - Offline debugging of the hand controls
+ * ============================================================================
+ * The recorder stores the raw per-frame output of HandLandmarker (landmarks +
+ * handedness) with timestamps relative to the start of the session.
+ * The replay object mimics HandLandmarker.detectForVideo() so a saved file can
+ * be fed through the exact same mapping/gesture code as the live webcam.
+ * ============================================================================
+ */
+
+export const RECORDING_VERSION = 1;
+
+// Round coordinates to keep downloaded files small (0.00001 ~ sub-pixel)
+const round5 = (v) => Math.round(v * 100000) / 100000;
+
+/**
+ * RECORDER: Collects detection results while a session is running
+ */
+export class LandmarkRecorder {
+    constructor() {
+        this.recording = false; // True between start() and stop()
+        this.frames = [];       // [{ t, landmarks, handedness }]
+        this.startTime = 0;     // performance.now() when recording began
+        this.meta = {};         // Free-form info (canvas size, mode, ...)
+    }
+
+    start(meta = {}) {
+        this.recording = true;
+        this.frames = [];
+        this.startTime = performance.now();
+        this.meta = meta;
+    }
+
+    stop() {
+        this.recording = false;
+    }
+
+    get hasData() {
+        return this.frames.length > 0;
+    }
+
+    /**
+     * CAPTURE: Copy one detectForVideo() result (MediaPipe reuses its objects)
+     */
+    capture(timestamp, results) {
+        if (!this.recording) return;
+        this.frames.push({
+            t: Math.round((timestamp - this.startTime) * 10) / 10,
+            landmarks: (results.landmarks || []).map(hand =>
+                hand.map(p => ({ x: round5(p.x), y: round5(p.y), z: round5(p.z || 0) }))
+            ),
+            handedness: (results.handednesses || results.handedness || []).map(h =>
+                h.map(c => ({ categoryName: c.categoryName, score: round5(c.score) }))
+            )
+        });
+    }
+
+    toJSON() {
+        return {
+            version: RECORDING_VERSION,
+            createdAt: new Date().toISOString(),
+            meta: this.meta,
+            frames: this.frames
+        };
+    }
+
+    /**
+     * DOWNLOAD: Save the session as a JSON file via a temporary link
+     */
+    download(filename = `duckhunt-session-${Date.now()}.json`) {
+        const blob = new Blob([JSON.stringify(this.toJSON())], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+}
+
+/**
+ * REPLAY: Drop-in stand-in for HandLandmarker that plays back a recording
+ */
+export class LandmarkReplay {
+    constructor(data) {
+        if (!data || data.version !== RECORDING_VERSION || !Array.isArray(data.frames)) {
+            throw new Error('Not a Duck Hunt CV session recording');
+        }
+        this.meta = data.meta || {};
+        this.frames = data.frames;
+        this.reset();
+    }
+
+    /**
+     * FROM FILE: Parse a user-selected File (from an <input type="file">)
+     */
+    static async fromFile(file) {
+        return new LandmarkReplay(JSON.parse(await file.text()));
+    }
+
+    reset() {
+        this.startTime = null; // Set by the first detectForVideo() call
+        this.index = -1;       // Last frame handed out
+    }
+
+    get duration() {
+        return this.frames.length ? this.frames[this.frames.length - 1].t : 0;
+    }
+
+    get ended() {
+        return this.index >= this.frames.length - 1;
+    }
+
+    /**
+     * DETECT: Same signature as HandLandmarker.detectForVideo(video, timestamp).
+     * Returns the latest recorded frame at or before the elapsed playback time.
+     * 'timestamp' on the result carries the recorded time for gesture debouncing.
+     */
+    detectForVideo(_video, timestamp) {
+        if (this.startTime === null) this.startTime = timestamp;
+        const elapsed = timestamp - this.startTime;
+
+        while (this.index < this.frames.length - 1 && this.frames[this.index + 1].t <= elapsed) {
+            this.index++;
+        }
+
+        // Nothing recorded yet for this moment, or the recording is over
+        const frame = this.frames[this.index];
+        if (!frame || (this.ended && elapsed > frame.t + 100)) {
+            return { landmarks: [], handedness: [], timestamp: elapsed };
+        }
+        return { landmarks: frame.landmarks, handedness: frame.handedness, timestamp: frame.t };
+    }
+}
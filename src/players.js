@@ -0,0 +1,109 @@
+/**
+ * ============================================================================
+ * HAND ASSIGNMENT - Which detected hand belongs to which player (no DOM)
+ * ============================================================================
+ * MediaPipe returns hands in no particular order, so each frame the hands are
+ * matched to players:
+ *    1. CONTINUITY: A player keeps the hand closest to where their hand was
+ *       last frame. Hands that cross over each other keep their owners.
+ *    2. FIRST SIGHT: A player whose hand has been gone for a while gets a new
+ *       one by screen side (player 1 = left) or by handedness label.
+ * ============================================================================
+ */
+
+export const ASSIGN_STRATEGIES = {
+    SIDE: 'side',               // Player 1 on the left half of the screen
+    HANDEDNESS: 'handedness'    // Player 1 = the hand MediaPipe labels "Left"
+};
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+export class HandAssigner {
+    constructor({ players = 2, strategy = ASSIGN_STRATEGIES.SIDE, aimLandmark = 9, maxLostFrames = 15, maxJump = 0.3 } = {}) {
+        this.playerCount = players;
+        this.strategy = strategy;
+        this.aimLandmark = aimLandmark;     // Point used to track each hand
+        this.maxLostFrames = maxLostFrames; // Frames a player's hand can vanish and still be "theirs"
+        this.maxJump = maxJump;             // Furthest a hand can move between frames (camera units)
+        this.reset();
+    }
+
+    reset() {
+        // Per player: last aim point seen and frames since
+        this.tracks = Array.from({ length: this.playerCount }, () => ({ last: null, lost: Infinity }));
+    }
+
+    /**
+     * ASSIGN: landmarks/handedness straight from HandLandmarker results.
+     * Returns one entry per player: their hand's landmarks, or null.
+     */
+    assign(landmarks = [], handedness = []) {
+        const hands = landmarks.map((hand, i) => ({
+            hand,
+            point: hand[this.aimLandmark],
+            label: handedness[i] && handedness[i][0] ? handedness[i][0].categoryName : null,
+            taken: false
+        }));
+        const result = new Array(this.playerCount).fill(null);
+        const tracked = this.tracks.map(t => t.last !== null && t.lost <= this.maxLostFrames);
+
+        // 1. CONTINUITY: closest (player, hand) pairs first
+        const pairs = [];
+        this.tracks.forEach((track, p) => {
+            if (!tracked[p]) return;
+            hands.forEach((h, i) => {
+                const d = distance(track.last, h.point);
+                if (d <= this.maxJump) pairs.push({ p, i, d });
+            });
+        });
+        pairs.sort((a, b) => a.d - b.d);
+        pairs.forEach(({ p, i }) => {
+            if (result[p] || hands[i].taken) return;
+            result[p] = hands[i].hand;
+            hands[i].taken = true;
+        });
+
+        // 2. FIRST SIGHT: remaining hands go to players without a hand
+        const free = hands.filter(h => !h.taken);
+        const open = result.map((hand, p) => (hand ? null : p)).filter(p => p !== null);
+        this.order(free).forEach(h => {
+            if (!open.length) return;
+            const preferred = this.preferredPlayer(h, free);
+            const slot = open.includes(preferred) && !tracked[preferred] ? preferred
+                : open.find(p => !tracked[p]) ?? open[0];
+            result[slot] = h.hand;
+            open.splice(open.indexOf(slot), 1);
+        });
+
+        // Remember where every player's hand ended up
+        this.tracks.forEach((track, p) => {
+            if (result[p]) {
+                track.last = result[p][this.aimLandmark];
+                track.lost = 0;
+            } else {
+                track.lost++;
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Screen-left first (the camera image is mirrored: larger x = screen left)
+     */
+    order(hands) {
+        return [...hands].sort((a, b) => b.point.x - a.point.x);
+    }
+
+    /**
+     * PREFERRED PLAYER: Where a newly seen hand should go
+     */
+    preferredPlayer(h, free) {
+        if (this.playerCount < 2) return 0;
+        if (this.strategy === ASSIGN_STRATEGIES.HANDEDNESS && h.label) {
+            // Two hands with the same label (two players' right hands): use the side
+            const sameLabel = free.filter(o => o.label === h.label).length > 1;
+            if (!sameLabel) return h.label === 'Left' ? 0 : 1;
+        }
+        return h.point.x > 0.5 ? 0 : 1;
+    }
+}
@@ -0,0 +1,120 @@
+/**
+ * ============================================================================
+ * PLUGINS - Optional add-ons that hook into the game through the event bus
+ * ============================================================================
+ * 1. SHAPE:
+ *    - A plugin is { name, setup(context) }. setup() subscribes to events
+ *      (context.bus) and may return a teardown function, run on unregister.
+ *    - context = { bus, rules, game }: the bus to listen / emit on, the
+ *      DOM-free rules to read, and the game itself for add-ons that draw.
+ *
+ * 2. LOADING:
+ *    - ?plugins=plugins/event-log.js,plugins/my-addon.js loads ES modules
+ *      whose default export is a plugin (see plugins/). Only modules from
+ *      the game's own origin are loaded, so a link can't inject other code.
+ *    - A plugin that fails to load or set up is logged and left out; the
+ *      game runs without it.
+ * ============================================================================
+ */
+
+export class PluginHost {
+    constructor(context) {
+        this.context = context;             // { bus, rules, game }
+        this.plugins = new Map();           // name -> { plugin, teardown }
+    }
+
+    get names() {
+        return [...this.plugins.keys()];
+    }
+
+    /**
+     * REGISTER: Set a plugin up - true if it is now running
+     */
+    register(plugin) {
+        if (!plugin || typeof plugin.name !== 'string' || typeof plugin.setup !== 'function') {
+            console.error("Not a plugin (needs a name and setup())", plugin);
+            return false;
+        }
+        if (this.plugins.has(plugin.name)) {
+            console.warn(`Plugin "${plugin.name}" is already registered`);
+            return false;
+        }
+
+        // Subscriptions made during setup() are remembered, so unregister
+        // cleans up even for plugins without their own teardown
+        const unsubscribers = [];
+        const bus = Object.create(this.context.bus);
+        bus.on = (type, handler) => {
+            const off = this.context.bus.on(type, handler);
+            unsubscribers.push(off);
+            return off;
+        };
+        bus.once = (type, handler) => {
+            const off = this.context.bus.once(type, handler);
+            unsubscribers.push(off);
+            return off;
+        };
+
+        try {
+            const teardown = plugin.setup({ ...this.context, bus });
+            this.plugins.set(plugin.name, { plugin, teardown, unsubscribers });
+            return true;
+        } catch (err) {
+            unsubscribers.forEach(off => off());
+            console.error(`Plugin "${plugin.name}" failed to start`, err);
+            return false;
+        }
+    }
+
+    /**
+     * UNREGISTER: Stop a plugin and drop its subscriptions
+     */
+    unregister(name) {
+        const entry = this.plugins.get(name);
+        if (!entry) return false;
+        this.plugins.delete(name);
+        entry.unsubscribers.forEach(off => off());
+        if (typeof entry.teardown === 'function') {
+            try {
+                entry.teardown();
+            } catch (err) {
+                console.error(`Plugin "${name}" failed to stop`, err);
+            }
+        }
+        return true;
+    }
+}
+
+/**
+ * PLUGIN URLS: The ?plugins= list of a page, as absolute same-origin URLs
+ */
+export function pluginUrls(pageUrl) {
+    const page = new URL(pageUrl);
+    const list = page.searchParams.get('plugins');
+    if (!list) return [];
+    return list.split(',').map(path => path.trim()).filter(Boolean)
+        .map(path => new URL(path, page))
+        .filter(url => {
+            if (url.origin === page.origin) return true;
+            console.warn(`Ignoring plugin from another origin: ${url.href}`);
+            return false;
+        })
+        .map(url => url.href);
+}
+
+/**
+ * LOAD PLUGINS: Import each module and register its default export.
+ * Resolves to the names that started (failures are logged, not thrown).
+ */
+export async function loadPlugins(host, urls, importModule = (url) => import(url)) {
+    const started = [];
+    for (const url of urls) {
+        try {
+            const module = await importModule(url);
+            if (host.register(module.default)) started.push(module.default.name);
+        } catch (err) {
+            console.error(`Could not load plugin ${url}`, err);
+        }
+    }
+    return started;
+}
@@ -0,0 +1,78 @@
+/**
+ * ============================================================================
+ * POWER-UPS - Collectible weapons and effects (data + weapon maths, no DOM)
+ * ============================================================================
+ * 1. PICKUPS:
+ *    - Power-ups float up from the grass as targets (src/simulation.js).
+ *      Shooting one hands its effect to the player who shot it.
+ *
+ * 2. SCOPE:
+ *    - player:  a weapon for the shooter only (shotgun, burst)
+ *    - world:   changes the ducks for everyone (slow-motion)
+ *    - instant: applied once on pickup (strike heal)
+ *    - Timed effects run on the simulated clock, so pause freezes them too.
+ *
+ * 3. PER MODE:
+ *    - Each game mode lists which kinds can appear and how often
+ *      (MODE_RULES[mode].powerUps in src/rules.js, null = none).
+ *    - HUD names are "powerUp.<id>" in the string catalogue (assets/locales).
+ * ============================================================================
+ */
+
+export const POWER_UPS = {
+    // Wider cone: every shell covers a much bigger area
+    shotgun: {
+        id: 'shotgun',
+        icon: 'S',
+        color: '#ff9f1c',
+        scope: 'player',
+        duration: 10000,        // ms
+        radiusScale: 2          // Hit radius multiplier
+    },
+    // Three pellets side by side for one shell
+    burst: {
+        id: 'burst',
+        icon: 'B',
+        color: '#ff3e6d',
+        scope: 'player',
+        duration: 10000,
+        pellets: 3,
+        spacing: 1.5            // Gap between pellets, in hit radii
+    },
+    // Ducks fly slower and stay longer
+    slowmo: {
+        id: 'slowmo',
+        icon: '~',
+        color: '#33ccff',
+        scope: 'world',
+        duration: 8000,
+        timeScale: 0.5          // Duck speed + lifetime clock multiplier
+    },
+    // Wipes one strike off the board
+    heal: {
+        id: 'heal',
+        icon: '+',
+        color: '#39ff14',
+        scope: 'instant',
+        duration: 0
+    }
+};
+
+export const POWER_UP_RADIUS_RATIO = 0.035;    // Pickup size: share of world width
+export const POWER_UP_RISE_MS = 8000;           // Time to float from the grass to the top
+
+/**
+ * WEAPON: Pellet offsets and hit radius for a player's active effects
+ * (no effects = the original single point)
+ */
+export function weaponPattern(effects, hitRadius) {
+    const radius = effects.shotgun ? hitRadius * POWER_UPS.shotgun.radiusScale : hitRadius;
+    if (!effects.burst) return { radius, pellets: [{ dx: 0, dy: 0 }] };
+
+    const { pellets, spacing } = POWER_UPS.burst;
+    const offsets = Array.from({ length: pellets }, (_, i) => ({
+        dx: (i - (pellets - 1) / 2) * spacing * hitRadius,
+        dy: 0
+    }));
+    return { radius, pellets: offsets };
+}
@@ -0,0 +1,30 @@
+/**
+ * ============================================================================
+ * SEEDED RANDOM - Reproducible randomness for the simulation
+ * ============================================================================
+ * Mulberry32: tiny, fast 32-bit PRNG. Same seed -> same sequence on every
+ * browser and in Node, which is what makes a run reproducible.
+ * ============================================================================
+ */
+
+/**
+ * CREATE RNG: Returns a Math.random() style function (floats in [0, 1))
+ */
+export function createRng(seed) {
+    let state = seed >>> 0; // Force into an unsigned 32-bit integer
+
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * RANDOM SEED: Fresh seed for a new run when none was requested
+ */
+export function randomSeed() {
+    return Math.floor(Math.random() * 4294967296);
+}
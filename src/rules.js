@@ -0,0 +1,683 @@
+/**
+ * ============================================================================
+ * GAME RULES - Score, ammo, strikes, levels and the round clock (no DOM)
+ * ============================================================================
+ * 1. STATE:
+ *    - GameRules is a plain state object wrapped around the Simulation.
+ *      The browser game only reads it to paint the HUD and menus.
+ *
+ * 2. EVENTS:
+ *    - Things the UI must react to (level banner, game-over screen) are queued
+ *      in `events` and collected with drainEvents() once per frame.
+ *    - Every shell fired ('shot'), duck struck ('hit') or clean 'miss' and
+ *      every duck in or out is queued too, with world positions. The game
+ *      publishes the queue on its event bus (src/event-bus.js lists them).
+ *
+ * 3. TIMERS:
+ *    - The level clock and the reload delay run on the simulated clock,
+ *      so they follow the fixed timestep (and stop when the world stops).
+ *    - pause() simply stops feeding the simulation: duck lifetimes, the round
+ *      clock and reloads all freeze and carry on from the same tick. A pause
+ *      during a tick stops the ticks still owed for that frame as well.
+ *    - With `breakdownPause` every level up pauses ('breakdown') on the tick
+ *      it happens, so the next level waits for the game's breakdown screen.
+ *
+ * 4. GAME MODES:
+ *    - Each mode (MODE_RULES) only lists what it changes: strikes, whether
+ *      the kill quota / level clock apply, a whole-run clock, or NES-style
+ *      rounds of 10 ducks with a hit quota. GameRules reads the active mode,
+ *      never RULES directly, for those.
+ *    - How many kills, how long a level lasts and how many ducks fly come
+ *      from the level's wave (src/waves.js, `waves` option / setWaves()).
+ *      A wave with a duck count also ends once all of them are down or gone.
+ *
+ * 5. PLAYERS:
+ *    - Each player has their own score, ammo and reload. Strikes, level and
+ *      the ducks are shared: co-op teams up, versus races for the same ducks.
+ *    - Shots fired / shots that hit are counted per player for the run
+ *      history (src/scores.js).
+ *
+ * 6. SPECIES:
+ *    - Score, hit points and what counts as a kill / strike come from the
+ *      duck's type (src/species.js): armoured ducks soak a shot, decoys cost
+ *      points, decoys and golden ducks never cost a strike.
+ *
+ * 7. POWER-UPS:
+ *    - The mode's pickups are released on the simulated clock. Weapons
+ *      (shotgun, burst) belong to the player who shot them, slow-motion
+ *      to everyone (`effects`), heal takes a strike back straight away.
+ *
+ * 8. SCORING:
+ *    - Kills are scored by src/scoring.js: combo multiplier, quick and multi
+ *      kill bonuses. Each kill queues a `points` event (score popups) and
+ *      every level up carries the level's breakdown.
+ * ============================================================================
+ */
+
+import { Simulation } from './simulation.js';
+import { WORLD } from './world.js';
+import { DUCK_TYPES, duckScore } from './species.js';
+import { POWER_UPS, weaponPattern } from './powerups.js';
+import { comboMultiplier, quickKillBonus, multiKillBonus, createLevelTally, tallyAccuracy } from './scoring.js';
+import { BUILTIN_WAVES } from './waves.js';
+
+// Tunable rule constants (shared with tests)
+export const RULES = {
+    maxStrikes: 3,          // Escaped ducks before Game Over
+    maxAmmo: 3,             // Shells per reload
+    reloadDelay: 1500,      // ms to reload after emptying the gun without a hit
+    hitRadiusRatio: 0.08    // Forgiving hitbox: 8% of world width (large enough for kids!)
+};
+
+// Rule sets (selected on the menu)
+export const GAME_MODES = {
+    ARCADE: 'arcade',
+    CLASSIC: 'classic',
+    TIME_ATTACK: 'time-attack',
+    ENDLESS: 'endless',
+    ZEN: 'zen'
+};
+
+// What each mode changes (names + descriptions: "mode.<id>" in the string
+// catalogue, assets/locales). null switches a rule off:
+//    maxStrikes     - escapes before Game Over (null = escapes are free)
+//    killQuota      - the wave's kill quota levels up
+//    levelTimer     - the wave's time limit forces a level up
+//    runTimeLimit   - seconds for the whole run
+//    ducksPerRound  - ducks released per round, then the hit quota decides
+//    canQuit        - the player ends the run (END RUN button)
+//    powerUps       - which pickups float up and how often (ms), or none
+export const MODE_RULES = {
+    // The original rules: 3 strikes, level every 5 hits or 60 seconds
+    [GAME_MODES.ARCADE]: {
+        maxStrikes: RULES.maxStrikes,
+        killQuota: true,
+        levelTimer: true,
+        runTimeLimit: null,
+        ducksPerRound: null,
+        canQuit: false,
+        powerUps: { every: 20000, kinds: ['shotgun', 'burst', 'slowmo', 'heal'] }
+    },
+    // NES rules: 10 ducks a round, hit the quota or it's over
+    [GAME_MODES.CLASSIC]: {
+        maxStrikes: null,
+        killQuota: false,
+        levelTimer: false,
+        runTimeLimit: null,
+        ducksPerRound: 10,
+        canQuit: false,
+        powerUps: null
+    },
+    // As many points as possible before the clock runs out
+    [GAME_MODES.TIME_ATTACK]: {
+        maxStrikes: null,
+        killQuota: true,
+        levelTimer: false,
+        runTimeLimit: 90,
+        ducksPerRound: null,
+        canQuit: false,
+        powerUps: { every: 15000, kinds: ['shotgun', 'burst', 'slowmo'] }
+    },
+    // No clock: the ducks keep speeding up until 3 get away
+    [GAME_MODES.ENDLESS]: {
+        maxStrikes: RULES.maxStrikes,
+        killQuota: true,
+        levelTimer: false,
+        runTimeLimit: null,
+        ducksPerRound: null,
+        canQuit: false,
+        powerUps: { every: 25000, kinds: ['shotgun', 'burst', 'slowmo', 'heal'] }
+    },
+    // No fail: practice, calibration checks, kids
+    [GAME_MODES.ZEN]: {
+        maxStrikes: null,
+        killQuota: true,
+        levelTimer: false,
+        runTimeLimit: null,
+        ducksPerRound: null,
+        canQuit: true,
+        powerUps: { every: 15000, kinds: ['shotgun', 'burst', 'slowmo'] }
+    }
+};
+
+/**
+ * CLASSIC QUOTA: Hits needed out of 10 to clear a round (NES table)
+ */
+export function classicQuota(round) {
+    if (round <= 10) return 6;
+    if (round <= 12) return 7;
+    if (round <= 14) return 8;
+    if (round <= 19) return 9;
+    return 10;
+}
+
+// Player setups (selected on the menu)
+export const PLAYER_MODES = {
+    SOLO: 'solo',       // One player
+    COOP: 'coop',       // Two players, one team score
+    VERSUS: 'versus'    // Two players racing for the same ducks
+};
+
+export class GameRules {
+    constructor({ width = WORLD.width, height = WORLD.height, seed = 1, playerMode = PLAYER_MODES.SOLO, gameMode = GAME_MODES.ARCADE, waves = BUILTIN_WAVES, breakdownPause = false } = {}) {
+        this.playerMode = playerMode;
+        this.gameMode = gameMode;
+        this.sim = new Simulation({ width, height, seed, waves });
+        this.sim.onDuckEscaped = (duck) => {
+            if (this.phase !== 'playing') return;
+            this.escaped++;
+            this.events.push({ type: 'duckEscaped', duckId: duck.id });
+            if (!DUCK_TYPES[duck.type].strikeOnEscape) return; // Decoys and golden ducks are free to miss
+            this.players.forEach(p => { p.combo = 0; }); // Escapes break everyone's combo
+            if (this.mode.maxStrikes !== null) this.addStrike(); // Missing a duck counts as a strike
+        };
+        this.sim.onDuckFalling = (duck) => this.events.push({ type: 'duckFalling', duckId: duck.id });
+        this.sim.onDuckSpawned = (duck) => this.events.push({ type: 'duckSpawned', duckId: duck.id, duckType: duck.type, x: duck.x, y: duck.y });
+        this.sim.onTick = () => this.tick();
+        this.sim.isHeld = () => this.phase !== 'playing'; // Paused (or over) mid-advance
+        this.breakdownPause = breakdownPause; // Pause on every level up (the game shows a breakdown)
+        this.pendingWaves = null;           // Wave table waiting for the next reset (setWaves())
+        this.hitboxScale = 1;               // Accessibility: shot radius multiplier (kept across resets)
+        this.reset(seed);
+    }
+
+    /**
+     * RESET: Hard reset of all counters for a new run
+     */
+    reset(seed = this.sim.seed) {
+        if (this.pendingWaves) {
+            this.sim.waves = this.pendingWaves;
+            this.pendingWaves = null;
+        }
+        this.sim.reset(seed);
+        this.phase = 'menu';            // menu -> playing (<-> paused) -> game-over
+        this.pauseReason = null;        // 'manual' | 'hidden' | 'tracking' | 'breakdown' while paused
+        this.strikes = 0;               // Number of ducks missed (shared)
+        this.ducksShotThisRound = 0;    // Used to track Level Up progression (shared)
+        this.roundStartTime = null;     // Simulated timestamp for the level clock
+        this.runStartTime = null;       // Simulated timestamp for the whole-run clock
+        this.roundHits = 0;             // Ducks hit this round (classic quota)
+        this.escaped = 0;               // Ducks that flew away this run (stats)
+        this.events = [];               // Pending UI notifications
+        this.endReason = null;          // Why the last run ended (see gameOver())
+        this.effects = {};              // World power-ups: kind -> simulated expiry time
+        this.nextPowerUpAt = null;      // Simulated time of the next pickup (null = none)
+        this.levelTally = createLevelTally(); // Stats for the breakdown screen (this level)
+        this.shownCountdowns = null;    // Whole seconds last announced by timerTick
+
+        // Per-player guns and scores
+        const count = this.playerMode === PLAYER_MODES.SOLO ? 1 : 2;
+        this.players = Array.from({ length: count }, (_, index) => ({
+            index,
+            score: 0,                   // This player's points
+            ammo: RULES.maxAmmo,        // Remaining bullets
+            reloadAt: null,             // Simulated timestamp when the gun refills
+            shots: 0,                   // Shells fired this run (stats)
+            hits: 0,                    // Shots that hit at least one duck (stats)
+            combo: 0,                   // Kills in a row (multiplier)
+            bestCombo: 0,               // Longest combo this run
+            effects: {}                 // Weapon power-ups: kind -> simulated expiry time
+        }));
+    }
+
+    /**
+     * PLAYER MODE: Solo / co-op / versus (takes effect on the next reset)
+     */
+    setPlayerMode(mode) {
+        this.playerMode = mode;
+        this.reset();
+    }
+
+    /**
+     * GAME MODE: Arcade / classic / time attack / endless / zen
+     */
+    setGameMode(mode) {
+        if (!MODE_RULES[mode]) throw new Error(`Unknown game mode: ${mode}`);
+        this.gameMode = mode;
+        this.reset();
+    }
+
+    // Rule set of the active game mode
+    get mode() { return MODE_RULES[this.gameMode]; }
+
+    /**
+     * WAVES: Swap the level table (parsed wave file, src/waves.js) -
+     * used from the next reset, so a run in progress keeps its levels
+     */
+    setWaves(waves) {
+        this.pendingWaves = waves;
+        if (this.phase === 'menu' || this.phase === 'game-over') this.reset();
+    }
+
+    // Wave entry of the level being played
+    get wave() { return this.sim.wave; }
+
+    // Current difficulty level (owned by the simulation, which spawns by it)
+    get round() { return this.sim.round; }
+
+    // Team total (the only score in solo)
+    get score() { return this.players.reduce((sum, p) => sum + p.score, 0); }
+
+    // Player 1's gun (solo shorthand)
+    get ammo() { return this.players[0].ammo; }
+    set ammo(value) { this.players[0].ammo = value; }
+    get reloadAt() { return this.players[0].reloadAt; }
+
+    /**
+     * WINNER: Versus result - player index, or null for a draw / other modes
+     */
+    get winner() {
+        if (this.playerMode !== PLAYER_MODES.VERSUS) return null;
+        const [p1, p2] = this.players;
+        if (p1.score === p2.score) return null;
+        return p1.score > p2.score ? 0 : 1;
+    }
+
+    /**
+     * START: Begin play - clock starts and the first duck spawns
+     */
+    start() {
+        if (this.phase === 'playing') return;
+        this.phase = 'playing';
+        this.roundStartTime = this.sim.clock;
+        this.runStartTime = this.sim.clock;
+        this.sim.spawnBudget = this.mode.ducksPerRound ?? this.wave.ducks;
+        this.nextPowerUpAt = this.mode.powerUps ? this.sim.clock + this.mode.powerUps.every : null;
+        this.sim.start();
+        this.sim.spawnIfNeeded();
+    }
+
+    /**
+     * PAUSE: Freeze the run (reason is shown on the pause screen)
+     */
+    pause(reason = 'manual') {
+        if (this.phase !== 'playing') return false;
+        this.phase = 'paused';
+        this.pauseReason = reason;
+        this.events.push({ type: 'pause', reason });
+        return true;
+    }
+
+    /**
+     * RESUME: Continue from the exact tick the run was paused on
+     */
+    resume() {
+        if (this.phase !== 'paused') return false;
+        this.phase = 'playing';
+        this.pauseReason = null;
+        this.sim.accumulator = 0; // Time spent paused is never simulated
+        this.events.push({ type: 'resume' });
+        return true;
+    }
+
+    /**
+     * UPDATE: Advance the world by real elapsed ms (fixed ticks inside)
+     */
+    update(elapsedMs) {
+        if (this.phase !== 'playing') return 0;
+        return this.sim.advance(elapsedMs);
+    }
+
+    /**
+     * TICK: Per-step timers (called by the simulation after every tick)
+     */
+    tick() {
+        if (this.phase !== 'playing') return;
+
+        // AUTO-RELOAD: Out of shells after a miss, refill after the delay
+        this.players.forEach(player => {
+            if (player.reloadAt !== null && this.sim.clock >= player.reloadAt) {
+                player.reloadAt = null;
+                player.ammo = RULES.maxAmmo;
+                this.events.push({ type: 'reload', playerIndex: player.index });
+            }
+        });
+
+        // POWER-UPS: Release the next pickup, drop effects that ran out
+        if (this.nextPowerUpAt !== null && this.sim.clock >= this.nextPowerUpAt) {
+            const { every, kinds } = this.mode.powerUps;
+            this.sim.spawnPowerUp(kinds[Math.floor(this.sim.random() * kinds.length)]);
+            this.nextPowerUpAt += every;
+        }
+        this.expireEffects();
+
+        const mode = this.mode;
+        if (mode.runTimeLimit !== null) {
+            // RUN CLOCK: The whole game is over when time runs out
+            if (this.timeRemaining <= 0) this.gameOver('time');
+        } else if (mode.levelTimer && this.wave.timeLimit !== null) {
+            // ROUND CLOCK: Move to next level if time runs out
+            if (this.timeRemaining <= 0) this.levelUp('timer');
+        }
+
+        // ROUND OVER: Every duck of the round / wave is down or gone
+        if (this.phase === 'playing' && this.sim.spawnBudget === 0 && this.sim.ducks.length === 0) {
+            if (mode.ducksPerRound !== null) {
+                this.endClassicRound();
+            } else {
+                this.levelUp('wave');
+                this.sim.spawnIfNeeded();
+            }
+        }
+
+        // COUNTDOWNS: Tell the HUD when a clock or power-up shows a new second
+        if (this.phase !== 'playing') return;
+        const countdowns = [this.timeRemaining, ...this.players.map(p => this.activeEffects(p.index).map(e => e.remaining))];
+        const shown = JSON.stringify(countdowns);
+        if (shown !== this.shownCountdowns) {
+            this.shownCountdowns = shown;
+            this.events.push({ type: 'timerTick', timeRemaining: this.timeRemaining });
+        }
+    }
+
+    /**
+     * TIME REMAINING: Whole seconds left on the run clock (time attack) or
+     * the level clock - null when the mode has no clock at all
+     */
+    get timeRemaining() {
+        const { runTimeLimit, levelTimer } = this.mode;
+        const limit = runTimeLimit ?? (levelTimer ? this.wave.timeLimit : null);
+        if (limit === null) return null;
+
+        const start = runTimeLimit !== null ? this.runStartTime : this.roundStartTime;
+        if (start === null) return limit;
+        const elapsed = (this.sim.clock - start) / 1000;
+        return Math.max(0, Math.ceil(limit - elapsed));
+    }
+
+    /**
+     * QUOTA: Classic round progress - hits so far and hits needed (or null)
+     */
+    get quota() {
+        if (this.mode.ducksPerRound === null) return null;
+        return { hits: this.roundHits, needed: classicQuota(this.round), ducks: this.mode.ducksPerRound };
+    }
+
+    /**
+     * END CLASSIC ROUND: Quota met = next round, missed = Game Over
+     */
+    endClassicRound() {
+        if (this.roundHits < classicQuota(this.round)) {
+            this.gameOver('quota');
+            return;
+        }
+        this.levelUp('quota');
+        this.sim.spawnBudget = this.mode.ducksPerRound; // Release the next 10
+        this.sim.spawnIfNeeded();
+    }
+
+    get hitRadius() {
+        return this.sim.width * RULES.hitRadiusRatio * this.hitboxScale;
+    }
+
+    /**
+     * SHOOT: Spend one of the player's shells at (x, y) and hit every flying
+     * duck in range. The first shot to reach a duck takes it (versus race).
+     * Returns { fired, hits, dented, powerUps } - fired is false when the gun
+     * is empty, dented lists armoured ducks that took a hit but are still
+     * flying, powerUps the pickups collected.
+     */
+    shoot(x, y, playerIndex = 0) {
+        const result = { fired: false, hits: [], dented: [], powerUps: [] };
+        const player = this.players[playerIndex];
+        if (this.phase !== 'playing' || !player) return result;
+        if (player.ammo <= 0) { // Can't fire if out of bullets
+            this.events.push({ type: 'dryFire', playerIndex });
+            return result;
+        }
+        const ducks = this.sim.ducks.filter(duck => duck.status === 'flying').map(({ x, y }) => ({ x, y })); // Before the shot (heatmap)
+
+        player.ammo--; // Use 1 bullet
+        player.shots++;
+        const tally = this.levelTally; // The whole shot is booked on the level it was fired in
+        const finishedLevels = [];      // Levels the shot completed (closed once it's scored)
+        tally.shots++;
+        result.fired = true;
+
+        // WEAPON: One pellet normally - shotgun widens it, burst fires three
+        const { radius, pellets } = weaponPattern(player.effects, this.hitRadius);
+        // PYTHAGORAS: Check distance between a pellet and a target's center
+        const inRange = (pellet, target) => Math.hypot(x + pellet.dx - target.x, y + pellet.dy - target.y) < radius;
+
+        pellets.forEach(pellet => this.sim.ducks.forEach(duck => {
+            if (duck.status !== 'flying' || !inRange(pellet, duck)) return;
+
+            // STATS: The shell landed
+            if (result.hits.length === 0 && result.dented.length === 0) {
+                player.hits++;
+                tally.hits++;
+            }
+
+            // ARMOUR: Extra hit points soak up a shot
+            duck.hp--;
+            this.events.push({ type: 'hit', playerIndex, duckId: duck.id, duckType: duck.type, x: duck.x, y: duck.y, killed: duck.hp <= 0 });
+            if (duck.hp > 0) {
+                duck.flash = 12;
+                result.dented.push(duck);
+                return;
+            }
+
+            duck.status = 'hit'; // Trigger death sequence
+            duck.timer = 0;
+            duck.shotBy = playerIndex;
+            this.scoreKill(player, duck);
+            result.hits.push(duck);
+            if (!DUCK_TYPES[duck.type].countsAsKill) return;
+
+            this.ducksShotThisRound++;
+            this.roundHits++;
+
+            // LEVEL PROGRESSION: Enough kills? Move to next difficulty level
+            // (later pellets already count and score on it)
+            const { killQuota } = this.wave;
+            if (this.mode.killQuota && killQuota !== null && this.ducksShotThisRound >= killQuota) {
+                finishedLevels.push(this.round);
+                this.startNextLevel();
+            }
+        }));
+
+        // PICKUPS: Shot power-ups go to this player
+        this.sim.powerUps
+            .filter(powerUp => pellets.some(pellet => inRange(pellet, powerUp)))
+            .forEach(powerUp => {
+                this.sim.removePowerUp(powerUp);
+                this.collectPowerUp(powerUp.kind, playerIndex);
+                result.powerUps.push(powerUp);
+            });
+
+        // MULTI KILL: Bonus for every extra duck this shell brought down
+        const kills = result.hits.filter(duck => DUCK_TYPES[duck.type].countsAsKill);
+        const bonus = multiKillBonus(kills.length);
+        if (bonus > 0) {
+            const last = kills[kills.length - 1];
+            player.score += bonus;
+            tally.multiKillBonus += bonus;
+            tally.points += bonus;
+            this.events.push({ type: 'points', playerIndex, x: last.x, y: last.y, points: bonus, multiplier: 1, quick: 0, multiKill: kills.length });
+        }
+
+        const hitSomething = result.hits.length > 0 || result.dented.length > 0;
+        if (!hitSomething && result.powerUps.length === 0) player.combo = 0; // A clean miss breaks the combo
+
+        // AUTO-RELOAD: Get 3 new bullets after a hit (or a pickup) or after finishing shots
+        if (hitSomething || result.powerUps.length > 0) {
+            player.ammo = RULES.maxAmmo;
+            player.reloadAt = null;
+        } else if (player.ammo === 0) {
+            player.reloadAt = this.sim.clock + RULES.reloadDelay;
+        }
+        this.events.push({
+            type: 'shot', playerIndex, x, y, hit: hitSomething,
+            hits: result.hits.map(duck => duck.type),
+            dented: result.dented.map(duck => duck.type),
+            ducks
+        });
+        if (!hitSomething && result.powerUps.length === 0) this.events.push({ type: 'miss', playerIndex, x, y });
+
+        // BREAKDOWN: Only now is the shot fully on the finished level's tally
+        finishedLevels.forEach(level => this.closeLevel(level, 'kills'));
+        return result;
+    }
+
+    /**
+     * SCORE KILL: Base points x combo multiplier + quick kill bonus.
+     * Decoys just cost their points and break the combo.
+     */
+    scoreKill(player, duck) {
+        const tally = this.levelTally;
+        const base = duckScore(duck.type, this.round); // Higher level = More points
+        let multiplier = 1;
+        let quick = 0;
+        if (DUCK_TYPES[duck.type].countsAsKill) {
+            player.combo++;
+            player.bestCombo = Math.max(player.bestCombo, player.combo);
+            tally.bestCombo = Math.max(tally.bestCombo, player.combo);
+            multiplier = comboMultiplier(player.combo);
+            quick = quickKillBonus(this.sim.lifeRemaining(duck));
+            tally.comboBonus += base * (multiplier - 1);
+            tally.quickBonus += quick;
+        } else {
+            player.combo = 0;
+        }
+
+        const points = base * multiplier + quick;
+        player.score = Math.max(0, player.score + points);
+        tally.points += points;
+        this.events.push({ type: 'points', playerIndex: player.index, x: duck.x, y: duck.y, points, multiplier, quick });
+    }
+
+    /**
+     * COLLECT POWER-UP: Start (or extend) an effect for a player / everyone
+     */
+    collectPowerUp(kind, playerIndex = 0) {
+        const powerUp = POWER_UPS[kind];
+        if (!powerUp) return;
+        const until = this.sim.clock + powerUp.duration;
+        if (powerUp.scope === 'player') {
+            this.players[playerIndex].effects[kind] = until;
+        } else if (powerUp.scope === 'world') {
+            this.effects[kind] = until;
+            this.sim.timeScale = powerUp.timeScale;
+        } else if (kind === 'heal') {
+            this.strikes = Math.max(0, this.strikes - 1);
+        }
+        this.events.push({ type: 'powerUp', kind, playerIndex });
+    }
+
+    /**
+     * EXPIRE EFFECTS: Remove power-ups whose time is up
+     */
+    expireEffects() {
+        const clock = this.sim.clock;
+        const expire = (effects, playerIndex) => Object.keys(effects).forEach(kind => {
+            if (clock < effects[kind]) return;
+            delete effects[kind];
+            this.events.push({ type: 'powerUpEnd', kind, playerIndex });
+        });
+        this.players.forEach(player => expire(player.effects, player.index));
+        expire(this.effects, null);
+        if (!this.effects.slowmo) this.sim.timeScale = 1;
+    }
+
+    /**
+     * ACTIVE EFFECTS: What a player's HUD shows - world effects plus their
+     * own weapons, with whole seconds remaining
+     */
+    activeEffects(playerIndex = 0) {
+        const player = this.players[playerIndex];
+        const list = [];
+        [this.effects, player ? player.effects : {}].forEach(effects => {
+            Object.entries(effects).forEach(([kind, until]) => {
+                list.push({ kind, remaining: Math.max(0, Math.ceil((until - this.sim.clock) / 1000)) });
+            });
+        });
+        return list;
+    }
+
+    /**
+     * STRIKES: Handle missing a duck
+     */
+    addStrike() {
+        if (this.phase !== 'playing') return; // A finished run can't collect more strikes
+        this.strikes++;
+        this.events.push({ type: 'strike', strikes: this.strikes });
+        const maxStrikes = this.mode.maxStrikes ?? RULES.maxStrikes;
+        if (this.strikes >= maxStrikes) {
+            this.gameOver('strikes'); // 3 strikes = Loss
+        }
+    }
+
+    /**
+     * LEVEL UP: Increase difficulty and restart the level clock
+     */
+    levelUp(reason = 'kills') {
+        if (this.phase !== 'playing') return;
+        const level = this.round;
+        this.startNextLevel();
+        this.closeLevel(level, reason);
+    }
+
+    // NEXT LEVEL: Harder waves and a fresh level clock (shoot() defers the breakdown)
+    startNextLevel() {
+        const sim = this.sim;
+        sim.round++;                        // Higher level
+        this.ducksShotThisRound = 0;        // Reset kill streak
+        this.roundHits = 0;                 // New classic round
+        this.roundStartTime = sim.clock;    // Reset 60s clock
+
+        // NEXT WAVE: Ducks on screen (and the duck count) from the wave file
+        sim.maxDucksInScene = this.wave.maxOnScreen;
+        if (this.mode.ducksPerRound === null) sim.spawnBudget = this.wave.ducks;
+    }
+
+    // CLOSE LEVEL: The finished level's stats as a breakdown, then a fresh tally
+    closeLevel(level, reason) {
+        const tally = this.levelTally;
+        this.levelTally = createLevelTally();
+        this.events.push({
+            type: 'levelUp',
+            round: level + 1,
+            reason,
+            breakdown: { level, ...tally, accuracy: tallyAccuracy(tally) }
+        });
+        if (this.breakdownPause) this.pause('breakdown'); // Not one more tick of the new level
+    }
+
+    /**
+     * QUIT: The player ends the run (zen has no other way out)
+     */
+    quit() {
+        if (this.phase === 'playing' || this.phase === 'paused') this.gameOver('quit');
+    }
+
+    /**
+     * GAME OVER: Stop the world, keep the final numbers for the menu
+     * reason: 'strikes' | 'time' | 'quota' | 'quit'
+     */
+    gameOver(reason = 'strikes') {
+        if (this.phase === 'game-over') return;
+        this.phase = 'game-over';
+        this.pauseReason = null;
+        this.endReason = reason;
+        this.sim.stop(); // Freeze the world
+        this.players.forEach(p => { p.reloadAt = null; });
+        this.events.push({
+            type: 'gameOver',
+            reason,
+            gameMode: this.gameMode,
+            score: this.score,
+            round: this.round,
+            scores: this.players.map(p => p.score),
+            winner: this.winner
+        });
+    }
+
+    /**
+     * DRAIN EVENTS: Hand queued notifications to the UI (and clear them)
+     */
+    drainEvents() {
+        const events = this.events;
+        this.events = [];
+        return events;
+    }
+}
@@ -0,0 +1,226 @@
+/**
+ * ============================================================================
+ * HIGH SCORES & RUN HISTORY - Local leaderboard kept in localStorage
+ * ============================================================================
+ * 1. RUNS:
+ *    - Every finished game becomes a run record: score, level reached, shots
+ *      fired, hits, accuracy and ducks escaped (summarizeRun()).
+ *    - The newest runs are kept in `history` (oldest dropped first).
+ *
+ * 2. LEADERBOARD:
+ *    - The best scores with the player's initials, one board per game mode.
+ *      A run only asks for initials when it would make its board (qualifies()).
+ *
+ * 3. EXPORT / IMPORT:
+ *    - toJSON() is the file format. import() merges a file into the local
+ *      book (runs are matched by id, so importing twice changes nothing).
+ * ============================================================================
+ */
+
+import { PLAYER_MODES, GAME_MODES } from './rules.js';
+
+export const SCORES_STORAGE_KEY = 'duckhunt.scores';
+export const SCORES_VERSION = 1;
+export const MAX_HIGH_SCORES = 10;  // Leaderboard size (per game mode)
+export const MAX_HISTORY = 50;      // Runs kept in the history
+
+/**
+ * SUMMARIZE RUN: Run record for a finished game (versus counts the best player)
+ */
+export function summarizeRun(rules, date = new Date()) {
+    const players = rules.players.map(p => ({ score: p.score, shots: p.shots, hits: p.hits }));
+    const shots = players.reduce((sum, p) => sum + p.shots, 0);
+    const hits = players.reduce((sum, p) => sum + p.hits, 0);
+    const score = rules.playerMode === PLAYER_MODES.VERSUS
+        ? Math.max(...players.map(p => p.score))
+        : rules.score;
+
+    return {
+        id: `${date.getTime().toString(36)}-${rules.sim.seed.toString(36)}`,
+        date: date.toISOString(),
+        playerMode: rules.playerMode,
+        gameMode: rules.gameMode,
+        seed: rules.sim.seed,
+        score,
+        level: rules.round,
+        shots,
+        hits,
+        accuracy: shots > 0 ? Math.round((hits / shots) * 1000) / 1000 : 0,
+        escaped: rules.escaped,
+        players
+    };
+}
+
+/**
+ * CLEAN INITIALS: Up to three arcade letters/digits
+ */
+export function cleanInitials(text) {
+    const initials = String(text || '').toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, 3);
+    return initials || '???';
+}
+
+// Entries saved before game modes existed were arcade runs
+const modeOf = (entry) => entry.gameMode || GAME_MODES.ARCADE;
+
+// Highest score first; on a tie the older entry stays ahead
+const byScore = (a, b) => b.score - a.score || a.date.localeCompare(b.date);
+const byNewest = (a, b) => b.date.localeCompare(a.date);
+
+// Imported entries are checked field by field before they are saved - the
+// boards sort by them and the menu shows them as they are, so a bad one
+// would break or garble the scoreboard for good
+const isCount = (value) => Number.isInteger(value) && value >= 0;
+const isEntry = (entry) => Boolean(entry)
+    && typeof entry.id === 'string' && entry.id !== ''
+    && typeof entry.date === 'string'
+    && isCount(entry.score)
+    && (entry.gameMode === undefined || Object.values(GAME_MODES).includes(entry.gameMode));
+
+// A leaderboard line (its initials are cleaned like typed ones on the way in)
+const isHighScore = (entry) => isEntry(entry)
+    && typeof entry.initials === 'string'
+    && isCount(entry.level) && entry.level >= 1;
+
+// A history row: level, hits/shots, accuracy and escapes are all shown
+const isRun = (run) => isEntry(run)
+    && isCount(run.level) && run.level >= 1
+    && isCount(run.shots) && isCount(run.hits) && run.hits <= run.shots
+    && Number.isFinite(run.accuracy) && run.accuracy >= 0 && run.accuracy <= 1
+    && isCount(run.escaped);
+
+/**
+ * TRIM BOARDS: Sort every mode's board and keep its top entries
+ */
+function trimBoards(entries) {
+    const kept = new Map(); // gameMode -> entries kept so far
+    return [...entries].sort(byScore).filter(entry => {
+        const count = kept.get(modeOf(entry)) || 0;
+        kept.set(modeOf(entry), count + 1);
+        return count < MAX_HIGH_SCORES;
+    });
+}
+
+export class ScoreBook {
+    constructor(storage = globalThis.localStorage) {
+        this.storage = storage;
+        this.load();
+    }
+
+    /**
+     * LOAD: Saved book, or an empty one (bad/old data is ignored)
+     */
+    load() {
+        this.highScores = [];   // [{ id, initials, score, level, playerMode, gameMode, date }] - all modes
+        this.history = [];      // Run records, newest first
+        try {
+            const saved = JSON.parse(this.storage.getItem(SCORES_STORAGE_KEY));
+            if (saved && saved.version === SCORES_VERSION) {
+                this.highScores = Array.isArray(saved.highScores) ? saved.highScores : [];
+                this.history = Array.isArray(saved.history) ? saved.history : [];
+            }
+        } catch (err) {
+            console.warn("Ignoring saved high scores", err);
+        }
+    }
+
+    save() {
+        this.storage.setItem(SCORES_STORAGE_KEY, JSON.stringify(this.toJSON()));
+    }
+
+    /**
+     * BOARD: One game mode's leaderboard, best first
+     */
+    board(gameMode = GAME_MODES.ARCADE) {
+        return this.highScores.filter(e => modeOf(e) === gameMode);
+    }
+
+    /**
+     * QUALIFIES: Would this score make the mode's leaderboard?
+     */
+    qualifies(score, gameMode = GAME_MODES.ARCADE) {
+        if (score <= 0) return false;
+        const board = this.board(gameMode);
+        if (board.length < MAX_HIGH_SCORES) return true;
+        return score > board[board.length - 1].score;
+    }
+
+    /**
+     * ADD RUN: Store a finished run in the history
+     */
+    addRun(run) {
+        this.history = [run, ...this.history.filter(r => r.id !== run.id)].slice(0, MAX_HISTORY);
+        this.save();
+        return run;
+    }
+
+    /**
+     * ADD HIGH SCORE: Put a run on the leaderboard under the given initials.
+     * Returns its 0-based rank, or -1 when it didn't make the board.
+     */
+    addHighScore(run, initials) {
+        const gameMode = modeOf(run);
+        if (!this.qualifies(run.score, gameMode)) return -1;
+        const entry = {
+            id: run.id,
+            initials: cleanInitials(initials),
+            score: run.score,
+            level: run.level,
+            playerMode: run.playerMode,
+            gameMode,
+            date: run.date
+        };
+        this.highScores = trimBoards([...this.highScores.filter(e => e.id !== run.id), entry]);
+        this.save();
+        return this.board(gameMode).indexOf(entry);
+    }
+
+    /**
+     * EXPORT: The whole book as a plain object (the JSON file format)
+     */
+    toJSON() {
+        return {
+            version: SCORES_VERSION,
+            exportedAt: new Date().toISOString(),
+            highScores: this.highScores,
+            history: this.history
+        };
+    }
+
+    /**
+     * IMPORT: Merge an exported book into this one (malformed entries are
+     * skipped). Returns how many new { highScores, history } entries were added.
+     */
+    import(data) {
+        if (!data || data.version !== SCORES_VERSION || !Array.isArray(data.highScores) || !Array.isArray(data.history)) {
+            throw new Error('Not a Duck Hunt CV scores file');
+        }
+        const merge = (mine, theirs, isValid) => {
+            const known = new Set(mine.map(e => e.id));
+            const valid = theirs.filter(isValid);
+            if (valid.length < theirs.length) console.warn(`Skipped ${theirs.length - valid.length} malformed score entries`);
+            const added = valid.filter(e => !known.has(e.id));
+            return { list: [...mine, ...added], added: added.length };
+        };
+
+        const highScores = data.highScores.map(e => (isHighScore(e) ? { ...e, initials: cleanInitials(e.initials) } : e));
+        const scores = merge(this.highScores, highScores, isHighScore);
+        const runs = merge(this.history, data.history, isRun);
+        this.highScores = trimBoards(scores.list);
+        this.history = runs.list.sort(byNewest).slice(0, MAX_HISTORY);
+        this.save();
+        return { highScores: scores.added, history: runs.added };
+    }
+
+    /**
+     * DOWNLOAD: Save the book as a JSON file via a temporary link
+     */
+    download(filename = `duckhunt-scores-${Date.now()}.json`) {
+        const blob = new Blob([JSON.stringify(this.toJSON(), null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+}
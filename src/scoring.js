@@ -0,0 +1,75 @@
+/**
+ * ============================================================================
+ * SCORING - Combos, multipliers, kill bonuses and the level breakdown (no DOM)
+ * ============================================================================
+ * 1. COMBO:
+ *    - Every kill in a row adds to the shooter's combo. Each `comboStep`
+ *      kills raise the multiplier on a duck's base points, up to the cap.
+ *    - A shell that hits nothing, shooting a decoy, or a duck escaping
+ *      breaks the combo.
+ *
+ * 2. BONUSES (never multiplied):
+ *    - QUICK KILL: ducks shot early in their lifetime, scaled by how much
+ *      of it was left.
+ *    - MULTI KILL: extra points for every duck after the first downed by
+ *      the same shell.
+ *
+ * 3. LEVEL TALLY:
+ *    - Shots, hits, best combo and bonus totals for the level being played,
+ *      handed to the UI with each level up (the breakdown screen).
+ * ============================================================================
+ */
+
+export const SCORING = {
+    comboStep: 3,           // Kills in a row per multiplier step
+    maxMultiplier: 5,       // Multiplier cap
+    quickKillBonus: 300,    // Bonus for a duck shot the moment it appears...
+    quickKillWindow: 0.5,   // ...fading to 0 once this share of its lifetime is gone
+    multiKillBonus: 1000    // Per extra duck downed by one shell
+};
+
+/**
+ * MULTIPLIER: Score multiplier for a combo (x1 for the first kills)
+ */
+export function comboMultiplier(combo) {
+    return Math.min(SCORING.maxMultiplier, 1 + Math.floor(combo / SCORING.comboStep));
+}
+
+/**
+ * QUICK KILL: Bonus for a duck with `lifeLeft` (0..1) of its lifetime left
+ * (rounded to 10 points)
+ */
+export function quickKillBonus(lifeLeft) {
+    const share = (lifeLeft - (1 - SCORING.quickKillWindow)) / SCORING.quickKillWindow;
+    if (share <= 0) return 0;
+    return Math.round((SCORING.quickKillBonus * Math.min(1, share)) / 10) * 10;
+}
+
+/**
+ * MULTI KILL: Bonus for downing `kills` ducks with one shell
+ */
+export function multiKillBonus(kills) {
+    return kills > 1 ? (kills - 1) * SCORING.multiKillBonus : 0;
+}
+
+/**
+ * LEVEL TALLY: Empty stats for a new level
+ */
+export function createLevelTally() {
+    return {
+        shots: 0,           // Shells fired (all players)
+        hits: 0,            // Shells that hit something
+        points: 0,          // Everything scored this level (decoys included)
+        bestCombo: 0,       // Longest kill streak
+        comboBonus: 0,      // Points added by multipliers
+        quickBonus: 0,      // Quick kill bonuses
+        multiKillBonus: 0   // Multi kill bonuses
+    };
+}
+
+/**
+ * TALLY ACCURACY: Share of shells that hit (0 when nothing was fired)
+ */
+export function tallyAccuracy(tally) {
+    return tally.shots > 0 ? tally.hits / tally.shots : 0;
+}
@@ -0,0 +1,332 @@
+/**
+ * ============================================================================
+ * SIMULATION CORE - Fixed-timestep, seeded duck world (no DOM, no canvas)
+ * ============================================================================
+ * 1. FIXED TIMESTEP:
+ *    - The world always advances in 1/60s ticks, whatever the display refresh
+ *      rate is. advance() accumulates real elapsed time and runs whole ticks.
+ *    - All per-tick constants were tuned for the original 60fps loop.
+ *    - Each duck flies by its species' pattern (src/species.js).
+ *    - timeScale (slow-motion) slows flying ducks and their lifetime clock;
+ *      the tick rate itself never changes. speedScale (the GAME SPEED
+ *      setting, src/accessibility.js) does the same for the whole run.
+ *    - Speed, lifetime, species mix and spawn delay come from the current
+ *      level's wave (src/waves.js).
+ *    - Positions are in world pixels (256x240, src/world.js): the window
+ *      size never changes the game. MOTION holds the fixed distances.
+ *
+ * 2. DETERMINISM:
+ *    - Every random decision comes from a seeded PRNG, and every timer
+ *      (duck lifetimes) reads the simulated clock instead of performance.now().
+ *    - Same seed + same shots at the same ticks = same run.
+ *
+ * 3. HEADLESS:
+ *    - The renderer only reads `ducks` (and `alpha` for smooth drawing), so
+ *      the simulation can be stepped from Node tests.
+ * ============================================================================
+ */
+
+import { createRng } from './random.js';
+import { DUCK_TYPES, pickDuckType } from './species.js';
+import { POWER_UP_RISE_MS } from './powerups.js';
+import { BUILTIN_WAVES, waveFor, rollRange } from './waves.js';
+import { WORLD } from './world.js';
+
+export const TICK_MS = 1000 / 60;   // One simulation step (60Hz)
+const MAX_STEPS_PER_ADVANCE = 15;   // Don't try to "catch up" more than 0.25s
+
+// Fixed distances, in world pixels (per tick for speeds)
+export const MOTION = {
+    offscreen: 24,          // Ducks spawn / are dropped this far outside the world
+    fallSpeed: 8,           // Shot duck dropping
+    fleeSpeed: 5,           // Escaping duck climbing away
+    waypointReach: 5,       // Close enough to pick the next target
+    sineAmplitude: 3,       // Zig-zag bob
+    dartHover: 30,          // Ticks a darting duck pauses at full speed (half a second)
+    powerUpBelow: 14,       // Pickups start this far under the grass...
+    powerUpAbove: 20,       // ...and are gone this far over the top
+    powerUpSway: 8          // Side-to-side drift of a rising pickup
+};
+
+export class Simulation {
+    constructor({ width = WORLD.width, height = WORLD.height, seed = 1, waves = BUILTIN_WAVES } = {}) {
+        this.width = width;             // World size in world pixels (fixed)
+        this.height = height;
+        this.waves = waves;             // Parsed wave table (one entry per level)
+
+        // Hook: called when a duck's timer runs out (the game turns it into a strike)
+        this.onDuckEscaped = null;
+        // Hook: called when a shot duck starts to fall
+        this.onDuckFalling = null;
+        // Hook: called when a duck enters the scene
+        this.onDuckSpawned = null;
+        // Hook: called after every tick (rule timers run on the simulated clock)
+        this.onTick = null;
+        // Hook: true stops advance() before its next tick (the rules paused mid-frame)
+        this.isHeld = null;
+
+        this.speedScale = 1;            // Accessibility game speed (kept across resets)
+
+        this.reset(seed);
+    }
+
+    /**
+     * RESET: New run with a (possibly new) seed
+     */
+    reset(seed = this.seed) {
+        this.seed = seed;
+        this.random = createRng(seed); // The ONLY source of randomness
+        this.clock = 0;                 // Simulated milliseconds since reset
+        this.tick = 0;                  // Number of steps taken
+        this.accumulator = 0;           // Real time not yet simulated
+        this.alpha = 0;                 // Progress towards the next tick (0..1) for rendering
+        this.running = false;           // advance() is a no-op until start()
+        this.ducks = [];                // All active duck objects
+        this.nextDuckId = 1;            // Stable ids for object tracking
+        this.round = 1;                 // Difficulty level (picks the wave)
+        this.maxDucksInScene = this.wave.maxOnScreen; // How many ducks can move at once
+        this.spawnBudget = null;        // Ducks still allowed to spawn this round (null = unlimited)
+        this.nextSpawnAt = null;        // Simulated time a delayed replacement duck appears
+        this.timeScale = 1;             // Flying duck speed + lifetime rate (slow-motion < 1)
+        this.powerUps = [];             // Floating pickups (shot to collect)
+        this.nextPowerUpId = 1;
+    }
+
+    // Wave entry for the current level
+    get wave() { return waveFor(this.waves, this.round); }
+
+    // Flying duck speed + lifetime rate: slow-motion x game speed
+    get flightScale() { return this.timeScale * this.speedScale; }
+
+    start() { this.running = true; }
+    stop() { this.running = false; }
+
+    /**
+     * ADVANCE: Feed real elapsed time, run as many fixed ticks as it covers
+     * Returns the number of ticks that were simulated.
+     */
+    advance(elapsedMs) {
+        if (!this.running) return 0;
+
+        this.accumulator += elapsedMs;
+        let steps = 0;
+        while (this.accumulator >= TICK_MS && this.running) {
+            if (this.isHeld && this.isHeld()) break;
+            if (steps >= MAX_STEPS_PER_ADVANCE) {
+                this.accumulator = 0; // Drop the backlog (tab was asleep, etc.)
+                break;
+            }
+            this.step();
+            this.accumulator -= TICK_MS;
+            steps++;
+        }
+        this.alpha = this.accumulator / TICK_MS;
+        return steps;
+    }
+
+    /**
+     * SPAWN LOGIC: Ensures there are always enough ducks in the level
+     * (until the round's spawn budget, if any, is used up)
+     */
+    spawnIfNeeded() {
+        if (this.nextSpawnAt !== null) return; // A spawn delay is running
+        while (this.ducks.length < this.maxDucksInScene && this.spawnBudget !== 0) {
+            this.spawnDuck();
+            if (this.spawnBudget !== null) this.spawnBudget--;
+        }
+    }
+
+    /**
+     * SPAWN DUCK: Creates a new duck object with randomized behavior and speed
+     * (species picked from the wave's mix unless one is given)
+     */
+    spawnDuck(typeId = pickDuckType(this.random, this.wave.types)) {
+        const rnd = this.random;
+        const wave = this.wave;
+        const type = DUCK_TYPES[typeId];
+        const side = rnd() > 0.5 ? 1 : -1; // Randomly start on Left or Right
+        const x = side === 1 ? -MOTION.offscreen : this.width + MOTION.offscreen; // Position off-screen
+        const y = this.height * 0.7 - rnd() * (this.height * 0.4); // Low to medium height
+
+        const duck = {
+            id: this.nextDuckId++, // Unique ID for object tracking
+            x,
+            y,
+            prevX: x,         // Position at the previous tick (render interpolation)
+            prevY: y,
+            targetX: rnd() * this.width, // Where it wants to fly next
+            targetY: rnd() * (this.height / 2),
+            speed: rollRange(wave.speed, rnd) * type.speedScale, // Faster every level
+            status: 'flying', // Possible: flying, hit, falling, fleeing
+            direction: side,  // -1 for Left, 1 for Right
+            timer: 0,         // Internal tick counter
+            spawnTime: this.clock, // For the kill-bar countdown (simulated ms)
+            lifeTime: rollRange(wave.lifeTime, rnd) * type.lifeTimeScale, // How long it stays before escaping
+            shotBy: null,     // Player index that hit it (two-player modes)
+            type: typeId,     // Species id (DUCK_TYPES)
+            hp: type.hp,      // Hits still needed
+            flash: 0,         // Ticks left of the "armour hit" flicker
+            hover: 0,         // Full-speed ticks left of a dart pause
+            swoopLow: false,  // Swoop: heading for the low band next
+            fleeing: false
+        };
+        this.ducks.push(duck);
+        if (this.onDuckSpawned) this.onDuckSpawned(duck);
+        return duck;
+    }
+
+    /**
+     * SPAWN POWER-UP: A pickup that floats up from the grass and off the top
+     */
+    spawnPowerUp(kind) {
+        const x = this.width * (0.15 + this.random() * 0.7);
+        const y = this.height + MOTION.powerUpBelow; // Just below the screen
+        const powerUp = {
+            id: this.nextPowerUpId++,
+            kind,               // POWER_UPS id
+            x,
+            y,
+            prevX: x,
+            prevY: y,
+            baseX: x,           // Centre of the side-to-side sway
+            age: 0              // Ticks since it appeared
+        };
+        this.powerUps.push(powerUp);
+        return powerUp;
+    }
+
+    /**
+     * LIFE LEFT: 0..1 share of a duck's lifetime remaining (for the life-bar)
+     */
+    lifeRemaining(duck) {
+        return Math.max(0, 1 - ((this.clock - duck.spawnTime) / duck.lifeTime));
+    }
+
+    /**
+     * STEP: One fixed tick of duck movement and state changes
+     */
+    step() {
+        this.clock += TICK_MS;
+        this.tick++;
+
+        // SPAWN DELAY: Release the waiting replacement duck
+        if (this.nextSpawnAt !== null && this.clock >= this.nextSpawnAt) {
+            this.nextSpawnAt = null;
+            this.spawnIfNeeded();
+        }
+
+        // Iterate over a copy: removals + respawns must not skip a duck
+        [...this.ducks].forEach(duck => {
+            duck.prevX = duck.x;
+            duck.prevY = duck.y;
+            if (duck.flash > 0) duck.flash--;
+
+            if (duck.status === 'flying') {
+                // SLOW-MOTION / GAME SPEED: Lifetime clock runs at flightScale
+                duck.spawnTime += TICK_MS * (1 - this.flightScale);
+
+                // TIMER CHECK: Escape if time is up
+                const elapsed = this.clock - duck.spawnTime;
+                if (elapsed > duck.lifeTime) {
+                    duck.status = 'fleeing';
+                    if (this.onDuckEscaped) this.onDuckEscaped(duck); // Missing a duck counts as a strike
+                }
+
+                // AI FLIGHT PATH: Species pattern towards the current target
+                this.fly(duck, DUCK_TYPES[duck.type]);
+
+                duck.timer++;
+            }
+            else if (duck.status === 'hit') {
+                // HIT STATE: Pause briefly in the air when shot
+                duck.timer++;
+                if (duck.timer > 20) {
+                    duck.status = 'falling';
+                    if (this.onDuckFalling) this.onDuckFalling(duck);
+                }
+            }
+            else if (duck.status === 'falling') {
+                // FALL STATE: Move straight down off screen
+                duck.y += MOTION.fallSpeed;
+                duck.timer++;
+                if (duck.y > this.height) this.removeDuck(duck);
+            }
+            else if (duck.status === 'fleeing') {
+                // ESCAPE STATE: Fly vertically up very fast
+                duck.y -= MOTION.fleeSpeed;
+                duck.timer++;
+
+                if (duck.y < -MOTION.offscreen) this.removeDuck(duck);
+            }
+        });
+
+        // POWER-UPS: Rise with a gentle sway, gone once off the top
+        const rise = (this.height + MOTION.powerUpBelow + MOTION.powerUpAbove) / (POWER_UP_RISE_MS / TICK_MS);
+        this.powerUps = this.powerUps.filter(p => {
+            p.prevX = p.x;
+            p.prevY = p.y;
+            p.age++;
+            p.y -= rise;
+            p.x = p.baseX + Math.sin(p.age * 0.05) * MOTION.powerUpSway;
+            return p.y > -MOTION.powerUpAbove;
+        });
+
+        if (this.onTick) this.onTick();
+    }
+
+    /**
+     * FLY: One tick of a flying duck's pattern (see src/species.js)
+     */
+    fly(duck, type) {
+        // DART: Hover in place after each dash (longer in slow-motion, like the dash)
+        if (type.pattern === 'dart' && duck.hover > 0) {
+            duck.hover -= this.flightScale;
+            return;
+        }
+
+        // Move toward current target coordinates (darts cover ground 3x faster)
+        const ease = (type.pattern === 'dart' ? 0.03 : 0.01) * duck.speed * this.flightScale;
+        duck.x += (duck.targetX - duck.x) * ease;
+        duck.y += (duck.targetY - duck.y) * ease;
+
+        // SINE: Zig-zag up and down on top of the glide
+        if (type.pattern === 'sine') duck.y += Math.sin(duck.timer * 0.25) * MOTION.sineAmplitude * this.flightScale;
+
+        // PICK NEW TARGET: If we reached the goal, pick a new random spot
+        if (Math.abs(duck.x - duck.targetX) < MOTION.waypointReach) {
+            duck.targetX = this.random() * this.width;
+            if (type.pattern === 'swoop') {
+                // Alternate a dive into the low band with a climb to the top
+                duck.swoopLow = !duck.swoopLow;
+                const band = this.random() * (this.height * 0.2);
+                duck.targetY = duck.swoopLow ? this.height * 0.55 + band : band;
+            } else {
+                duck.targetY = this.random() * (this.height / 2);
+            }
+            if (type.pattern === 'dart') duck.hover = MOTION.dartHover;
+        }
+    }
+
+    /**
+     * REMOVE POWER-UP: Collected (or otherwise gone)
+     */
+    removePowerUp(powerUp) {
+        this.powerUps = this.powerUps.filter(p => p !== powerUp);
+    }
+
+    /**
+     * REMOVE: Take a duck out of the scene and top the flock back up
+     */
+    removeDuck(duck) {
+        const index = this.ducks.indexOf(duck);
+        if (index !== -1) this.ducks.splice(index, 1);
+        if (!this.running) return;
+
+        // The wave may hold the replacement back for a moment
+        if (this.nextSpawnAt === null) {
+            const delay = rollRange(this.wave.spawnDelay, this.random);
+            if (delay > 0) this.nextSpawnAt = this.clock + delay;
+        }
+        this.spawnIfNeeded();
+    }
+}
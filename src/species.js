@@ -0,0 +1,128 @@
+/**
+ * ============================================================================
+ * DUCK SPECIES - Data-driven duck types and the per-level mix (no DOM)
+ * ============================================================================
+ * 1. TYPES:
+ *    - Every duck is one of DUCK_TYPES. A type is plain data: flight pattern,
+ *      speed/lifetime multipliers, hit points, score and a sprite tint.
+ *    - Ducks only store their type id, so the world stays plain JSON.
+ *
+ * 2. FLIGHT PATTERNS (run by the simulation every tick):
+ *    - glide: ease towards a random target (the original flight)
+ *    - sine:  glide plus a fast vertical zig-zag
+ *    - swoop: alternate dives to the low band and climbs to the top
+ *    - dart:  dash to a target, hover for a moment, dash again
+ *
+ * 3. MIX:
+ *    - Each type has a spawn weight that starts at `minRound` and grows per
+ *      round, so the flock gets more varied (and nastier) as levels rise.
+ *    - This is the built-in curve; a wave file lists its own weights per
+ *      level (src/waves.js).
+ * ============================================================================
+ */
+
+export const DUCK_TYPES = {
+    // The classic duck
+    mallard: {
+        id: 'mallard',
+        pattern: 'glide',
+        speedScale: 1,
+        lifeTimeScale: 1,
+        hp: 1,
+        score: 500,             // Points per hit...
+        scorePerRound: 100,     // ...plus this much per level
+        countsAsKill: true,     // Counts towards level ups / classic quota
+        strikeOnEscape: true,   // Escaping costs a strike
+        tint: null,             // Sprite colour overlay (null = original art)
+        mix: { minRound: 1, weight: 10, perRound: 0, max: 10 }
+    },
+    // Fast and twitchy
+    zigzag: {
+        id: 'zigzag',
+        pattern: 'sine',
+        speedScale: 1.5,
+        lifeTimeScale: 0.8,
+        hp: 1,
+        score: 750,
+        scorePerRound: 150,
+        countsAsKill: true,
+        strikeOnEscape: true,
+        tint: 'rgba(51, 204, 255, 0.45)',
+        mix: { minRound: 2, weight: 2, perRound: 0.5, max: 6 }
+    },
+    // Slow but needs two hits
+    armored: {
+        id: 'armored',
+        pattern: 'swoop',
+        speedScale: 0.8,
+        lifeTimeScale: 1.3,
+        hp: 2,
+        score: 1000,
+        scorePerRound: 150,
+        countsAsKill: true,
+        strikeOnEscape: true,
+        tint: 'rgba(150, 160, 175, 0.6)',
+        mix: { minRound: 3, weight: 1, perRound: 0.5, max: 4 }
+    },
+    // Don't shoot! Costs points, harmless when it leaves
+    decoy: {
+        id: 'decoy',
+        pattern: 'glide',
+        speedScale: 0.9,
+        lifeTimeScale: 0.7,
+        hp: 1,
+        score: -300,
+        scorePerRound: 0,
+        countsAsKill: false,
+        strikeOnEscape: false,
+        tint: 'rgba(255, 62, 109, 0.5)',
+        mix: { minRound: 4, weight: 1.5, perRound: 0.25, max: 3 }
+    },
+    // Rare bonus: quick, short-lived, free to miss
+    golden: {
+        id: 'golden',
+        pattern: 'dart',
+        speedScale: 1.3,
+        lifeTimeScale: 0.6,
+        hp: 1,
+        score: 2500,
+        scorePerRound: 250,
+        countsAsKill: true,
+        strikeOnEscape: false,
+        tint: 'rgba(255, 204, 51, 0.6)',
+        mix: { minRound: 2, weight: 0.4, perRound: 0.05, max: 0.8 }
+    }
+};
+
+/**
+ * TYPE WEIGHTS: Spawn weight of every type at a given round
+ */
+export function typeWeights(round) {
+    return Object.values(DUCK_TYPES).map(type => {
+        const { minRound, weight, perRound, max } = type.mix;
+        const w = round < minRound ? 0 : Math.min(max, weight + (round - minRound) * perRound);
+        return { id: type.id, weight: w };
+    });
+}
+
+/**
+ * PICK TYPE: Weighted choice from [{ id, weight }], using one draw of the
+ * seeded rng
+ */
+export function pickDuckType(random, weights) {
+    const total = weights.reduce((sum, t) => sum + t.weight, 0);
+    let roll = random() * total;
+    for (const t of weights) {
+        roll -= t.weight;
+        if (t.weight > 0 && roll < 0) return t.id;
+    }
+    return 'mallard';
+}
+
+/**
+ * DUCK SCORE: Points for killing a duck of this type at this level
+ */
+export function duckScore(typeId, round) {
+    const type = DUCK_TYPES[typeId] || DUCK_TYPES.mallard;
+    return type.score + round * type.scorePerRound;
+}
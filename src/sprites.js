@@ -0,0 +1,301 @@
+/**
+ * ============================================================================
+ * SPRITE ATLAS & ANIMATION - JSON-described sheets and a time-based player
+ * ============================================================================
+ * 1. ATLAS FORMAT (assets/*.atlas.json):
+ *    {
+ *      "version": 1,
+ *      "image": "duck.png",                  sheet, relative to the JSON file
+ *      "grid": { "columns": 5, "rows": 5 },  optional: lets frames use "cell"
+ *      "anchor": [0.5, 0.5],                 default pivot (0..1 of a frame)
+ *      "hitbox": [x, y, w, h],               default hitbox (0..1 of a frame)
+ *      "chromaKey": { "color": [r, g, b], "tolerance": 110 },  legacy sheets only
+ *      "frames": {
+ *        "name": { "cell": [column, row] } or { "rect": [x, y, w, h] }
+ *                (pixels), each with an optional own anchor / hitbox
+ *      },
+ *      "animations": {
+ *        "name": { "frames": [...], "duration": ms or [ms per frame],
+ *                  "loop": true, "flipX": false }
+ *      }
+ *    }
+ *
+ * 2. ALPHA:
+ *    - Sheets are expected to be real alpha PNGs. Bake an old green-screen
+ *      sheet once with scripts/key-sprite-sheet.mjs.
+ *    - Legacy sheets can still list their key colour under "chromaKey":
+ *      only pixels close to that colour are cleared, once, on load.
+ *
+ * 3. ANIMATION PLAYER:
+ *    - One AnimationPlayer per animated object. update() takes elapsed ms,
+ *      so animation speed never depends on the frame rate.
+ * ============================================================================
+ */
+
+export const ATLAS_VERSION = 1;
+
+const DEFAULT_ANCHOR = [0.5, 0.5];
+const DEFAULT_HITBOX = [0, 0, 1, 1];
+
+// Atlas problems are reported with one error type (and the atlas field)
+function atlasError(message) {
+    return new Error(`Bad sprite atlas: ${message}`);
+}
+
+const isBox = (value, length) => Array.isArray(value) && value.length === length && value.every(Number.isFinite);
+
+/**
+ * PARSE ATLAS: Validate atlas JSON and fill in the defaults.
+ * Frame rects are resolved later (resolveFrames) once the image size is known.
+ */
+export function parseAtlas(data) {
+    if (!data || data.version !== ATLAS_VERSION) throw atlasError(`expected version ${ATLAS_VERSION}`);
+    if (typeof data.image !== 'string') throw atlasError('"image" is missing');
+    if (!data.frames || typeof data.frames !== 'object') throw atlasError('"frames" is missing');
+
+    const anchor = data.anchor || DEFAULT_ANCHOR;
+    const hitbox = data.hitbox || DEFAULT_HITBOX;
+    if (!isBox(anchor, 2)) throw atlasError('"anchor" must be [x, y]');
+    if (!isBox(hitbox, 4)) throw atlasError('"hitbox" must be [x, y, w, h]');
+
+    const frames = {};
+    Object.entries(data.frames).forEach(([name, frame]) => {
+        if (isBox(frame.cell, 2)) {
+            if (!data.grid) throw atlasError(`frame "${name}" uses a cell but there is no grid`);
+        } else if (!isBox(frame.rect, 4)) {
+            throw atlasError(`frame "${name}" needs a cell or a rect`);
+        }
+        frames[name] = {
+            cell: frame.cell || null,
+            rect: frame.rect || null,
+            anchor: frame.anchor || anchor,
+            hitbox: frame.hitbox || hitbox
+        };
+    });
+
+    const animations = {};
+    Object.entries(data.animations || {}).forEach(([name, anim]) => {
+        if (!Array.isArray(anim.frames) || anim.frames.length === 0) throw atlasError(`animation "${name}" has no frames`);
+        anim.frames.forEach(frame => {
+            if (!frames[frame]) throw atlasError(`animation "${name}" uses unknown frame "${frame}"`);
+        });
+        const durations = Array.isArray(anim.duration)
+            ? anim.duration
+            : anim.frames.map(() => anim.duration ?? 100);
+        if (durations.length !== anim.frames.length || !durations.every(d => Number.isFinite(d) && d > 0)) {
+            throw atlasError(`animation "${name}" needs a positive duration per frame`);
+        }
+        animations[name] = {
+            frames: anim.frames,
+            durations,
+            loop: anim.loop !== false,
+            flipX: anim.flipX === true
+        };
+    });
+
+    return {
+        image: data.image,
+        grid: data.grid || null,
+        chromaKey: data.chromaKey || null,
+        frames,
+        animations
+    };
+}
+
+/**
+ * RESOLVE FRAMES: Turn grid cells into pixel rects for a sheet of this size
+ */
+export function resolveFrames(atlas, width, height) {
+    Object.values(atlas.frames).forEach(frame => {
+        if (!frame.cell) return;
+        const w = width / atlas.grid.columns;
+        const h = height / atlas.grid.rows;
+        frame.rect = [frame.cell[0] * w, frame.cell[1] * h, w, h];
+    });
+    return atlas;
+}
+
+/**
+ * CHROMA KEY: Clear pixels within `tolerance` (RGB distance) of the key
+ * colour. Works on raw RGBA bytes; returns how many pixels were cleared.
+ */
+export function chromaKey(data, color, tolerance = 110) {
+    const [kr, kg, kb] = color;
+    const limit = tolerance * tolerance;
+    let cleared = 0;
+    for (let i = 0; i < data.length; i += 4) {
+        const dr = data[i] - kr;
+        const dg = data[i + 1] - kg;
+        const db = data[i + 2] - kb;
+        if (dr * dr + dg * dg + db * db <= limit) {
+            data[i + 3] = 0;
+            cleared++;
+        }
+    }
+    return cleared;
+}
+
+/**
+ * KEY BACKGROUND: Like chromaKey(), but only clears key-coloured pixels
+ * joined to the background (the border or pixels already transparent), so
+ * green enclosed by the sprite survives. Used by scripts/key-sprite-sheet.mjs.
+ */
+export function keyBackground(data, width, height, color, tolerance = 110) {
+    const [kr, kg, kb] = color;
+    const limit = tolerance * tolerance;
+    const isKey = p => {
+        const dr = data[p * 4] - kr;
+        const dg = data[p * 4 + 1] - kg;
+        const db = data[p * 4 + 2] - kb;
+        return dr * dr + dg * dg + db * db <= limit;
+    };
+
+    const seen = new Uint8Array(width * height);
+    const queue = [];
+    for (let p = 0; p < width * height; p++) {
+        const x = p % width;
+        const y = Math.floor(p / width);
+        const border = x === 0 || y === 0 || x === width - 1 || y === height - 1;
+        if (data[p * 4 + 3] === 0 || (border && isKey(p))) {
+            seen[p] = 1;
+            queue.push(p);
+        }
+    }
+
+    let cleared = 0;
+    while (queue.length) {
+        const p = queue.pop();
+        if (data[p * 4 + 3] !== 0) {
+            data[p * 4 + 3] = 0;
+            cleared++;
+        }
+        const x = p % width;
+        const neighbours = [x > 0 ? p - 1 : -1, x < width - 1 ? p + 1 : -1, p - width, p + width];
+        neighbours.forEach(n => {
+            if (n < 0 || n >= width * height || seen[n] || !isKey(n)) return;
+            seen[n] = 1;
+            queue.push(n);
+        });
+    }
+    return cleared;
+}
+
+/**
+ * LOAD ATLAS: Fetch the JSON + its image (browser only).
+ * Resolves to the atlas with `source`: the drawable sheet.
+ */
+export async function loadAtlas(url) {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`Could not load ${url} (${response.status})`);
+    const atlas = parseAtlas(await response.json());
+
+    const image = new Image();
+    image.src = new URL(atlas.image, new URL(url, window.location.href)).href;
+    await image.decode();
+    resolveFrames(atlas, image.width, image.height);
+    atlas.source = atlas.chromaKey ? keyedCanvas(image, atlas.chromaKey) : image;
+    return atlas;
+}
+
+// LEGACY IMPORT: Copy the sheet to a canvas with the key colour cleared
+function keyedCanvas(image, { color, tolerance }) {
+    const canvas = document.createElement('canvas');
+    canvas.width = image.width;
+    canvas.height = image.height;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(image, 0, 0);
+    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    chromaKey(imageData.data, color, tolerance);
+    ctx.putImageData(imageData, 0, 0);
+    return canvas;
+}
+
+/**
+ * DRAW FRAME: Paint one frame with its anchor at (x, y), `width` wide
+ * (height keeps the frame's aspect). `source` defaults to the atlas sheet.
+ */
+export function drawFrame(ctx, atlas, frameName, x, y, width, { flipX = false, source = atlas.source } = {}) {
+    const frame = atlas.frames[frameName];
+    if (!frame || !frame.rect) return;
+    const [sx, sy, sw, sh] = frame.rect;
+    const height = width * (sh / sw);
+    const [ax, ay] = frame.anchor;
+
+    ctx.save();
+    ctx.translate(x, y);
+    if (flipX) ctx.scale(-1, 1);
+    ctx.drawImage(source, sx, sy, sw, sh, -ax * width, -ay * height, width, height);
+    ctx.restore();
+}
+
+/**
+ * FRAME HITBOX: A frame's hitbox in screen pixels, for a frame drawn with
+ * its anchor at (x, y) and `width` wide - { x, y, w, h }
+ */
+export function frameHitbox(atlas, frameName, x, y, width, flipX = false) {
+    const frame = atlas.frames[frameName];
+    const [, , sw, sh] = frame.rect;
+    const height = width * (sh / sw);
+    const [ax, ay] = frame.anchor;
+    const [hx, hy, hw, hh] = frame.hitbox;
+    const left = flipX ? (ax - hx - hw) * width : (hx - ax) * width;
+    return { x: x + left, y: y + (hy - ay) * height, w: hw * width, h: hh * height };
+}
+
+export class AnimationPlayer {
+    constructor(atlas) {
+        this.atlas = atlas;
+        this.name = null;       // Playing animation
+        this.index = 0;         // Frame within it
+        this.time = 0;          // ms spent on the current frame
+        this.finished = false;  // A non-looping animation reached its last frame
+    }
+
+    get animation() {
+        return this.atlas.animations[this.name] || null;
+    }
+
+    // Current frame name (null before the first play())
+    get frame() {
+        const anim = this.animation;
+        return anim ? anim.frames[this.index] : null;
+    }
+
+    get flipX() {
+        const anim = this.animation;
+        return anim ? anim.flipX : false;
+    }
+
+    /**
+     * PLAY: Switch animation (same name keeps going unless restart)
+     */
+    play(name, restart = false) {
+        if (!this.atlas.animations[name]) throw new Error(`Unknown animation: ${name}`);
+        if (name === this.name && !restart) return;
+        this.name = name;
+        this.index = 0;
+        this.time = 0;
+        this.finished = false;
+    }
+
+    /**
+     * UPDATE: Advance by elapsed ms (may skip frames on a long step)
+     */
+    update(elapsedMs) {
+        const anim = this.animation;
+        if (!anim || this.finished) return;
+        this.time += elapsedMs;
+        while (this.time >= anim.durations[this.index]) {
+            this.time -= anim.durations[this.index];
+            if (this.index < anim.frames.length - 1) {
+                this.index++;
+            } else if (anim.loop) {
+                this.index = 0;
+            } else {
+                this.finished = true; // Hold the last frame
+                this.time = 0;
+                break;
+            }
+        }
+    }
+}
@@ -0,0 +1,161 @@
+/**
+ * ============================================================================
+ * WAVES - Per-level difficulty scripted in JSON (no DOM except loadWaves)
+ * ============================================================================
+ * 1. FILE FORMAT (assets/waves.json):
+ *    {
+ *      "version": 1,
+ *      "levels": [
+ *        {
+ *          "level": 1,                     optional, must match its position
+ *          "types": { "mallard": 10 },     spawn weights (src/species.js ids)
+ *          "ducks": null,                  ducks released this level (null = no limit)
+ *          "spawnDelay": [0, 0],           ms before a replacement duck appears
+ *          "maxOnScreen": 1,               ducks flying at once
+ *          "speed": [2.6, 4.6],            flight speed range
+ *          "lifeTime": [9200, 9200],       ms before a duck escapes (range)
+ *          "killQuota": 5,                 kills for a level up (null = none)
+ *          "timeLimit": 60,                seconds before a forced level up (null = none)
+ *          "background": "assets/background.png"
+ *        }, ...
+ *      ]
+ *    }
+ *    - Anything a level leaves out comes from WAVE_DEFAULTS.
+ *    - Levels past the end of the list replay the last one.
+ *    - Ranges are [min, max]; a flat range uses no random numbers.
+ *
+ * 2. MODES DECIDE WHICH RULES APPLY:
+ *    - The game mode switches the kill quota / level timer on or off
+ *      (src/rules.js); the wave only says how big they are.
+ *
+ * 3. BUILT-IN TABLE:
+ *    - builtinWaves() is the original difficulty curve. It is used until
+ *      (or if) the file fails to load, and by the headless tests.
+ * ============================================================================
+ */
+
+import { DUCK_TYPES, typeWeights } from './species.js';
+
+export const WAVES_VERSION = 1;
+
+// Values a level falls back to for anything it leaves out
+export const WAVE_DEFAULTS = {
+    types: { mallard: 1 },
+    ducks: null,
+    spawnDelay: [0, 0],
+    maxOnScreen: 1,
+    speed: [2, 4],
+    lifeTime: [10000, 10000],
+    killQuota: 5,
+    timeLimit: 60,
+    background: 'assets/background.png'
+};
+
+// Wave file problems are reported with one error type (and the level)
+function wavesError(message) {
+    return new Error(`Bad wave file: ${message}`);
+}
+
+// [min, max] with 0 <= min <= max
+function checkRange(value, name, where) {
+    const ok = Array.isArray(value) && value.length === 2 && value.every(Number.isFinite) && value[0] >= 0 && value[0] <= value[1];
+    if (!ok) throw wavesError(`${where}: "${name}" must be [min, max]`);
+}
+
+// Positive number or null (switched off)
+function checkOptional(value, name, where) {
+    if (value !== null && !(Number.isFinite(value) && value > 0)) throw wavesError(`${where}: "${name}" must be a positive number or null`);
+}
+
+/**
+ * PARSE WAVES: Validate a wave file and fill in the defaults.
+ * Returns { levels } with `types` as [{ id, weight }] (pickDuckType()).
+ */
+export function parseWaves(data) {
+    if (!data || data.version !== WAVES_VERSION) throw wavesError(`expected version ${WAVES_VERSION}`);
+    if (!Array.isArray(data.levels) || data.levels.length === 0) throw wavesError('"levels" must list at least one level');
+
+    const levels = data.levels.map((entry, index) => {
+        const where = `level ${index + 1}`;
+        if (entry.level !== undefined && entry.level !== index + 1) throw wavesError(`${where}: "level" says ${entry.level}`);
+        const level = { ...WAVE_DEFAULTS, ...entry, level: index + 1 };
+
+        const types = Object.entries(level.types || {});
+        if (types.length === 0) throw wavesError(`${where}: "types" is empty`);
+        types.forEach(([id, weight]) => {
+            if (!DUCK_TYPES[id]) throw wavesError(`${where}: unknown duck type "${id}"`);
+            if (!(Number.isFinite(weight) && weight >= 0)) throw wavesError(`${where}: weight of "${id}" must be 0 or more`);
+        });
+        if (types.every(([, weight]) => weight === 0)) throw wavesError(`${where}: every type has weight 0`);
+
+        checkRange(level.spawnDelay, 'spawnDelay', where);
+        checkRange(level.speed, 'speed', where);
+        checkRange(level.lifeTime, 'lifeTime', where);
+        checkOptional(level.ducks, 'ducks', where);
+        checkOptional(level.killQuota, 'killQuota', where);
+        checkOptional(level.timeLimit, 'timeLimit', where);
+        if (!(Number.isInteger(level.maxOnScreen) && level.maxOnScreen > 0)) throw wavesError(`${where}: "maxOnScreen" must be a whole number above 0`);
+        if (typeof level.background !== 'string') throw wavesError(`${where}: "background" must be an image path`);
+
+        return { ...level, types: types.map(([id, weight]) => ({ id, weight })) };
+    });
+    return { levels };
+}
+
+/**
+ * WAVE FOR: The entry for a level (past the end = the last one)
+ */
+export function waveFor(waves, level) {
+    const { levels } = waves;
+    return levels[Math.min(Math.max(level, 1), levels.length) - 1];
+}
+
+/**
+ * RANGE: A value from [min, max] (no rng draw for a flat range)
+ */
+export function rollRange([min, max], random) {
+    return min === max ? min : min + random() * (max - min);
+}
+
+/**
+ * BUILT-IN WAVES: The original curve as a wave file -
+ *    speed 2-4 + 0.6 per level, lifetime 10s - 0.8s per level (3s floor),
+ *    an extra duck on screen every 2nd level (up to 4), 5 kills / 60s,
+ *    species from their own mix (src/species.js).
+ */
+export function builtinWaves(count = 20) {
+    const levels = [];
+    let maxOnScreen = 1;
+    for (let level = 1; level <= count; level++) {
+        if (level % 2 === 0 && maxOnScreen < 4) maxOnScreen++;
+        const lifeTime = Math.max(3000, 10000 - level * 800);
+        const types = {};
+        // Rounded to what a designer would type (0.6, not 0.6000000000000001)
+        typeWeights(level).forEach(({ id, weight }) => { if (weight > 0) types[id] = Math.round(weight * 100) / 100; });
+        levels.push({
+            level,
+            types,
+            ducks: null,
+            spawnDelay: [0, 0],
+            maxOnScreen,
+            speed: [2 + level * 0.6, 4 + level * 0.6],
+            lifeTime: [lifeTime, lifeTime],
+            killQuota: 5,
+            timeLimit: 60,
+            background: WAVE_DEFAULTS.background
+        });
+    }
+    return { version: WAVES_VERSION, levels };
+}
+
+// Parsed once: the table every game starts with
+export const BUILTIN_WAVES = parseWaves(builtinWaves());
+
+/**
+ * LOAD WAVES: Fetch and validate a wave file (browser only)
+ */
+export async function loadWaves(url) {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`Could not load ${url} (${response.status})`);
+    return parseWaves(await response.json());
+}
@@ -0,0 +1,72 @@
+/**
+ * ============================================================================
+ * WORLD SPACE - Fixed logical resolution and its fit to the screen (no DOM)
+ * ============================================================================
+ * 1. WORLD:
+ *    - Gameplay (spawns, flight, hit tests, aim) runs in a fixed 256x240
+ *      space like the NES original, whatever size the window is. Resizing
+ *      only changes how big the world is drawn, never where the ducks are.
+ *
+ * 2. VIEWPORT (letterbox):
+ *    - fitViewport() scales the world uniformly to the largest size that
+ *      fits the canvas and centres it; the leftover strips stay black.
+ *    - Screen positions (pointer, DOM crosshair, score popups) go through
+ *      screenToWorld() / worldToScreen() - both in CSS pixels.
+ *
+ * 3. HiDPI:
+ *    - The canvas backing store is the CSS size x devicePixelRatio, so the
+ *      world is painted at the display's real resolution. Sprites are drawn
+ *      without smoothing: pixel art stays crisp at any scale.
+ * ============================================================================
+ */
+
+export const WORLD = {
+    width: 256,
+    height: 240
+};
+
+/**
+ * FIT VIEWPORT: Letterbox the world into a cssWidth x cssHeight canvas.
+ * Returns { scale, offsetX, offsetY, dpr } - scale is CSS px per world px,
+ * offsets are the CSS px position of the world's top-left corner.
+ */
+export function fitViewport(cssWidth, cssHeight, dpr = 1, world = WORLD) {
+    const scale = Math.max(0, Math.min(cssWidth / world.width, cssHeight / world.height));
+    return {
+        scale,
+        offsetX: (cssWidth - world.width * scale) / 2,
+        offsetY: (cssHeight - world.height * scale) / 2,
+        dpr
+    };
+}
+
+/**
+ * SCREEN -> WORLD: CSS px inside the canvas to world coordinates
+ * (points on the black bars land outside 0..WORLD)
+ */
+export function screenToWorld(view, x, y) {
+    if (view.scale === 0) return { x: 0, y: 0 };
+    return {
+        x: (x - view.offsetX) / view.scale,
+        y: (y - view.offsetY) / view.scale
+    };
+}
+
+/**
+ * WORLD -> SCREEN: World coordinates to CSS px inside the canvas
+ */
+export function worldToScreen(view, x, y) {
+    return {
+        x: view.offsetX + x * view.scale,
+        y: view.offsetY + y * view.scale
+    };
+}
+
+/**
+ * CANVAS TRANSFORM: setTransform() arguments that draw world coordinates
+ * onto the device-pixel backing store
+ */
+export function worldTransform(view) {
+    const s = view.scale * view.dpr;
+    return [s, 0, 0, s, view.offsetX * view.dpr, view.offsetY * view.dpr];
+}
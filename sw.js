@@ -0,0 +1,67 @@
+/**
+ * ============================================================================
+ * SERVICE WORKER - Offline play (registered by game.js)
+ * ============================================================================
+ * 1. INSTALL: Precaches the app (precache.json) and the vendored MediaPipe +
+ *    fonts (vendor/manifest.json, written by `npm run vendor`). A missing file
+ *    is logged and skipped - the game reports it on the menu when it's used.
+ * 2. FETCH: Stale-while-revalidate - cached copies answer at once (and
+ *    offline), the network refreshes them in the background.
+ * 3. Bump CACHE_NAME when the cache layout changes; old caches are dropped.
+ * ============================================================================
+ */
+
+const CACHE_NAME = 'duck-hunt-v1';
+const MANIFESTS = ['precache.json', 'vendor/manifest.json'];
+
+// Every file named by the manifests that exist (vendor/ may not be filled in)
+async function precacheList() {
+    const lists = await Promise.all(MANIFESTS.map(url =>
+        fetch(url, { cache: 'no-cache' })
+            .then(response => (response.ok ? response.json() : []))
+            .catch(() => [])
+    ));
+    return [...MANIFESTS, ...lists.flat()];
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        const urls = await precacheList();
+        // One by one, so a single missing file doesn't fail the whole install
+        await Promise.all(urls.map(url =>
+            cache.add(new Request(url, { cache: 'no-cache' }))
+                .catch(err => console.warn(`Not precached: ${url}`, err))
+        ));
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET' || !request.url.startsWith('http')) return;
+
+    event.respondWith((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+        const network = fetch(request)
+            .then(response => {
+                // Keep good responses (CDN files too, when ?assets=cdn)
+                if (response.ok) cache.put(request, response.clone());
+                return response;
+            });
+        if (cached) {
+            event.waitUntil(network.catch(() => {})); // Offline: the cached copy stands
+            return cached;
+        }
+        return network;
+    })());
+});
@@ -0,0 +1,115 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    Announcer,
+    assistAim,
+    lifeBarColor,
+    scoreText,
+    loadAccessibilitySettings,
+    saveAccessibilitySettings,
+    ACCESSIBILITY_STORAGE_KEY,
+    DEFAULT_ACCESSIBILITY_SETTINGS,
+    AIM_ASSIST,
+    PALETTES
+} from '../src/accessibility.js';
+import { GameRules, PLAYER_MODES } from '../src/rules.js';
+import { memoryStorage, startedGame, parkDuck, hitOneDuck, translator, MID_X, MID_Y } from './helpers.js';
+
+describe('assistAim()', () => {
+    const duck = (x, y, type = 'mallard', status = 'flying') => ({ x, y, type, status });
+
+    test('pulls a shot onto the nearest duck in reach', () => {
+        const ducks = [duck(100, 100), duck(40, 40)];
+        assert.deepEqual(assistAim({ x: 90, y: 100 }, ducks, AIM_ASSIST.strong, 10), { x: 100, y: 100 });
+        assert.deepEqual(assistAim({ x: 90, y: 100 }, ducks, AIM_ASSIST.gentle, 10), { x: 95, y: 100 });
+    });
+
+    test('leaves shots alone out of reach, when off, and near decoys or falling ducks', () => {
+        const point = { x: 50, y: 50 };
+        assert.deepEqual(assistAim(point, [duck(90, 50)], AIM_ASSIST.strong, 10), point, 'out of reach');
+        assert.deepEqual(assistAim(point, [duck(52, 50)], AIM_ASSIST.off, 10), point, 'assist off');
+        assert.deepEqual(assistAim(point, [duck(52, 50, 'decoy')], AIM_ASSIST.strong, 10), point, 'decoy');
+        assert.deepEqual(assistAim(point, [duck(52, 50, 'mallard', 'falling')], AIM_ASSIST.strong, 10), point, 'already shot');
+    });
+});
+
+describe('lifeBarColor()', () => {
+    test('standard runs green to red, high contrast blue to orange', () => {
+        assert.equal(lifeBarColor(1), 'rgb(0,255,0)');
+        assert.equal(lifeBarColor(0), 'rgb(255,0,0)');
+        assert.equal(lifeBarColor(1, PALETTES['high-contrast']), 'rgb(0,114,178)');
+        assert.equal(lifeBarColor(0, PALETTES['high-contrast']), 'rgb(230,159,0)');
+        assert.equal(lifeBarColor(-1), lifeBarColor(0), 'clamped');
+    });
+});
+
+describe('Announcer', () => {
+    test('reads out a score at once, then at most every few seconds', () => {
+        const rules = startedGame();
+        const announcer = new Announcer({ scoreEvery: 3000, i18n: translator() });
+        parkDuck(rules.sim.ducks[0]);
+        rules.shoot(MID_X, MID_Y);
+
+        assert.equal(announcer.handle({ type: 'points' }, rules, 0), `Score ${rules.score}.`);
+        assert.equal(announcer.handle({ type: 'points' }, rules, 1000), null, 'held back');
+        assert.equal(announcer.flush(rules, 2000), null);
+        assert.equal(announcer.flush(rules, 3000), `Score ${rules.score}.`);
+        assert.equal(announcer.flush(rules, 9000), null, 'nothing new to say');
+    });
+
+    test('levels, strikes and game over are announced straight away', () => {
+        const rules = startedGame();
+        const announcer = new Announcer({ i18n: translator() });
+        announcer.handle({ type: 'points' }, rules, 0);
+
+        rules.levelUp('kills');
+        assert.equal(announcer.handle({ type: 'levelUp' }, rules, 10), 'Level 2. Score 0.');
+        assert.equal(announcer.handle({ type: 'strike', strikes: 1 }, rules, 20), 'Strike 1 of 3.');
+        assert.equal(announcer.handle({ type: 'powerUp', kind: 'shotgun' }, rules, 30), null);
+        assert.equal(announcer.handle({ type: 'gameOver' }, rules, 40), 'Game over. Final score 0.');
+        assert.equal(announcer.handle({ type: 'shot' }, rules, 50), null);
+    });
+
+    test('two players have their scores read separately', () => {
+        const rules = new GameRules({ seed: 3, playerMode: PLAYER_MODES.VERSUS });
+        rules.start();
+        hitOneDuck(rules);
+        assert.match(scoreText(rules, translator()), /^Player 1 score \d+, Player 2 score 0$/);
+    });
+});
+
+describe('accessibility settings storage', () => {
+    test('defaults when nothing is saved, saved values otherwise', () => {
+        const storage = memoryStorage();
+        assert.deepEqual(loadAccessibilitySettings(storage), DEFAULT_ACCESSIBILITY_SETTINGS);
+
+        saveAccessibilitySettings({ ...DEFAULT_ACCESSIBILITY_SETTINGS, aimAssist: 'strong', dwellFire: true }, storage);
+        const loaded = loadAccessibilitySettings(storage);
+        assert.equal(loaded.aimAssist, 'strong');
+        assert.equal(loaded.dwellFire, true);
+    });
+
+    test('unknown values fall back to the defaults', () => {
+        const storage = memoryStorage();
+        storage.setItem(ACCESSIBILITY_STORAGE_KEY, JSON.stringify({ aimAssist: 'aimbot', hitboxScale: 10, gameSpeed: 0, palette: 'neon', announce: false }));
+        const loaded = loadAccessibilitySettings(storage);
+        assert.equal(loaded.aimAssist, 'off');
+        assert.equal(loaded.hitboxScale, 1);
+        assert.equal(loaded.gameSpeed, 1);
+        assert.equal(loaded.palette, 'standard');
+        assert.equal(loaded.announce, false);
+    });
+
+    test('bad JSON is ignored', () => {
+        const storage = memoryStorage();
+        storage.setItem(ACCESSIBILITY_STORAGE_KEY, '{oops');
+        const { warn } = console;
+        console.warn = () => {};
+        try {
+            assert.deepEqual(loadAccessibilitySettings(storage), DEFAULT_ACCESSIBILITY_SETTINGS);
+        } finally {
+            console.warn = warn;
+        }
+    });
+});
@@ -0,0 +1,178 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SessionStats, drawAnalytics, heatmapGrid, csvField, CSV_COLUMNS, HEATMAP_CELL } from '../src/analytics.js';
+import { WORLD } from '../src/world.js';
+import { translator } from './helpers.js';
+
+// One detection with sensible defaults
+const detect = (stats, fields = {}) => stats.detection({
+    time: 1000,
+    raw: { x: 100, y: 50 },
+    aim: { x: 98, y: 52 },
+    value: 0.12,
+    threshold: 0.09,
+    release: 0.126,
+    detectMs: 14.26,
+    latencyMs: 40,
+    ...fields
+});
+
+describe('SessionStats', () => {
+    test('detections are kept relative to the run start', () => {
+        const stats = new SessionStats();
+        stats.reset(1000);
+        assert.equal(stats.hasData, false);
+        detect(stats, { time: 1250.04, fired: true });
+
+        const [sample] = stats.samples;
+        assert.equal(sample.t, 1250 - 1000);
+        assert.equal(sample.rawX, 100);
+        assert.equal(sample.aimY, 52);
+        assert.equal(sample.detectMs, 14.3);
+        assert.equal(sample.fired, true);
+        assert.equal(stats.hasData, true);
+    });
+
+    test('dwell (no trigger value) and replays (no detect time) record nulls', () => {
+        const stats = new SessionStats();
+        detect(stats, { value: null, threshold: null, release: null, detectMs: null });
+        const [sample] = stats.samples;
+        assert.equal(sample.value, null);
+        assert.equal(sample.threshold, null);
+        assert.equal(sample.detectMs, null);
+    });
+
+    test('a shot remembers the nearest flying duck', () => {
+        const stats = new SessionStats();
+        stats.shot({ time: 0, x: 100, y: 100, hit: false, ducks: [{ x: 200, y: 100 }, { x: 103, y: 104 }] });
+        stats.shot({ time: 10, x: 50, y: 50, hit: false, ducks: [] });
+
+        const [near, empty] = stats.shots;
+        assert.equal(near.duckX, 103);
+        assert.equal(near.duckY, 104);
+        assert.equal(near.distance, 5);
+        assert.equal(near.ducks.length, 2);
+        assert.equal(empty.distance, null, 'no duck in the sky');
+    });
+
+    test('recent() returns one player\'s latest detections, oldest first', () => {
+        const stats = new SessionStats();
+        for (let i = 0; i < 10; i++) detect(stats, { time: i, playerIndex: i % 2 });
+        assert.deepEqual(stats.recent(1, 3).map(s => s.t), [5, 7, 9]);
+        assert.deepEqual(stats.recent(0, 100).map(s => s.t), [0, 2, 4, 6, 8]);
+    });
+
+    test('long runs drop their oldest detections but keep the count', () => {
+        const stats = new SessionStats({ maxSamples: 10 });
+        for (let i = 0; i < 30; i++) detect(stats, { time: i });
+        assert.ok(stats.samples.length <= 11);
+        assert.equal(stats.samples[stats.samples.length - 1].t, 29);
+        assert.equal(stats.summary().detections, 30);
+    });
+
+    test('FPS is averaged over recent frames, ignoring a stalled tab', () => {
+        const stats = new SessionStats();
+        assert.equal(stats.fps, 0);
+        for (let t = 0; t <= 1000; t += 20) stats.frame(t);
+        stats.frame(6000); // Came back from a background tab
+        assert.equal(Math.round(stats.fps), 50);
+    });
+
+    test('summary() averages timings and miss distances', () => {
+        const stats = new SessionStats();
+        detect(stats, { detectMs: 10, latencyMs: 30 });
+        detect(stats, { detectMs: 20, latencyMs: null });
+        stats.shot({ time: 0, x: 0, y: 0, hit: true, ducks: [{ x: 0, y: 1 }] });
+        stats.shot({ time: 0, x: 0, y: 0, hit: false, ducks: [{ x: 0, y: 6 }] });
+        stats.shot({ time: 0, x: 0, y: 0, hit: false, ducks: [{ x: 8, y: 0 }] });
+
+        const summary = stats.summary();
+        assert.equal(summary.shots, 3);
+        assert.equal(summary.hits, 1);
+        assert.equal(summary.avgDetectMs, 15);
+        assert.equal(summary.avgLatencyMs, 30);
+        assert.equal(summary.avgMissDistance, 7);
+    });
+
+    test('reset() starts a new run', () => {
+        const stats = new SessionStats();
+        detect(stats);
+        stats.shot({ time: 0, x: 0, y: 0, hit: false });
+        stats.reset(500);
+        assert.equal(stats.hasData, false);
+        assert.equal(stats.startTime, 500);
+    });
+});
+
+describe('CSV export', () => {
+    test('detection and shot rows in time order under one header', () => {
+        const stats = new SessionStats();
+        detect(stats, { time: 20, fired: true });
+        stats.shot({ time: 20, x: 98, y: 52, hit: false, ducks: [{ x: 101, y: 56 }] });
+        detect(stats, { time: 10, playerIndex: 1 });
+
+        const lines = stats.toCSV().trim().split('\n');
+        assert.equal(lines[0], CSV_COLUMNS.join(','));
+        assert.equal(lines.length, 4);
+        const rows = lines.slice(1).map(line => line.split(','));
+        rows.forEach(row => assert.equal(row.length, CSV_COLUMNS.length));
+        const column = (row, name) => row[CSV_COLUMNS.indexOf(name)];
+
+        assert.deepEqual(rows.map(row => row[0]), ['detection', 'detection', 'shot']);
+        assert.equal(column(rows[0], 'player'), '2');
+        assert.equal(column(rows[1], 'fired'), '1');
+        assert.equal(column(rows[1], 'trigger_value'), '0.12');
+        assert.equal(column(rows[2], 'hit'), '0');
+        assert.equal(column(rows[2], 'duck_distance'), '5');
+        assert.equal(column(rows[2], 'raw_x'), '', 'shots have no raw aim');
+    });
+
+    test('fields are quoted only when needed', () => {
+        assert.equal(csvField(null), '');
+        assert.equal(csvField(1.5), '1.5');
+        assert.equal(csvField(false), '0');
+        assert.equal(csvField('a,b'), '"a,b"');
+        assert.equal(csvField('say "hi"'), '"say ""hi"""');
+    });
+});
+
+describe('heatmapGrid()', () => {
+    test('bins points into world cells', () => {
+        const grid = heatmapGrid([{ x: 1, y: 1 }, { x: 15, y: 15 }, { x: 17, y: 1 }, { x: -5, y: 3 }, { x: WORLD.width, y: 0 }]);
+        assert.equal(grid.cell, HEATMAP_CELL);
+        assert.equal(grid.cols, WORLD.width / HEATMAP_CELL);
+        assert.equal(grid.rows, WORLD.height / HEATMAP_CELL);
+        assert.equal(grid.counts[0], 2);
+        assert.equal(grid.counts[1], 1);
+        assert.equal(grid.max, 2);
+        assert.equal(grid.counts.reduce((a, b) => a + b, 0), 3, 'off-world shots are left out');
+    });
+
+    test('an empty run has an empty grid', () => {
+        assert.equal(heatmapGrid([]).max, 0);
+    });
+});
+
+describe('drawAnalytics()', () => {
+    // 2D context stand-in that keeps the text drawn and ignores the rest
+    function textContext() {
+        const texts = [];
+        return new Proxy({ texts }, {
+            get: (target, name) => (name in target ? target[name] : (...args) => {
+                if (name === 'fillText') texts.push(args[0]);
+            }),
+            set: () => true
+        });
+    }
+
+    test('labels and readings follow the language', () => {
+        const stats = new SessionStats();
+        stats.reset(0);
+        const ctx = textContext();
+        drawAnalytics(ctx, stats, { width: 200, height: 300, colors: ['#f00'], trigger: 'KNEIFEN', i18n: translator('de') });
+        assert.ok(ctx.texts.includes('KNEIFEN (kein Schusswert)'));
+        assert.ok(ctx.texts.includes('ERKENNUNG / LATENZ ms'));
+        assert.ok(ctx.texts.some(text => text.startsWith('FPS ')));
+    });
+});
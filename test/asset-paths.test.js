@@ -0,0 +1,96 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, readdirSync } from 'node:fs';
+
+import { assetSource, resolveAssetSource, assetPaths, CDN_PATHS, VENDOR_LAYOUT, MEDIAPIPE_VERSION } from '../src/asset-paths.js';
+
+const PAGE = 'https://example.com/games/duck-hunt/index.html?seed=4';
+
+describe('assetSource()', () => {
+    test('defaults to the local vendor folder', () => {
+        assert.equal(assetSource(''), 'local');
+        assert.equal(assetSource('?seed=4'), 'local');
+    });
+
+    test('reads ?assets=', () => {
+        assert.equal(assetSource('?assets=cdn'), 'cdn');
+        assert.equal(assetSource('?assets=https%3A%2F%2Fmirror.test%2Fdh'), 'https://mirror.test/dh');
+    });
+});
+
+describe('resolveAssetSource()', () => {
+    const manifest = (result) => {
+        const requested = [];
+        const fetchManifest = async (url) => {
+            requested.push(url);
+            if (result instanceof Error) throw result;
+            return { ok: result === 200 };
+        };
+        return { requested, fetchManifest };
+    };
+
+    test('uses vendor/ once the vendor script has written its manifest', async () => {
+        const { requested, fetchManifest } = manifest(200);
+        assert.equal(await resolveAssetSource('?seed=4', PAGE, fetchManifest), 'local');
+        assert.deepEqual(requested, ['https://example.com/games/duck-hunt/vendor/manifest.json']);
+    });
+
+    test('falls back to the CDNs when vendor/ was never filled in', async () => {
+        assert.equal(await resolveAssetSource('', PAGE, manifest(404).fetchManifest), 'cdn');
+        assert.equal(await resolveAssetSource('', PAGE, manifest(new TypeError('offline')).fetchManifest), 'cdn');
+    });
+
+    test('?assets= wins without looking for the manifest', async () => {
+        const { requested, fetchManifest } = manifest(404);
+        assert.equal(await resolveAssetSource('?assets=local', PAGE, fetchManifest), 'local');
+        assert.equal(await resolveAssetSource('?assets=https://mirror.test/dh', PAGE, fetchManifest), 'https://mirror.test/dh');
+        assert.deepEqual(requested, []);
+    });
+});
+
+describe('assetPaths()', () => {
+    test('local paths sit in vendor/ next to the page', () => {
+        const paths = assetPaths('local', PAGE);
+        assert.equal(paths.model, 'https://example.com/games/duck-hunt/vendor/mediapipe/hand_landmarker.task');
+        assert.equal(paths.wasm, 'https://example.com/games/duck-hunt/vendor/mediapipe/wasm');
+        assert.deepEqual(Object.keys(paths), Object.keys(VENDOR_LAYOUT));
+    });
+
+    test('cdn gives the original online locations', () => {
+        assert.deepEqual(assetPaths('cdn', PAGE), CDN_PATHS);
+    });
+
+    test('a mirror keeps the vendor layout, with or without a trailing slash', () => {
+        const expected = 'https://mirror.test/dh/fonts/fonts.css';
+        assert.equal(assetPaths('https://mirror.test/dh', PAGE).fonts, expected);
+        assert.equal(assetPaths('https://mirror.test/dh/', PAGE).fonts, expected);
+    });
+
+    test('the vision bundle is the file the pinned MediaPipe release ships', () => {
+        // 0.10.0 has only vision_bundle.js (already an ES module), no .mjs
+        assert.equal(MEDIAPIPE_VERSION, '0.10.0', 'check the bundle file name when bumping the version');
+        assert.equal(CDN_PATHS.visionModule, 'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.0/vision_bundle.js');
+        assert.equal(VENDOR_LAYOUT.visionModule, 'mediapipe/vision_bundle.js');
+    });
+
+    test('every path is absolute (usable from the hand worker)', () => {
+        for (const url of Object.values(assetPaths('local', PAGE))) assert.match(url, /^https:\/\//);
+    });
+});
+
+describe('precache.json', () => {
+    const precache = JSON.parse(readFileSync(new URL('../precache.json', import.meta.url), 'utf8'));
+
+    test('covers the app shell and every module', () => {
+        for (const file of ['index.html', 'style.css', 'game.js', 'sw.js']) assert.ok(precache.includes(file), file);
+        for (const file of readdirSync(new URL('../src/', import.meta.url))) {
+            assert.ok(precache.includes(`src/${file}`), `src/${file} is not precached`);
+        }
+    });
+
+    test('only lists files that exist', () => {
+        for (const file of precache.filter(f => f !== './')) {
+            assert.doesNotThrow(() => readFileSync(new URL(`../${file}`, import.meta.url)), file);
+        }
+    });
+});
@@ -0,0 +1,128 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    AudioEngine,
+    SFX,
+    MUSIC,
+    DEFAULT_AUDIO_SETTINGS,
+    noteFrequency,
+    loadAudioSettings
+} from '../src/audio.js';
+import { memoryStorage } from './helpers.js';
+
+// Just enough of the Web Audio API to count what gets scheduled
+function fakeAudioContext() {
+    const param = () => ({ value: 1, setValueAtTime() { }, exponentialRampToValueAtTime() { } });
+    const node = (extra = {}) => ({ connect() { }, ...extra });
+    const ctx = {
+        state: 'running',
+        currentTime: 0,
+        sampleRate: 8000,
+        destination: node(),
+        started: [],
+        createGain: () => node({ gain: param() }),
+        createOscillator: () => node({
+            frequency: param(),
+            start: (t) => ctx.started.push({ kind: 'osc', t }),
+            stop() { }
+        }),
+        createBufferSource: () => node({
+            start: (t) => ctx.started.push({ kind: 'noise', t }),
+            stop() { }
+        }),
+        createBuffer: (_channels, length) => ({ getChannelData: () => new Float32Array(length) }),
+        resume() { ctx.state = 'running'; }
+    };
+    return ctx;
+}
+
+describe('AudioEngine', () => {
+    test('nothing plays before the start button unlocks audio', () => {
+        let created = 0;
+        const audio = new AudioEngine({ storage: memoryStorage(), createContext: () => { created++; return fakeAudioContext(); } });
+
+        audio.play('shot');
+        audio.startMusic();
+
+        assert.equal(created, 0);
+        assert.equal(audio.musicTimer, null);
+    });
+
+    test('each effect schedules one voice per segment', () => {
+        const ctx = fakeAudioContext();
+        const audio = new AudioEngine({ storage: memoryStorage(), createContext: () => ctx });
+        audio.unlock();
+
+        audio.play('shot');
+        audio.play('no-such-sound');
+
+        assert.deepEqual(ctx.started.map(v => v.kind), ['noise', 'osc']);
+        assert.equal(SFX.shot.length, 2);
+    });
+
+    test('a suspended context is resumed on unlock', () => {
+        const ctx = fakeAudioContext();
+        ctx.state = 'suspended';
+        const audio = new AudioEngine({ storage: memoryStorage(), createContext: () => ctx });
+
+        audio.unlock();
+        assert.equal(ctx.state, 'running');
+    });
+
+    test('music queues steps ahead on the audio clock and stops cleanly', () => {
+        const ctx = fakeAudioContext();
+        const audio = new AudioEngine({ storage: memoryStorage(), createContext: () => ctx });
+        audio.unlock();
+
+        audio.startMusic();
+        const queued = ctx.started.length;
+        audio.stopMusic();
+
+        assert.ok(queued > 0);
+        assert.equal(audio.musicTimer, null);
+        assert.ok(audio.nextStepTime >= 0.12);
+        assert.equal(MUSIC.bass.length, MUSIC.lead.length);
+    });
+
+    test('volumes are clamped, applied and saved', () => {
+        const storage = memoryStorage();
+        const ctx = fakeAudioContext();
+        const audio = new AudioEngine({ storage, createContext: () => ctx });
+        audio.unlock();
+
+        audio.setVolume('music', 1.5);
+        audio.setVolume('sfx', -1);
+        audio.setVolume('bogus', 0.5);
+
+        assert.equal(audio.gains.music.gain.value, 1);
+        assert.equal(audio.gains.sfx.gain.value, 0);
+        assert.deepEqual(loadAudioSettings(storage), { ...DEFAULT_AUDIO_SETTINGS, music: 1, sfx: 0 });
+    });
+
+    test('bad saved volumes are clamped or fall back to the defaults', () => {
+        const storage = memoryStorage();
+        storage.setItem('duckhunt.audio', JSON.stringify({ master: 'loud', sfx: 7, music: -2, extra: 1 }));
+        assert.deepEqual(loadAudioSettings(storage), { ...DEFAULT_AUDIO_SETTINGS, sfx: 1, music: 0 });
+
+        storage.setItem('duckhunt.audio', JSON.stringify({ master: null, sfx: '0.5' }));
+        assert.deepEqual(loadAudioSettings(storage), DEFAULT_AUDIO_SETTINGS);
+
+        storage.setItem('duckhunt.audio', '{not json');
+        const originalWarn = console.warn;
+        console.warn = () => { };
+        try {
+            assert.deepEqual(loadAudioSettings(storage), DEFAULT_AUDIO_SETTINGS);
+        } finally {
+            console.warn = originalWarn;
+        }
+    });
+});
+
+describe('noteFrequency()', () => {
+    test('MIDI 69 is A4 and octaves double', () => {
+        assert.equal(noteFrequency(69), 440);
+        assert.equal(noteFrequency(81), 880);
+        assert.ok(Math.abs(noteFrequency(60) - 261.63) < 0.01);
+    });
+});
@@ -0,0 +1,138 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    CalibrationWizard,
+    DEFAULT_CV_SETTINGS,
+    isPinched,
+    mapToScreen,
+    mirrorBounds,
+    pinchDistance,
+    loadCvSettings,
+    saveCvSettings,
+    clearCvSettings
+} from '../src/calibration.js';
+import { makeHand, memoryStorage } from './helpers.js';
+
+// Hold the hand still at a camera point long enough to capture a corner
+function holdAt(wizard, x, y, startMs) {
+    let t = startMs;
+    for (let i = 0; i < 60; i++, t += 16) wizard.feed(makeHand({ x, y }), t);
+    return t;
+}
+
+function pinchOnce(wizard, scale = 0.2) {
+    for (let i = 0; i < 5; i++) wizard.feed(makeHand({ scale, pinch: 0.8 }), 0);
+    for (let i = 0; i < 3; i++) wizard.feed(makeHand({ scale, pinch: 0.1 }), 0);
+    wizard.feed(makeHand({ scale, pinch: 0.8 }), 0);
+}
+
+describe('mapToScreen()', () => {
+    test('uncalibrated mapping keeps the original 1.4x mirrored sensitivity', () => {
+        const p = mapToScreen({ x: 0.4, y: 0.6 }, DEFAULT_CV_SETTINGS);
+        assert.ok(Math.abs(p.x - (0.5 + 0.1 * 1.4)) < 1e-9);
+        assert.ok(Math.abs(p.y - (0.5 + 0.1 * 1.4)) < 1e-9);
+    });
+
+    test('calibrated bounds map the reached corners to the screen corners', () => {
+        const settings = { ...DEFAULT_CV_SETTINGS, bounds: { left: 0.7, right: 0.4, top: 0.3, bottom: 0.6 } };
+        assert.deepEqual(mapToScreen({ x: 0.7, y: 0.3 }, settings), { x: 0, y: 0 });
+        assert.deepEqual(mapToScreen({ x: 0.4, y: 0.6 }, settings), { x: 1, y: 1 });
+        assert.deepEqual(mapToScreen({ x: 0.1, y: 0.9 }, settings), { x: 1, y: 1 }, 'clamped');
+    });
+
+    test('mirrored bounds keep the reach and turn the aim round', () => {
+        const bounds = { left: 0.7, right: 0.4, top: 0.3, bottom: 0.6 };
+        const flipped = { ...DEFAULT_CV_SETTINGS, bounds: mirrorBounds(bounds) };
+        assert.equal(flipped.bounds.top, 0.3);
+        assert.equal(flipped.bounds.bottom, 0.6);
+        assert.ok(flipped.bounds.left > flipped.bounds.right);
+        // The spot that used to aim at the left edge now aims at the right edge
+        assert.equal(mapToScreen({ x: 1 - 0.7, y: 0.3 }, flipped).x, 1);
+        assert.equal(mapToScreen({ x: 1 - 0.4, y: 0.3 }, flipped).x, 0);
+        assert.deepEqual(mirrorBounds(mirrorBounds(bounds)), bounds);
+    });
+});
+
+describe('pinch detection', () => {
+    test('the normalised ratio is independent of distance to the camera', () => {
+        const near = pinchDistance(makeHand({ scale: 0.3, pinch: 0.25 }));
+        const far = pinchDistance(makeHand({ scale: 0.1, pinch: 0.25 }));
+        assert.ok(Math.abs(near.ratio - far.ratio) < 1e-9);
+        assert.ok(near.dist > far.dist);
+    });
+
+    test('a calibrated ratio fires for a far hand the absolute threshold misses', () => {
+        const hand = makeHand({ scale: 0.4, pinch: 0.25 }); // Absolute gap 0.1 > 0.09
+        assert.equal(isPinched(hand, DEFAULT_CV_SETTINGS), false);
+        assert.equal(isPinched(hand, { ...DEFAULT_CV_SETTINGS, pinchRatio: 0.3 }), true);
+    });
+});
+
+describe('CalibrationWizard', () => {
+    test('walks through four corners then pinches and derives settings', () => {
+        const wizard = new CalibrationWizard();
+        let t = 0;
+        assert.deepEqual(wizard.prompt, { key: 'calibration.top-left' });
+        t = holdAt(wizard, 0.75, 0.25, t); // top-left (mirrored camera)
+        t = holdAt(wizard, 0.25, 0.25, t); // top-right
+        t = holdAt(wizard, 0.25, 0.7, t);  // bottom-right
+        t = holdAt(wizard, 0.75, 0.7, t);  // bottom-left
+        assert.equal(wizard.onPinchStep, true);
+        assert.deepEqual(wizard.prompt, { key: 'calibration.pinch', params: { count: 0, needed: 3 } });
+
+        pinchOnce(wizard);
+        pinchOnce(wizard);
+        assert.equal(wizard.done, false);
+        pinchOnce(wizard);
+
+        assert.equal(wizard.done, true);
+        assert.deepEqual(wizard.prompt, { key: 'calibration.done' });
+        assert.deepEqual(wizard.result.bounds, { left: 0.75, right: 0.25, top: 0.25, bottom: 0.7 });
+        // Between the closed (0.1) and open (0.8) ratios, nearer closed
+        assert.ok(wizard.result.pinchRatio > 0.1 && wizard.result.pinchRatio < 0.45);
+        assert.equal(wizard.result.debounceMs, DEFAULT_CV_SETTINGS.debounceMs);
+    });
+
+    test('moving restarts the corner hold', () => {
+        const wizard = new CalibrationWizard();
+        wizard.feed(makeHand({ x: 0.7, y: 0.3 }), 0);
+        wizard.feed(makeHand({ x: 0.7, y: 0.3 }), 700);
+        wizard.feed(makeHand({ x: 0.6, y: 0.3 }), 750);
+        wizard.feed(makeHand({ x: 0.6, y: 0.3 }), 900);
+        assert.equal(wizard.stepIndex, 0);
+        assert.ok(wizard.progressAt(900) < 0.25);
+    });
+
+    test('corners that are too close together are asked for again', () => {
+        const wizard = new CalibrationWizard();
+        let t = 0;
+        for (let i = 0; i < 4; i++) t = holdAt(wizard, 0.5 + i * 0.01, 0.5, t);
+
+        assert.equal(wizard.stepIndex, 0);
+        assert.equal(wizard.error, 'calibration.tooClose');
+    });
+});
+
+describe('settings storage', () => {
+    test('saved settings are restored over the defaults', () => {
+        const storage = memoryStorage();
+        saveCvSettings({ ...DEFAULT_CV_SETTINGS, pinchRatio: 0.3 }, storage);
+        assert.equal(loadCvSettings(storage).pinchRatio, 0.3);
+
+        clearCvSettings(storage);
+        assert.deepEqual(loadCvSettings(storage), DEFAULT_CV_SETTINGS);
+    });
+
+    test('corrupt data falls back to the defaults', () => {
+        const storage = memoryStorage();
+        storage.setItem('duckhunt.calibration', '{not json');
+        const originalWarn = console.warn;
+        console.warn = () => { };
+        try {
+            assert.deepEqual(loadCvSettings(storage), DEFAULT_CV_SETTINGS);
+        } finally {
+            console.warn = originalWarn;
+        }
+    });
+});
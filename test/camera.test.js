@@ -0,0 +1,83 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    DEFAULT_CAMERA_SETTINGS,
+    HAND_CONNECTIONS,
+    videoConstraints,
+    cameraList,
+    orientHands,
+    loadCameraSettings,
+    saveCameraSettings
+} from '../src/camera.js';
+import { makeHand, memoryStorage } from './helpers.js';
+
+describe('videoConstraints()', () => {
+    test('no choices keeps the browser default camera', () => {
+        assert.equal(videoConstraints(DEFAULT_CAMERA_SETTINGS), true);
+    });
+
+    test('device, resolution and frame rate become constraints', () => {
+        const constraints = videoConstraints({ ...DEFAULT_CAMERA_SETTINGS, deviceId: 'cam-2', resolution: '720p', frameRate: 60 });
+        assert.deepEqual(constraints, {
+            deviceId: { exact: 'cam-2' },
+            width: { ideal: 1280 },
+            height: { ideal: 720 },
+            frameRate: { ideal: 60 }
+        });
+    });
+});
+
+describe('cameraList()', () => {
+    test('keeps video inputs and names unlabelled ones', () => {
+        const cameras = cameraList([
+            { kind: 'audioinput', deviceId: 'mic', label: 'Mic' },
+            { kind: 'videoinput', deviceId: 'a', label: 'FaceTime HD' },
+            { kind: 'videoinput', deviceId: 'b', label: '' }
+        ]);
+        assert.deepEqual(cameras, [
+            { deviceId: 'a', label: 'FaceTime HD' },
+            { deviceId: 'b', label: 'Camera 2' }
+        ]);
+    });
+});
+
+describe('orientHands()', () => {
+    test('a mirrored view leaves the landmarks alone', () => {
+        const hands = [makeHand({ x: 0.3 })];
+        assert.equal(orientHands(hands, true), hands);
+    });
+
+    test('an unmirrored view flips x only', () => {
+        const hand = makeHand({ x: 0.3, y: 0.6 });
+        const [flipped] = orientHands([hand], false);
+        flipped.forEach((point, i) => {
+            assert.ok(Math.abs(point.x - (1 - hand[i].x)) < 1e-9);
+            assert.equal(point.y, hand[i].y);
+        });
+        assert.notEqual(hand[0].x, flipped[0].x, 'the original is not modified');
+    });
+});
+
+describe('camera settings storage', () => {
+    test('defaults when nothing is saved, round trip otherwise', () => {
+        const storage = memoryStorage();
+        assert.deepEqual(loadCameraSettings(storage), DEFAULT_CAMERA_SETTINGS);
+        const settings = { ...DEFAULT_CAMERA_SETTINGS, deviceId: 'x', mirror: false, delegate: 'CPU' };
+        saveCameraSettings(settings, storage);
+        assert.deepEqual(loadCameraSettings(storage), settings);
+    });
+
+    test('unknown presets and corrupt data fall back to the defaults', () => {
+        const storage = memoryStorage();
+        storage.setItem('duckhunt.camera', JSON.stringify({ resolution: '8k', delegate: 'TPU', mirror: false }));
+        assert.deepEqual(loadCameraSettings(storage), { ...DEFAULT_CAMERA_SETTINGS, mirror: false });
+        storage.setItem('duckhunt.camera', '{oops');
+        assert.deepEqual(loadCameraSettings(storage), DEFAULT_CAMERA_SETTINGS);
+    });
+});
+
+test('HAND_CONNECTIONS joins all 21 landmarks', () => {
+    const joined = new Set(HAND_CONNECTIONS.flat());
+    assert.equal(joined.size, 21);
+});
@@ -0,0 +1,163 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    Effects,
+    ParticlePool,
+    EFFECT_TIMING,
+    MAX_DECALS,
+    loadEffectsSettings,
+    saveEffectsSettings
+} from '../src/effects.js';
+import { GameRules } from '../src/rules.js';
+import { memoryStorage, parkDuck, MID_X, MID_Y } from './helpers.js';
+
+// Fixed "random" numbers so the effects are predictable
+const steady = () => 0.75;
+
+describe('ParticlePool', () => {
+    test('reuses dead particles instead of allocating', () => {
+        const pool = new ParticlePool(2);
+        const first = pool.spawn({ x: 0, y: 0, life: 100 });
+        pool.spawn({ x: 0, y: 0, life: 300 });
+        assert.equal(pool.spawn({ x: 0, y: 0, life: 100 }), null, 'full');
+
+        pool.update(150);
+        assert.equal(pool.active, 1);
+        assert.equal(pool.spawn({ x: 5, y: 5, life: 100 }), first, 'the dead slot comes back');
+        assert.equal(first.age, 0);
+        assert.equal(first.x, 5);
+    });
+
+    test('particles move, fall and slow down', () => {
+        const pool = new ParticlePool(1);
+        const p = pool.spawn({ x: 0, y: 0, vx: 10, vy: 0, gravity: 100, drag: 0.5, life: 2000 });
+        pool.update(1000);
+        assert.equal(p.vx, 5);
+        assert.equal(p.vy, 100);
+        assert.equal(p.x, 5);
+        assert.equal(p.y, 100);
+    });
+});
+
+describe('Effects', () => {
+    test('a kill throws feathers, armour throws sparks', () => {
+        const effects = new Effects({ random: steady });
+        effects.handle({ type: 'hit', x: 10, y: 10, duckType: 'mallard', killed: true });
+        const feathers = effects.particles.active;
+        assert.ok(feathers > 0);
+        effects.particles.forEach(p => assert.equal(p.kind, 'feather'));
+
+        effects.handle({ type: 'hit', x: 10, y: 10, duckType: 'armored', killed: false });
+        assert.ok(effects.particles.active > feathers);
+    });
+
+    test('a miss leaves a bullet hole that fades away', () => {
+        const effects = new Effects({ random: steady });
+        effects.handle({ type: 'shot', x: 40, y: 50, hit: false });
+        effects.handle({ type: 'shot', x: 60, y: 50, hit: true });
+        assert.deepEqual(effects.decals.map(({ x, y }) => ({ x, y })), [{ x: 40, y: 50 }]);
+
+        effects.update(EFFECT_TIMING.decal);
+        assert.deepEqual(effects.decals, []);
+    });
+
+    test('bullet holes are capped, oldest first out', () => {
+        const effects = new Effects({ random: steady });
+        for (let i = 0; i <= MAX_DECALS; i++) effects.handle({ type: 'shot', x: i, y: 0, hit: false });
+        assert.equal(effects.decals.length, MAX_DECALS);
+        assert.equal(effects.decals[0].x, 1);
+    });
+
+    test('a strike shakes the screen and shows the vignette, both fading', () => {
+        const effects = new Effects({ random: steady });
+        effects.handle({ type: 'strike', strikes: 1 });
+        assert.equal(effects.shakeOffset().x, EFFECT_TIMING.strikeShake.strength * 0.5);
+        assert.equal(effects.vignetteAlpha(), EFFECT_TIMING.vignetteAlpha);
+
+        effects.update(EFFECT_TIMING.vignette);
+        assert.deepEqual(effects.shakeOffset(), { x: 0, y: 0 });
+        assert.equal(effects.vignetteAlpha(), 0);
+    });
+
+    test('a shot does not cut a strike shake short', () => {
+        const effects = new Effects({ random: steady });
+        effects.handle({ type: 'strike', strikes: 1 });
+        effects.handle({ type: 'shot', x: 0, y: 0, hit: true });
+        assert.equal(effects.shake.strength, EFFECT_TIMING.strikeShake.strength);
+    });
+
+    test('reduced motion: no shake or flashes, a faint vignette', () => {
+        const effects = new Effects({ reducedMotion: true, random: steady });
+        effects.handle({ type: 'shot', x: 0, y: 0, hit: false });
+        effects.handle({ type: 'strike', strikes: 1 });
+        assert.deepEqual(effects.flashes, []);
+        assert.deepEqual(effects.shakeOffset(), { x: 0, y: 0 });
+        assert.equal(effects.vignetteAlpha(), EFFECT_TIMING.reducedVignetteAlpha);
+        assert.equal(effects.decals.length, 1, 'bullet holes are not motion');
+    });
+
+    test('the level transition runs for its length then ends', () => {
+        const effects = new Effects({ random: steady });
+        effects.handle({ type: 'levelUp', round: 3 });
+        assert.equal(effects.transition.round, 3);
+        effects.update(EFFECT_TIMING.levelTransition);
+        assert.equal(effects.transition, null);
+    });
+
+    test('reset clears everything', () => {
+        const effects = new Effects({ random: steady });
+        effects.handle({ type: 'shot', x: 0, y: 0, hit: false });
+        effects.handle({ type: 'hit', x: 0, y: 0, duckType: 'mallard', killed: true });
+        effects.reset();
+        assert.equal(effects.particles.active, 0);
+        assert.deepEqual(effects.decals, []);
+        assert.deepEqual(effects.flashes, []);
+    });
+});
+
+describe('rule events for effects', () => {
+    test('a kill queues a hit and the shot, at the duck and the aim', () => {
+        const rules = new GameRules({ seed: 3 });
+        rules.start();
+        const duck = parkDuck(rules.sim.ducks.find(d => d.status === 'flying'));
+        duck.type = 'mallard';
+        duck.hp = 1;
+        rules.drainEvents();
+        const flying = rules.sim.ducks.filter(d => d.status === 'flying').map(({ x, y }) => ({ x, y }));
+
+        rules.shoot(MID_X, MID_Y);
+
+        const events = rules.drainEvents();
+        assert.deepEqual(events.find(e => e.type === 'hit'),
+            { type: 'hit', playerIndex: 0, duckId: duck.id, duckType: duck.type, x: duck.x, y: duck.y, killed: true });
+        assert.deepEqual(events.find(e => e.type === 'shot'),
+            { type: 'shot', playerIndex: 0, x: MID_X, y: MID_Y, hit: true, hits: ['mallard'], dented: [], ducks: flying });
+    });
+
+    test('a dented armoured duck and an empty gun are queued for the sound', () => {
+        const rules = new GameRules({ seed: 3 });
+        rules.start();
+        const duck = parkDuck(rules.sim.ducks.find(d => d.status === 'flying'));
+        duck.type = 'armored';
+        duck.hp = 2;
+        rules.drainEvents();
+
+        rules.shoot(MID_X, MID_Y);
+        assert.deepEqual(rules.drainEvents().find(e => e.type === 'shot').dented, ['armored']);
+
+        rules.players[0].ammo = 0;
+        rules.players[0].reloadAt = null;
+        rules.shoot(MID_X, MID_Y);
+        assert.deepEqual(rules.drainEvents(), [{ type: 'dryFire', playerIndex: 0 }]);
+    });
+});
+
+describe('effects settings storage', () => {
+    test('the given default applies until a choice is saved', () => {
+        const storage = memoryStorage();
+        assert.deepEqual(loadEffectsSettings(storage, { reducedMotion: true }), { reducedMotion: true });
+        saveEffectsSettings({ reducedMotion: false }, storage);
+        assert.deepEqual(loadEffectsSettings(storage, { reducedMotion: true }), { reducedMotion: false });
+    });
+});
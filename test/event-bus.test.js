@@ -0,0 +1,65 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { EventBus, GAME_EVENTS } from '../src/event-bus.js';
+import { startedGame, parkDuck, quietly, MID_X, MID_Y } from './helpers.js';
+
+describe('EventBus', () => {
+    test('delivers events to their subscribers and to *', () => {
+        const bus = new EventBus();
+        const seen = [];
+        bus.on('shot', e => seen.push(`shot ${e.x}`));
+        bus.on('*', e => seen.push(`* ${e.type}`));
+        bus.emit({ type: 'shot', x: 3 });
+        bus.emit({ type: 'miss', x: 3 });
+        assert.deepEqual(seen, ['shot 3', '* shot', '* miss']);
+    });
+
+    test('unknown event names throw, defined ones work', () => {
+        const bus = new EventBus();
+        assert.throws(() => bus.on('shoot', () => {}), /Unknown game event "shoot"/);
+        assert.throws(() => bus.emit({ type: 'shoot' }), /Unknown game event/);
+        bus.define('streak');
+        assert.doesNotThrow(() => bus.emit({ type: 'streak' }));
+    });
+
+    test('unsubscribe and once', () => {
+        const bus = new EventBus();
+        let count = 0;
+        let onceCount = 0;
+        const off = bus.on('hit', () => count++);
+        bus.once('hit', () => onceCount++);
+        bus.emit({ type: 'hit' });
+        off();
+        bus.emit({ type: 'hit' });
+        assert.equal(count, 1);
+        assert.equal(onceCount, 1);
+    });
+
+    test('a failing subscriber does not stop the others', () => {
+        const bus = new EventBus();
+        let reached = false;
+        bus.on('strike', () => { throw new Error('boom'); });
+        bus.on('strike', () => { reached = true; });
+        quietly(() => bus.emit({ type: 'strike', strikes: 1 }));
+        assert.equal(reached, true);
+    });
+
+    test('every rule event has a declared type', () => {
+        const rules = startedGame();
+        const duck = parkDuck(rules.sim.ducks[0]);
+        rules.shoot(MID_X, MID_Y);
+        rules.shoot(-500, -500);
+        rules.sim.spawnDuck();
+        rules.addStrike();
+        rules.levelUp('kills');
+        rules.pause();
+        rules.resume();
+        rules.gameOver('quit');
+        const types = new Set(rules.drainEvents().map(e => e.type));
+        ['shot', 'hit', 'miss', 'points', 'duckSpawned', 'strike', 'levelUp', 'pause', 'resume', 'gameOver']
+            .forEach(type => assert.ok(types.has(type), `${type} was not queued`));
+        types.forEach(type => assert.ok(type in GAME_EVENTS, `${type} is not in GAME_EVENTS`));
+        assert.equal(duck.status, 'hit');
+    });
+});
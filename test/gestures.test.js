@@ -0,0 +1,150 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { GestureRecognizer, PauseGesture, TRIGGERS, isPauseSign, measureTrigger } from '../src/gestures.js';
+import { DEFAULT_CV_SETTINGS } from '../src/calibration.js';
+import { makeHand } from './helpers.js';
+
+const settingsFor = (trigger, extra = {}) => ({ ...DEFAULT_CV_SETTINGS, trigger, ...extra });
+
+// Pinch gap in absolute units (hand scale 0.2 -> gap = pinch * 0.2)
+const openHand = () => makeHand({ pinch: 0.8 });      // gap 0.16
+const pinchedHand = () => makeHand({ pinch: 0.2 });   // gap 0.04
+const hoveringHand = () => makeHand({ pinch: 0.5 });  // gap 0.10: between on (0.09) and off (0.126)
+
+// Finger gun: thumb tip relative to the index knuckle (landmark 5)
+function gunHand(thumbGap) {
+    const hand = makeHand();
+    hand[5] = { x: 0.5, y: 0.4, z: 0 };
+    hand[4] = { x: 0.5 + thumbGap * 0.2, y: 0.4, z: 0 };
+    return hand;
+}
+
+// Fist: fingertips pulled towards the wrist
+function fistHand(reach) {
+    const hand = makeHand();
+    for (const tip of [8, 12, 16, 20]) hand[tip] = { x: 0.5, y: hand[0].y - reach * 0.2, z: 0 };
+    return hand;
+}
+
+// V sign: index + middle reach `up` hand sizes from the wrist, ring + pinky `down`
+function vSignHand(up = 2, down = 0.8) {
+    const hand = makeHand();
+    for (const tip of [8, 12]) hand[tip] = { x: 0.5, y: hand[0].y - up * 0.2, z: 0 };
+    for (const tip of [16, 20]) hand[tip] = { x: 0.5, y: hand[0].y - down * 0.2, z: 0 };
+    return hand;
+}
+
+describe('GestureRecognizer - pinch', () => {
+    test('fires once per pinch and re-arms only after a full release', () => {
+        const g = new GestureRecognizer(settingsFor(TRIGGERS.PINCH));
+        const aim = { x: 0.5, y: 0.5 };
+        const fires = [];
+        const frames = [openHand(), pinchedHand(), pinchedHand(), hoveringHand(), pinchedHand(), openHand(), pinchedHand()];
+        frames.forEach((hand, i) => fires.push(g.update(hand, aim, i * 300).fire));
+
+        // Hovering between the thresholds doesn't re-arm, the full release does
+        assert.deepEqual(fires, [false, true, false, false, false, false, true]);
+    });
+
+    test('a re-pinch inside the debounce window does not fire', () => {
+        const g = new GestureRecognizer(settingsFor(TRIGGERS.PINCH));
+        const aim = { x: 0.5, y: 0.5 };
+        assert.equal(g.update(pinchedHand(), aim, 0).fire, true);
+        g.update(openHand(), aim, 50);
+        assert.equal(g.update(pinchedHand(), aim, 100).fire, false);
+    });
+
+    test('the shot uses the aim from before the fingers started closing', () => {
+        const g = new GestureRecognizer(settingsFor(TRIGGERS.PINCH));
+        g.update(openHand(), { x: 0.3, y: 0.3 }, 0);
+        g.update(hoveringHand(), { x: 0.32, y: 0.35 }, 30); // Palm drifting while closing
+
+        const shot = g.update(pinchedHand(), { x: 0.34, y: 0.4 }, 60);
+        assert.equal(shot.fire, true);
+        assert.deepEqual(shot.aim, { x: 0.3, y: 0.3 });
+
+        // Held: crosshair stays frozen; released: follows the hand again
+        assert.deepEqual(g.update(pinchedHand(), { x: 0.36, y: 0.45 }, 90).aim, { x: 0.3, y: 0.3 });
+        assert.deepEqual(g.update(openHand(), { x: 0.4, y: 0.5 }, 120).aim, { x: 0.4, y: 0.5 });
+    });
+
+    test('a stale open-hand aim is not reused', () => {
+        const g = new GestureRecognizer(settingsFor(TRIGGERS.PINCH));
+        g.update(openHand(), { x: 0.1, y: 0.1 }, 0);
+        g.update(hoveringHand(), { x: 0.5, y: 0.5 }, 200);
+        const shot = g.update(pinchedHand(), { x: 0.6, y: 0.6 }, 1000);
+        assert.deepEqual(shot.aim, { x: 0.6, y: 0.6 });
+    });
+
+    test('uses the calibrated hand-size ratio when there is one', () => {
+        const g = new GestureRecognizer(settingsFor(TRIGGERS.PINCH, { pinchRatio: 0.6 }));
+        assert.equal(g.update(makeHand({ scale: 0.4, pinch: 0.5 }), { x: 0, y: 0 }, 0).fire, true);
+    });
+});
+
+describe('GestureRecognizer - finger gun and fist', () => {
+    test('finger gun fires when the thumb drops onto the hand', () => {
+        const g = new GestureRecognizer(settingsFor(TRIGGERS.FINGER_GUN));
+        const aim = { x: 0.5, y: 0.5 };
+        assert.equal(g.update(gunHand(0.9), aim, 0).fire, false);
+        assert.equal(g.update(gunHand(0.2), aim, 300).fire, true);
+        assert.equal(g.update(gunHand(0.6), aim, 600).fire, false, 'not re-armed yet');
+        assert.equal(g.update(gunHand(0.9), aim, 900).fire, false);
+        assert.equal(g.update(gunHand(0.2), aim, 1200).fire, true);
+    });
+
+    test('fist fires when the fingertips curl towards the wrist', () => {
+        const settings = settingsFor(TRIGGERS.FIST);
+        assert.ok(measureTrigger(TRIGGERS.FIST, fistHand(1.9), settings) > 1.5);
+
+        const g = new GestureRecognizer(settings);
+        const aim = { x: 0.5, y: 0.5 };
+        assert.equal(g.update(fistHand(1.9), aim, 0).fire, false);
+        assert.equal(g.update(fistHand(0.8), aim, 300).fire, true);
+    });
+});
+
+describe('GestureRecognizer - dwell', () => {
+    test('fires after holding still, then needs a move before firing again', () => {
+        const g = new GestureRecognizer(settingsFor(TRIGGERS.DWELL, { dwellMs: 800 }));
+        const hand = openHand();
+        const still = { x: 0.5, y: 0.5 };
+
+        assert.equal(g.update(hand, still, 0).fire, false);
+        const half = g.update(hand, { x: 0.51, y: 0.5 }, 400);
+        assert.equal(half.fire, false);
+        assert.ok(Math.abs(half.charge - 0.5) < 1e-9);
+
+        const shot = g.update(hand, { x: 0.51, y: 0.51 }, 800);
+        assert.equal(shot.fire, true);
+        assert.deepEqual(shot.aim, still);
+
+        assert.equal(g.update(hand, still, 2000).fire, false, 'no repeat without moving');
+        g.update(hand, { x: 0.8, y: 0.5 }, 2100);
+        assert.equal(g.update(hand, { x: 0.8, y: 0.5 }, 2900).fire, true);
+    });
+});
+
+describe('pause sign', () => {
+    test('only a V (two fingers up, two curled) counts', () => {
+        assert.equal(isPauseSign(vSignHand()), true);
+        assert.equal(isPauseSign(vSignHand(2, 2)), false);   // Open palm
+        assert.equal(isPauseSign(vSignHand(0.8, 0.8)), false); // Fist
+        assert.equal(isPauseSign(makeHand()), false);
+    });
+
+    test('fires once per hold and re-arms after the sign drops', () => {
+        const pause = new PauseGesture(800);
+        const fires = [];
+        for (let t = 0; t <= 2000; t += 100) fires.push(pause.update(vSignHand(), t));
+        assert.equal(fires.filter(Boolean).length, 1);
+        assert.equal(fires.indexOf(true), 8);
+        assert.equal(pause.holding, true);
+
+        pause.update(null, 2100);
+        assert.equal(pause.holding, false);
+        assert.equal(pause.update(vSignHand(), 2200), false);
+        assert.equal(pause.update(vSignHand(), 3000), true);
+    });
+});
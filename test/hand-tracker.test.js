@@ -0,0 +1,110 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { FrameThrottle, AimInterpolator } from '../src/hand-tracker.js';
+
+// Count detections let through over `ms` of display frames `frameMs` apart
+function detections(throttle, frameMs, ms) {
+    let count = 0;
+    for (let t = 0; t < ms; t += frameMs) if (throttle.take(t)) count++;
+    return count;
+}
+
+describe('FrameThrottle', () => {
+    test('caps detections whatever the display rate', () => {
+        assert.equal(detections(new FrameThrottle(30), 1000 / 60, 1000), 30);
+        assert.equal(detections(new FrameThrottle(30), 1000 / 144, 1000), 30);
+        assert.equal(detections(new FrameThrottle(15), 1000 / 60, 1000), 15);
+    });
+
+    test('a slow display gets every frame detected', () => {
+        assert.equal(detections(new FrameThrottle(60), 1000 / 30, 1000), 30);
+    });
+
+    test('a long stall does not cause a burst of catch-up detections', () => {
+        const throttle = new FrameThrottle(30);
+        assert.equal(throttle.take(0), true);
+        assert.equal(throttle.take(500), true);
+        assert.equal(throttle.take(510), false);
+        assert.equal(throttle.take(534), true);
+    });
+
+    test('changing the rate applies straight away', () => {
+        const throttle = new FrameThrottle(10);
+        throttle.take(0);
+        throttle.setRate(60);
+        assert.equal(throttle.take(1), true);
+        assert.equal(throttle.take(10), false);
+        assert.equal(throttle.take(18), true);
+    });
+});
+
+describe('AimInterpolator', () => {
+    test('the first detection is taken as is', () => {
+        const glide = new AimInterpolator();
+        assert.equal(glide.sample(0), null);
+        glide.push({ x: 10, y: 20 }, 0);
+        assert.deepEqual(glide.sample(5), { x: 10, y: 20 });
+    });
+
+    test('glides to each new aim over the detection interval', () => {
+        const glide = new AimInterpolator();
+        glide.push({ x: 0, y: 0 }, 0);
+        glide.push({ x: 0, y: 0 }, 100);     // Detections 100ms apart
+        glide.push({ x: 100, y: 50 }, 200);
+
+        assert.deepEqual(glide.sample(200), { x: 0, y: 0 });
+        assert.deepEqual(glide.sample(250), { x: 50, y: 25 });
+        assert.deepEqual(glide.sample(300), { x: 100, y: 50 });
+        assert.deepEqual(glide.sample(400), { x: 100, y: 50 }, 'stops at the target');
+    });
+
+    test('a new detection mid-glide continues from the drawn position', () => {
+        const glide = new AimInterpolator();
+        glide.push({ x: 0, y: 0 }, 0);
+        glide.push({ x: 100, y: 0 }, 100);
+        glide.push({ x: 100, y: 100 }, 150);  // Halfway to x = 100
+
+        assert.deepEqual(glide.from, { x: 50, y: 0 });
+        assert.deepEqual(glide.sample(150), { x: 50, y: 0 });
+    });
+
+    test('snap jumps to the latest aim', () => {
+        const glide = new AimInterpolator();
+        glide.push({ x: 0, y: 0 }, 0);
+        glide.push({ x: 80, y: 40 }, 100);
+        glide.snap();
+        assert.deepEqual(glide.sample(101), { x: 80, y: 40 });
+    });
+});
+
+describe('hand worker', () => {
+    // Stand-in for MediaPipe: the model finishes loading when the test says so
+    const fakeVision = 'data:text/javascript,' + encodeURIComponent(`
+        export const FilesetResolver = { forVisionTasks: async () => ({}) };
+        export const HandLandmarker = {
+            createFromOptions: (vision, options) => new Promise(resolve => {
+                globalThis.finishLoading = () => {
+                    const landmarker = { numHands: options.numHands, setOptions(o) { this.numHands = o.numHands; } };
+                    globalThis.landmarker = landmarker;
+                    resolve(landmarker);
+                };
+            })
+        };
+    `);
+
+    test('a hand count sent while the model loads is applied once it is ready', async () => {
+        const posted = [];
+        globalThis.self = { postMessage: message => posted.push(message) };
+        await import('../src/hand-worker.js');
+
+        const loaded = self.onmessage({ data: { type: 'init', visionModule: fakeVision, numHands: 1, delegate: 'CPU' } });
+        await new Promise(resolve => setTimeout(resolve, 10)); // Up to createFromOptions()
+        await self.onmessage({ data: { type: 'options', numHands: 2 } }); // 2P picked mid-load
+        globalThis.finishLoading();
+        await loaded;
+
+        assert.deepEqual(posted, [{ type: 'ready', delegate: 'CPU' }]);
+        assert.equal(globalThis.landmarker.numHands, 2);
+    });
+});
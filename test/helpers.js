@@ -0,0 +1,127 @@
+/**
+ * TEST HELPERS: Build rule states and drive the simulation tick by tick
+ */
+import { GameRules } from '../src/rules.js';
+import { TICK_MS } from '../src/simulation.js';
+import { duckScore } from '../src/species.js';
+import { SCORING } from '../src/scoring.js';
+import { WORLD } from '../src/world.js';
+import { Translator, parseCatalogue, catalogueUrl } from '../src/i18n.js';
+import { readFileSync } from 'node:fs';
+
+// The fixed game world (src/world.js) and its centre
+export const WIDTH = WORLD.width;
+export const HEIGHT = WORLD.height;
+export const MID_X = WIDTH / 2;
+export const MID_Y = HEIGHT / 2;
+
+/**
+ * New game already in the 'playing' phase with its first duck spawned
+ */
+export function startedGame(seed = 42) {
+    const rules = new GameRules({ seed });
+    rules.start();
+    rules.drainEvents(); // The opening spawns
+    return rules;
+}
+
+/**
+ * Run exactly n fixed ticks
+ */
+export function ticks(rules, n) {
+    for (let i = 0; i < n; i++) rules.update(TICK_MS);
+}
+
+/**
+ * Run ticks until the simulated clock has moved forward by ms
+ */
+export function advanceMs(rules, ms) {
+    ticks(rules, Math.ceil(ms / TICK_MS));
+}
+
+/**
+ * Place a flying duck exactly at (x, y) and hold it there (target = position)
+ */
+export function parkDuck(duck, x = MID_X, y = MID_Y) {
+    duck.x = duck.targetX = x;
+    duck.y = duck.targetY = y;
+    return duck;
+}
+
+/**
+ * Shoot the first flying duck dead-centre
+ */
+export function hitOneDuck(rules) {
+    const duck = rules.sim.ducks.find(d => d.status === 'flying');
+    return rules.shoot(duck.x, duck.y);
+}
+
+/**
+ * Points for a duck shot on the tick it spawned, with no combo running
+ * (base score + the full quick kill bonus)
+ */
+export function freshKillScore(typeId = 'mallard', round = 1) {
+    return duckScore(typeId, round) + SCORING.quickKillBonus;
+}
+
+/**
+ * Synthetic 21-point hand: aim point (landmark 9) at (x, y), wrist `scale`
+ * below it, thumb and index tips `pinch * scale` apart.
+ */
+export function makeHand({ x = 0.5, y = 0.5, scale = 0.2, pinch = 0.8 } = {}) {
+    const hand = Array.from({ length: 21 }, () => ({ x, y, z: 0 }));
+    hand[0] = { x, y: y + scale, z: 0 };
+    hand[9] = { x, y, z: 0 };
+    hand[4] = { x: x - (pinch * scale) / 2, y: y - scale / 2, z: 0 };
+    hand[8] = { x: x + (pinch * scale) / 2, y: y - scale / 2, z: 0 };
+    return hand;
+}
+
+/**
+ * Minimal localStorage stand-in
+ */
+export function memoryStorage() {
+    const data = new Map();
+    return {
+        getItem: (k) => (data.has(k) ? data.get(k) : null),
+        setItem: (k, v) => data.set(k, String(v)),
+        removeItem: (k) => data.delete(k)
+    };
+}
+
+/**
+ * Run fn with console.error / warn silenced (expected errors from failing
+ * subscribers or refused plugins); waits for fn's promise if it returns one
+ */
+export function quietly(fn) {
+    const { error, warn } = console;
+    const restore = () => {
+        console.error = error;
+        console.warn = warn;
+    };
+    console.error = console.warn = () => {};
+    let result;
+    try {
+        result = fn();
+    } catch (err) {
+        restore();
+        throw err;
+    }
+    if (result && typeof result.then === 'function') return result.finally(restore);
+    restore();
+    return result;
+}
+
+/**
+ * A shipped string catalogue (assets/locales/<code>.json)
+ */
+export function catalogue(locale) {
+    return parseCatalogue(JSON.parse(readFileSync(new URL(`../${catalogueUrl(locale)}`, import.meta.url), 'utf8')));
+}
+
+/**
+ * Translator for `locale` with English loaded as the fallback
+ */
+export function translator(locale = 'en') {
+    return new Translator(locale, { en: catalogue('en'), [locale]: catalogue(locale) });
+}
@@ -0,0 +1,153 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import {
+    Translator,
+    interpolate,
+    parseCatalogue,
+    pickLocale,
+    supportedLocale,
+    loadSavedLocale,
+    saveLocale,
+    LOCALES,
+    LOCALE_STORAGE_KEY
+} from '../src/i18n.js';
+import { Announcer, AIM_ASSIST, PALETTES } from '../src/accessibility.js';
+import { MODE_RULES } from '../src/rules.js';
+import { TRIGGERS } from '../src/gestures.js';
+import { POWER_UPS } from '../src/powerups.js';
+import { catalogue, translator, startedGame, memoryStorage } from './helpers.js';
+
+const source = (file) => readFileSync(new URL(`../${file}`, import.meta.url), 'utf8');
+const placeholders = (text) => [...text.matchAll(/\{(\w+)\}/g)].map(m => m[1]).sort();
+
+// Every key the code or the page asks for by name
+function usedKeys() {
+    const keys = new Set();
+    for (const m of source('index.html').matchAll(/data-i18n(?:-html|-aria)?="([^"]+)"/g)) keys.add(m[1]);
+    const prefixes = 'menu|start|status|session|assets|hud|popup|pause|breakdown|gameOver|scores|calibration|camera|access|announce|debug|common';
+    const literal = new RegExp(`'((?:${prefixes})\\.[\\w.-]+)'`, 'g');
+    for (const file of ['game.js', 'src/accessibility.js', 'src/analytics.js', 'src/calibration.js']) {
+        for (const m of source(file).matchAll(literal)) keys.add(m[1]);
+    }
+    // Keys built from ids
+    Object.keys(MODE_RULES).forEach(id => keys.add(`mode.${id}`).add(`mode.${id}.description`));
+    Object.values(TRIGGERS).forEach(id => keys.add(`trigger.${id}`).add(`trigger.${id}.hint`));
+    Object.keys(POWER_UPS).forEach(id => keys.add(`powerUp.${id}`));
+    Object.keys(AIM_ASSIST).filter(id => AIM_ASSIST[id]).forEach(id => keys.add(`access.${id}`));
+    Object.keys(PALETTES).forEach(id => keys.add(`access.${id}`));
+    ['top-left', 'top-right', 'bottom-right', 'bottom-left'].forEach(id => keys.add(`calibration.${id}`));
+    ['manual', 'hidden', 'tracking'].forEach(id => keys.add(`pauseReason.${id}`));
+    ['strikes', 'time', 'quota', 'quit'].forEach(id => keys.add(`endReason.${id}`));
+    return keys;
+}
+
+describe('Translator', () => {
+    const catalogues = {
+        en: { 'a.greet': 'Hello {name}', 'a.only': 'English only' },
+        fr: { 'a.greet': 'Bonjour {name}' }
+    };
+
+    test('looks a key up in the language, then English, then shows the key', () => {
+        const i18n = new Translator('fr', catalogues);
+        assert.equal(i18n.t('a.greet', { name: 'Ada' }), 'Bonjour Ada');
+        assert.equal(i18n.t('a.only'), 'English only');
+        assert.equal(i18n.t('a.missing'), 'a.missing');
+        assert.equal(i18n.has('a.only'), true);
+        assert.equal(i18n.has('a.missing'), false);
+    });
+
+    test('switching language takes effect at once, and unknown codes mean English', () => {
+        const i18n = new Translator('fr', catalogues);
+        i18n.setLocale('en');
+        assert.equal(i18n.t('a.greet', { name: 'Ada' }), 'Hello Ada');
+        i18n.setLocale('xx');
+        assert.equal(i18n.locale, 'en');
+    });
+
+    test('scores, numbers and percentages follow the language', () => {
+        const en = new Translator('en');
+        const de = new Translator('de');
+        const fr = new Translator('fr');
+        assert.equal(en.score(1500), '001,500');
+        assert.equal(de.score(1500), '001.500');
+        assert.match(fr.score(1500), /^001\s500$/);
+        assert.equal(en.score(1234567), '1,234,567', 'longer scores are not cut');
+        assert.equal(de.number(1234.5), '1.234,5');
+        assert.equal(en.percent(0.85), '85%');
+        assert.match(de.percent(0.85), /^85\s%$/);
+    });
+});
+
+describe('interpolate()', () => {
+    test('fills placeholders and leaves unknown ones alone', () => {
+        assert.equal(interpolate('{a} of {b}', { a: 1, b: 3 }), '1 of 3');
+        assert.equal(interpolate('{a} of {b}', { a: 1 }), '1 of {b}');
+        assert.equal(interpolate('no placeholders'), 'no placeholders');
+    });
+});
+
+describe('language choice', () => {
+    test('supported codes are matched on the language part only', () => {
+        assert.equal(supportedLocale('fr-CA'), 'fr');
+        assert.equal(supportedLocale('DE_at'), 'de');
+        assert.equal(supportedLocale('ja'), null);
+        assert.equal(supportedLocale(undefined), null);
+    });
+
+    test('?lang= beats the saved choice, which beats the browser', () => {
+        assert.equal(pickLocale({ search: '?lang=es', saved: 'de', languages: ['fr'] }), 'es');
+        assert.equal(pickLocale({ search: '?lang=xx', saved: 'de', languages: ['fr'] }), 'de');
+        assert.equal(pickLocale({ languages: ['ja', 'fr-FR', 'de'] }), 'fr');
+        assert.equal(pickLocale({ languages: ['ja'] }), 'en');
+        assert.equal(pickLocale(), 'en');
+    });
+
+    test('the picked language is saved and unsupported saves are ignored', () => {
+        const storage = memoryStorage();
+        assert.equal(loadSavedLocale(storage), null);
+        saveLocale('fr', storage);
+        assert.equal(loadSavedLocale(storage), 'fr');
+        storage.setItem(LOCALE_STORAGE_KEY, 'xx');
+        assert.equal(loadSavedLocale(storage), null);
+    });
+});
+
+describe('parseCatalogue()', () => {
+    test('rejects anything but an object and drops non-text entries', () => {
+        assert.throws(() => parseCatalogue(['a']), /JSON object/);
+        assert.throws(() => parseCatalogue(null), /JSON object/);
+        assert.deepEqual(parseCatalogue({ 'a.b': 'ok', 'a.c': 3 }), { 'a.b': 'ok' });
+    });
+});
+
+describe('locale files', () => {
+    const en = catalogue('en');
+
+    test('English has every key the game uses', () => {
+        for (const key of usedKeys()) assert.ok(Object.hasOwn(en, key), `${key} is missing from en.json`);
+    });
+
+    for (const locale of Object.keys(LOCALES).filter(code => code !== 'en')) {
+        test(`${locale}.json only has known keys, with the same placeholders`, () => {
+            const strings = catalogue(locale);
+            for (const [key, text] of Object.entries(strings)) {
+                assert.ok(Object.hasOwn(en, key), `${key} is not in en.json`);
+                assert.deepEqual(placeholders(text), placeholders(en[key]), key);
+            }
+        });
+    }
+
+    test('catalogues are fetched, never imported as JSON modules', () => {
+        // Browsers without import attributes reject the whole module graph
+        assert.doesNotMatch(source('game.js'), /\bwith\s*\{\s*type:/);
+    });
+
+    test('announcements are read out in the chosen language', () => {
+        const rules = startedGame();
+        const announcer = new Announcer({ i18n: translator('de') });
+        rules.levelUp('kills');
+        assert.equal(announcer.handle({ type: 'levelUp' }, rules, 0), 'Level 2. Punkte 0.');
+    });
+});
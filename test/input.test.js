@@ -0,0 +1,207 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PointerInput, KeyboardInput, InputManager, INPUT_MODES } from '../src/input.js';
+import { WORLD, fitViewport, screenToWorld } from '../src/world.js';
+
+// The bits of the game the input sources drive: a 512x480 canvas at (10, 20)
+function fakeGame() {
+    const view = fitViewport(512, 480);
+    return {
+        gameState: 'playing',
+        handPos: { x: WORLD.width / 2, y: WORLD.height / 2 },
+        shots: 0,
+        canvas: { getBoundingClientRect: () => ({ left: 10, top: 20 }) },
+        toWorld: (x, y) => screenToWorld(view, x, y),
+        setAim(x, y) { this.handPos = { x, y }; },
+        shoot() { this.shots++; }
+    };
+}
+
+// An element that is (or sits inside) an on-screen button
+const button = { closest: (selector) => (selector.includes('button') ? button : null) };
+const canvasTarget = { closest: () => null };
+
+// Handed straight to a handler (with a target) or dispatched on the surface
+const pointer = (clientX, clientY, target = canvasTarget) => ({ clientX, clientY, target });
+const pointerEvent = (type, clientX, clientY) => Object.assign(new Event(type), { clientX, clientY });
+const key = (type, code, repeat = false) => Object.assign(new Event(type, { cancelable: true }), { code, repeat });
+
+// navigator.getGamepads() with one pad (Node has no gamepads)
+let pad;
+const padState = (axes = [0, 0], pressed = []) => ({
+    connected: true,
+    axes,
+    buttons: Array.from({ length: 8 }, (_, i) => ({ pressed: pressed.includes(i) }))
+});
+let savedNavigator;
+beforeEach(() => {
+    pad = null;
+    savedNavigator = Object.getOwnPropertyDescriptor(globalThis, 'navigator');
+    Object.defineProperty(globalThis, 'navigator', { value: { getGamepads: () => [null, pad] }, configurable: true });
+});
+afterEach(() => {
+    if (savedNavigator) Object.defineProperty(globalThis, 'navigator', savedNavigator);
+    else delete globalThis.navigator;
+});
+
+describe('PointerInput', () => {
+    test('maps page coordinates through the letterbox into the world', () => {
+        const game = fakeGame();
+        const input = new PointerInput(game, new EventTarget());
+        input.handleMove(pointer(10 + 256, 20 + 240));
+        assert.deepEqual(game.handPos, { x: 128, y: 120 });
+        input.handleMove(pointer(10, 20));
+        assert.deepEqual(game.handPos, { x: 0, y: 0 });
+    });
+
+    test('a tap aims at the tapped spot and fires', () => {
+        const game = fakeGame();
+        const input = new PointerInput(game, new EventTarget());
+        input.handleDown(pointer(10 + 100, 20 + 50));
+        assert.deepEqual(game.handPos, { x: 50, y: 25 });
+        assert.equal(game.shots, 1);
+    });
+
+    test('clicks on buttons, and clicks outside a run, are not shots', () => {
+        const game = fakeGame();
+        const input = new PointerInput(game, new EventTarget());
+        input.handleDown(pointer(110, 70, button)); // END RUN
+        input.handleMove(pointer(110, 70, button));
+        assert.equal(game.shots, 0);
+        assert.deepEqual(game.handPos, { x: 128, y: 120 });
+
+        game.gameState = 'menu';
+        input.handleDown(pointer(110, 70));
+        assert.equal(game.shots, 0);
+    });
+
+    test('only listens while enabled', () => {
+        const game = fakeGame();
+        const surface = new EventTarget();
+        const input = new PointerInput(game, surface);
+        input.enable();
+        surface.dispatchEvent(pointerEvent('pointerdown', 110, 70));
+        input.disable();
+        surface.dispatchEvent(pointerEvent('pointerdown', 110, 70));
+        assert.equal(game.shots, 1);
+    });
+});
+
+describe('KeyboardInput', () => {
+    test('Space and Enter fire once per press', () => {
+        const game = fakeGame();
+        const keys = new EventTarget();
+        const input = new KeyboardInput(game, keys);
+        input.enable();
+        const space = key('keydown', 'Space');
+        keys.dispatchEvent(space);
+        keys.dispatchEvent(key('keydown', 'Space', true)); // Held down
+        keys.dispatchEvent(key('keydown', 'Enter'));
+        assert.equal(game.shots, 2);
+        assert.equal(space.defaultPrevented, true, 'no page scroll or button click');
+    });
+
+    test('held arrows and WASD move the aim at a steady speed', () => {
+        const game = fakeGame();
+        const keys = new EventTarget();
+        const input = new KeyboardInput(game, keys);
+        input.enable();
+        keys.dispatchEvent(key('keydown', 'ArrowRight'));
+        keys.dispatchEvent(key('keydown', 'KeyW'));
+        input.update(0.5);
+        const step = input.speed * WORLD.width * 0.5;
+        assert.deepEqual(game.handPos, { x: 128 + step, y: 120 - step });
+
+        keys.dispatchEvent(key('keyup', 'ArrowRight'));
+        keys.dispatchEvent(key('keyup', 'KeyW'));
+        input.update(0.5);
+        assert.deepEqual(game.handPos, { x: 128 + step, y: 120 - step });
+    });
+
+    test('keys do nothing outside a run', () => {
+        const game = fakeGame();
+        game.gameState = 'paused';
+        const keys = new EventTarget();
+        const input = new KeyboardInput(game, keys);
+        input.enable();
+        keys.dispatchEvent(key('keydown', 'Space'));
+        keys.dispatchEvent(key('keydown', 'ArrowLeft'));
+        input.update(1);
+        assert.equal(game.shots, 0);
+        assert.deepEqual(game.handPos, { x: 128, y: 120 });
+    });
+
+    test('the gamepad stick aims past its dead zone', () => {
+        const game = fakeGame();
+        const input = new KeyboardInput(game, new EventTarget());
+        pad = padState([0.1, -0.1]); // Drift
+        input.update(0.5);
+        assert.deepEqual(game.handPos, { x: 128, y: 120 });
+        pad = padState([-1, 0.5]);
+        input.update(0.5);
+        const step = input.speed * WORLD.width * 0.5;
+        assert.deepEqual(game.handPos, { x: 128 - step, y: 120 + step * 0.5 });
+    });
+
+    test('A or the right trigger fires once per press', () => {
+        const game = fakeGame();
+        const input = new KeyboardInput(game, new EventTarget());
+        pad = padState([0, 0], [0]);
+        input.update(0.016);
+        input.update(0.016); // Still held
+        pad = padState();
+        input.update(0.016);
+        pad = padState([0, 0], [7]);
+        input.update(0.016);
+        assert.equal(game.shots, 2);
+    });
+});
+
+describe('InputManager', () => {
+    test('pointer mode switches the fallback sources on, hand mode off', () => {
+        const game = fakeGame();
+        const surface = new EventTarget();
+        const keyTarget = new EventTarget();
+        const input = new InputManager(game, { surface, keyTarget });
+        assert.equal(input.mode, INPUT_MODES.CV);
+
+        surface.dispatchEvent(pointerEvent('pointerdown', 110, 70));
+        keyTarget.dispatchEvent(key('keydown', 'Space'));
+        assert.equal(game.shots, 0, 'hand mode ignores the mouse and keys');
+
+        input.setMode(INPUT_MODES.POINTER);
+        surface.dispatchEvent(pointerEvent('pointerdown', 110, 70));
+        keyTarget.dispatchEvent(key('keydown', 'Space'));
+        assert.equal(game.shots, 2);
+
+        input.setMode(INPUT_MODES.CV);
+        surface.dispatchEvent(pointerEvent('pointerdown', 110, 70));
+        keyTarget.dispatchEvent(key('keydown', 'Space'));
+        assert.equal(game.shots, 2);
+    });
+
+    test('keys held when leaving pointer mode are forgotten', () => {
+        const game = fakeGame();
+        const keyTarget = new EventTarget();
+        const input = new InputManager(game, { surface: new EventTarget(), keyTarget });
+        input.setMode(INPUT_MODES.POINTER);
+        keyTarget.dispatchEvent(key('keydown', 'ArrowLeft'));
+        input.setMode(INPUT_MODES.CV);
+        input.setMode(INPUT_MODES.POINTER);
+        input.update(1);
+        assert.deepEqual(game.handPos, { x: 128, y: 120 });
+    });
+
+    test('only updates the fallback sources in pointer mode', () => {
+        const game = fakeGame();
+        const keyTarget = new EventTarget();
+        const input = new InputManager(game, { surface: new EventTarget(), keyTarget });
+        pad = padState([1, 0]);
+        input.update(0.5);
+        assert.deepEqual(game.handPos, { x: 128, y: 120 });
+        input.setMode(INPUT_MODES.POINTER);
+        input.update(0.5);
+        assert.ok(game.handPos.x > 128);
+    });
+});
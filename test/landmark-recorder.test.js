@@ -0,0 +1,131 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { LandmarkRecorder, LandmarkReplay, RECORDING_VERSION } from '../src/landmark-recorder.js';
+import { makeHand } from './helpers.js';
+
+const RIGHT = [[{ categoryName: 'Right', score: 0.987654321 }]];
+
+// One detectForVideo() result, as MediaPipe shapes it
+const detection = (x = 0.5) => ({ landmarks: [makeHand({ x })], handednesses: RIGHT });
+
+// A recording with hands at x = 0.1, 0.2, 0.3 at 50, 100 and 150ms
+function recording() {
+    const frames = [50, 100, 150].map((t, i) => ({
+        t,
+        landmarks: [makeHand({ x: (i + 1) / 10 })],
+        handedness: RIGHT
+    }));
+    return { version: RECORDING_VERSION, meta: { seed: 7 }, frames };
+}
+
+const handX = (result) => result.landmarks[0][9].x;
+
+describe('LandmarkRecorder', () => {
+    test('only captures between start() and stop()', () => {
+        const recorder = new LandmarkRecorder();
+        recorder.capture(0, detection());
+        assert.equal(recorder.hasData, false);
+
+        recorder.start({ gameMode: 'arcade' });
+        recorder.capture(recorder.startTime + 16, detection());
+        recorder.stop();
+        recorder.capture(recorder.startTime + 32, detection());
+        assert.equal(recorder.frames.length, 1);
+        assert.equal(recorder.hasData, true);
+    });
+
+    test('stores times from the start and rounded copies of the landmarks', () => {
+        const recorder = new LandmarkRecorder();
+        recorder.start();
+        const result = { landmarks: [[{ x: 0.123456789, y: 0.5 }]], handedness: RIGHT };
+        recorder.capture(recorder.startTime + 16.66, result);
+        result.landmarks[0][0].x = 0.9; // MediaPipe reuses its objects
+
+        const [frame] = recorder.frames;
+        assert.equal(frame.t, 16.7);
+        assert.deepEqual(frame.landmarks, [[{ x: 0.12346, y: 0.5, z: 0 }]]);
+        assert.deepEqual(frame.handedness, [[{ categoryName: 'Right', score: 0.98765 }]]);
+    });
+
+    test('start() begins a fresh session', () => {
+        const recorder = new LandmarkRecorder();
+        recorder.start({ seed: 1 });
+        recorder.capture(recorder.startTime + 10, detection());
+        recorder.start({ seed: 2 });
+        assert.equal(recorder.hasData, false);
+        assert.deepEqual(recorder.meta, { seed: 2 });
+    });
+
+    test('a saved session loads back as a replay with the same frames and meta', () => {
+        const recorder = new LandmarkRecorder();
+        const meta = { width: 256, height: 240, playerMode: 'solo', gameMode: 'classic', seed: 1234 };
+        recorder.start(meta);
+        [0, 33, 66].forEach((t, i) => recorder.capture(recorder.startTime + t, detection(0.2 + i / 10)));
+
+        const saved = JSON.parse(JSON.stringify(recorder.toJSON()));
+        assert.equal(saved.version, RECORDING_VERSION);
+        const replay = new LandmarkReplay(saved);
+        assert.deepEqual(replay.meta, meta);
+        assert.deepEqual(replay.frames, recorder.frames);
+        assert.equal(replay.duration, 66);
+    });
+});
+
+describe('LandmarkReplay', () => {
+    test('refuses anything that is not a recording', () => {
+        assert.throws(() => new LandmarkReplay(null), /session recording/);
+        assert.throws(() => new LandmarkReplay({ version: RECORDING_VERSION + 1, frames: [] }), /session recording/);
+        assert.throws(() => new LandmarkReplay({ version: RECORDING_VERSION, frames: {} }), /session recording/);
+    });
+
+    test('reads a picked file', async () => {
+        const file = { text: async () => JSON.stringify(recording()) };
+        const replay = await LandmarkReplay.fromFile(file);
+        assert.equal(replay.frames.length, 3);
+        assert.deepEqual(replay.meta, { seed: 7 });
+    });
+
+    test('has no hands before the first recorded frame', () => {
+        const replay = new LandmarkReplay(recording());
+        const result = replay.detectForVideo(null, 1000); // Playback starts now
+        assert.deepEqual(result, { landmarks: [], handedness: [], timestamp: 0 });
+        assert.equal(replay.detectForVideo(null, 1049).landmarks.length, 0);
+    });
+
+    test('hands out the latest frame at or before the elapsed time', () => {
+        const replay = new LandmarkReplay(recording());
+        replay.detectForVideo(null, 1000);
+        const atFirst = replay.detectForVideo(null, 1050);
+        assert.equal(handX(atFirst), 0.1);
+        assert.equal(atFirst.timestamp, 50, 'recorded time, for gesture debouncing');
+        assert.equal(handX(replay.detectForVideo(null, 1099)), 0.1);
+        assert.equal(handX(replay.detectForVideo(null, 1100)), 0.2);
+    });
+
+    test('skips frames a slow caller missed', () => {
+        const replay = new LandmarkReplay(recording());
+        replay.detectForVideo(null, 0);
+        const result = replay.detectForVideo(null, 160);
+        assert.equal(handX(result), 0.3);
+        assert.equal(result.timestamp, 150);
+        assert.equal(replay.ended, true);
+    });
+
+    test('holds the last frame briefly, then reports no hands', () => {
+        const replay = new LandmarkReplay(recording());
+        replay.detectForVideo(null, 0);
+        assert.equal(handX(replay.detectForVideo(null, 250)), 0.3);
+        assert.deepEqual(replay.detectForVideo(null, 251), { landmarks: [], handedness: [], timestamp: 251 });
+    });
+
+    test('reset() plays from the top again', () => {
+        const replay = new LandmarkReplay(recording());
+        replay.detectForVideo(null, 0);
+        replay.detectForVideo(null, 500);
+        replay.reset();
+        assert.equal(replay.ended, false);
+        replay.detectForVideo(null, 2000);
+        assert.equal(handX(replay.detectForVideo(null, 2050)), 0.1);
+    });
+});
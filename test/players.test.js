@@ -0,0 +1,72 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { HandAssigner, ASSIGN_STRATEGIES } from '../src/players.js';
+import { makeHand } from './helpers.js';
+
+// MediaPipe-style handedness entry
+const label = (categoryName) => [{ categoryName, score: 0.9 }];
+
+describe('HandAssigner', () => {
+    test('new hands go to players by screen side (mirrored camera)', () => {
+        const assigner = new HandAssigner();
+        const screenLeft = makeHand({ x: 0.8 });
+        const screenRight = makeHand({ x: 0.2 });
+
+        const [p1, p2] = assigner.assign([screenRight, screenLeft]);
+
+        assert.equal(p1, screenLeft);
+        assert.equal(p2, screenRight);
+    });
+
+    test('a single hand on the right belongs to player 2', () => {
+        const assigner = new HandAssigner();
+        const hand = makeHand({ x: 0.3 });
+
+        assert.deepEqual(assigner.assign([hand]), [null, hand]);
+    });
+
+    test('hands keep their owner when they cross over', () => {
+        const assigner = new HandAssigner();
+        assigner.assign([makeHand({ x: 0.6, y: 0.3 }), makeHand({ x: 0.4, y: 0.6 })]);
+
+        // Step both hands past each other (one above the other), a little each frame
+        let result;
+        for (let step = 1; step <= 4; step++) {
+            const a = makeHand({ x: 0.6 - step * 0.05, y: 0.3 });
+            const b = makeHand({ x: 0.4 + step * 0.05, y: 0.6 });
+            result = assigner.assign([b, a]); // Detection order flips too
+            assert.equal(result[0], a);
+            assert.equal(result[1], b);
+        }
+        assert.ok(result[0][9].x < result[1][9].x); // P1 now on the screen right
+    });
+
+    test('a hand that was lost for too long is reassigned by side', () => {
+        const assigner = new HandAssigner({ maxLostFrames: 2 });
+        assigner.assign([makeHand({ x: 0.8 })]);
+        for (let i = 0; i < 3; i++) assigner.assign([]);
+
+        const hand = makeHand({ x: 0.2 });
+        assert.deepEqual(assigner.assign([hand]), [null, hand]);
+    });
+
+    test('a briefly lost hand comes back to the same player', () => {
+        const assigner = new HandAssigner();
+        assigner.assign([makeHand({ x: 0.45 })]); // Just right of centre -> P2
+        assigner.assign([]);
+
+        const hand = makeHand({ x: 0.55 });       // Drifted over the middle
+        assert.deepEqual(assigner.assign([hand]), [null, hand]);
+    });
+
+    test('handedness strategy uses the labels, unless both hands match', () => {
+        const assigner = new HandAssigner({ strategy: ASSIGN_STRATEGIES.HANDEDNESS });
+        const left = makeHand({ x: 0.2 });
+        const right = makeHand({ x: 0.8 });
+        assert.deepEqual(assigner.assign([right, left], [label('Right'), label('Left')]), [left, right]);
+
+        assigner.reset();
+        assert.deepEqual(assigner.assign([right, left], [label('Right'), label('Right')]), [right, left]);
+    });
+});
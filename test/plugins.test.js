@@ -0,0 +1,77 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { EventBus } from '../src/event-bus.js';
+import { PluginHost, loadPlugins, pluginUrls } from '../src/plugins.js';
+import eventLog from '../plugins/event-log.js';
+import { startedGame, quietly } from './helpers.js';
+
+describe('PluginHost', () => {
+    const host = () => new PluginHost({ bus: new EventBus(), rules: startedGame(), game: null });
+
+    test('a plugin subscribes in setup and is cleaned up on unregister', () => {
+        const plugins = host();
+        const seen = [];
+        let stopped = false;
+        assert.equal(plugins.register({
+            name: 'counter',
+            setup({ bus }) {
+                bus.on('shot', e => seen.push(e.x));
+                return () => { stopped = true; };
+            }
+        }), true);
+        assert.deepEqual(plugins.names, ['counter']);
+
+        plugins.context.bus.emit({ type: 'shot', x: 1 });
+        assert.equal(plugins.unregister('counter'), true);
+        plugins.context.bus.emit({ type: 'shot', x: 2 });
+        assert.deepEqual(seen, [1]);
+        assert.equal(stopped, true);
+    });
+
+    test('bad, duplicate and crashing plugins are refused', () => {
+        const plugins = host();
+        quietly(() => {
+            assert.equal(plugins.register({ setup() {} }), false);
+            assert.equal(plugins.register({ name: 'a', setup() {} }), true);
+            assert.equal(plugins.register({ name: 'a', setup() {} }), false);
+            assert.equal(plugins.register({ name: 'b', setup({ bus }) { bus.on('hit', () => {}); throw new Error('x'); } }), false);
+        });
+        assert.deepEqual(plugins.names, ['a']);
+        assert.equal(plugins.context.bus.handlers.get('hit').size, 0, 'the crashed plugin left no subscriptions');
+    });
+
+    test('the shipped event-log add-on logs events', () => {
+        const plugins = host();
+        const lines = [];
+        const { log } = console;
+        console.log = (line) => lines.push(line);
+        try {
+            plugins.register(eventLog);
+            plugins.context.bus.emit({ type: 'strike', strikes: 1 });
+        } finally {
+            console.log = log;
+        }
+        assert.equal(lines.length, 1);
+        assert.match(lines[0], /strike$/);
+    });
+
+    test('loadPlugins registers default exports and skips failures', async () => {
+        const plugins = host();
+        const modules = { 'good.js': { default: { name: 'good', setup() {} } } };
+        const importModule = async (url) => {
+            if (!modules[url]) throw new Error('404');
+            return modules[url];
+        };
+        const started = await quietly(() => loadPlugins(plugins, ['missing.js', 'good.js'], importModule));
+        assert.deepEqual(started, ['good']);
+    });
+});
+
+describe('pluginUrls()', () => {
+    test('resolves the ?plugins= list against the page, same origin only', () => {
+        const urls = quietly(() => pluginUrls('https://game.test/dh/index.html?plugins=plugins/a.js, /b.js,https://evil.test/c.js'));
+        assert.deepEqual(urls, ['https://game.test/dh/plugins/a.js', 'https://game.test/b.js']);
+        assert.deepEqual(pluginUrls('https://game.test/'), []);
+    });
+});
@@ -0,0 +1,20 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { POWER_UPS, weaponPattern } from '../src/powerups.js';
+
+describe('weaponPattern()', () => {
+    test('no effects is the original single point', () => {
+        assert.deepEqual(weaponPattern({}, 80), { radius: 80, pellets: [{ dx: 0, dy: 0 }] });
+    });
+
+    test('the shotgun scales the radius', () => {
+        assert.equal(weaponPattern({ shotgun: 1 }, 80).radius, 80 * POWER_UPS.shotgun.radiusScale);
+    });
+
+    test('a burst spreads its pellets evenly around the aim', () => {
+        const { pellets } = weaponPattern({ burst: 1 }, 80);
+        const gap = POWER_UPS.burst.spacing * 80;
+        assert.deepEqual(pellets.map(p => p.dx), [-gap, 0, gap]);
+    });
+});
@@ -0,0 +1,910 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { GameRules, RULES, PLAYER_MODES, GAME_MODES, classicQuota } from '../src/rules.js';
+import { TICK_MS, MOTION } from '../src/simulation.js';
+import { duckScore } from '../src/species.js';
+import { POWER_UPS } from '../src/powerups.js';
+import { SCORING } from '../src/scoring.js';
+import { BUILTIN_WAVES, parseWaves, waveFor } from '../src/waves.js';
+import { WIDTH, HEIGHT, MID_X, MID_Y, startedGame, ticks, advanceMs, parkDuck, hitOneDuck, freshKillScore } from './helpers.js';
+
+// Kill quota / level clock of the built-in first level
+const FIRST_WAVE = waveFor(BUILTIN_WAVES, 1);
+
+// Queued events apart from the once-a-second HUD countdown
+const withoutTicks = (events) => events.filter(e => e.type !== 'timerTick');
+
+describe('shoot()', () => {
+    test('a shot inside the hit radius kills the duck and scores by level', () => {
+        const rules = startedGame();
+        const duck = parkDuck(rules.sim.ducks[0]);
+
+        const result = rules.shoot(MID_X + RULES.hitRadiusRatio * WIDTH - 1, MID_Y);
+
+        assert.equal(result.fired, true);
+        assert.deepEqual(result.hits, [duck]);
+        assert.equal(duck.status, 'hit');
+        assert.equal(rules.score, freshKillScore());
+        assert.equal(rules.ducksShotThisRound, 1);
+    });
+
+    test('a shot exactly on the hit radius misses', () => {
+        const rules = startedGame();
+        parkDuck(rules.sim.ducks[0], 0, MID_Y); // x = 0 keeps the distance exact in floating point
+
+        const result = rules.shoot(RULES.hitRadiusRatio * WIDTH, MID_Y);
+
+        assert.equal(result.fired, true);
+        assert.equal(result.hits.length, 0);
+        assert.equal(rules.score, 0);
+        assert.equal(rules.ammo, RULES.maxAmmo - 1);
+    });
+
+    test('the accessibility hitbox scale widens the hit radius and survives a reset', () => {
+        const rules = startedGame();
+        rules.hitboxScale = 2;
+        rules.reset();
+        rules.start();
+        parkDuck(rules.sim.ducks[0], 0, MID_Y);
+
+        const result = rules.shoot(RULES.hitRadiusRatio * WIDTH * 1.5, MID_Y); // Beyond the normal radius
+
+        assert.equal(result.hits.length, 1);
+    });
+
+    test('ducks that are already hit, falling or fleeing cannot be shot', () => {
+        const rules = startedGame();
+        const duck = parkDuck(rules.sim.ducks[0]);
+
+        for (const status of ['hit', 'falling', 'fleeing']) {
+            duck.status = status;
+            assert.equal(rules.shoot(duck.x, duck.y).hits.length, 0, status);
+            rules.ammo = RULES.maxAmmo;
+        }
+        assert.equal(rules.score, 0);
+    });
+
+    test('shots are ignored outside of play', () => {
+        const rules = new GameRules({ seed: 1 });
+        assert.equal(rules.shoot(0, 0).fired, false);
+
+        rules.start();
+        rules.gameOver();
+        assert.equal(rules.shoot(0, 0).fired, false);
+        assert.equal(rules.ammo, RULES.maxAmmo);
+    });
+});
+
+describe('ammo', () => {
+    test('an empty gun cannot fire and reloads after the delay', () => {
+        const rules = startedGame();
+        rules.sim.ducks[0].lifeTime = Infinity;
+
+        for (let i = 0; i < RULES.maxAmmo; i++) rules.shoot(-500, -500);
+        assert.equal(rules.ammo, 0);
+        assert.equal(rules.shoot(-500, -500).fired, false);
+
+        advanceMs(rules, RULES.reloadDelay - 2 * TICK_MS);
+        assert.equal(rules.ammo, 0, 'still reloading');
+
+        advanceMs(rules, 2 * TICK_MS);
+        assert.equal(rules.ammo, RULES.maxAmmo);
+    });
+
+    test('a hit refills the gun straight away', () => {
+        const rules = startedGame();
+        rules.shoot(-500, -500);
+        assert.equal(rules.ammo, RULES.maxAmmo - 1);
+
+        hitOneDuck(rules);
+        assert.equal(rules.ammo, RULES.maxAmmo);
+    });
+
+    test('a hit with the last shell refills and cancels the pending reload', () => {
+        const rules = startedGame();
+        rules.shoot(-500, -500);
+        rules.shoot(-500, -500);
+        hitOneDuck(rules);
+
+        assert.equal(rules.ammo, RULES.maxAmmo);
+        assert.equal(rules.reloadAt, null);
+    });
+});
+
+describe('strikes and game over', () => {
+    test('an escaping duck is a strike', () => {
+        const rules = startedGame();
+        const duck = rules.sim.ducks[0];
+
+        advanceMs(rules, duck.lifeTime + TICK_MS);
+
+        assert.equal(duck.status, 'fleeing');
+        assert.equal(rules.strikes, 1);
+        assert.deepEqual(withoutTicks(rules.drainEvents()), [{ type: 'duckEscaped', duckId: duck.id }, { type: 'strike', strikes: 1 }]);
+    });
+
+    test('the third strike ends the run and freezes the world', () => {
+        const rules = startedGame();
+        rules.addStrike();
+        rules.addStrike();
+        rules.drainEvents();
+
+        rules.addStrike();
+
+        assert.equal(rules.phase, 'game-over');
+        assert.equal(rules.sim.running, false);
+        assert.equal(rules.update(1000), 0);
+        assert.deepEqual(rules.drainEvents().map(e => e.type), ['strike', 'gameOver']);
+    });
+
+    test('ducks escaping on the same tick as the final strike add nothing more', () => {
+        const rules = startedGame();
+        rules.levelUp();
+        rules.levelUp();
+        rules.levelUp(); // round 4 -> three ducks on screen
+        rules.sim.spawnIfNeeded();
+        rules.strikes = 1;
+        rules.sim.ducks.forEach(d => { d.lifeTime = 0; });
+
+        ticks(rules, 1);
+
+        assert.equal(rules.sim.ducks.length, 3);
+        assert.equal(rules.strikes, RULES.maxStrikes);
+        assert.equal(rules.drainEvents().filter(e => e.type === 'gameOver').length, 1);
+    });
+});
+
+describe('levels', () => {
+    test(`every ${FIRST_WAVE.killQuota} kills is a level up`, () => {
+        const rules = startedGame();
+
+        for (let i = 0; i < FIRST_WAVE.killQuota; i++) {
+            rules.sim.ducks.forEach(d => { d.status = 'gone'; });
+            rules.sim.spawnDuck();
+            hitOneDuck(rules);
+        }
+
+        assert.equal(rules.round, 2);
+        assert.equal(rules.ducksShotThisRound, 0);
+        const levelUps = rules.drainEvents().filter(e => e.type === 'levelUp');
+        assert.deepEqual(levelUps.map(({ type, round, reason }) => ({ type, round, reason })), [{ type: 'levelUp', round: 2, reason: 'kills' }]);
+    });
+
+    test('a double kill that crosses the quota levels up once and carries over', () => {
+        const rules = startedGame();
+        rules.ducksShotThisRound = FIRST_WAVE.killQuota - 1;
+        parkDuck(rules.sim.ducks[0]);
+        parkDuck(rules.sim.spawnDuck());
+
+        const result = rules.shoot(MID_X, MID_Y);
+
+        assert.equal(result.hits.length, 2);
+        assert.equal(rules.round, 2);
+        assert.equal(rules.ducksShotThisRound, 1);
+        // First duck scored at level 1, second at level 2 (plus the double kill bonus)
+        assert.equal(rules.score, freshKillScore('mallard', 1) + freshKillScore('mallard', 2) + SCORING.multiKillBonus);
+    });
+
+    test('an extra duck is allowed every second level, up to the cap', () => {
+        const rules = startedGame();
+        const maxima = [];
+        for (let i = 0; i < 10; i++) {
+            rules.levelUp();
+            maxima.push(rules.sim.maxDucksInScene);
+        }
+        assert.deepEqual(maxima, [2, 2, 3, 3, 4, 4, 4, 4, 4, 4]);
+    });
+
+    test('ducks spawned on later levels are faster and live shorter', () => {
+        const rules = startedGame();
+        const first = rules.sim.ducks[0];
+        for (let i = 0; i < 5; i++) rules.levelUp();
+        const later = rules.sim.spawnDuck('mallard');
+
+        assert.ok(later.lifeTime < first.lifeTime);
+        // Random part of the speed is at most 2, the level bonus is 0.6 per level
+        assert.ok(later.speed >= 2 + 6 * 0.6);
+        assert.ok(first.speed < 2 + 2 + 0.6);
+    });
+});
+
+describe('round clock', () => {
+    test(`the level is forced up after ${FIRST_WAVE.timeLimit}s`, () => {
+        const rules = startedGame();
+        rules.sim.ducks[0].lifeTime = Infinity;
+
+        advanceMs(rules, (FIRST_WAVE.timeLimit - 0.5) * 1000);
+        assert.equal(rules.timeRemaining, 1);
+        assert.equal(rules.round, 1);
+
+        advanceMs(rules, 500 + TICK_MS);
+        assert.equal(rules.round, 2);
+        assert.equal(rules.timeRemaining, FIRST_WAVE.timeLimit);
+        const events = withoutTicks(rules.drainEvents());
+        assert.deepEqual(events.map(({ type, round, reason }) => ({ type, round, reason })), [{ type: 'levelUp', round: 2, reason: 'timer' }]);
+    });
+
+    test('the HUD hears about each new second on the clock', () => {
+        const rules = startedGame();
+        rules.sim.ducks[0].lifeTime = Infinity;
+
+        advanceMs(rules, 2500);
+        const seconds = rules.drainEvents().filter(e => e.type === 'timerTick').map(e => e.timeRemaining);
+        assert.deepEqual(seconds, [FIRST_WAVE.timeLimit, FIRST_WAVE.timeLimit - 1, FIRST_WAVE.timeLimit - 2]);
+    });
+
+    test('the clock does not run outside of play', () => {
+        const rules = new GameRules({ seed: 1 });
+        rules.update(FIRST_WAVE.timeLimit * 1000 * 2);
+        assert.equal(rules.timeRemaining, FIRST_WAVE.timeLimit);
+        assert.equal(rules.round, 1);
+    });
+
+    test('a strike on the same tick as a timer level up is kept', () => {
+        const rules = startedGame();
+        const duck = rules.sim.ducks[0];
+        rules.roundStartTime = rules.sim.clock - FIRST_WAVE.timeLimit * 1000 + TICK_MS / 2;
+        duck.spawnTime = rules.sim.clock - duck.lifeTime - TICK_MS / 2;
+
+        ticks(rules, 1);
+
+        assert.equal(rules.strikes, 1);
+        assert.equal(rules.round, 2);
+        assert.deepEqual(withoutTicks(rules.drainEvents()).map(e => e.type), ['duckEscaped', 'strike', 'levelUp']);
+    });
+
+    test('no timer level up once the final strike has ended the run', () => {
+        const rules = startedGame();
+        const duck = rules.sim.ducks[0];
+        rules.strikes = RULES.maxStrikes - 1;
+        rules.roundStartTime = rules.sim.clock - FIRST_WAVE.timeLimit * 1000 + TICK_MS / 2;
+        duck.spawnTime = rules.sim.clock - duck.lifeTime - TICK_MS / 2;
+
+        ticks(rules, 1);
+
+        assert.equal(rules.phase, 'game-over');
+        assert.equal(rules.round, 1);
+        assert.deepEqual(rules.drainEvents().map(e => e.type), ['duckEscaped', 'strike', 'gameOver']);
+    });
+
+    test('a timer level up while a duck is mid-fall does not cost a strike', () => {
+        const rules = startedGame();
+        const duck = parkDuck(rules.sim.ducks[0]);
+        hitOneDuck(rules);
+        ticks(rules, 22);
+        assert.equal(duck.status, 'falling');
+
+        rules.roundStartTime = rules.sim.clock - FIRST_WAVE.timeLimit * 1000 + TICK_MS / 2;
+        ticks(rules, 1);
+        assert.equal(rules.round, 2);
+        assert.equal(rules.ducksShotThisRound, 0);
+
+        // Let it land: it is replaced by a level-2 duck, and nobody escaped
+        ticks(rules, Math.ceil(HEIGHT / MOTION.fallSpeed) + 1);
+        assert.equal(rules.sim.ducks.includes(duck), false);
+        assert.equal(rules.sim.ducks.length, rules.sim.maxDucksInScene);
+        assert.equal(rules.sim.ducks[0].status, 'flying');
+        assert.equal(rules.strikes, 0);
+        assert.equal(rules.score, freshKillScore());
+    });
+});
+
+describe('waves', () => {
+    const waveGame = (level) => {
+        const waves = parseWaves({ version: 1, levels: [{ types: { mallard: 1 }, ...level }] });
+        const rules = new GameRules({ seed: 42, waves });
+        rules.start();
+        return rules;
+    };
+
+    test('the kill quota comes from the wave', () => {
+        const rules = waveGame({ killQuota: 2 });
+        hitOneDuck(rules);
+        rules.sim.spawnDuck();
+        hitOneDuck(rules);
+        assert.equal(rules.round, 2);
+    });
+
+    test('a wave with a duck count ends once every duck is down', () => {
+        const rules = waveGame({ ducks: 2, killQuota: null, timeLimit: null });
+        for (let i = 0; i < 2; i++) {
+            assert.equal(rules.round, 1);
+            hitOneDuck(rules);
+            advanceMs(rules, 2000); // Long enough to fall off screen
+        }
+
+        assert.equal(rules.round, 2);
+        const levelUps = rules.drainEvents().filter(e => e.type === 'levelUp');
+        assert.deepEqual(levelUps.map(({ round, reason }) => ({ round, reason })), [{ round: 2, reason: 'wave' }]);
+        // The next wave releases its own ducks
+        assert.equal(rules.sim.ducks.length, 1);
+        assert.equal(rules.sim.spawnBudget, 1);
+    });
+
+    test('new waves wait for the next run', () => {
+        const rules = startedGame();
+        const waves = parseWaves({ version: 1, levels: [{ maxOnScreen: 3 }] });
+        rules.setWaves(waves);
+        assert.equal(rules.wave, waveFor(BUILTIN_WAVES, 1));
+
+        rules.reset();
+        assert.equal(rules.wave.maxOnScreen, 3);
+        assert.equal(rules.sim.maxDucksInScene, 3);
+    });
+});
+
+describe('species', () => {
+    // Clear the opening duck and put one of the given type under the cursor
+    function onlyDuck(rules, typeId) {
+        rules.sim.ducks.length = 0;
+        return parkDuck(rules.sim.spawnDuck(typeId));
+    }
+
+    test('an armoured duck takes two hits and the first one refills the gun', () => {
+        const rules = startedGame();
+        const duck = onlyDuck(rules, 'armored');
+
+        const first = rules.shoot(MID_X, MID_Y);
+        assert.deepEqual(first.hits, []);
+        assert.deepEqual(first.dented, [duck]);
+        assert.equal(duck.status, 'flying');
+        assert.ok(duck.flash > 0);
+        assert.equal(rules.ammo, RULES.maxAmmo);
+        assert.equal(rules.score, 0);
+
+        const second = rules.shoot(MID_X, MID_Y);
+        assert.deepEqual(second.hits, [duck]);
+        assert.equal(rules.score, freshKillScore('armored'));
+        assert.equal(rules.players[0].hits, 2);
+    });
+
+    test('shooting a decoy costs points and does not count towards the level', () => {
+        const rules = startedGame();
+        rules.players[0].score = 1000;
+        onlyDuck(rules, 'decoy');
+
+        rules.shoot(MID_X, MID_Y);
+
+        assert.equal(rules.score, 1000 + duckScore('decoy', 1));
+        assert.equal(rules.ducksShotThisRound, 0);
+    });
+
+    test('a decoy never takes the score below zero', () => {
+        const rules = startedGame();
+        onlyDuck(rules, 'decoy');
+        rules.shoot(MID_X, MID_Y);
+        assert.equal(rules.score, 0);
+    });
+
+    test('decoys and golden ducks escape without a strike', () => {
+        const rules = startedGame();
+        rules.sim.ducks.length = 0;
+        rules.sim.spawnDuck('decoy').lifeTime = 0;
+        rules.sim.spawnDuck('golden').lifeTime = 0;
+        ticks(rules, 1);
+
+        assert.equal(rules.strikes, 0);
+        assert.equal(rules.escaped, 2);
+    });
+});
+
+describe('power-ups', () => {
+    // A pickup parked at (x, y)
+    function parkPowerUp(rules, kind, x = MID_X, y = MID_Y) {
+        const powerUp = rules.sim.spawnPowerUp(kind);
+        powerUp.x = x;
+        powerUp.y = y;
+        return powerUp;
+    }
+
+    test('pickups are released on the mode schedule', () => {
+        const rules = startedGame();
+        const { every, kinds } = rules.mode.powerUps;
+
+        advanceMs(rules, every + TICK_MS);
+
+        assert.equal(rules.sim.powerUps.length, 1);
+        assert.ok(kinds.includes(rules.sim.powerUps[0].kind));
+    });
+
+    test('classic mode has no power-ups', () => {
+        const rules = new GameRules({ seed: 42, gameMode: GAME_MODES.CLASSIC });
+        rules.start();
+        advanceMs(rules, 60000);
+        assert.equal(rules.nextPowerUpAt, null);
+        assert.deepEqual(rules.sim.powerUps, []);
+    });
+
+    test('shooting a pickup gives its weapon to that player only', () => {
+        const rules = new GameRules({ seed: 42, playerMode: PLAYER_MODES.COOP });
+        rules.start();
+        rules.sim.ducks.length = 0;
+        rules.drainEvents();
+        parkPowerUp(rules, 'shotgun');
+
+        const result = rules.shoot(MID_X, MID_Y, 1);
+
+        assert.equal(result.powerUps.length, 1);
+        assert.deepEqual(rules.sim.powerUps, []);
+        assert.deepEqual(rules.activeEffects(1), [{ kind: 'shotgun', remaining: POWER_UPS.shotgun.duration / 1000 }]);
+        assert.deepEqual(rules.activeEffects(0), []);
+        assert.deepEqual(rules.drainEvents(), [
+            { type: 'powerUp', kind: 'shotgun', playerIndex: 1 },
+            { type: 'shot', playerIndex: 1, x: MID_X, y: MID_Y, hit: false, hits: [], dented: [], ducks: [] }
+        ]);
+    });
+
+    test('the shotgun widens the hit radius', () => {
+        const rules = startedGame();
+        parkDuck(rules.sim.ducks[0]);
+        const wide = MID_X + rules.hitRadius * 1.5;
+
+        assert.deepEqual(rules.shoot(wide, MID_Y).hits, []);
+        rules.collectPowerUp('shotgun');
+        assert.equal(rules.shoot(wide, MID_Y).hits.length, 1);
+    });
+
+    test('a burst hits ducks either side of the aim with one shell', () => {
+        const rules = startedGame();
+        rules.collectPowerUp('burst');
+        rules.sim.ducks.length = 0;
+        const gap = POWER_UPS.burst.spacing * rules.hitRadius;
+        parkDuck(rules.sim.spawnDuck('mallard'), MID_X - gap, MID_Y);
+        parkDuck(rules.sim.spawnDuck('mallard'), MID_X + gap, MID_Y);
+
+        const result = rules.shoot(MID_X, MID_Y);
+
+        assert.equal(result.hits.length, 2);
+        assert.equal(rules.players[0].shots, 1);
+    });
+
+    test('slow-motion slows the ducks until it runs out', () => {
+        const rules = startedGame();
+        rules.collectPowerUp('slowmo');
+        assert.equal(rules.sim.timeScale, POWER_UPS.slowmo.timeScale);
+
+        advanceMs(rules, POWER_UPS.slowmo.duration + TICK_MS);
+
+        assert.equal(rules.sim.timeScale, 1);
+        assert.deepEqual(rules.activeEffects(), []);
+        assert.ok(rules.drainEvents().some(e => e.type === 'powerUpEnd' && e.kind === 'slowmo'));
+    });
+
+    test('heal takes back a strike', () => {
+        const rules = startedGame();
+        rules.addStrike();
+        rules.addStrike();
+        rules.collectPowerUp('heal');
+        assert.equal(rules.strikes, 1);
+    });
+
+    test('effects freeze while paused', () => {
+        const rules = startedGame();
+        rules.collectPowerUp('shotgun');
+        rules.pause();
+        advanceMs(rules, 60000);
+        rules.resume();
+        assert.equal(rules.activeEffects()[0].remaining, POWER_UPS.shotgun.duration / 1000);
+    });
+});
+
+describe('combos and bonuses', () => {
+    // Put a fresh mallard under the cursor and shoot it
+    function killAnother(rules, playerIndex = 0) {
+        rules.sim.ducks.length = 0;
+        parkDuck(rules.sim.spawnDuck('mallard'));
+        return rules.shoot(MID_X, MID_Y, playerIndex);
+    }
+
+    test('kills in a row raise the multiplier', () => {
+        const rules = startedGame();
+        for (let i = 0; i < SCORING.comboStep; i++) killAnother(rules);
+
+        const popups = rules.drainEvents().filter(e => e.type === 'points');
+        assert.deepEqual(popups.map(e => e.multiplier), [1, 1, 2]);
+        assert.equal(popups[2].points, duckScore('mallard', 1) * 2 + SCORING.quickKillBonus);
+        assert.equal(rules.players[0].combo, SCORING.comboStep);
+    });
+
+    test('a miss breaks the combo but keeps the best one', () => {
+        const rules = startedGame();
+        killAnother(rules);
+        killAnother(rules);
+        rules.shoot(-500, -500);
+
+        assert.equal(rules.players[0].combo, 0);
+        assert.equal(rules.players[0].bestCombo, 2);
+    });
+
+    test('an escape breaks every combo, a decoy leaving does not', () => {
+        const rules = startedGame();
+        killAnother(rules);
+        rules.sim.spawnDuck('decoy').lifeTime = 0;
+        ticks(rules, 1);
+        assert.equal(rules.players[0].combo, 1);
+
+        rules.sim.spawnDuck('mallard').lifeTime = 0;
+        ticks(rules, 1);
+        assert.equal(rules.players[0].combo, 0);
+    });
+
+    test('shooting a decoy breaks the combo', () => {
+        const rules = startedGame();
+        killAnother(rules);
+        rules.sim.ducks.length = 0;
+        parkDuck(rules.sim.spawnDuck('decoy'));
+        rules.shoot(MID_X, MID_Y);
+        assert.equal(rules.players[0].combo, 0);
+    });
+
+    test('the quick kill bonus fades over the first half of a lifetime', () => {
+        const rules = startedGame();
+        const duck = parkDuck(rules.sim.ducks[0]);
+        duck.spawnTime = rules.sim.clock;
+        duck.lifeTime = 10000;
+        rules.sim.clock += 6000; // 40% left
+
+        rules.shoot(MID_X, MID_Y);
+        assert.equal(rules.score, duckScore('mallard', 1));
+    });
+
+    test('two ducks with one shell earn the multi kill bonus', () => {
+        const rules = startedGame();
+        parkDuck(rules.sim.ducks[0]);
+        parkDuck(rules.sim.spawnDuck('mallard'));
+
+        rules.shoot(MID_X, MID_Y);
+
+        const popups = rules.drainEvents().filter(e => e.type === 'points');
+        assert.equal(popups.length, 3);
+        assert.equal(popups[2].points, SCORING.multiKillBonus);
+        assert.equal(popups[2].multiKill, 2);
+    });
+
+    test('each level up carries the finished level breakdown', () => {
+        const rules = startedGame();
+        rules.shoot(-500, -500);
+        for (let i = 0; i < FIRST_WAVE.killQuota; i++) killAnother(rules);
+
+        const { breakdown } = rules.drainEvents().find(e => e.type === 'levelUp');
+        assert.equal(breakdown.level, 1);
+        assert.equal(breakdown.shots, FIRST_WAVE.killQuota + 1);
+        assert.equal(breakdown.hits, FIRST_WAVE.killQuota);
+        assert.equal(breakdown.accuracy, FIRST_WAVE.killQuota / (FIRST_WAVE.killQuota + 1));
+        assert.equal(breakdown.bestCombo, FIRST_WAVE.killQuota);
+        assert.equal(breakdown.quickBonus, FIRST_WAVE.killQuota * SCORING.quickKillBonus);
+        assert.equal(breakdown.points, rules.score);
+        assert.deepEqual(rules.levelTally.shots, 0);
+    });
+
+    test('a shotgun shot that levels up is booked whole on the finished level', () => {
+        const rules = startedGame();
+        rules.collectPowerUp('shotgun');
+        rules.ducksShotThisRound = FIRST_WAVE.killQuota - 1;
+        parkDuck(rules.sim.ducks[0]);
+        parkDuck(rules.sim.spawnDuck('mallard'));
+
+        rules.shoot(MID_X, MID_Y);
+        const first = rules.drainEvents().find(e => e.type === 'levelUp').breakdown;
+        assert.equal(first.level, 1);
+        assert.equal(first.shots, 1);
+        assert.equal(first.hits, 1);
+        assert.equal(first.accuracy, 1);
+        assert.equal(first.multiKillBonus, SCORING.multiKillBonus);
+        assert.equal(first.points, rules.score, 'both kills and the bonus');
+
+        // Level 2 starts from nothing and only sees its own shots
+        rules.shoot(-500, -500);
+        for (let i = 0; i < FIRST_WAVE.killQuota - 1; i++) killAnother(rules); // The carried-over kill makes the quota
+        const second = rules.drainEvents().find(e => e.type === 'levelUp').breakdown;
+        assert.equal(second.level, 2);
+        assert.equal(second.shots, FIRST_WAVE.killQuota);
+        assert.equal(second.hits, FIRST_WAVE.killQuota - 1);
+        assert.equal(second.multiKillBonus, 0);
+        assert.equal(second.points, rules.score - first.points);
+    });
+});
+
+describe('reset()', () => {
+    test('returns every counter to the starting state', () => {
+        const rules = startedGame();
+        hitOneDuck(rules);
+        rules.addStrike();
+        rules.levelUp();
+        rules.shoot(-500, -500);
+
+        rules.reset(7);
+
+        assert.equal(rules.phase, 'menu');
+        assert.equal(rules.score, 0);
+        assert.equal(rules.strikes, 0);
+        assert.equal(rules.round, 1);
+        assert.equal(rules.ammo, RULES.maxAmmo);
+        assert.equal(rules.sim.ducks.length, 0);
+        assert.equal(rules.sim.seed, 7);
+        assert.deepEqual(rules.events, []);
+    });
+});
+
+describe('two players', () => {
+    const twoPlayerGame = (playerMode) => {
+        const rules = new GameRules({ seed: 42, playerMode });
+        rules.start();
+        return rules;
+    };
+
+    test('each player has their own gun and score, strikes are shared', () => {
+        const rules = twoPlayerGame(PLAYER_MODES.COOP);
+        const duck = parkDuck(rules.sim.ducks[0]);
+
+        rules.shoot(-500, -500, 0);
+        rules.shoot(duck.x, duck.y, 1);
+        rules.addStrike();
+
+        const [p1, p2] = rules.players;
+        assert.equal(p1.ammo, RULES.maxAmmo - 1);
+        assert.equal(p1.score, 0);
+        assert.equal(p2.ammo, RULES.maxAmmo);
+        assert.equal(p2.score, freshKillScore());
+        assert.equal(duck.shotBy, 1);
+        assert.equal(rules.score, p2.score); // Co-op team total
+        assert.equal(rules.strikes, 1);
+    });
+
+    test('an empty gun only reloads its own player', () => {
+        const rules = twoPlayerGame(PLAYER_MODES.VERSUS);
+        for (let i = 0; i < RULES.maxAmmo; i++) rules.shoot(-500, -500, 1);
+
+        assert.equal(rules.shoot(-500, -500, 1).fired, false);
+        assert.equal(rules.shoot(-500, -500, 0).fired, true);
+
+        advanceMs(rules, RULES.reloadDelay + TICK_MS);
+        assert.equal(rules.players[1].ammo, RULES.maxAmmo);
+        assert.equal(rules.players[0].ammo, RULES.maxAmmo - 1);
+    });
+
+    test('the first shot takes the duck in versus', () => {
+        const rules = twoPlayerGame(PLAYER_MODES.VERSUS);
+        const duck = parkDuck(rules.sim.ducks[0]);
+
+        assert.equal(rules.shoot(duck.x, duck.y, 1).hits.length, 1);
+        assert.equal(rules.shoot(duck.x, duck.y, 0).hits.length, 0);
+        assert.equal(rules.winner, 1);
+    });
+
+    test('game over reports both scores and the versus winner', () => {
+        const rules = twoPlayerGame(PLAYER_MODES.VERSUS);
+        assert.equal(rules.winner, null); // 0 - 0 is a draw
+        hitOneDuck(rules);
+        rules.drainEvents();
+
+        rules.gameOver();
+
+        const [event] = rules.drainEvents();
+        assert.deepEqual(event.scores, [freshKillScore(), 0]);
+        assert.equal(event.winner, 0);
+    });
+
+    test('co-op has no winner and solo has a single player', () => {
+        const rules = twoPlayerGame(PLAYER_MODES.COOP);
+        hitOneDuck(rules);
+        assert.equal(rules.winner, null);
+
+        rules.setPlayerMode(PLAYER_MODES.SOLO);
+        assert.equal(rules.players.length, 1);
+        assert.equal(rules.shoot(0, 0, 1).fired, false);
+    });
+});
+
+describe('game modes', () => {
+    const modeGame = (gameMode, seed = 42) => {
+        const rules = new GameRules({ seed, gameMode });
+        rules.start();
+        return rules;
+    };
+
+    // Resolve every duck of a classic round: hit `hits` of them, let the rest escape
+    const playClassicRound = (rules, hits) => {
+        let resolved = 0;
+        while (rules.phase === 'playing' && resolved < 10) {
+            const duck = rules.sim.ducks.find(d => d.status === 'flying');
+            if (!duck) { ticks(rules, 1); continue; }
+            if (resolved < hits) {
+                rules.ammo = RULES.maxAmmo;
+                rules.shoot(duck.x, duck.y);
+            } else {
+                duck.lifeTime = 0;
+            }
+            resolved++;
+            ticks(rules, 1);
+        }
+        ticks(rules, 120); // Let the last duck fall / fly off
+    };
+
+    test('unknown modes are rejected', () => {
+        const rules = new GameRules();
+        assert.throws(() => rules.setGameMode('speedrun'), /Unknown game mode/);
+        assert.equal(rules.gameMode, GAME_MODES.ARCADE);
+    });
+
+    test('classic: a round is 10 ducks and meeting the quota moves on', () => {
+        const rules = modeGame(GAME_MODES.CLASSIC);
+        assert.deepEqual(rules.quota, { hits: 0, needed: 6, ducks: 10 });
+        assert.equal(rules.timeRemaining, null);
+
+        playClassicRound(rules, 6);
+
+        assert.equal(rules.phase, 'playing');
+        assert.equal(rules.round, 2);
+        assert.equal(rules.strikes, 0); // Escapes are not strikes here
+        assert.equal(rules.escaped, 4);
+        assert.equal(rules.quota.hits, 0);
+        assert.ok(rules.sim.ducks.length > 0, 'next round released');
+        assert.deepEqual(rules.drainEvents().filter(e => e.type === 'levelUp').map(e => e.reason), ['quota']);
+    });
+
+    test('classic: missing the quota ends the run', () => {
+        const rules = modeGame(GAME_MODES.CLASSIC);
+        playClassicRound(rules, 5);
+
+        assert.equal(rules.phase, 'game-over');
+        assert.equal(rules.endReason, 'quota');
+        assert.equal(rules.round, 1);
+    });
+
+    test('classic: the quota rises in later rounds', () => {
+        assert.deepEqual([1, 10, 11, 13, 15, 20, 30].map(classicQuota), [6, 6, 7, 8, 9, 10, 10]);
+    });
+
+    test('time attack: escapes are free and the run ends on the clock', () => {
+        const rules = modeGame(GAME_MODES.TIME_ATTACK);
+        assert.equal(rules.timeRemaining, 90);
+        rules.sim.ducks[0].lifeTime = 0;
+        ticks(rules, 1);
+        assert.equal(rules.strikes, 0);
+
+        advanceMs(rules, 89.5 * 1000);
+        assert.equal(rules.phase, 'playing');
+        advanceMs(rules, 500 + TICK_MS);
+
+        assert.equal(rules.phase, 'game-over');
+        assert.equal(rules.endReason, 'time');
+    });
+
+    test('endless: no level clock, but 3 escapes still end it', () => {
+        const rules = modeGame(GAME_MODES.ENDLESS);
+        rules.sim.ducks[0].lifeTime = Infinity;
+        advanceMs(rules, (FIRST_WAVE.timeLimit + 5) * 1000);
+        assert.equal(rules.round, 1);
+        assert.equal(rules.timeRemaining, null);
+
+        for (let i = 0; i < RULES.maxStrikes; i++) rules.addStrike();
+        assert.equal(rules.endReason, 'strikes');
+    });
+
+    test('zen: nothing ends the run until the player quits', () => {
+        const rules = modeGame(GAME_MODES.ZEN);
+        for (let i = 0; i < 5; i++) {
+            rules.sim.ducks.forEach(d => { d.lifeTime = 0; });
+            advanceMs(rules, 3000);
+        }
+        assert.equal(rules.phase, 'playing');
+        assert.equal(rules.strikes, 0);
+        assert.ok(rules.escaped >= 5);
+
+        rules.quit();
+        assert.equal(rules.phase, 'game-over');
+        assert.equal(rules.drainEvents().find(e => e.type === 'gameOver').reason, 'quit');
+    });
+});
+
+describe('pause', () => {
+    test('every timer freezes while paused and carries on after resume', () => {
+        const rules = startedGame();
+        rules.shoot(-500, -500);
+        rules.shoot(-500, -500);
+        rules.shoot(-500, -500); // Empty: reload pending
+        advanceMs(rules, 1000);
+        rules.drainEvents(); // The shots
+        const duck = rules.sim.ducks[0];
+        const before = { clock: rules.sim.clock, x: duck.x, life: rules.sim.lifeRemaining(duck), time: rules.timeRemaining };
+
+        assert.equal(rules.pause('hidden'), true);
+        assert.equal(rules.update(60 * 1000), 0);
+        assert.equal(rules.shoot(duck.x, duck.y).fired, false);
+
+        assert.equal(rules.sim.clock, before.clock);
+        assert.equal(duck.x, before.x);
+        assert.equal(rules.sim.lifeRemaining(duck), before.life);
+        assert.equal(rules.timeRemaining, before.time);
+        assert.equal(rules.ammo, 0);
+        assert.equal(rules.strikes, 0);
+
+        rules.resume();
+        advanceMs(rules, RULES.reloadDelay - 1000 + TICK_MS);
+        assert.equal(rules.ammo, RULES.maxAmmo);
+        assert.deepEqual(withoutTicks(rules.drainEvents()).map(e => e.type), ['pause', 'resume', 'reload']);
+    });
+
+    test('time spent paused is not replayed on resume', () => {
+        const rules = startedGame();
+        rules.update(TICK_MS / 2);
+        rules.pause();
+        rules.update(5000);
+        rules.resume();
+
+        assert.equal(rules.update(TICK_MS / 2), 0);
+    });
+
+    test('pause and resume only apply to the matching phase', () => {
+        const rules = new GameRules();
+        assert.equal(rules.pause(), false);
+        rules.start();
+        assert.equal(rules.resume(), false);
+        rules.pause('tracking');
+        assert.equal(rules.pause(), false);
+        assert.equal(rules.pauseReason, 'tracking');
+    });
+
+    test('quitting from the pause screen ends the run', () => {
+        const rules = startedGame();
+        rules.pause();
+        rules.quit();
+
+        assert.equal(rules.phase, 'game-over');
+        assert.equal(rules.endReason, 'quit');
+        assert.equal(rules.pauseReason, null);
+    });
+});
+
+describe('breakdown pause', () => {
+    function breakdownGame() {
+        const rules = new GameRules({ seed: 42, breakdownPause: true });
+        rules.start();
+        rules.drainEvents();
+        return rules;
+    }
+
+    test('a level up mid-frame stops the ticks still owed for that frame', () => {
+        const rules = breakdownGame();
+        rules.sim.ducks[0].lifeTime = Infinity;
+        rules.roundStartTime = rules.sim.clock - FIRST_WAVE.timeLimit * 1000 + TICK_MS / 2; // Runs out next tick
+        const clock = rules.sim.clock;
+
+        assert.equal(rules.update(TICK_MS * 10), 1);
+        assert.equal(rules.sim.clock, clock + TICK_MS);
+        assert.equal(rules.round, 2);
+        assert.equal(rules.phase, 'paused');
+        assert.equal(rules.pauseReason, 'breakdown');
+        assert.deepEqual(withoutTicks(rules.drainEvents()).map(e => e.type), ['levelUp', 'pause']);
+
+        // Nothing of the new level runs until the breakdown carries on
+        assert.equal(rules.update(TICK_MS * 10), 0);
+        assert.equal(rules.timeRemaining, FIRST_WAVE.timeLimit);
+        rules.resume();
+        assert.equal(rules.update(TICK_MS), 1);
+    });
+
+    test('a level up from a kill holds the next level and its shots', () => {
+        const rules = breakdownGame();
+        for (let i = 0; i < FIRST_WAVE.killQuota; i++) {
+            rules.sim.ducks.length = 0;
+            parkDuck(rules.sim.spawnDuck('mallard'));
+            rules.shoot(MID_X, MID_Y);
+        }
+
+        assert.equal(rules.pauseReason, 'breakdown');
+        const ducks = rules.sim.ducks.length;
+        assert.equal(rules.update(TICK_MS * 10), 0);
+        assert.equal(rules.sim.ducks.length, ducks, 'no spawns');
+        assert.equal(rules.shoot(MID_X, MID_Y).fired, false);
+    });
+
+    test('headless rules carry straight on to the next level', () => {
+        const rules = startedGame();
+        rules.levelUp('kills');
+        assert.equal(rules.phase, 'playing');
+        assert.equal(rules.breakdownPause, false);
+    });
+});
@@ -0,0 +1,227 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { GameRules, PLAYER_MODES } from '../src/rules.js';
+import {
+    ScoreBook,
+    summarizeRun,
+    cleanInitials,
+    MAX_HIGH_SCORES,
+    MAX_HISTORY,
+    SCORES_STORAGE_KEY
+} from '../src/scores.js';
+import { startedGame, ticks, hitOneDuck, memoryStorage, freshKillScore } from './helpers.js';
+
+// Run record with just the fields the book cares about
+let nextRun = 0;
+function fakeRun(score, extra = {}) {
+    nextRun++;
+    return {
+        id: `run-${nextRun}`,
+        date: new Date(Date.UTC(2026, 0, 1, 0, 0, nextRun)).toISOString(),
+        playerMode: 'solo',
+        score,
+        level: 1,
+        shots: 0,
+        hits: 0,
+        accuracy: 0,
+        escaped: 0,
+        ...extra
+    };
+}
+
+describe('summarizeRun()', () => {
+    test('records score, level, shots, hits, accuracy and escapes', () => {
+        const rules = startedGame();
+        hitOneDuck(rules);
+        rules.shoot(-500, -500);
+        rules.shoot(-500, -500);
+        rules.sim.spawnDuck().lifeTime = 0; // Flies away on the next tick
+        ticks(rules, 1);
+
+        const run = summarizeRun(rules, new Date('2026-03-01T12:00:00Z'));
+
+        assert.equal(run.score, freshKillScore());
+        assert.equal(run.level, 1);
+        assert.equal(run.shots, 3);
+        assert.equal(run.hits, 1);
+        assert.equal(run.accuracy, 0.333);
+        assert.equal(run.escaped, 1);
+        assert.equal(run.date, '2026-03-01T12:00:00.000Z');
+        assert.equal(run.seed, 42);
+    });
+
+    test('an idle run has zero accuracy', () => {
+        assert.equal(summarizeRun(startedGame()).accuracy, 0);
+    });
+
+    test('versus runs are scored by the best player', () => {
+        const rules = new GameRules({ seed: 3, playerMode: PLAYER_MODES.VERSUS });
+        rules.start();
+        const duck = rules.sim.ducks[0];
+        rules.shoot(duck.x, duck.y, 1);
+
+        const run = summarizeRun(rules);
+        assert.equal(run.score, rules.players[1].score);
+        assert.deepEqual(run.players.map(p => p.shots), [0, 1]);
+    });
+});
+
+describe('ScoreBook', () => {
+    test('history keeps the newest runs and survives a reload', () => {
+        const storage = memoryStorage();
+        const book = new ScoreBook(storage);
+        for (let i = 0; i < MAX_HISTORY + 2; i++) book.addRun(fakeRun(i));
+
+        const reloaded = new ScoreBook(storage);
+        assert.equal(reloaded.history.length, MAX_HISTORY);
+        assert.equal(reloaded.history[0].score, MAX_HISTORY + 1);
+    });
+
+    test('only scores that beat the board ask for initials', () => {
+        const book = new ScoreBook(memoryStorage());
+        assert.equal(book.qualifies(0), false);
+        for (let i = 1; i <= MAX_HIGH_SCORES; i++) book.addHighScore(fakeRun(i * 100), 'abc');
+
+        assert.equal(book.qualifies(100), false); // Ties with last place don't count
+        assert.equal(book.qualifies(101), true);
+        assert.equal(book.addHighScore(fakeRun(50), 'zzz'), -1);
+    });
+
+    test('high scores are sorted, ranked and trimmed to the board size', () => {
+        const book = new ScoreBook(memoryStorage());
+        for (let i = 1; i <= MAX_HIGH_SCORES; i++) book.addHighScore(fakeRun(i * 100), 'abc');
+
+        const rank = book.addHighScore(fakeRun(550), 'j.d');
+
+        assert.equal(rank, 5);
+        assert.equal(book.highScores.length, MAX_HIGH_SCORES);
+        assert.equal(book.highScores[0].score, 1000);
+        assert.equal(book.highScores[rank].initials, 'JD');
+        assert.equal(book.highScores.at(-1).score, 200);
+    });
+
+    test('export + import merges books without duplicates', () => {
+        const home = new ScoreBook(memoryStorage());
+        const shared = fakeRun(700);
+        home.addRun(shared);
+        home.addHighScore(shared, 'AAA');
+        home.addRun(fakeRun(300));
+
+        const work = new ScoreBook(memoryStorage());
+        work.addRun(shared);
+        work.addHighScore(shared, 'AAA');
+        const exported = JSON.parse(JSON.stringify(home.toJSON()));
+
+        assert.deepEqual(work.import(exported), { highScores: 0, history: 1 });
+        assert.deepEqual(work.import(exported), { highScores: 0, history: 0 });
+        assert.deepEqual(work.history.map(r => r.score), [300, 700]);
+    });
+
+    test('import rejects files that are not a scores export', () => {
+        const book = new ScoreBook(memoryStorage());
+        assert.throws(() => book.import({ version: 1, frames: [] }), /scores file/);
+        assert.throws(() => book.import(null), /scores file/);
+    });
+
+    test('import skips malformed entries instead of saving them', () => {
+        const book = new ScoreBook(memoryStorage());
+        const good = fakeRun(400);
+        const originalWarn = console.warn;
+        console.warn = () => { };
+        try {
+            const added = book.import({
+                version: 1,
+                highScores: [
+                    { id: 'no-date', initials: 'BAD', score: 900 },
+                    { id: 'nan', initials: 'BAD', score: 'lots', date: good.date },
+                    { id: 'mode', initials: 'BAD', score: 800, date: good.date, gameMode: 'golf' },
+                    { ...good, initials: 'OK' }
+                ],
+                history: [{ id: 'no-score', date: good.date }, null, good]
+            });
+            assert.deepEqual(added, { highScores: 1, history: 1 });
+        } finally {
+            console.warn = originalWarn;
+        }
+        assert.deepEqual(book.board().map(e => e.initials), ['OK']);
+        assert.deepEqual(book.history.map(r => r.score), [400]);
+        book.addHighScore(fakeRun(500), 'NEW'); // Sorting still works
+        assert.deepEqual(book.board().map(e => e.score), [500, 400]);
+    });
+
+    test('import checks every field the boards show', () => {
+        const book = new ScoreBook(memoryStorage());
+        const run = (extra) => fakeRun(100, { shots: 4, hits: 2, accuracy: 0.5, ...extra });
+        const originalWarn = console.warn;
+        console.warn = () => { };
+        try {
+            const added = book.import({
+                version: 1,
+                highScores: [
+                    { ...run(), initials: 42 },
+                    { ...run(), initials: 'OK', level: 'max' },
+                    { ...run(), initials: 'OK', score: -5 },
+                    { ...run(), initials: '<b>way too long</b>' }
+                ],
+                history: [
+                    run({ level: 0 }),
+                    run({ hits: 'all' }),
+                    run({ hits: 9 }),
+                    run({ shots: 2.5 }),
+                    run({ accuracy: 12 }),
+                    run({ accuracy: '50%' }),
+                    run({ escaped: -1 }),
+                    run({ id: 'kept' })
+                ]
+            });
+            assert.deepEqual(added, { highScores: 1, history: 1 });
+        } finally {
+            console.warn = originalWarn;
+        }
+        assert.deepEqual(book.board().map(e => e.initials), ['BWA'], 'cleaned like typed initials');
+        assert.deepEqual(book.history.map(r => r.id), ['kept']);
+    });
+
+    test('corrupt storage starts an empty book', () => {
+        const storage = memoryStorage();
+        storage.setItem(SCORES_STORAGE_KEY, '{not json');
+        const originalWarn = console.warn;
+        console.warn = () => { };
+        try {
+            const book = new ScoreBook(storage);
+            assert.deepEqual(book.highScores, []);
+            assert.deepEqual(book.history, []);
+        } finally {
+            console.warn = originalWarn;
+        }
+    });
+});
+
+describe('per-mode leaderboards', () => {
+    test('each game mode has its own board', () => {
+        const book = new ScoreBook(memoryStorage());
+        for (let i = 1; i <= MAX_HIGH_SCORES; i++) book.addHighScore(fakeRun(i * 1000), 'ARC');
+
+        assert.equal(book.qualifies(500), false);
+        assert.equal(book.qualifies(500, 'zen'), true);
+        assert.equal(book.addHighScore(fakeRun(500, { gameMode: 'zen' }), 'ZEN'), 0);
+
+        assert.equal(book.board().length, MAX_HIGH_SCORES);
+        assert.deepEqual(book.board('zen').map(e => e.initials), ['ZEN']);
+    });
+
+    test('runs record their game mode', () => {
+        const rules = new GameRules({ gameMode: 'classic' });
+        rules.start();
+        assert.equal(summarizeRun(rules).gameMode, 'classic');
+    });
+});
+
+describe('formatting', () => {
+    test('initials are up to three letters or digits', () => {
+        assert.equal(cleanInitials('a-b c d'), 'ABC');
+        assert.equal(cleanInitials('  '), '???');
+        assert.equal(cleanInitials(undefined), '???');
+    });
+});
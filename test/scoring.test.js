@@ -0,0 +1,53 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    SCORING,
+    comboMultiplier,
+    quickKillBonus,
+    multiKillBonus,
+    createLevelTally,
+    tallyAccuracy
+} from '../src/scoring.js';
+
+describe('comboMultiplier()', () => {
+    test('steps up every few kills and stops at the cap', () => {
+        const step = SCORING.comboStep;
+        assert.equal(comboMultiplier(0), 1);
+        assert.equal(comboMultiplier(step - 1), 1);
+        assert.equal(comboMultiplier(step), 2);
+        assert.equal(comboMultiplier(step * 100), SCORING.maxMultiplier);
+    });
+});
+
+describe('quickKillBonus()', () => {
+    test('full bonus at spawn, none once the window has passed', () => {
+        assert.equal(quickKillBonus(1), SCORING.quickKillBonus);
+        assert.equal(quickKillBonus(1 - SCORING.quickKillWindow), 0);
+        assert.equal(quickKillBonus(0), 0);
+    });
+
+    test('fades linearly inside the window, in steps of 10', () => {
+        const bonus = quickKillBonus(1 - SCORING.quickKillWindow / 2);
+        assert.equal(bonus, Math.round(SCORING.quickKillBonus / 20) * 10);
+        assert.equal(bonus % 10, 0);
+    });
+});
+
+describe('multiKillBonus()', () => {
+    test('pays for every duck after the first', () => {
+        assert.equal(multiKillBonus(0), 0);
+        assert.equal(multiKillBonus(1), 0);
+        assert.equal(multiKillBonus(3), 2 * SCORING.multiKillBonus);
+    });
+});
+
+describe('level tally', () => {
+    test('accuracy is hits over shots, 0 with no shots', () => {
+        const tally = createLevelTally();
+        assert.equal(tallyAccuracy(tally), 0);
+        tally.shots = 4;
+        tally.hits = 3;
+        assert.equal(tallyAccuracy(tally), 0.75);
+    });
+});
@@ -0,0 +1,157 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Simulation, TICK_MS, MOTION } from '../src/simulation.js';
+import { createRng } from '../src/random.js';
+import { HEIGHT } from './helpers.js';
+
+function startedSim(seed) {
+    const sim = new Simulation({ seed });
+    sim.maxDucksInScene = 3;
+    sim.start();
+    sim.spawnIfNeeded();
+    return sim;
+}
+
+// Drive a simulation with a given display frame time until it reaches `tick`
+function runUntilTick(sim, frameMs, tick) {
+    while (sim.tick < tick) sim.advance(frameMs);
+    return sim;
+}
+
+const snapshot = (sim) => sim.ducks.map(({ id, x, y, status, targetX, targetY }) => ({ id, x, y, status, targetX, targetY }));
+
+describe('createRng()', () => {
+    test('the same seed gives the same sequence', () => {
+        const a = createRng(1234);
+        const b = createRng(1234);
+        for (let i = 0; i < 100; i++) assert.equal(a(), b());
+    });
+
+    test('values stay in [0, 1)', () => {
+        const random = createRng(99);
+        for (let i = 0; i < 1000; i++) {
+            const v = random();
+            assert.ok(v >= 0 && v < 1);
+        }
+    });
+});
+
+describe('Simulation', () => {
+    test('the same seed reproduces the same run', () => {
+        const a = runUntilTick(startedSim(42), TICK_MS, 900);
+        const b = runUntilTick(startedSim(42), TICK_MS, 900);
+        assert.deepEqual(snapshot(a), snapshot(b));
+    });
+
+    test('different seeds give different runs', () => {
+        const a = runUntilTick(startedSim(1), TICK_MS, 60);
+        const b = runUntilTick(startedSim(2), TICK_MS, 60);
+        assert.notDeepEqual(snapshot(a), snapshot(b));
+    });
+
+    test('60Hz and 144Hz displays play identically', () => {
+        const at60 = runUntilTick(startedSim(5), 1000 / 60, 1200);
+        const at144 = runUntilTick(startedSim(5), 1000 / 144, 1200);
+        assert.deepEqual(snapshot(at144), snapshot(at60));
+    });
+
+    test('partial frames accumulate instead of stepping', () => {
+        const sim = startedSim(3);
+        assert.equal(sim.advance(TICK_MS / 2), 0);
+        assert.ok(Math.abs(sim.alpha - 0.5) < 1e-9);
+        assert.equal(sim.advance(TICK_MS / 2), 1);
+        assert.equal(sim.tick, 1);
+    });
+
+    test('a long stall is not replayed all at once', () => {
+        const sim = startedSim(3);
+        assert.equal(sim.advance(10000), 15);
+        assert.equal(sim.accumulator, 0);
+    });
+
+    test('a stopped simulation does not move', () => {
+        const sim = startedSim(3);
+        sim.stop();
+        const before = snapshot(sim);
+        assert.equal(sim.advance(1000), 0);
+        assert.deepEqual(snapshot(sim), before);
+    });
+
+    test('ducks escape on the simulated clock and are replaced after leaving', () => {
+        const sim = startedSim(8);
+        sim.maxDucksInScene = 1;
+        sim.ducks.length = 1;
+        const escaped = [];
+        sim.onDuckEscaped = (duck) => escaped.push(duck.id);
+        const duck = sim.ducks[0];
+
+        runUntilTick(sim, TICK_MS, Math.ceil(duck.lifeTime / TICK_MS) + 1);
+        assert.deepEqual(escaped, [duck.id]);
+        assert.equal(duck.status, 'fleeing');
+
+        runUntilTick(sim, TICK_MS, sim.tick + Math.ceil((HEIGHT + MOTION.offscreen) / MOTION.fleeSpeed) + 1);
+        assert.equal(sim.ducks.includes(duck), false);
+        assert.equal(sim.ducks.length, 1);
+        assert.notEqual(sim.ducks[0].id, duck.id);
+    });
+
+    test('a spawn budget limits how many ducks a round releases', () => {
+        const sim = startedSim(8);
+        sim.ducks.length = 0;
+        sim.maxDucksInScene = 3;
+        sim.spawnBudget = 2;
+
+        sim.spawnIfNeeded();
+        sim.removeDuck(sim.ducks[0]);
+
+        assert.equal(sim.ducks.length, 1);
+        assert.equal(sim.spawnBudget, 0);
+    });
+
+    test('slow-motion halves duck speed and stretches their lifetime', () => {
+        const normal = startedSim(8);
+        const slow = startedSim(8);
+        slow.timeScale = 0.5;
+        const [a, b] = [normal.ducks[0], slow.ducks[0]];
+        const startX = a.x;
+
+        normal.step();
+        slow.step();
+
+        assert.ok(Math.abs((b.x - startX) - (a.x - startX) / 2) < 1e-9);
+        assert.ok(slow.lifeRemaining(b) > normal.lifeRemaining(a));
+    });
+
+    test('game speed slows ducks on top of slow-motion, and is kept across resets', () => {
+        const normal = startedSim(8);
+        const slow = new Simulation({ seed: 8 });
+        slow.speedScale = 0.5;
+        slow.reset(8);
+        slow.maxDucksInScene = 3;
+        slow.start();
+        slow.spawnIfNeeded();
+        slow.timeScale = 0.5;
+        const [a, b] = [normal.ducks[0], slow.ducks[0]];
+        const startX = a.x;
+
+        normal.step();
+        slow.step();
+
+        assert.equal(slow.flightScale, 0.25);
+        assert.ok(Math.abs((b.x - startX) - (a.x - startX) / 4) < 1e-9);
+        assert.ok(slow.lifeRemaining(b) > normal.lifeRemaining(a));
+    });
+
+    test('power-ups float up from below the screen and leave off the top', () => {
+        const sim = startedSim(8);
+        const powerUp = sim.spawnPowerUp('shotgun');
+        assert.ok(powerUp.y > HEIGHT);
+
+        sim.step();
+        assert.ok(powerUp.y < HEIGHT + MOTION.powerUpBelow);
+
+        runUntilTick(sim, TICK_MS, 60 * 9);
+        assert.deepEqual(sim.powerUps, []);
+    });
+});
@@ -0,0 +1,118 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { DUCK_TYPES, typeWeights, pickDuckType, duckScore } from '../src/species.js';
+import { Simulation, MOTION } from '../src/simulation.js';
+import { createRng } from '../src/random.js';
+import { HEIGHT } from './helpers.js';
+
+const weightOf = (round, id) => typeWeights(round).find(t => t.id === id).weight;
+
+describe('typeWeights()', () => {
+    test('level 1 is mallards only', () => {
+        const live = typeWeights(1).filter(t => t.weight > 0).map(t => t.id);
+        assert.deepEqual(live, ['mallard']);
+    });
+
+    test('types join at their first level and grow up to their cap', () => {
+        assert.equal(weightOf(2, 'armored'), 0);
+        assert.ok(weightOf(3, 'armored') > 0);
+        assert.ok(weightOf(6, 'zigzag') > weightOf(2, 'zigzag'));
+        assert.equal(weightOf(100, 'zigzag'), DUCK_TYPES.zigzag.mix.max);
+    });
+});
+
+describe('pickDuckType()', () => {
+    test('the same seed picks the same flock', () => {
+        const a = createRng(7);
+        const b = createRng(7);
+        for (let i = 0; i < 50; i++) assert.equal(pickDuckType(a, typeWeights(6)), pickDuckType(b, typeWeights(6)));
+    });
+
+    test('later levels mix in every species', () => {
+        const random = createRng(3);
+        const seen = new Set();
+        for (let i = 0; i < 2000; i++) seen.add(pickDuckType(random, typeWeights(8)));
+        assert.deepEqual([...seen].sort(), Object.keys(DUCK_TYPES).sort());
+    });
+});
+
+describe('duckScore()', () => {
+    test('scores grow with the level, decoys cost points', () => {
+        assert.equal(duckScore('mallard', 1), 600);
+        assert.equal(duckScore('golden', 2), 3000);
+        assert.ok(duckScore('decoy', 5) < 0);
+    });
+});
+
+describe('flight patterns', () => {
+    function flyingDuck(typeId) {
+        const sim = new Simulation({ seed: 5 });
+        sim.start();
+        return { sim, duck: sim.spawnDuck(typeId) };
+    }
+
+    test('species stats scale speed, lifetime and hit points', () => {
+        const { sim, duck: mallard } = flyingDuck('mallard');
+        sim.reset(5);
+        const armored = sim.spawnDuck('armored');
+
+        assert.equal(armored.type, 'armored');
+        assert.equal(armored.hp, 2);
+        assert.ok(Math.abs(armored.speed - mallard.speed * 0.8) < 1e-9);
+        assert.equal(armored.lifeTime, mallard.lifeTime * 1.3);
+    });
+
+    test('a darting duck hovers after reaching its target', () => {
+        const { sim, duck } = flyingDuck('golden');
+        duck.x = duck.targetX;
+        sim.step();
+        assert.equal(duck.hover, MOTION.dartHover);
+
+        const x = duck.x;
+        sim.step();
+        assert.equal(duck.x, x);
+    });
+
+    test('slow-motion stretches a dart hover like the rest of the flight', () => {
+        const hoverTicks = (timeScale) => {
+            const { sim, duck } = flyingDuck('golden');
+            duck.lifeTime = Infinity;
+            duck.x = duck.targetX;
+            sim.step(); // Reaches the target and starts to hover
+            sim.timeScale = timeScale;
+            const x = duck.x;
+            let count = 0;
+            while (duck.x === x) {
+                sim.step();
+                count++;
+            }
+            return count - 1; // The step that moved it again
+        };
+        assert.equal(hoverTicks(1), MOTION.dartHover);
+        assert.equal(hoverTicks(0.5), MOTION.dartHover * 2);
+    });
+
+    test('a swooping duck alternates low and high targets', () => {
+        const { sim, duck } = flyingDuck('armored');
+        const targets = [];
+        for (let i = 0; i < 4; i++) {
+            duck.x = duck.targetX;
+            sim.step();
+            targets.push(duck.targetY);
+        }
+        assert.ok(targets[0] >= HEIGHT * 0.55 && targets[2] >= HEIGHT * 0.55);
+        assert.ok(targets[1] < HEIGHT * 0.2 && targets[3] < HEIGHT * 0.2);
+    });
+
+    test('a zig-zag duck leaves the straight glide path', () => {
+        const { sim, duck } = flyingDuck('zigzag');
+        const glide = { ...duck };
+        sim.step();
+        sim.step();
+        const ease = 0.01 * glide.speed;
+        let y = glide.y;
+        for (let i = 0; i < 2; i++) y += (glide.targetY - y) * ease;
+        assert.notEqual(duck.y, y);
+    });
+});
@@ -0,0 +1,144 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { parseAtlas, resolveFrames, chromaKey, keyBackground, frameHitbox, AnimationPlayer } from '../src/sprites.js';
+
+const duckAtlasJson = () => JSON.parse(readFileSync(new URL('../assets/duck.atlas.json', import.meta.url), 'utf8'));
+
+// Two 10x10 frames side by side, one two-frame walk cycle
+function tinyAtlas(animations = { walk: { frames: ['a', 'b'], duration: [100, 50] } }) {
+    return parseAtlas({
+        version: 1,
+        image: 'tiny.png',
+        grid: { columns: 2, rows: 1 },
+        frames: { a: { cell: [0, 0] }, b: { cell: [1, 0], anchor: [0, 1] } },
+        animations
+    });
+}
+
+describe('parseAtlas()', () => {
+    test('the shipped duck atlas is valid and covers every duck state', () => {
+        const atlas = parseAtlas(duckAtlasJson());
+        ['fly', 'fly-left', 'flee', 'flee-left', 'hit', 'fall'].forEach(name => assert.ok(atlas.animations[name], name));
+        assert.equal(atlas.chromaKey, null, 'duck.png has real alpha, nothing to key at runtime');
+    });
+
+    test('defaults: centred anchor, whole-frame hitbox, looping, 100ms frames', () => {
+        const atlas = parseAtlas({ version: 1, image: 'x.png', frames: { a: { rect: [0, 0, 8, 8] } }, animations: { idle: { frames: ['a'] } } });
+        assert.deepEqual(atlas.frames.a.anchor, [0.5, 0.5]);
+        assert.deepEqual(atlas.frames.a.hitbox, [0, 0, 1, 1]);
+        assert.deepEqual(atlas.animations.idle, { frames: ['a'], durations: [100], loop: true, flipX: false });
+        assert.equal(atlas.chromaKey, null);
+    });
+
+    test('rejects broken atlases with a clear message', () => {
+        assert.throws(() => parseAtlas({ version: 2 }), /Bad sprite atlas: expected version 1/);
+        assert.throws(() => parseAtlas({ version: 1, image: 'x.png', frames: { a: { cell: [0, 0] } } }), /no grid/);
+        assert.throws(() => tinyAtlas({ walk: { frames: ['a', 'zzz'] } }), /unknown frame "zzz"/);
+        assert.throws(() => tinyAtlas({ walk: { frames: ['a'], duration: 0 } }), /positive duration/);
+    });
+});
+
+describe('resolveFrames()', () => {
+    test('grid cells become pixel rects for the sheet size', () => {
+        const atlas = resolveFrames(tinyAtlas(), 20, 10);
+        assert.deepEqual(atlas.frames.a.rect, [0, 0, 10, 10]);
+        assert.deepEqual(atlas.frames.b.rect, [10, 0, 10, 10]);
+    });
+});
+
+describe('chromaKey()', () => {
+    test('clears only pixels close to the key colour', () => {
+        const pixels = new Uint8ClampedArray([
+            0, 255, 0, 255,     // Pure key green
+            30, 230, 20, 255,   // Compression noise around it
+            20, 110, 30, 255,   // Dark green feathers (the old threshold ate these)
+            200, 120, 40, 255   // Brown
+        ]);
+        assert.equal(chromaKey(pixels, [0, 255, 0], 110), 2);
+        assert.deepEqual([pixels[3], pixels[7], pixels[11], pixels[15]], [0, 0, 255, 255]);
+    });
+});
+
+describe('keyBackground()', () => {
+    test('clears key green joined to the background and keeps green inside the sprite', () => {
+        // 5x5: green background, a brown ring, a green eye in the middle
+        const G = [0, 255, 0, 255];
+        const B = [200, 120, 40, 255];
+        const pixels = new Uint8ClampedArray([
+            ...G, ...G, ...G, ...G, ...G,
+            ...G, ...B, ...B, ...B, ...G,
+            ...G, ...B, ...G, ...B, ...G,
+            ...G, ...B, ...B, ...B, ...G,
+            ...G, ...G, ...G, ...G, ...G
+        ]);
+        assert.equal(keyBackground(pixels, 5, 5, [0, 255, 0], 100), 16);
+        assert.equal(pixels[12 * 4 + 3], 255, 'the enclosed green stays');
+        assert.equal(pixels[6 * 4 + 3], 255);
+    });
+
+    test('spreads from pixels that are already transparent', () => {
+        const pixels = new Uint8ClampedArray([
+            200, 120, 40, 255,  0, 0, 0, 0,  10, 240, 10, 255,  200, 120, 40, 255
+        ]);
+        assert.equal(keyBackground(pixels, 4, 1, [0, 255, 0], 100), 1);
+        assert.equal(pixels[11], 0);
+    });
+});
+
+describe('frameHitbox()', () => {
+    test('hitbox follows the anchor, size and mirroring', () => {
+        const atlas = parseAtlas({
+            version: 1,
+            image: 'x.png',
+            hitbox: [0.25, 0, 0.25, 1],
+            frames: { a: { rect: [0, 0, 10, 20] } }
+        });
+        assert.deepEqual(frameHitbox(atlas, 'a', 100, 100, 40), { x: 90, y: 60, w: 10, h: 80 });
+        assert.deepEqual(frameHitbox(atlas, 'a', 100, 100, 40, true), { x: 100, y: 60, w: 10, h: 80 });
+    });
+});
+
+describe('AnimationPlayer', () => {
+    test('frames advance on elapsed time with per-frame durations', () => {
+        const player = new AnimationPlayer(tinyAtlas());
+        player.play('walk');
+        assert.equal(player.frame, 'a');
+        player.update(99);
+        assert.equal(player.frame, 'a');
+        player.update(1);
+        assert.equal(player.frame, 'b');
+        player.update(50);
+        assert.equal(player.frame, 'a'); // Looped
+    });
+
+    test('the frame rate does not change the result', () => {
+        const fast = new AnimationPlayer(tinyAtlas());
+        const slow = new AnimationPlayer(tinyAtlas());
+        fast.play('walk');
+        slow.play('walk');
+        for (let i = 0; i < 72; i++) fast.update(1000 / 144); // Half a second each
+        for (let i = 0; i < 15; i++) slow.update(1000 / 30);
+        assert.equal(fast.frame, slow.frame);
+    });
+
+    test('a one-shot animation holds its last frame', () => {
+        const player = new AnimationPlayer(tinyAtlas({ once: { frames: ['a', 'b'], duration: 10, loop: false } }));
+        player.play('once');
+        player.update(1000);
+        assert.equal(player.frame, 'b');
+        assert.equal(player.finished, true);
+    });
+
+    test('playing the same animation keeps its place unless restarted', () => {
+        const player = new AnimationPlayer(tinyAtlas());
+        player.play('walk');
+        player.update(120);
+        player.play('walk');
+        assert.equal(player.frame, 'b');
+        player.play('walk', true);
+        assert.equal(player.frame, 'a');
+        assert.throws(() => player.play('run'), /Unknown animation: run/);
+    });
+});
@@ -0,0 +1,109 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { parseWaves, waveFor, rollRange, builtinWaves, BUILTIN_WAVES, WAVE_DEFAULTS } from '../src/waves.js';
+import { typeWeights } from '../src/species.js';
+import { Simulation, TICK_MS } from '../src/simulation.js';
+
+const wavesJson = () => JSON.parse(readFileSync(new URL('../assets/waves.json', import.meta.url), 'utf8'));
+
+// Smallest valid file: one level, everything else from the defaults
+const oneLevel = (level = {}) => ({ version: 1, levels: [{ types: { mallard: 1 }, ...level }] });
+
+describe('parseWaves()', () => {
+    test('the shipped wave file is valid and matches the built-in curve', () => {
+        const shipped = parseWaves(wavesJson());
+        assert.equal(shipped.levels.length, BUILTIN_WAVES.levels.length);
+        shipped.levels.forEach((level, index) => {
+            const builtin = BUILTIN_WAVES.levels[index];
+            assert.deepEqual(level.types, builtin.types);
+            assert.equal(level.maxOnScreen, builtin.maxOnScreen);
+            assert.deepEqual(level.lifeTime, builtin.lifeTime);
+            level.speed.forEach((value, i) => assert.ok(Math.abs(value - builtin.speed[i]) < 1e-9));
+        });
+    });
+
+    test('missing fields come from the defaults, types become weights', () => {
+        const [level] = parseWaves(oneLevel({ types: { mallard: 3, golden: 1 } })).levels;
+        assert.equal(level.level, 1);
+        assert.deepEqual(level.types, [{ id: 'mallard', weight: 3 }, { id: 'golden', weight: 1 }]);
+        assert.equal(level.killQuota, WAVE_DEFAULTS.killQuota);
+        assert.deepEqual(level.spawnDelay, WAVE_DEFAULTS.spawnDelay);
+    });
+
+    test('bad files are rejected with the level at fault', () => {
+        assert.throws(() => parseWaves({ version: 2, levels: [] }), /Bad wave file: expected version 1/);
+        assert.throws(() => parseWaves({ version: 1, levels: [] }), /at least one level/);
+        assert.throws(() => parseWaves(oneLevel({ types: { pelican: 1 } })), /level 1: unknown duck type "pelican"/);
+        assert.throws(() => parseWaves(oneLevel({ types: { mallard: 0 } })), /every type has weight 0/);
+        assert.throws(() => parseWaves(oneLevel({ speed: [5, 2] })), /"speed" must be \[min, max\]/);
+        assert.throws(() => parseWaves(oneLevel({ killQuota: 0 })), /"killQuota" must be a positive number or null/);
+        assert.throws(() => parseWaves(oneLevel({ maxOnScreen: 1.5 })), /"maxOnScreen"/);
+        assert.throws(() => parseWaves({ version: 1, levels: [{}, { level: 3 }] }), /level 2: "level" says 3/);
+    });
+
+    test('null switches the quota and the clock off', () => {
+        const [level] = parseWaves(oneLevel({ killQuota: null, timeLimit: null })).levels;
+        assert.equal(level.killQuota, null);
+        assert.equal(level.timeLimit, null);
+    });
+});
+
+describe('waveFor()', () => {
+    test('levels past the end replay the last one', () => {
+        const waves = parseWaves({ version: 1, levels: [{ maxOnScreen: 1 }, { maxOnScreen: 3 }] });
+        assert.equal(waveFor(waves, 1).maxOnScreen, 1);
+        assert.equal(waveFor(waves, 2).maxOnScreen, 3);
+        assert.equal(waveFor(waves, 50).maxOnScreen, 3);
+    });
+});
+
+describe('rollRange()', () => {
+    test('a flat range uses no random numbers', () => {
+        let draws = 0;
+        const random = () => { draws++; return 0.5; };
+        assert.equal(rollRange([4, 4], random), 4);
+        assert.equal(draws, 0);
+        assert.equal(rollRange([2, 4], random), 3);
+        assert.equal(draws, 1);
+    });
+});
+
+describe('builtinWaves()', () => {
+    test('reproduces the original difficulty formulas', () => {
+        const { levels } = builtinWaves();
+        assert.deepEqual(levels[0].speed, [2.6, 4.6]);
+        assert.deepEqual(levels[4].lifeTime, [6000, 6000]);
+        assert.deepEqual(levels[19].lifeTime, [3000, 3000]);
+        assert.deepEqual(levels.slice(0, 8).map(l => l.maxOnScreen), [1, 2, 2, 3, 3, 4, 4, 4]);
+        const live = typeWeights(6).filter(t => t.weight > 0);
+        assert.deepEqual(Object.keys(levels[5].types), live.map(t => t.id));
+    });
+});
+
+describe('Simulation waves', () => {
+    test('a spawn delay holds the replacement duck back', () => {
+        const waves = parseWaves(oneLevel({ spawnDelay: [500, 500] }));
+        const sim = new Simulation({ seed: 3, waves });
+        sim.start();
+        sim.spawnIfNeeded();
+
+        sim.removeDuck(sim.ducks[0]);
+        assert.equal(sim.ducks.length, 0);
+        for (let i = 0; i < Math.floor(500 / TICK_MS) - 1; i++) sim.advance(TICK_MS);
+        assert.equal(sim.ducks.length, 0);
+        sim.advance(TICK_MS * 2);
+        assert.equal(sim.ducks.length, 1);
+    });
+
+    test('speed and lifetime are rolled from the wave ranges', () => {
+        const waves = parseWaves(oneLevel({ speed: [5, 6], lifeTime: [2000, 4000] }));
+        const sim = new Simulation({ seed: 8, waves });
+        for (let i = 0; i < 20; i++) {
+            const duck = sim.spawnDuck('mallard');
+            assert.ok(duck.speed >= 5 && duck.speed <= 6);
+            assert.ok(duck.lifeTime >= 2000 && duck.lifeTime <= 4000);
+        }
+    });
+});
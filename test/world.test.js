@@ -0,0 +1,54 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { WORLD, fitViewport, screenToWorld, worldToScreen, worldTransform } from '../src/world.js';
+import { GameRules } from '../src/rules.js';
+
+describe('fitViewport()', () => {
+    test('a wide canvas gets bars on the sides', () => {
+        const view = fitViewport(1200, 480);
+        assert.equal(view.scale, 2);
+        assert.equal(view.offsetX, (1200 - WORLD.width * 2) / 2);
+        assert.equal(view.offsetY, 0);
+    });
+
+    test('a tall canvas gets bars above and below', () => {
+        const view = fitViewport(512, 900);
+        assert.equal(view.scale, 2);
+        assert.equal(view.offsetX, 0);
+        assert.equal(view.offsetY, (900 - WORLD.height * 2) / 2);
+    });
+
+    test('the device pixel ratio only scales the backing store', () => {
+        const view = fitViewport(1200, 480, 2);
+        assert.equal(view.scale, 2);
+        assert.deepEqual(worldTransform(view), [4, 0, 0, 4, view.offsetX * 2, 0]);
+    });
+});
+
+describe('screen <-> world', () => {
+    test('round trip through the letterbox', () => {
+        const view = fitViewport(1000, 700, 1.5);
+        const screen = worldToScreen(view, 100, 60);
+        const world = screenToWorld(view, screen.x, screen.y);
+        assert.ok(Math.abs(world.x - 100) < 1e-9);
+        assert.ok(Math.abs(world.y - 60) < 1e-9);
+    });
+
+    test('the same world point is hit at any window size', () => {
+        const small = fitViewport(640, 480);
+        const large = fitViewport(2560, 1440, 2);
+        const a = worldToScreen(small, WORLD.width / 2, WORLD.height / 2);
+        const b = worldToScreen(large, WORLD.width / 2, WORLD.height / 2);
+        assert.deepEqual(screenToWorld(small, a.x, a.y), screenToWorld(large, b.x, b.y));
+    });
+});
+
+describe('world-space rules', () => {
+    test('the game defaults to the fixed world and a proportional hit radius', () => {
+        const rules = new GameRules();
+        assert.equal(rules.sim.width, WORLD.width);
+        assert.equal(rules.sim.height, WORLD.height);
+        assert.ok(rules.hitRadius > 0 && rules.hitRadius < WORLD.width / 4);
+    });
+});